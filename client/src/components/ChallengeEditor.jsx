@@ -0,0 +1,264 @@
+/**
+ * ChallengeEditor Component
+ *
+ * Lets a logged-in player build their own challenge: which studios are off limits, movies
+ * and/or TV, an era, and optionally a fixed starting pair. The saved challenge gets a
+ * share link and its own leaderboard.
+ */
+import React, { useState, useEffect } from 'react';
+import { useGameContext } from '../contexts/gameContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { searchPeople } from '../services/tmdbService';
+import { createCustomChallenge } from '../services/firebaseService';
+import { CUSTOM_CHALLENGE_STUDIOS } from '../utils/constants';
+import { getCustomChallengeLink } from '../utils/challengeUtils';
+import { getImageUrl } from '../utils/tmdbUtils';
+import { logger } from '../utils/loggerUtils';
+import Menu from './Menu';
+import * as ChallengeScreenStyles from '../styles/ChallangeStyle.js';
+import * as EditorStyles from '../styles/ChallengeEditorStyle.js';
+
+const MEDIA_TYPE_OPTIONS = [
+    { value: 'all', label: 'Movies & TV' },
+    { value: 'movie', label: 'Movies only' },
+    { value: 'tv', label: 'TV only' }
+];
+
+// Delay before the actor search runs while typing (ms)
+const ACTOR_SEARCH_DELAY = 300;
+const ACTOR_SEARCH_RESULTS = 5;
+
+const ChallengeEditor = () => {
+    const { currentUser, setCurrentScreen } = useGameContext();
+    const { isLightMode } = useTheme();
+
+    const [title, setTitle] = useState('');
+    const [description, setDescription] = useState('');
+    const [excludedIds, setExcludedIds] = useState([]);
+    const [mediaType, setMediaType] = useState('all');
+    const [eraFrom, setEraFrom] = useState('');
+    const [eraTo, setEraTo] = useState('');
+    const [fixedActors, setFixedActors] = useState([]);
+    const [actorQuery, setActorQuery] = useState('');
+    const [actorResults, setActorResults] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState(null);
+    const [created, setCreated] = useState(null);
+
+    // Search for starting actors as the player types
+    useEffect(() => {
+        if (actorQuery.trim().length < 2) {
+            setActorResults([]);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            searchPeople(actorQuery)
+                .then(data => {
+                    if (!cancelled) setActorResults(data.results.slice(0, ACTOR_SEARCH_RESULTS));
+                })
+                .catch(error => logger.warn('Actor search failed:', error));
+        }, ACTOR_SEARCH_DELAY);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [actorQuery]);
+
+    const toggleStudio = (studioId) => {
+        setExcludedIds(prev => (prev.includes(studioId) ? prev.filter(id => id !== studioId) : [...prev, studioId]));
+    };
+
+    const handlePickActor = (actor) => {
+        setFixedActors(prev => (prev.length >= 2 || prev.some(picked => picked.id === actor.id)
+            ? prev
+            : [...prev, { id: actor.id, name: actor.name, profile_path: actor.profile_path || null }]));
+        setActorQuery('');
+    };
+
+    const handleRemoveActor = (actorId) => {
+        setFixedActors(prev => prev.filter(actor => actor.id !== actorId));
+    };
+
+    const handleSave = async () => {
+        const era = eraFrom || eraTo
+            ? { ...(eraFrom && { from: Number(eraFrom) }), ...(eraTo && { to: Number(eraTo) }) }
+            : null;
+
+        setIsSaving(true);
+        setSaveError(null);
+        try {
+            const challenge = await createCustomChallenge(currentUser.userId, {
+                title,
+                description,
+                excludedCompanies: CUSTOM_CHALLENGE_STUDIOS.filter(studio => excludedIds.includes(studio.id)),
+                mediaType,
+                era,
+                startActors: fixedActors.length > 0 ? fixedActors : null
+            });
+            logger.info(`🧩 Created custom challenge ${challenge.id}`);
+            setCreated(challenge);
+        } catch (error) {
+            logger.error('❌ Failed to create custom challenge:', error);
+            setSaveError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCopyLink = () => {
+        navigator.clipboard?.writeText(getCustomChallengeLink(created.id))
+            .catch(error => logger.warn('Could not copy challenge link:', error));
+    };
+
+    // Open it on the challenge screen the way a shared link does
+    const handlePlay = () => {
+        window.history.replaceState(null, '', getCustomChallengeLink(created.id));
+        setCurrentScreen('challenges');
+    };
+
+    const panelStyle = EditorStyles.editorPanelBaseStyle + " " + (isLightMode ? EditorStyles.editorPanelLightStyle : EditorStyles.editorPanelDarkStyle);
+    const inputStyle = EditorStyles.editorInputBaseStyle + " " + (isLightMode ? EditorStyles.editorInputLightStyle : EditorStyles.editorInputDarkStyle);
+    const primaryButtonStyle = EditorStyles.editorButtonBaseStyle + " " + (isLightMode ? EditorStyles.editorButtonLightStyle : EditorStyles.editorButtonDarkStyle);
+    const secondaryButtonStyle = EditorStyles.editorButtonBaseStyle + " " + (isLightMode ? EditorStyles.editorSecondaryButtonLightStyle : EditorStyles.editorSecondaryButtonDarkStyle);
+    const optionStyle = (selected) => EditorStyles.editorOptionBaseStyle + " " + (selected
+        ? (isLightMode ? EditorStyles.editorOptionSelectedLightStyle : EditorStyles.editorOptionSelectedDarkStyle)
+        : (isLightMode ? EditorStyles.editorOptionLightStyle : EditorStyles.editorOptionDarkStyle));
+    const currentYear = new Date().getFullYear();
+    const canSave = title.trim().length > 0 && fixedActors.length !== 1 &&
+        (excludedIds.length > 0 || mediaType !== 'all' || eraFrom || eraTo);
+
+    const renderContent = () => {
+        if (!currentUser) {
+            return (
+                <div className="text-center text-sm">Log in to create and share your own challenges.</div>
+            );
+        }
+
+        if (created) {
+            return (
+                <>
+                    <div className="text-xl font-bold text-center">🧩 {created.title} is ready</div>
+                    <div className={EditorStyles.editorSectionStyle}>
+                        <span className={EditorStyles.editorLabelStyle}>Share link</span>
+                        <div className="flex gap-2">
+                            <input className={inputStyle + " text-xs"} value={getCustomChallengeLink(created.id)} readOnly onFocus={(event) => event.target.select()} />
+                            <button type="button" className={secondaryButtonStyle + " !w-auto"} onClick={handleCopyLink}>
+                                Copy
+                            </button>
+                        </div>
+                        <span className={EditorStyles.editorHintStyle}>Everyone who plays it shares a leaderboard.</span>
+                    </div>
+                    <button type="button" className={primaryButtonStyle} onClick={handlePlay}>
+                        ▶ Play it now
+                    </button>
+                </>
+            );
+        }
+
+        return (
+            <>
+                <label className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Title</span>
+                    <input className={inputStyle} value={title} maxLength={40} onChange={(event) => setTitle(event.target.value)} placeholder="Nineties Without Disney" />
+                </label>
+
+                <label className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Description (optional)</span>
+                    <input className={inputStyle} value={description} maxLength={160} onChange={(event) => setDescription(event.target.value)} />
+                </label>
+
+                <div className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Excluded studios</span>
+                    <div className={EditorStyles.editorOptionGridStyle}>
+                        {CUSTOM_CHALLENGE_STUDIOS.map(studio => (
+                            <label key={studio.id} className={optionStyle(excludedIds.includes(studio.id))}>
+                                <input type="checkbox" checked={excludedIds.includes(studio.id)} onChange={() => toggleStudio(studio.id)} />
+                                {studio.name}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Allowed titles</span>
+                    <div className={EditorStyles.editorOptionRowStyle}>
+                        {MEDIA_TYPE_OPTIONS.map(option => (
+                            <label key={option.value} className={optionStyle(mediaType === option.value)}>
+                                <input type="radio" name="media-type" checked={mediaType === option.value} onChange={() => setMediaType(option.value)} />
+                                {option.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Era (optional)</span>
+                    <div className="flex items-center gap-2">
+                        <input className={inputStyle} type="number" min={1900} max={currentYear} value={eraFrom} onChange={(event) => setEraFrom(event.target.value)} placeholder="From" aria-label="Era from" />
+                        <span>–</span>
+                        <input className={inputStyle} type="number" min={1900} max={currentYear} value={eraTo} onChange={(event) => setEraTo(event.target.value)} placeholder="To" aria-label="Era to" />
+                    </div>
+                </div>
+
+                <div className={EditorStyles.editorSectionStyle}>
+                    <span className={EditorStyles.editorLabelStyle}>Fixed starting actors (optional)</span>
+                    <span className={EditorStyles.editorHintStyle}>Pick two, or none to start every game with a random pair.</span>
+                    <div className={EditorStyles.editorOptionRowStyle}>
+                        {fixedActors.map(actor => (
+                            <span key={actor.id} className={EditorStyles.editorActorChipStyle}>
+                                <img className={EditorStyles.editorActorImageStyle} src={getImageUrl(actor.profile_path, 'profile')} alt="" />
+                                {actor.name}
+                                <button type="button" onClick={() => handleRemoveActor(actor.id)} aria-label={`Remove ${actor.name}`}>✕</button>
+                            </span>
+                        ))}
+                    </div>
+                    {fixedActors.length < 2 && (
+                        <>
+                            <input className={inputStyle} value={actorQuery} onChange={(event) => setActorQuery(event.target.value)} placeholder="Search actors..." />
+                            {actorResults.length > 0 && (
+                                <div className={EditorStyles.editorSearchResultsBaseStyle + " " + (isLightMode ? EditorStyles.editorSearchResultsLightStyle : EditorStyles.editorSearchResultsDarkStyle)}>
+                                    {actorResults.map(actor => (
+                                        <button key={actor.id} type="button" className={EditorStyles.editorSearchResultStyle} onClick={() => handlePickActor(actor)}>
+                                            <img className={EditorStyles.editorActorImageStyle} src={getImageUrl(actor.profile_path, 'profile')} alt="" />
+                                            {actor.name}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <button type="button" className={primaryButtonStyle} disabled={!canSave || isSaving} onClick={handleSave}>
+                    {isSaving ? 'Saving...' : '💾 Save challenge'}
+                </button>
+            </>
+        );
+    };
+
+    return (
+        <div className={ChallengeScreenStyles.challengeScreenBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenLightStyle : ChallengeScreenStyles.challengeScreenDarkStyle)}>
+            <div className={ChallengeScreenStyles.challengeScreenHeaderStyle}>
+                <Menu parentName="StartScreen" />
+                <h1 className={ChallengeScreenStyles.challangeScreenTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenTitleLightStyle : ChallengeScreenStyles.challengeScreenTitleDarkStyle)}>
+                    Create a Challenge
+                </h1>
+            </div>
+
+            <div className={ChallengeScreenStyles.challengeScreenMainContentStyle}>
+                <div className={panelStyle}>
+                    {renderContent()}
+
+                    {saveError && <div className={EditorStyles.editorErrorStyle}>{saveError}</div>}
+
+                    <button type="button" className={secondaryButtonStyle} onClick={() => setCurrentScreen('challenges')}>
+                        Back to challenges
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ChallengeEditor;
@@ -6,11 +6,16 @@
  */
 import React, { useState, useEffect, useRef } from 'react';
 import { useGameContext } from '../contexts/gameContext';
-import { fetchTwoRandomActorsWithPhotos} from '../services/tmdbService';
+import { fetchCalibratedActorPair, fetchDailyPuzzle, getPersonDetails } from '../services/tmdbService';
+import { fetchDailyStatus, fetchCustomChallenge, fetchCustomChallenges } from '../services/firebaseService';
+import { loadCustomChallengeBlacklist } from '../services/challengeBlacklistService';
 import { logger } from '../utils/loggerUtils';
+import { RACE_CHALLENGE, CHAIN_CHALLENGE, REVERSE_CHALLENGE, CREW_CHALLENGE, EPISODE_CHALLENGE, isCustomChallenge, toCustomChallengeMode } from '../utils/challengeUtils';
+import { CHAIN_MIN_ACTORS } from '../utils/constants';
 import Menu from './Menu';
 import About from './About';
 import Leaderboard from './Leaderboard';
+import ResumeGamePrompt from './game/ResumeGamePrompt';
 //import './ChallengeScreen.css';
 import { useTheme } from '../contexts/ThemeContext'; // Import the ThemeContext
 import * as ChallengeScreenStyles from '../styles/ChallangeStyle.js'; // Import styles for ChallengeScreen
@@ -22,12 +27,18 @@ const ChallengeScreen = () => {
         showLeaderboard, 
         setShowLeaderboard, 
         setStartActors,
+        setStartActorCount,
         startActors,
         setIsLoading,
-        startGame
+        startGame,
+        currentUser
     } = useGameContext();
     const [showAbout, setShowAbout] = useState(false);
+    const [dailyStatus, setDailyStatus] = useState(null);
+    const [communityChallenges, setCommunityChallenges] = useState({ featured: [], recent: [] });
+    const [sharedChallenge, setSharedChallenge] = useState(null);
     const [pendingGameStart, setPendingGameStart] = useState(false);
+    const [pairingChallenge, setPairingChallenge] = useState(null);
     const pendingActorsRef = useRef(null);
 
     // Effect to start game when actors are set for auto-start challenges
@@ -51,7 +62,43 @@ const ChallengeScreen = () => {
             };
             startGameAsync();
         }
-    }, [startActors, pendingGameStart, startGame, setCurrentScreen, setIsLoading]);    // Efficient function to get two random actors with photos quickly
+    }, [startActors, pendingGameStart, startGame, setCurrentScreen, setIsLoading]);
+
+    // Load whether today's daily puzzle was already played, for the Daily card
+    useEffect(() => {
+        if (!currentUser?.userId) {
+            setDailyStatus(null);
+            return;
+        }
+        fetchDailyStatus(currentUser.userId)
+            .then(setDailyStatus)
+            .catch(error => logger.warn('Could not load daily status:', error));
+    }, [currentUser]);
+
+    // Load the community challenges listed under the built-in ones
+    useEffect(() => {
+        fetchCustomChallenges()
+            .then(({ featured, recent }) => {
+                const featuredIds = new Set(featured.map(challenge => challenge.id));
+                setCommunityChallenges({
+                    featured: featured.map(toCustomChallengeMode),
+                    recent: recent.filter(challenge => !featuredIds.has(challenge.id)).map(toCustomChallengeMode)
+                });
+            })
+            .catch(error => logger.warn('Could not load community challenges:', error));
+    }, []);
+
+    // Share links (?challenge=<id>) put that challenge at the top of the screen
+    useEffect(() => {
+        const challengeId = new URLSearchParams(window.location.search).get('challenge');
+        if (!isCustomChallenge(challengeId)) return;
+
+        fetchCustomChallenge(challengeId)
+            .then(challenge => setSharedChallenge(toCustomChallengeMode(challenge)))
+            .catch(error => logger.warn(`Could not load shared challenge ${challengeId}:`, error));
+        window.history.replaceState(null, '', window.location.pathname);
+    }, []);
+    // Efficient function to get two random actors with photos quickly
    
 
     // Available challenges
@@ -66,6 +113,23 @@ const ChallengeScreen = () => {
             filter: false,
             remove: []
         },
+        {
+            id: 'daily',
+            title: 'Daily',
+            description: dailyStatus?.attemptedToday
+                ? 'Already played today - replays are just for practice. Come back tomorrow!'
+                : 'Everyone gets the same two actors today - one scored attempt per day',
+            icon: '📅',
+            difficulty: 'Medium',
+            color: 'bg-teal-500',
+            filter: false,
+            remove: []
+        },
+        RACE_CHALLENGE,
+        CHAIN_CHALLENGE,
+        REVERSE_CHALLENGE,
+        CREW_CHALLENGE,
+        EPISODE_CHALLENGE,
                 {
             id: 'classic',
             title: 'classic',
@@ -245,30 +309,83 @@ const ChallengeScreen = () => {
                 'DC Universe',                'DC Entertainment Television'
             ]
         },
+        {
+            id: 'no-animation',
+            title: 'No Animation',
+            description: 'Connect actors without using any animated movies or TV shows',
+            icon: '🖍️',
+            difficulty: 'Medium',
+            color: 'bg-yellow-600',
+            type: 'rules',
+            filter: true,
+            remove: []
+        },
+        {
+            id: 'since-2000',
+            title: 'Movies Since 2000',
+            description: 'Connect actors using only movies released in 2000 or later',
+            icon: '📆',
+            difficulty: 'Hard',
+            color: 'bg-cyan-600',
+            type: 'rules',
+            filter: true,
+            remove: []
+        },
     ];
 
     const handleChallengeSelect = async (challenge) => {
+        // Picking a calibrated pair can take a while; ignore clicks until it's done
+        if (pairingChallenge) return;
         setChallengeMode(challenge);
         
-        // If challenge is 'for-fun', go to actor selection screen
-        if (challenge.id === 'for-fun') {
+        // Pick-your-own challenges go to the selection screen ('reverse' picks titles there)
+        if (challenge.id === 'for-fun' || challenge.id === REVERSE_CHALLENGE.id) {
+            setStartActorCount(2);
+            setCurrentScreen('actor-selection');
+            return;
+        }
+
+        // Races start from the lobby once both players are in
+        if (challenge.id === RACE_CHALLENGE.id) {
+            setCurrentScreen('race-lobby');
+            return;
+        }
+
+        // Chain games let the player pick how many actors to link
+        if (challenge.id === CHAIN_CHALLENGE.id) {
+            setStartActorCount(CHAIN_MIN_ACTORS);
             setCurrentScreen('actor-selection');
             return;
         }
         
-        // For all other challenges, automatically get 2 random actors and start the game
+        // For all other challenges, automatically get 2 actors and start the game
+        setPairingChallenge(challenge);
         try {
             logger.info(`🎯 Auto-starting challenge: ${challenge.title}`);
             
-            // Get actors efficiently
-            const actors = await fetchTwoRandomActorsWithPhotos();
+            let actors;
+            if (challenge.id === 'daily') {
+                // Everyone plays the same pair for the day
+                const puzzle = await fetchDailyPuzzle();
+                setChallengeMode({ ...challenge, dailyDate: puzzle.date });
+                actors = puzzle.actors;
+            } else if (isCustomChallenge(challenge)) {
+                // Custom challenges aren't in the preloaded blacklists, and may fix the starting pair
+                await loadCustomChallengeBlacklist(challenge.id);
+                actors = challenge.startActors
+                    ? await Promise.all(challenge.startActors.map(actor => getPersonDetails(actor.id)))
+                    : await fetchCalibratedActorPair(challenge.id, challenge.difficulty);
+            } else {
+                // A pair as far apart as the challenge's difficulty asks for
+                actors = await fetchCalibratedActorPair(challenge.id, challenge.difficulty);
+            }
             const [actor1, actor2] = actors;
             
             // Set both actors and mark for pending game start
             setStartActors([actor1, actor2]);
             pendingActorsRef.current = [actor1, actor2];
             setPendingGameStart(true);
-            logger.info(`✅ Random actors selected: ${actor1.name} & ${actor2.name}`);
+            logger.info(`✅ Starting actors selected: ${actor1.name} & ${actor2.name}`);
             
         } catch (error) {
             logger.error('Error auto-starting challenge:', error);
@@ -280,8 +397,16 @@ const ChallengeScreen = () => {
             });
             // Fallback to actor selection screen if random actors fail
             setCurrentScreen('actor-selection');
+        } finally {
+            setPairingChallenge(null);
         }
     };
+    // Explore isn't a challenge: it picks two actors and shows how they connect
+    const handleShowExplore = () => {
+        setChallengeMode(null);
+        setStartActorCount(2);
+        setCurrentScreen('explore');
+    };
     const handleShowAbout = () => {
         setShowAbout(true);
     };
@@ -312,6 +437,40 @@ const ChallengeScreen = () => {
     };
     
     const { isLightMode } = useTheme(); // Get the current theme mode
+
+    const sectionTitleStyle = ChallengeScreenStyles.challengeScreenSectionTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenSectionTitleLightStyle : ChallengeScreenStyles.challengeScreenSectionTitleDarkStyle);
+
+    const renderChallengeCard = (challenge) => (
+        <div
+            key={challenge.id}
+            onClick={() => handleChallengeSelect(challenge)}
+            className={ChallengeScreenStyles.challangeCardBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardLightStyle : ChallengeScreenStyles.challengeCardDarkStyle)}
+        >
+            <div className="flex flex-col items-center text-center h-full">
+                <div className={ChallengeScreenStyles.challengeCardIconStyle + " " + challenge.color}>
+                    {challenge.icon}
+                </div>
+
+                <h3 className={ChallengeScreenStyles.challengeCardTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardTitleLightStyle : ChallengeScreenStyles.challengeCardTitleDarkStyle)}>
+                    {challenge.title}
+                </h3>
+
+                <p className={ChallengeScreenStyles.challangeCardDescBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challangeCardDescLightStyle : ChallengeScreenStyles.challangeCardDescDarkStyle)}>
+                    {challenge.description}
+                </p>
+
+                <div className={ChallengeScreenStyles.challengeCardFooterStyle}>
+                    <span className={`text-sm font-semibold ${getDifficultyColor(challenge.difficulty, isLightMode)}`}>
+                        {challenge.difficulty}
+                    </span>
+                    <span className={ChallengeScreenStyles.challengeCardSelectBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardSelectLightStyle : ChallengeScreenStyles.challengeCardSelectDarkStyle)}>
+                        Select →
+                    </span>
+                </div>
+            </div>
+        </div>
+    );
+
     return (
         <div className={ChallengeScreenStyles.challengeScreenBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenLightStyle : ChallengeScreenStyles.challengeScreenDarkStyle)}>
             {/* Header */}
@@ -324,40 +483,61 @@ const ChallengeScreen = () => {
 
             {/* Main Content */}
             <div className={ChallengeScreenStyles.challengeScreenMainContentStyle}>
+                <ResumeGamePrompt />
+
+                {pairingChallenge && (
+                    <div className={ChallengeScreenStyles.challengeScreenStatusBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenStatusLightStyle : ChallengeScreenStyles.challengeScreenStatusDarkStyle)} role="status">
+                        🎲 Picking starting actors for {pairingChallenge.title}...
+                    </div>
+                )}
+
+                {sharedChallenge && (
+                    <>
+                        <h2 className={sectionTitleStyle}>Shared with you</h2>
+                        <div className={ChallengeScreenStyles.challengeScreenGridStyle}>
+                            {renderChallengeCard(sharedChallenge)}
+                        </div>
+                    </>
+                )}
+
                 <div className={ChallengeScreenStyles.challengeScreenGridStyle}>
-                    {challenges.map((challenge) => (
-                        <div
-                            key={challenge.id}
-                            onClick={() => handleChallengeSelect(challenge)}
-                            className={ChallengeScreenStyles.challangeCardBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardLightStyle : ChallengeScreenStyles.challengeCardDarkStyle)}
-                        >
-                            <div className="flex flex-col items-center text-center h-full">
-                                <div className={ChallengeScreenStyles.challengeCardIconStyle + " " + challenge.color}>
-                                    {challenge.icon}
-                                </div>
-
-                                <h3 className={ChallengeScreenStyles.challengeCardTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardTitleLightStyle : ChallengeScreenStyles.challengeCardTitleDarkStyle)}>
-                                    {challenge.title}
-                                </h3>
-
-                                <p className={ChallengeScreenStyles.challangeCardDescBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challangeCardDescLightStyle : ChallengeScreenStyles.challangeCardDescDarkStyle)}>
-                                    {challenge.description}
-                                </p>
-
-                                <div className={ChallengeScreenStyles.challengeCardFooterStyle}>
-                                    <span className={`text-sm font-semibold ${getDifficultyColor(challenge.difficulty, isLightMode)}`}>
-                                        {challenge.difficulty}
-                                    </span>
-                                    <span className={ChallengeScreenStyles.challengeCardSelectBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeCardSelectLightStyle : ChallengeScreenStyles.challengeCardSelectDarkStyle)}>
-                                        Select →
-                                    </span>
-                                </div>
-                            </div>
+                    {challenges.map(renderChallengeCard)}
+                </div>
+
+                {communityChallenges.featured.length > 0 && (
+                    <>
+                        <h2 className={sectionTitleStyle}>Featured community challenges</h2>
+                        <div className={ChallengeScreenStyles.challengeScreenGridStyle}>
+                            {communityChallenges.featured.map(renderChallengeCard)}
+                        </div>
+                    </>
+                )}
+
+                {communityChallenges.recent.length > 0 && (
+                    <>
+                        <h2 className={sectionTitleStyle}>Recent community challenges</h2>
+                        <div className={ChallengeScreenStyles.challengeScreenGridStyle}>
+                            {communityChallenges.recent.map(renderChallengeCard)}
                         </div>
-                    ))}        </div>
+                    </>
+                )}
 
                 {/* Menu Buttons */}
                 <div className={ChallengeScreenStyles.challengeScreenMenuButtonsWrapper}>
+                    {currentUser && (
+                        <button
+                            onClick={() => setCurrentScreen('challenge-editor')}
+                            className={ChallengeScreenStyles.challengeScreenCreateButtonBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenCreateButtonLightStyle : ChallengeScreenStyles.challengeScreenCreateButtonDarkStyle)}
+                        >
+                            ✏️ Create a challenge
+                        </button>
+                    )}
+                    <button
+                        onClick={handleShowExplore}
+                        className={ChallengeScreenStyles.challengeScreenExploreButtonBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenExploreButtonLightStyle : ChallengeScreenStyles.challengeScreenExploreButtonDarkStyle)}
+                    >
+                        🔭 Explore connections
+                    </button>
                     <div className="flex gap-4">
                         <button
                             onClick={handleShowLeaderboard}
@@ -0,0 +1,227 @@
+/**
+ * ExploreScreen Component
+ *
+ * Unscored path finder: pick any two actors and the server-side solver lays out the
+ * shortest connection between them on a read-only board. Further routes that avoid the
+ * ones already shown can be added one at a time.
+ */
+import React, { useState, useMemo } from 'react';
+import CloseIcon from '@mui/icons-material/Close';
+import { useGameContext } from '../contexts/gameContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { fetchOptimalPath } from '../services/tmdbService';
+import { getStartNodeId } from '../utils/gameUtils';
+import { buildExploreFrame, getRouteMiddleNodeIds, getDegreesOfSeparation } from '../utils/exploreUtils';
+import { EXPLORE_MAX_ROUTES } from '../utils/constants';
+import { logger } from '../utils/loggerUtils';
+import ActorCard from './game/ActorCard';
+import GameBoard from './game/GameBoard';
+import Menu from './Menu';
+import * as ChallengeScreenStyles from '../styles/ChallangeStyle.js';
+import * as ExploreStyles from '../styles/ExploreStyle.js';
+
+const formatDegrees = (route) => {
+    const degrees = getDegreesOfSeparation(route);
+    return `${degrees} ${degrees === 1 ? 'degree' : 'degrees'}`;
+};
+
+/**
+ * Explain why the solver came back without a route
+ */
+const describeMissingRoute = (result, isAlternative) => {
+    if (!result) return 'The path finder could not be reached. Try again in a moment.';
+    if (!result.optimal) {
+        return `No ${isAlternative ? 'other ' : ''}route found within the search limits (it would take at least ${result.minimumPathLength} steps).`;
+    }
+    return isAlternative ? 'There is no other route that avoids the ones shown.' : 'These two are not connected.';
+};
+
+const ExploreScreen = () => {
+    const {
+        startActors,
+        randomizeActors,
+        isLoading,
+        actorSearchResults,
+        actorSearchTerms,
+        searchStartActors,
+        setActorSearch,
+        selectStartActor,
+        actorSearchPages,
+        actorSearchTotalPages,
+        setCurrentScreen
+    } = useGameContext();
+    const { isLightMode } = useTheme();
+
+    const [exploredActors, setExploredActors] = useState(null);
+    const [routes, setRoutes] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [noMoreRoutes, setNoMoreRoutes] = useState(false);
+
+    const frame = useMemo(
+        () => (exploredActors && routes.length > 0 ? buildExploreFrame(exploredActors, routes) : null),
+        [exploredActors, routes]
+    );
+
+    // Handlers for the actor slots, as on the actor selection screen
+    const handleSelectActor = (actorId, index, mediaType) => {
+        selectStartActor(actorId, index, mediaType);
+        setActorSearch('', index);
+    };
+
+    const loadMoreActors = (index) => {
+        if (isLoading || actorSearchPages[index] >= actorSearchTotalPages[index]) return;
+        searchStartActors(actorSearchTerms[index] || '', index, actorSearchPages[index] + 1);
+    };
+
+    const handleSearchAgain = (index) => {
+        selectStartActor(null, index);
+        setActorSearch('', index);
+    };
+
+    const findRoute = async (actors, previousRoutes) => {
+        const [fromId, toId] = actors.map(getStartNodeId);
+        const isAlternative = previousRoutes.length > 0;
+
+        setIsSearching(true);
+        setMessage(null);
+        try {
+            const result = await fetchOptimalPath(fromId, toId, null, getRouteMiddleNodeIds(previousRoutes));
+            if (result?.found) {
+                logger.info(`🔭 Route ${previousRoutes.length + 1} from ${fromId} to ${toId}: ${result.pathLength} steps`);
+                setRoutes([...previousRoutes, result]);
+            } else {
+                setMessage(describeMissingRoute(result, isAlternative));
+                setNoMoreRoutes(isAlternative);
+            }
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const handleExplore = () => {
+        const actors = startActors.slice(0, 2);
+        if (getStartNodeId(actors[0]) === getStartNodeId(actors[1])) {
+            setMessage('Pick two different actors.');
+            return;
+        }
+        setExploredActors(actors);
+        setRoutes([]);
+        setNoMoreRoutes(false);
+        findRoute(actors, []);
+    };
+
+    const handleAnotherRoute = () => findRoute(exploredActors, routes);
+
+    const handleNewSearch = () => {
+        setExploredActors(null);
+        setRoutes([]);
+        setMessage(null);
+    };
+
+    const buttonStyle = ExploreStyles.exploreButtonBaseStyle + " " + (isLightMode ? ExploreStyles.exploreButtonLightStyle : ExploreStyles.exploreButtonDarkStyle);
+    const secondaryButtonStyle = ExploreStyles.exploreButtonBaseStyle + " " + (isLightMode ? ExploreStyles.exploreSecondaryButtonLightStyle : ExploreStyles.exploreSecondaryButtonDarkStyle);
+
+    if (frame) {
+        const canAddRoute = routes.length < EXPLORE_MAX_ROUTES && !noMoreRoutes;
+        return (
+            <div className={ExploreStyles.exploreResultsStyle + " " + (isLightMode ? ExploreStyles.exploreResultsLightStyle : ExploreStyles.exploreResultsDarkStyle)}>
+                <div className={ExploreStyles.exploreHeaderBaseStyle + " " + (isLightMode ? ExploreStyles.exploreHeaderLightStyle : ExploreStyles.exploreHeaderDarkStyle)}>
+                    <span className={ExploreStyles.exploreTitleStyle}>
+                        🔭 {exploredActors[0].name} ↔ {exploredActors[1].name}: {formatDegrees(routes[0])} of separation
+                    </span>
+                    <button type="button" onClick={() => setCurrentScreen('challenges')} aria-label="Close explore">
+                        <CloseIcon />
+                    </button>
+                </div>
+
+                <div className={ExploreStyles.exploreBoardStyle}>
+                    <GameBoard readOnlyFrame={frame} />
+                </div>
+
+                <div className={ExploreStyles.exploreFooterBaseStyle + " " + (isLightMode ? ExploreStyles.exploreFooterLightStyle : ExploreStyles.exploreFooterDarkStyle)}>
+                    {routes.map((route, index) => (
+                        <div key={index} className={ExploreStyles.exploreRouteStyle}>
+                            <span className={ExploreStyles.exploreRouteLabelStyle}>
+                                {index === 0 ? 'Shortest' : `Route ${index + 1}`} ({formatDegrees(route)})
+                            </span>
+                            {route.pathDetails.map(detail => detail.name).join(' → ')}
+                        </div>
+                    ))}
+                    {message && <div className={ExploreStyles.exploreMessageStyle}>{message}</div>}
+                    <div className={ExploreStyles.exploreActionsStyle}>
+                        <button type="button" className={buttonStyle} disabled={!canAddRoute || isSearching} onClick={handleAnotherRoute}>
+                            {isSearching ? 'Searching...' : '➕ Show another route'}
+                        </button>
+                        <button type="button" className={secondaryButtonStyle} disabled={isSearching} onClick={handleNewSearch}>
+                            New search
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={ChallengeScreenStyles.challengeScreenBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenLightStyle : ChallengeScreenStyles.challengeScreenDarkStyle)}>
+            <div className={ChallengeScreenStyles.challengeScreenHeaderStyle}>
+                <Menu parentName="StartScreen" />
+                <h1 className={ChallengeScreenStyles.challangeScreenTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenTitleLightStyle : ChallengeScreenStyles.challengeScreenTitleDarkStyle)}>
+                    Explore
+                </h1>
+            </div>
+
+            <div className={ChallengeScreenStyles.challengeScreenMainContentStyle}>
+                <p className={ExploreStyles.exploreIntroBaseStyle + " " + (isLightMode ? ExploreStyles.exploreIntroLightStyle : ExploreStyles.exploreIntroDarkStyle)}>
+                    Pick any two actors to see how they are connected. Nothing is scored.
+                </p>
+
+                <div className={ExploreStyles.exploreCardsStyle}>
+                    {startActors.slice(0, 2).map((actor, index) => (
+                        <div key={index} className="w-full sm:w-auto">
+                            <ActorCard
+                                index={index}
+                                selectedActor={actor}
+                                isLoading={isLoading}
+                                onSearchAgain={handleSearchAgain}
+
+                                initialSearchTerm={actorSearchTerms[index]}
+                                currentActorSearchResults={actorSearchResults[index]}
+                                searchPageNum={actorSearchPages[index]}
+                                searchTotalPages={actorSearchTotalPages[index]}
+
+                                callbackOnSelectActor={handleSelectActor}
+                                callbackOnLoadMore={loadMoreActors}
+                                callbackOnRandomize={randomizeActors}
+                                callbackSearchActors={searchStartActors}
+                                callbackUpdateSearchTerm={setActorSearch}
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                {isSearching && <div className={ExploreStyles.exploreMessageStyle}>Searching for the shortest route, this can take a few seconds...</div>}
+                {message && <div className={ExploreStyles.exploreErrorStyle}>{message}</div>}
+
+                <button
+                    type="button"
+                    className={ExploreStyles.exploreFindButtonBaseStyle + " " + (isLightMode ? ExploreStyles.exploreFindButtonLightStyle : ExploreStyles.exploreFindButtonDarkStyle) + " mt-4"}
+                    disabled={!startActors[0] || !startActors[1] || isLoading || isSearching}
+                    onClick={handleExplore}
+                >
+                    🔭 FIND CONNECTION
+                </button>
+
+                <button
+                    type="button"
+                    className={secondaryButtonStyle + " mt-4"}
+                    onClick={() => setCurrentScreen('challenges')}
+                >
+                    Back to challenges
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ExploreScreen;
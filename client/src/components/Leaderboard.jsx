@@ -2,7 +2,10 @@ import React, { useState, useEffect } from 'react';
 import CloseIcon from '@mui/icons-material/Close';
 import * as AboutStyles from '../styles/AboutStyles.js'; // Reuse the About styles for consistency
 import { useTheme } from '../contexts/ThemeContext'; // Import the theme context to access light/dark mode
-import { fetchLeaderboard } from '../services/firebaseService';
+import { fetchLeaderboard, fetchCustomChallenge } from '../services/firebaseService';
+import { isCustomChallenge } from '../utils/challengeUtils';
+import ReplayViewer from './game/ReplayViewer';
+import * as ReplayStyles from '../styles/ReplayStyle.js';
 
 const Leaderboard = ({ onClose }) => {
   const [isOpen, setIsOpen] = useState(true);
@@ -11,6 +14,8 @@ const Leaderboard = ({ onClose }) => {
   const [selectedChallenge, setSelectedChallenge] = useState('all');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [replayEntry, setReplayEntry] = useState(null); // Leaderboard entry whose replay is open
+  const [customTitles, setCustomTitles] = useState({}); // Titles of custom challenges, keyed by ID
   const handleClose = () => {
     setIsOpen(false);
     if (onClose) {
@@ -38,6 +43,13 @@ const Leaderboard = ({ onClose }) => {
         } else {
           setLeaderboardData([]);
         }
+
+        // Custom challenge leaderboards are keyed by ID; look up their titles
+        const customIds = challengeKeys.filter(isCustomChallenge);
+        const customChallenges = await Promise.allSettled(customIds.map(fetchCustomChallenge));
+        setCustomTitles(Object.fromEntries(customChallenges
+          .filter(result => result.status === 'fulfilled')
+          .map(result => [result.value.id, result.value.title])));
       } catch (error) {
         console.error('Error fetching leaderboard:', error);
         setError('Failed to load leaderboard data');
@@ -72,8 +84,16 @@ const Leaderboard = ({ onClose }) => {
       'movies-only': 'Movies Only',
       'tv-only': 'TV Only',
       'no-disney': 'No Disney',
-      'Nathan': 'Developer Challenge'
+      'Nathan': 'Developer Challenge',
+      'no-animation': 'No Animation',
+      'since-2000': 'Movies Since 2000'
     };
+    if (challengeId.startsWith('daily-')) {
+      return `Daily ${challengeId.slice('daily-'.length)}`;
+    }
+    if (customTitles[challengeId]) {
+      return `🧩 ${customTitles[challengeId]}`;
+    }
     return challengeNames[challengeId] || challengeId;
   };
 
@@ -147,7 +167,7 @@ const Leaderboard = ({ onClose }) => {
                     <span className="text-red-400">{error}</span>
                   </div>
                 ) : leaderboardData.length > 0 ? (                 
-                   <>                 <div className={`grid grid-cols-6 gap-1 sm:gap-2 md:gap-4 lg:gap-8 text-xs sm:text-sm font-bold border-b pb-2 ${
+                   <>                 <div className={`grid grid-cols-7 gap-1 sm:gap-2 md:gap-4 lg:gap-8 text-xs sm:text-sm font-bold border-b pb-2 ${
                       isLightMode 
                         ? 'text-gray-700 border-gray-300' 
                         : 'text-gray-300 border-gray-600'
@@ -157,11 +177,12 @@ const Leaderboard = ({ onClose }) => {
                       <span className="text-center">Score</span>
                       <span className="text-center">Time</span>
                       <span className="text-center">Path</span>
+                      <span className="text-center">Hints</span>
                       <span className="text-center text-xs sm:text-sm">Actors</span>
                     </div>
                     {leaderboardData.map((player) => (                      
                       <div key={`${player.username}-${player.rank}`} 
-                           className={`grid grid-cols-6 gap-1 sm:gap-2 md:gap-4 lg:gap-8 text-xs sm:text-sm py-2 border-b border-opacity-30 ${
+                           className={`grid grid-cols-7 gap-1 sm:gap-2 md:gap-4 lg:gap-8 text-xs sm:text-sm py-2 border-b border-opacity-30 ${
                              isLightMode ? 'text-gray-800 border-gray-200' : 'text-white border-gray-700'
                            } ${player.rank <= 3 ? 'bg-gradient-to-r from-transparent via-yellow-50/10 to-transparent' : ''}`}>
     
@@ -176,6 +197,16 @@ const Leaderboard = ({ onClose }) => {
     
                         <span className="truncate font-medium text-xs sm:text-sm" title={player.username}>
                           {player.username}
+                          {player.replayId && (
+                            <button
+                              type="button"
+                              className={ReplayStyles.replayLinkBaseStyle + " " + (isLightMode ? ReplayStyles.replayLinkLightStyle : ReplayStyles.replayLinkDarkStyle)}
+                              onClick={() => setReplayEntry(player)}
+                              title="Watch the replay of this run"
+                            >
+                              ▶
+                            </button>
+                          )}
                         </span>
     
                         <span className="text-center font-semibold text-xs sm:text-sm">
@@ -190,6 +221,10 @@ const Leaderboard = ({ onClose }) => {
                           {player.pathLength || 'N/A'}
                         </span>
     
+                        <span className="text-center text-xs sm:text-sm" title="Hints used">
+                          {player.hintsUsed ?? 0}
+                        </span>
+    
                         <span className="text-xs leading-tight overflow-hidden" title={`${player.startingActor1} → ${player.startingActor2}`}>
                           {player.startingActor1 && player.startingActor2 
                             ? (
@@ -224,6 +259,13 @@ const Leaderboard = ({ onClose }) => {
           </div>
         </div>
       )}
+      {replayEntry && (
+        <ReplayViewer
+          replayId={replayEntry.replayId}
+          title={`${replayEntry.username} · ${replayEntry.startingActor1} → ${replayEntry.startingActor2}`}
+          onClose={() => setReplayEntry(null)}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,207 @@
+/**
+ * RaceLobby Component
+ *
+ * Lobby for a head-to-head race: host a room or join one by code, share the invite,
+ * and start once both players are in. When the host starts, both players receive the
+ * same starting pair and the game begins for each of them.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import { useGameContext } from '../contexts/gameContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getPersonDetails } from '../services/tmdbService';
+import { RACE_CHALLENGE } from '../utils/challengeUtils';
+import { logger } from '../utils/loggerUtils';
+import Menu from './Menu';
+import * as ChallengeScreenStyles from '../styles/ChallangeStyle.js';
+import * as RaceStyles from '../styles/RaceStyle.js';
+
+const RaceLobby = () => {
+    const {
+        race,
+        racePlayer,
+        raceError,
+        hostRace,
+        enterRace,
+        startRace,
+        resetGame,
+        currentUser,
+        startActors,
+        setStartActors,
+        setChallengeMode,
+        startGame,
+        isLoading
+    } = useGameContext();
+    const { isLightMode } = useTheme();
+
+    const [playerName, setPlayerName] = useState(currentUser?.userId || '');
+    const [joinCode, setJoinCode] = useState(() => new URLSearchParams(window.location.search).get('race') || '');
+    const [isBusy, setIsBusy] = useState(false);
+    const [startError, setStartError] = useState(null);
+    const [pendingGameStart, setPendingGameStart] = useState(false);
+    const startedRaceRef = useRef(null);
+
+    // Load the pair once the host starts the race
+    useEffect(() => {
+        if (race?.status !== 'playing' || !race.actors || startedRaceRef.current === race.code) return;
+        startedRaceRef.current = race.code;
+
+        const loadActors = async () => {
+            try {
+                const actors = await Promise.all(race.actors.map(actor => getPersonDetails(actor.id)));
+                if (actors.some(actor => !actor?.id)) {
+                    throw new Error('Failed to load the starting actors');
+                }
+                setChallengeMode({ ...RACE_CHALLENGE, raceCode: race.code });
+                setStartActors(actors);
+                setPendingGameStart(true);
+                logger.info(`🏁 Race ${race.code} starting: ${actors[0].name} & ${actors[1].name}`);
+            } catch (error) {
+                logger.error('Error loading race actors:', error);
+                setStartError(error.message);
+            }
+        };
+        loadActors();
+    }, [race, setChallengeMode, setStartActors]);
+
+    // Start the game once the race's actors are in state
+    useEffect(() => {
+        if (!pendingGameStart || !race?.actors) return;
+        const ready = race.actors.every((actor, index) => startActors[index]?.id === actor.id);
+        if (ready) {
+            setPendingGameStart(false);
+            startGame();
+        }
+    }, [pendingGameStart, race, startActors, startGame]);
+
+    const runAction = async (action) => {
+        setIsBusy(true);
+        setStartError(null);
+        try {
+            await action();
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const inviteLink = race ? `${window.location.origin}${window.location.pathname}?race=${race.code}` : '';
+    const isHost = race && racePlayer && race.hostId === racePlayer.id;
+    const canStart = isHost && race.status === 'waiting' && race.players.length === 2;
+
+    const handleCopyInvite = () => {
+        navigator.clipboard?.writeText(inviteLink)
+            .catch(error => logger.warn('Could not copy invite link:', error));
+    };
+
+    const panelStyle = RaceStyles.raceLobbyPanelBaseStyle + " " + (isLightMode ? RaceStyles.raceLobbyPanelLightStyle : RaceStyles.raceLobbyPanelDarkStyle);
+    const inputStyle = RaceStyles.raceLobbyInputBaseStyle + " " + (isLightMode ? RaceStyles.raceLobbyInputLightStyle : RaceStyles.raceLobbyInputDarkStyle);
+    const primaryButtonStyle = RaceStyles.raceButtonBaseStyle + " " + (isLightMode ? RaceStyles.raceButtonLightStyle : RaceStyles.raceButtonDarkStyle);
+    const secondaryButtonStyle = RaceStyles.raceButtonBaseStyle + " " + (isLightMode ? RaceStyles.raceSecondaryButtonLightStyle : RaceStyles.raceSecondaryButtonDarkStyle);
+    const error = startError || raceError;
+
+    return (
+        <div className={ChallengeScreenStyles.challengeScreenBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenLightStyle : ChallengeScreenStyles.challengeScreenDarkStyle)}>
+            <div className={ChallengeScreenStyles.challengeScreenHeaderStyle}>
+                <Menu parentName="StartScreen" />
+                <h1 className={ChallengeScreenStyles.challangeScreenTitleBaseStyle + " " + (isLightMode ? ChallengeScreenStyles.challengeScreenTitleLightStyle : ChallengeScreenStyles.challengeScreenTitleDarkStyle)}>
+                    Head to Head
+                </h1>
+            </div>
+
+            <div className={ChallengeScreenStyles.challengeScreenMainContentStyle}>
+                <div className={panelStyle}>
+                    {!race ? (
+                        <>
+                            <label className="flex flex-col gap-1">
+                                <span className={RaceStyles.raceLobbyLabelStyle}>Your name</span>
+                                <input
+                                    className={inputStyle}
+                                    value={playerName}
+                                    maxLength={24}
+                                    onChange={(event) => setPlayerName(event.target.value)}
+                                    placeholder="Player"
+                                />
+                            </label>
+
+                            <button
+                                type="button"
+                                className={primaryButtonStyle}
+                                disabled={isBusy}
+                                onClick={() => runAction(() => hostRace(playerName))}
+                            >
+                                🏁 Create a race
+                            </button>
+
+                            <div className={RaceStyles.raceLobbyLabelStyle + " text-center"}>or join with a code</div>
+                            <div className="flex gap-2">
+                                <input
+                                    className={inputStyle + " font-mono uppercase tracking-widest"}
+                                    value={joinCode}
+                                    maxLength={5}
+                                    onChange={(event) => setJoinCode(event.target.value)}
+                                    placeholder="CODE"
+                                />
+                                <button
+                                    type="button"
+                                    className={secondaryButtonStyle + " !w-auto"}
+                                    disabled={isBusy || joinCode.trim().length === 0}
+                                    onClick={() => runAction(() => enterRace(joinCode, playerName))}
+                                >
+                                    Join
+                                </button>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <div className={RaceStyles.raceLobbyTitleStyle}>
+                                {race.status === 'playing' ? 'Starting...' : 'Waiting for players'}
+                            </div>
+
+                            <div>
+                                <div className={RaceStyles.raceLobbyLabelStyle + " text-center"}>Race code</div>
+                                <div className={RaceStyles.raceLobbyCodeStyle}>{race.code}</div>
+                            </div>
+
+                            <div className="flex gap-2">
+                                <input className={inputStyle + " text-xs"} value={inviteLink} readOnly onFocus={(event) => event.target.select()} />
+                                <button type="button" className={secondaryButtonStyle + " !w-auto"} onClick={handleCopyInvite}>
+                                    Copy
+                                </button>
+                            </div>
+
+                            <div>
+                                <div className={RaceStyles.raceLobbyLabelStyle}>Players ({race.players.length}/2)</div>
+                                {race.players.map(player => (
+                                    <div key={player.id} className={RaceStyles.raceLobbyPlayerStyle}>
+                                        <span>{player.name}{player.id === racePlayer?.id ? ' (you)' : ''}</span>
+                                        <span className="opacity-70">{player.id === race.hostId ? 'Host' : 'Ready'}</span>
+                                    </div>
+                                ))}
+                            </div>
+
+                            {isHost ? (
+                                <button
+                                    type="button"
+                                    className={primaryButtonStyle}
+                                    disabled={!canStart || isBusy || isLoading}
+                                    onClick={() => runAction(startRace)}
+                                >
+                                    {race.players.length < 2 ? 'Waiting for an opponent...' : '▶ Start race'}
+                                </button>
+                            ) : (
+                                <div className="text-sm text-center opacity-80">Waiting for the host to start...</div>
+                            )}
+
+                            <button type="button" className={secondaryButtonStyle} onClick={resetGame}>
+                                Leave
+                            </button>
+                        </>
+                    )}
+
+                    {error && <div className={RaceStyles.raceLobbyErrorStyle}>{error}</div>}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RaceLobby;
@@ -9,7 +9,10 @@ import { useGameContext } from '../contexts/gameContext';
 import ActorCard from './game/ActorCard';
 import Menu from './Menu';
 import LoadingOverlay from './game/LoadingOverlay';
+import ResumeGamePrompt from './game/ResumeGamePrompt';
 import { useTheme } from '../contexts/ThemeContext';
+import { isChainChallenge, isReverseChallenge } from '../utils/challengeUtils';
+import { CHAIN_MIN_ACTORS, CHAIN_MAX_ACTORS } from '../utils/constants';
 
 const StartScreen = () => {
 
@@ -26,14 +29,17 @@ const StartScreen = () => {
     selectStartActor,
     actorSearchPages,
     actorSearchTotalPages,
-    startActorsError
+    startActorsError,
+    challengeMode,
+    setChallengeMode,
+    setStartActorCount
   } = useGameContext();
 
   const { isLightMode, toggleTheme } = useTheme();
 
   // Handlers for actor-selection UI
-  const handleSelectActor = (actorId, index) => {
-    selectStartActor(actorId, index);
+  const handleSelectActor = (actorId, index, mediaType) => {
+    selectStartActor(actorId, index, mediaType);
     setActorSearch('', index);
   };
 
@@ -47,6 +53,13 @@ const StartScreen = () => {
     setActorSearch('', index);
   };
 
+  // Chain games pick how many actors to link
+  const isChain = isChainChallenge(challengeMode);
+  // Reverse games start from two titles instead of two actors
+  const isReverse = isReverseChallenge(challengeMode);
+  const slotButtonStyle = "cursor-pointer rounded-lg py-1 px-4 text-sm font-bold shadow-md transition-colors duration-300 disabled:cursor-default disabled:opacity-50 " +
+    (isLightMode ? "bg-white/80 text-black hover:bg-white" : "bg-slate-700 text-white hover:bg-slate-600");
+
   return (
     <div className={"relative min-h-screen backdrop-blur-sm overflow-hidden bg-no-repeat bg-cover bg-center bg-fixed text-black flex flex-col " +
       (isLightMode ? "bg-[url('/bg2.svg')]" : "bg-[url('/bg3.svg')]")}>
@@ -60,6 +73,8 @@ const StartScreen = () => {
 
       {/* Main Content */}
       <div className="flex flex-col items-center justify-center p-4 sm:p-8 mx-auto h-full flex-grow w-full">
+        <ResumeGamePrompt />
+
         {startActorsError && (
           <div className="error-message bg-red-100 border border-red-400 text-red-700 px-3 py-2 sm:px-4 sm:py-3 rounded relative mb-3 sm:mb-4 text-xs sm:text-sm">
             {startActorsError}
@@ -68,11 +83,12 @@ const StartScreen = () => {
 
         {/* Actor Cards Container */}
         <div className="flex flex-col sm:flex-row flex-wrap justify-around items-center sm:items-start w-full max-w-xs sm:max-w-lg md:max-w-2xl gap-6 sm:gap-4 m-4 sm:m-10 mb-6 sm:mb-12">
-          {[0, 1].map((index) => (
+          {startActors.map((_, index) => (
             <div key={index} className="w-full sm:w-auto">
               <ActorCard
                 index={index}
                 selectedActor={startActors[index]}
+                isTitleSlot={isReverse}
                 isLoading={isLoading}
                 onSearchAgain={handleSearchAgain}
 
@@ -91,6 +107,43 @@ const StartScreen = () => {
           ))}
         </div>
 
+        {isChain && (
+          <div className="flex items-center gap-3 mb-4">
+            <button
+              type="button"
+              className={slotButtonStyle}
+              disabled={startActors.length <= CHAIN_MIN_ACTORS || isLoading}
+              onClick={() => setStartActorCount(startActors.length - 1)}
+            >
+              − Remove actor
+            </button>
+            <span className={"text-sm font-bold " + (isLightMode ? "text-gray-700" : "text-gray-200")}>
+              {startActors.length} actors
+            </span>
+            <button
+              type="button"
+              className={slotButtonStyle}
+              disabled={startActors.length >= CHAIN_MAX_ACTORS || isLoading}
+              onClick={() => setStartActorCount(startActors.length + 1)}
+            >
+              + Add actor
+            </button>
+          </div>
+        )}
+
+        {/* For Fun games can also count directing, writing and music credits */}
+        {challengeMode?.id === 'for-fun' && (
+          <label className={"flex items-center gap-2 mb-4 text-sm font-bold cursor-pointer " + (isLightMode ? "text-gray-700" : "text-gray-200")}>
+            <input
+              type="checkbox"
+              checked={Boolean(challengeMode.includeCrew)}
+              disabled={isLoading}
+              onChange={(event) => setChallengeMode({ ...challengeMode, includeCrew: event.target.checked })}
+            />
+            Count crew credits (directors, writers, composers)
+          </label>
+        )}
+
         <div>
           {isLoading && <LoadingOverlay />}
         </div>
@@ -99,7 +152,7 @@ const StartScreen = () => {
         <div className="flex flex-col items-center gap-4 w-full max-w-[280px] sm:max-w-[300px] p-2 sm:p-4">
           <button
             onClick={startGame}
-            disabled={!(startActors[0] && startActors[1]) || isLoading}
+            disabled={!startActors.every(Boolean) || isLoading}
             className={"w-full cursor-pointer rounded-lg py-2 px-6 sm:py-[0.8rem] sm:px-8 text-base sm:text-[1.2rem] font-bold shadow-md transition-colors duration-300 " +
               (isLightMode
               ? "bg-[#6dd5f8] text-black hover:bg-cyan-500 disabled:bg-slate-300 disabled:text-slate-500"
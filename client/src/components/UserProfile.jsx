@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import CloseIcon from '@mui/icons-material/Close';
-import { hashPassword, updateUserProfile, fetchUserGameHistory } from '../services/firebaseService';
+import { hashPassword, updateUserProfile, fetchUserGameHistory, fetchDailyStatus } from '../services/firebaseService';
 import { useGameContext } from '../contexts/gameContext';
 import { useTheme } from '../contexts/ThemeContext';
 import * as AboutStyles from '../styles/AboutStyles.js';
@@ -67,6 +67,9 @@ function UserProfile({ onClose, userData = {} }) {
         const [loadingGameHistory, setLoadingGameHistory] = useState(false);
         const [activeTab, setActiveTab] = useState('All'); // New state for active tab
 
+        // Daily puzzle streak
+        const [dailyStreak, setDailyStreak] = useState(null);
+
         // Email form state
         const [newEmail, setNewEmail] = useState('');
         const [emailVerifyPassword, setemailVerifyPassword] = useState('');
@@ -97,7 +100,15 @@ function UserProfile({ onClose, userData = {} }) {
             } else if (userData.userId && !loadingGameHistory) {
                 loadGameHistory();
             }
-        }, [userData]);// Function to load game history
+        }, [userData]);
+
+        // Load the daily puzzle streak
+        useEffect(() => {
+            if (!userData.userId) return;
+            fetchDailyStatus(userData.userId)
+                .then(status => setDailyStreak(status.streak))
+                .catch(error => console.error('Error loading daily streak:', error));
+        }, [userData.userId]);// Function to load game history
         const loadGameHistory = async () => {
             if (!userData.userId) return;
             
@@ -221,6 +232,25 @@ function UserProfile({ onClose, userData = {} }) {
                                 </div>
                             </div>
                         ))}
+                        {dailyStreak && (
+                            <div className="mb-4">
+                                <div className={
+                                    "font-medium text-sm " +
+                                    (isLightMode ? "text-gray-600" : "text-gray-300")
+                                }>
+                                    Daily Streak
+                                </div>
+                                <div className={
+                                    "mt-1 text-base " +
+                                    (isLightMode ? "text-gray-800" : "text-gray-100")
+                                }>
+                                    🔥 {dailyStreak.current} {dailyStreak.current === 1 ? 'day' : 'days'}
+                                    <span className={"ml-2 text-sm " + (isLightMode ? "text-gray-500" : "text-gray-400")}>
+                                        (best: {dailyStreak.best || 0})
+                                    </span>
+                                </div>
+                            </div>
+                        )}
                     </div>                    {/* Buttons for changing email and password */}
                     <div className="mt-8 flex flex-wrap gap-3 justify-center">
                         <button 
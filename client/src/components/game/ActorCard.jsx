@@ -1,6 +1,7 @@
 import React from 'react';
 import ActorSelectionSlot from './ActorSelectionSlot';
 import { getImageUrl } from '../../utils/tmdbUtils';
+import { getItemTitle } from '../../utils/entityUtils';
 import * as actorCardStyles from '../../styles/ActorsCardStyle.js'; 
 import { useTheme } from '../../contexts/ThemeContext';
 
@@ -9,6 +10,7 @@ import { useTheme } from '../../contexts/ThemeContext';
 const ActorCard = ({
   index,
   selectedActor,
+  isTitleSlot = false, // Reverse games pick movies and TV shows instead of actors
   isLoading, // Global loading state
   onSearchAgain, // For "Change Actor" button
   
@@ -34,8 +36,8 @@ const ActorCard = ({
           <div className={actorCardStyles.actorImageContainerStyle}>
             <img
               className={actorCardStyles.actorImageStyle}
-              src={getImageUrl(selectedActor.profile_path, 'profile')}
-              alt={selectedActor.name}
+              src={isTitleSlot ? getImageUrl(selectedActor.poster_path, 'poster') : getImageUrl(selectedActor.profile_path, 'profile')}
+              alt={getItemTitle(selectedActor)}
               onError={(e) => {
                 e.target.src = 'https://via.placeholder.com/150?text=No+Image';
               }}
@@ -43,7 +45,7 @@ const ActorCard = ({
           </div>
           <div className={actorCardStyles.actorNameBaseStyle + " " +
             (isLightMode ? actorCardStyles.actorNameLightStyle : actorCardStyles.actorNameDarkStyle)}>
-            {selectedActor.name}
+            {getItemTitle(selectedActor)}
           </div>
           
           {/* Auto-expanding spacer */}
@@ -57,13 +59,14 @@ const ActorCard = ({
               onClick={() => onSearchAgain(index)}
               disabled={isLoading}
             >
-              Change Actor
+              {isTitleSlot ? 'Change Title' : 'Change Actor'}
             </button>
           </div>
         </div>
       ) : (
         <ActorSelectionSlot
           index={index}
+          isTitleSlot={isTitleSlot}
           isLoading={isLoading}
           initialSearchTermFromContext={initialSearchTerm}
           currentActorSearchResultsFromContext={currentActorSearchResults}
@@ -1,10 +1,12 @@
 import React from 'react';
 import { getImageUrl } from '../../utils/tmdbUtils';
+import { getItemTitle } from '../../utils/entityUtils';
 import * as actorInterfaceStyles from '../../styles/ActorsCardStyle.js'; 
 import { useTheme } from '../../contexts/ThemeContext';
 
 const ActorSearchInterface = ({
   index,
+  isTitleSlot = false,
   isLoading,
   localSearchTerm,
   onSearchChange,
@@ -23,7 +25,7 @@ const ActorSearchInterface = ({
   return (
     <>
       <div className={actorInterfaceStyles.loadingActorsStyle}>
-        {isLoading && activeInputIndex !== index ? 'Loading...' : 'Select an actor'}
+        {isLoading && activeInputIndex !== index ? 'Loading...' : (isTitleSlot ? 'Select a movie or show' : 'Select an actor')}
       </div>
       
       <div className={actorInterfaceStyles.actorSearchPanelStyle}>
@@ -31,7 +33,7 @@ const ActorSearchInterface = ({
           ref={searchInputRef}
           type="text"
           className={actorInterfaceStyles.actorSearchInputStyle}
-          placeholder="Search actor name..."
+                    placeholder={isTitleSlot ? "Search movie or show..." : "Search actor name..."}
           value={localSearchTerm}
           onChange={onSearchChange}
           onFocus={onInputFocus}
@@ -46,26 +48,26 @@ const ActorSearchInterface = ({
           <div className={actorInterfaceStyles.actorSearchResultsStyle}>
             {actorSearchResultsList.map(actor => (
               <div 
-                key={actor.id}
+                key={`${actor.media_type || 'person'}-${actor.id}`}
                 className={actorInterfaceStyles.actorSearchResultItemStyle}
                 onMouseDown={(e) => {
                   e.preventDefault();
-                  onSelectActor(actor.id); // Call with actor.id only
+                  onSelectActor(actor.id, actor.media_type || 'person');
                 }}
                 tabIndex={0}
               >
                 <div className={actorInterfaceStyles.actorSearchImageStyle}>
                   <img
                     className={actorInterfaceStyles.actorSearchImageImgStyle}
-                    src={getImageUrl(actor.profile_path, 'profile')}
-                    alt={actor.name}
+                    src={isTitleSlot ? getImageUrl(actor.poster_path, 'poster') : getImageUrl(actor.profile_path, 'profile')}
+                    alt={getItemTitle(actor)}
                     onError={(e) => {
                       e.target.src = 'https://via.placeholder.com/40?text=?';
                     }}
                   />
                 </div>
                 <div className={actorInterfaceStyles.actorSearchNameStyle}>
-                  {actor.name}
+                  {getItemTitle(actor)}
                 </div>
               </div>
             ))}
@@ -92,7 +94,7 @@ const ActorSearchInterface = ({
         onClick={onRandomize} // Call without arguments
         disabled={isLoading && activeInputIndex !== index}
       >
-        Random Actor
+        {isTitleSlot ? 'Random Title' : 'Random Actor'}
       </button>
     </>
   );
@@ -3,6 +3,7 @@ import ActorSearchInterface from './ActorSearchInterface';
 
 const ActorSelectionSlot = ({
   index,
+  isTitleSlot,
   isLoading,
   currentActorSearchResultsFromContext,
   onSelectActorCallback,
@@ -54,8 +55,8 @@ const ActorSelectionSlot = ({
     }, 150);
   };
   
-  const handleSelectActor = (actorId) => {
-    onSelectActorCallback(actorId, index);
+  const handleSelectActor = (actorId, mediaType) => {
+    onSelectActorCallback(actorId, index, mediaType);
     setLocalSearchTerm(''); 
     updateSearchTermInContextCallback('', index);
     setIsFocused(false);
@@ -67,6 +68,7 @@ const ActorSelectionSlot = ({
   return (
     <ActorSearchInterface
       index={index} 
+      isTitleSlot={isTitleSlot}
       isLoading={isLoading}
       localSearchTerm={localSearchTerm}
       onSearchChange={handleSearchChange}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getItemTitle } from '../../utils/entityUtils';
+import { getBoardTraversalOrder, describeBoardNode } from '../../utils/boardUtils';
+import * as BoardListStyles from '../../styles/BoardListStyle.js';
+
+/**
+ * BoardContentsList component - The board as a list
+ * Lists every card in the same order Tab walks the board, with what it's connected to,
+ * so the board can be read and operated without seeing it.
+ */
+const BoardContentsList = ({ nodes, connections, startNodeIds, onShowOnBoard }) => {
+  const { selectNode } = useGameContext();
+  const { isLightMode } = useTheme();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const orderedNodes = getBoardTraversalOrder(nodes, connections, startNodeIds).map(nodeId => nodesById.get(nodeId));
+
+  const getLinkedNodes = (nodeId) => connections
+    .filter(conn => conn.source === nodeId || conn.target === nodeId)
+    .map(conn => nodesById.get(conn.source === nodeId ? conn.target : conn.source))
+    .filter(Boolean);
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-controls="board-contents-list"
+        className={BoardListStyles.boardListToggleBaseStyle + " " + (isLightMode ? BoardListStyles.boardListToggleLightStyle : BoardListStyles.boardListToggleDarkStyle)}
+      >
+        ☰ Board list
+      </button>
+      {isOpen && (
+        <section
+          id="board-contents-list"
+          aria-label="Board contents"
+          className={BoardListStyles.boardListPanelBaseStyle + " " + (isLightMode ? BoardListStyles.boardListPanelLightStyle : BoardListStyles.boardListPanelDarkStyle)}
+        >
+          <ul>
+            {orderedNodes.map(node => {
+              const linkedNodes = getLinkedNodes(node.id);
+              return (
+                <li key={node.id} className={BoardListStyles.boardListItemStyle}>
+                  <div className={BoardListStyles.boardListItemTitleStyle}>
+                    {describeBoardNode(node, linkedNodes.length, startNodeIds.includes(node.id))}
+                  </div>
+                  {linkedNodes.length > 0 && (
+                    <div className={BoardListStyles.boardListItemLinksStyle}>
+                      Connected to {linkedNodes.map(linked => getItemTitle(linked.data)).join(', ')}
+                    </div>
+                  )}
+                  <div className={BoardListStyles.boardListItemActionsStyle}>
+                    <button type="button" className={BoardListStyles.boardListActionStyle} onClick={() => selectNode(node)}>
+                      Connections
+                    </button>
+                    <button type="button" className={BoardListStyles.boardListActionStyle} onClick={() => onShowOnBoard(node.id)}>
+                      Show on board
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+    </>
+  );
+};
+
+export default BoardContentsList;
@@ -1,7 +1,9 @@
+import React from 'react';
 import { useGameContext } from '../../contexts/gameContext';
 import Menu from '../Menu';
 import * as BoardHeaderStyles from '../../styles/BoardStyle.js';
 import { useTheme } from '../../contexts/ThemeContext.jsx';
+import { getItemTitle } from '../../utils/entityUtils';
 
 const BoardHeader = () => {
   const {  
@@ -15,12 +17,17 @@ const BoardHeader = () => {
       <Menu parentName={'BoardHeader'} />
       
       {/* Actor names display (if game started) */}
-      {gameStarted && startActors && startActors[0] && startActors[1] && (
+      {gameStarted && startActors?.length >= 2 && startActors.every(Boolean) && (
         <div className={BoardHeaderStyles.actorDisplayStyle}>
           <div className={BoardHeaderStyles.TextStyle}>CONNECT</div>
-          <div className={BoardHeaderStyles.actorNameBaseStyle + " " + (isLightMode? BoardHeaderStyles.actorNameLightStyle : BoardHeaderStyles.actorNameDarkStyle)}>{startActors[0].name.toUpperCase()}</div>
-          <div className={BoardHeaderStyles.TextStyle}>AND</div>
-          <div className={BoardHeaderStyles.actorNameBaseStyle + " " + (isLightMode? BoardHeaderStyles.actorNameLightStyle : BoardHeaderStyles.actorNameDarkStyle)}>{startActors[1].name.toUpperCase()}</div>
+          {startActors.map((actor, index) => (
+            <React.Fragment key={actor.id}>
+              {index > 0 && (
+                <div className={BoardHeaderStyles.TextStyle}>{index === startActors.length - 1 ? 'AND' : ','}</div>
+              )}
+              <div className={BoardHeaderStyles.actorNameBaseStyle + " " + (isLightMode? BoardHeaderStyles.actorNameLightStyle : BoardHeaderStyles.actorNameDarkStyle)}>{getItemTitle(actor).toUpperCase()}</div>
+            </React.Fragment>
+          ))}
         </div>
       )}
     </header>
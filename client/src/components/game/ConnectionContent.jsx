@@ -1,61 +1,122 @@
-import React from 'react';
+import React, { useState, useMemo } from 'react';
 import ConnectionSection from './ConnectionSection';
 import * as contentStyle from '../../styles/connectionPanelStyle.js'; // Adjust the import path as necessary#
 import { useTheme } from '../../contexts/ThemeContext';
+import {
+  FILMOGRAPHY_TABS,
+  FILMOGRAPHY_SORTS,
+  getSortsForMediaType,
+  sortCredits,
+  filterCredits
+} from '../../utils/filmographyUtils';
 
 /**
- * ConnectionsContent - Renders different connection sections based on the type of node
- * Contains all the conditional rendering logic for different types of connections
+ * ConnectionsContent - Filmography browser for the selected card
+ * Tabs for movies, TV and people, each sortable and filterable by text. Tabs the card
+ * has no credits for are disabled.
  */
 const ConnectionContent = ({
   nodeType,
-  connections,
+  filmography,
   isItemOnBoard,
-  handleAddToBoard,
-  isGuestStar
+  isItemBlocked,
+  handleAddToBoard
 }) => {
   const { isLightMode } = useTheme();
+  const firstTabWithCredits = FILMOGRAPHY_TABS.find(tab => filmography[tab.id].length > 0);
+  const [activeTabId, setActiveTabId] = useState(firstTabWithCredits?.id ?? FILMOGRAPHY_TABS[0].id);
+  // null until the player picks one, meaning the tab's default sort
+  const [sortKey, setSortKey] = useState(null);
+  const [filterText, setFilterText] = useState('');
+
+  const activeTab = FILMOGRAPHY_TABS.find(tab => tab.id === activeTabId);
+  const sorts = getSortsForMediaType(activeTab.mediaType);
+  const activeSort = sorts.includes(sortKey) ? sortKey : sorts[0];
+
+  const items = useMemo(
+    () => filterCredits(sortCredits(filmography[activeTab.id], activeSort), filterText),
+    [filmography, activeTab, activeSort, filterText]
+  );
+
+  const fieldStyle = isLightMode ? contentStyle.filmographyFieldLightStyle : contentStyle.filmographyFieldDarkStyle;
+  const hasCredits = Boolean(firstTabWithCredits);
 
   return (
     <div className={contentStyle.connectionsContentBaseStyle + " " +
       (isLightMode ? contentStyle.connectionsContentLightStyle : contentStyle.connectionsContentDarkStyle)}>
-      {nodeType === 'person' && (
-        <>
-          <ConnectionSection
-            title="Movies"
-            items={connections.movies}
-            mediaType="movie"
-            isItemOnBoard={isItemOnBoard}
-            handleAddToBoard={handleAddToBoard}
-          />
-          
+      {hasCredits && (
+        <div className={contentStyle.filmographyToolbarStyle + " " +
+          (isLightMode ? contentStyle.filmographyToolbarLightStyle : contentStyle.filmographyToolbarDarkStyle)}>
+          <div className={contentStyle.filmographyTabListStyle} role="tablist" aria-label="Credits">
+            {FILMOGRAPHY_TABS.map(tab => {
+              const isActive = tab.id === activeTab.id;
+              const activeStyle = isLightMode ? contentStyle.filmographyTabActiveLightStyle : contentStyle.filmographyTabActiveDarkStyle;
+              return (
+                <button
+                  key={tab.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={isActive}
+                  aria-controls="filmography-panel"
+                  disabled={filmography[tab.id].length === 0}
+                  onClick={() => setActiveTabId(tab.id)}
+                  className={contentStyle.filmographyTabBaseStyle + " " +
+                    (isActive ? activeStyle : (isLightMode ? contentStyle.filmographyTabLightStyle : contentStyle.filmographyTabDarkStyle))}
+                >
+                  {tab.label} ({filmography[tab.id].length})
+                </button>
+              );
+            })}
+          </div>
+          <div className={contentStyle.filmographyControlsStyle}>
+            <input
+              type="search"
+              value={filterText}
+              onChange={(e) => setFilterText(e.target.value)}
+              placeholder="Filter by title, name or role"
+              aria-label="Filter credits"
+              className={contentStyle.filmographyInputBaseStyle + " " + fieldStyle}
+            />
+            <select
+              value={activeSort}
+              onChange={(e) => setSortKey(e.target.value)}
+              aria-label="Sort credits"
+              className={contentStyle.filmographySelectBaseStyle + " " + fieldStyle}
+            >
+              {sorts.map(sort => (
+                <option key={sort} value={sort}>{FILMOGRAPHY_SORTS[sort]}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {hasCredits && (
+        <div id="filmography-panel" role="tabpanel" aria-label={activeTab.label}>
           <ConnectionSection
-            title="TV Shows"
-            items={connections.tvShows}
-            mediaType="tv"
+            title={nodeType === 'tv' && activeTab.mediaType === 'person' ? 'Cast (including Guest Stars)' : activeTab.label}
+            items={items}
+            mediaType={activeTab.mediaType}
+            listKey={`${activeTab.id}|${activeSort}|${filterText}`}
             isItemOnBoard={isItemOnBoard}
+            isItemBlocked={isItemBlocked}
             handleAddToBoard={handleAddToBoard}
           />
-        </>
-      )}
-      
-      {(nodeType === 'movie' || nodeType === 'tv') && (
-        <ConnectionSection
-          title={`Cast ${nodeType === 'tv' ? '(including Guest Stars)' : ''}`}
-          items={connections.cast}
-          mediaType="person"
-          isItemOnBoard={isItemOnBoard}
-          handleAddToBoard={handleAddToBoard}
-          determineGuestStatus={isGuestStar}
-        />
+          {items.length === 0 && (
+            <div className={contentStyle.noConnectionBaseStyle + " " +
+              (isLightMode ? contentStyle.noConnectionLightStyle : contentStyle.noConnectionDarkStyle)}>
+              Nothing matches “{filterText.trim()}”.
+            </div>
+          )}
+        </div>
       )}
-      
+
       {/* Empty state message */}
-      {Object.values(connections).every(arr => !arr || arr.length === 0) && (
+      {!hasCredits && (
         <div className={contentStyle.noConnectionBaseStyle + " " +
           (isLightMode ? contentStyle.noConnectionLightStyle : contentStyle.noConnectionDarkStyle)}>
           No connections found for this {
-            nodeType === 'person' ? 'actor' : 
+            nodeType === 'person' ? 'actor' :
             nodeType === 'movie' ? 'movie' : 'TV show'
           }.
         </div>
@@ -64,4 +125,4 @@ const ConnectionContent = ({
   );
 };
 
-export default ConnectionContent;
\ No newline at end of file
+export default ConnectionContent;
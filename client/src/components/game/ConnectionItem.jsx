@@ -1,16 +1,19 @@
 import React from 'react';
 import { getImageUrl } from '../../utils/tmdbUtils';
+import { getItemYear } from '../../utils/stringUtils';
 import { useTheme } from '../../contexts/ThemeContext';
 import * as connectionItemStyles from '../../styles/connectionPanelStyle.js';
 
 /**
  * ConnectionItem - Renders a single connection item (movie, TV show, or actor)
  * with appropriate styling and interactive elements
+ * Badges mark guest appearances and titles the challenge doesn't allow, which can't be added.
  */
 const ConnectionItem = ({ 
   item, 
   mediaType, 
   isOnBoard, 
+  isBlocked = false,
   isGuestAppearance, 
   onAdd 
 }) => {
@@ -22,8 +25,11 @@ const ConnectionItem = ({
   const title = mediaType === 'person' ? item.name : 
                 mediaType === 'movie' ? item.title : item.name;
                 
-  // Get character info if applicable
+  const year = getItemYear({ ...item, media_type: mediaType });
+
+  // Get character info if applicable, or the job for crew credits
   const character = item.character || (item.roles && item.roles.length > 0 ? item.roles[0].character : null);
+  const role = character ? `as ${character}` : item.job;
   
   const { isLightMode } = useTheme();
   return (
@@ -40,23 +46,32 @@ const ConnectionItem = ({
           className={connectionItemStyles.connectionImageImgStyle}
           src={getImageUrl(imagePath, imageType)} 
           alt={title} 
+          loading="lazy"
           onError={(e) => { e.target.src = 'https://via.placeholder.com/60x90?text=No+Image' }}
         />
         {isGuestAppearance && <div className={connectionItemStyles.guestBadgeStyle}>Guest</div>}
+        {isBlocked && <div className={connectionItemStyles.blockedBadgeStyle}>Blocked</div>}
       </div>
       <div className={connectionItemStyles.connectionInfoStyle}>
-        <div className={connectionItemStyles.connectionTitleStyle}>{title}</div>
-        {character && <div className={connectionItemStyles.connectionDetailBaseStyle + " "+ (isLightMode? connectionItemStyles.connectionDetailLightStyle : connectionItemStyles.connectionDetailDarkStyle)}>
-        <span>as {character}</span></div>}
-        {!isOnBoard ? (
+        <div className={connectionItemStyles.connectionTitleStyle} title={title}>{title} {year}</div>
+        {role && <div className={connectionItemStyles.connectionDetailBaseStyle + " "+ (isLightMode? connectionItemStyles.connectionDetailLightStyle : connectionItemStyles.connectionDetailDarkStyle)}>
+        <span>{role}</span></div>}
+        {isOnBoard ? (
+          <div className={connectionItemStyles.onBoardIndicatorBaseStyle + " "+ (isLightMode? connectionItemStyles.onBoardIndicatorLightStyle : connectionItemStyles.onBoardIndicatorDarkStyle)}>On Board</div>
+        ) : isBlocked ? (
+          <div
+            className={connectionItemStyles.blockedIndicatorBaseStyle + " " + (isLightMode ? connectionItemStyles.blockedIndicatorLightStyle : connectionItemStyles.blockedIndicatorDarkStyle)}
+            title="Not allowed in this challenge"
+          >
+            Blocked by challenge
+          </div>
+        ) : (
           <button 
             className={connectionItemStyles.addConnectionButtonStyle}
             onClick={() => onAdd(item, mediaType)}
           >
             Add
           </button>
-        ) : (
-          <div className={connectionItemStyles.onBoardIndicatorBaseStyle + " "+ (isLightMode? connectionItemStyles.onBoardIndicatorLightStyle : connectionItemStyles.onBoardIndicatorDarkStyle)}>On Board</div>
         )}
       </div>
     </div>
@@ -1,85 +1,243 @@
-import React from 'react';
+import React, { useRef, useEffect, useCallback, useMemo } from 'react';
 import * as ConnectionLinesStyles from '../../styles/connectionPanelStyle.js'; // Import styles
+import { isRectInView } from '../../utils/boardUtils';
+import { BOARD_RENDERING } from '../../utils/constants';
+
+/**
+ * Get the ends of a connection's line, from card center to card center
+ * Cards being dragged are read from the live positions rather than the board state.
+ *
+ * @returns {Object|null} - { x1, y1, x2, y2 }, or null if either card has no position
+ */
+const getLineEnds = (connection, nodePositions, nodeSize, livePositions) => {
+  const sourcePosition = livePositions?.get(connection.source) || nodePositions[connection.source];
+  const targetPosition = livePositions?.get(connection.target) || nodePositions[connection.target];
+  if (!sourcePosition || !targetPosition) return null;
+
+  return {
+    x1: sourcePosition.x + nodeSize.width / 2,
+    y1: sourcePosition.y + nodeSize.height / 2,
+    x2: targetPosition.x + nodeSize.width / 2,
+    y2: targetPosition.y + nodeSize.height / 2
+  };
+};
+
+const isLineInView = ({ x1, y1, x2, y2 }, viewport, margin) => isRectInView(
+  { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) },
+  viewport,
+  margin
+);
+
+/**
+ * Crew credit connections are labelled with the job, e.g. "Director", and episode game
+ * connections with how many episodes of the show the person was in
+ */
+const getLineLabel = (connection) => (
+  connection.job || (connection.episodes ? `${connection.episodes.length} ep.` : null)
+);
+
+/**
+ * Pick the style of a connection's line
+ */
+const getLineStyle = (connection, gameCompleted, pathHighlight) => {
+  // While the winning route is shown, its lines light up as the walk passes and the rest fade
+  if (pathHighlight) {
+    return pathHighlight.edgeKeys.has([connection.source, connection.target].sort().join('|'))
+      ? ConnectionLinesStyles.connectionLineCompletedStyle
+      : ConnectionLinesStyles.connectionLineDimmedStyle;
+  }
+  if (gameCompleted) return ConnectionLinesStyles.connectionLineCompletedStyle;
+  if (connection.isGuestAppearance === true) return ConnectionLinesStyles.connectionLineGuestStyle;
+  if (connection.job) return ConnectionLinesStyles.connectionLineCrewStyle;
+  return ConnectionLinesStyles.connectionLineBaseStyle;
+};
+
+const getAriaLabel = (connections) => (
+  `${connections.length} ${connections.length === 1 ? 'connection' : 'connections'} between cards; the board contents list names them`
+);
+
+/**
+ * Connection lines as SVG elements
+ * Lines follow moving cards by updating their elements directly.
+ */
+const SvgConnectionLines = ({ connections, nodePositions, connectionRefs, boardSize, nodeSize, viewport, livePositions, gameCompleted, pathHighlight }) => {
+  // Connections by the cards at either end, to find the lines a moving card drags along
+  const connectionsByNode = useMemo(() => {
+    const byNode = new Map();
+    connections.forEach(connection => {
+      [connection.source, connection.target].forEach(nodeId => {
+        if (!byNode.has(nodeId)) byNode.set(nodeId, []);
+        byNode.get(nodeId).push(connection);
+      });
+    });
+    return byNode;
+  }, [connections]);
+
+  useEffect(() => {
+    if (!livePositions) return;
+    return livePositions.subscribe((nodeIds) => {
+      const moved = new Set(nodeIds.flatMap(nodeId => connectionsByNode.get(nodeId) || []));
+      moved.forEach(connection => {
+        const ends = getLineEnds(connection, nodePositions, nodeSize, livePositions);
+        const line = connectionRefs.current[`connection-${connection.id}`];
+        if (!ends || !line) return;
+
+        line.setAttribute('x1', ends.x1);
+        line.setAttribute('y1', ends.y1);
+        line.setAttribute('x2', ends.x2);
+        line.setAttribute('y2', ends.y2);
+        const label = connectionRefs.current[`connection-label-${connection.id}`];
+        label?.setAttribute('x', (ends.x1 + ends.x2) / 2);
+        label?.setAttribute('y', (ends.y1 + ends.y2) / 2);
+      });
+    });
+  }, [livePositions, connectionsByNode, nodePositions, nodeSize, connectionRefs]);
 
-const ConnectionLines = React.memo(({ 
-  connections, 
-  nodePositions,
-  connectionRefs,
-  boardSize,
-  gameCompleted 
-}) => {
   return (
-    <svg 
-      className={ConnectionLinesStyles.connectionsLayerStyle} 
+    <svg
+      className={ConnectionLinesStyles.connectionsLayerStyle}
       width={boardSize.width}
       height={boardSize.height}
+      role="img"
+      aria-label={getAriaLabel(connections)}
     >
       {connections.map(connection => {
-        const sourceNodeId = connection.source;
-        const targetNodeId = connection.target;
-        
-        const sourcePosition = nodePositions[sourceNodeId];
-        const targetPosition = nodePositions[targetNodeId];
-        
-        if (!sourcePosition || !targetPosition) return null;
-        
-        // Find the source and target node DOM elements
-        const sourceNode = document.getElementById(sourceNodeId);
-        const targetNode = document.getElementById(targetNodeId);
-        
-        // Default position if DOM elements aren't available yet
-        let x1 = sourcePosition.x;
-        let y1 = sourcePosition.y;
-        let x2 = targetPosition.x;
-        let y2 = targetPosition.y;
-        
-        // Calculate center points of the nodes if DOM elements are available
-        if (sourceNode && targetNode) {
-          const sourceRect = sourceNode.getBoundingClientRect();
-          const targetRect = targetNode.getBoundingClientRect();
-          
-          // Calculate center points
-          x1 = sourcePosition.x + (sourceRect.width / 2);
-          y1 = sourcePosition.y + (sourceRect.height / 2);
-          x2 = targetPosition.x + (targetRect.width / 2);
-          y2 = targetPosition.y + (targetRect.height / 2);
-        }
-        
-        // Determine if this is a guest appearance connection
-        const isGuestAppearance = connection.isGuestAppearance === true;
-        
+        const ends = getLineEnds(connection, nodePositions, nodeSize, livePositions);
+        // Lines well off screen aren't drawn
+        if (!ends || !isLineInView(ends, viewport, BOARD_RENDERING.CULLING_MARGIN)) return null;
+
         // Generate unique connection ID
         const connectionId = `connection-${connection.id}`;
-        
+        const label = getLineLabel(connection);
+
         return (
-          <line
-            key={connectionId}
-            ref={el => connectionRefs.current[connectionId] = el}
-            x1={x1}
-            y1={y1}
-            x2={x2}
-            y2={y2}
-            style={
-              gameCompleted 
-                ? ConnectionLinesStyles.connectionLineCompletedStyle 
-                : isGuestAppearance 
-                  ? ConnectionLinesStyles.connectionLineGuestStyle 
-                  : ConnectionLinesStyles.connectionLineBaseStyle
-            }
-          />
+          <React.Fragment key={connectionId}>
+            <line
+              ref={el => { connectionRefs.current[connectionId] = el; }}
+              {...ends}
+              style={getLineStyle(connection, gameCompleted, pathHighlight)}
+            />
+            {label && (
+              <text
+                ref={el => { connectionRefs.current[`connection-label-${connection.id}`] = el; }}
+                x={(ends.x1 + ends.x2) / 2}
+                y={(ends.y1 + ends.y2) / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                style={ConnectionLinesStyles.connectionJobLabelStyle}
+              >
+                {label}
+              </text>
+            )}
+          </React.Fragment>
         );
       })}
     </svg>
   );
-}, (prevProps, nextProps) => {
-  // Custom comparison for ConnectionLines
+};
+
+/**
+ * Connection lines drawn on a canvas, for boards with too many lines for SVG elements
+ * The canvas covers just the part of the board on screen, at the screen's resolution,
+ * and is redrawn whole when anything changes or cards move.
+ */
+const CanvasConnectionLines = ({ connections, nodePositions, nodeSize, viewport, zoomLevel, livePositions, gameCompleted, pathHighlight }) => {
+  const canvasRef = useRef(null);
+  const pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+  const scale = (zoomLevel || 1) * pixelRatio;
+
+  const draw = useCallback(() => {
+    const context = canvasRef.current?.getContext('2d');
+    if (!context) return;
+
+    context.setTransform(scale, 0, 0, scale, -viewport.x * scale, -viewport.y * scale);
+    context.clearRect(viewport.x, viewport.y, viewport.width, viewport.height);
+
+    connections.forEach(connection => {
+      const ends = getLineEnds(connection, nodePositions, nodeSize, livePositions);
+      if (!ends || !isLineInView(ends, viewport, 0)) return;
+
+      const style = getLineStyle(connection, gameCompleted, pathHighlight);
+      context.strokeStyle = style.stroke;
+      context.lineWidth = style.strokeWidth;
+      context.setLineDash(style.strokeDasharray ? style.strokeDasharray.split(',').map(Number) : []);
+      // Stands in for the SVG drop-shadow glow of completed lines
+      context.shadowColor = style.filter ? style.stroke : 'transparent';
+      context.shadowBlur = style.filter ? 3 : 0;
+      context.beginPath();
+      context.moveTo(ends.x1, ends.y1);
+      context.lineTo(ends.x2, ends.y2);
+      context.stroke();
+
+      const label = getLineLabel(connection);
+      if (label) {
+        const labelStyle = ConnectionLinesStyles.connectionJobLabelStyle;
+        context.setLineDash([]);
+        context.shadowBlur = 0;
+        context.font = `${labelStyle.fontWeight} ${labelStyle.fontSize}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = labelStyle.strokeWidth;
+        context.strokeStyle = labelStyle.stroke;
+        context.strokeText(label, (ends.x1 + ends.x2) / 2, (ends.y1 + ends.y2) / 2);
+        context.fillStyle = labelStyle.fill;
+        context.fillText(label, (ends.x1 + ends.x2) / 2, (ends.y1 + ends.y2) / 2);
+      }
+    });
+  }, [connections, nodePositions, nodeSize, viewport, scale, livePositions, gameCompleted, pathHighlight]);
+
+  useEffect(() => {
+    draw();
+  }, [draw]);
+
+  // Cards move at most once per frame, a whole animation frame at a time, so redrawing on each move is enough
+  useEffect(() => livePositions?.subscribe(draw), [livePositions, draw]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={ConnectionLinesStyles.connectionsCanvasStyle}
+      width={Math.round(viewport.width * scale)}
+      height={Math.round(viewport.height * scale)}
+      style={{
+        left: `${viewport.x}px`,
+        top: `${viewport.y}px`,
+        width: `${viewport.width}px`,
+        height: `${viewport.height}px`
+      }}
+      role="img"
+      aria-label={getAriaLabel(connections)}
+    />
+  );
+};
+
+/**
+ * ConnectionLines component - The lines between connected cards, behind the cards
+ * Drawn as SVG by default; renderer="canvas" draws them on a canvas instead, which keeps
+ * boards with hundreds of connections smooth.
+ */
+const ConnectionLines = React.memo(({ renderer = 'svg', pathHighlight = null, ...props }) => (
+  renderer === 'canvas'
+    ? <CanvasConnectionLines pathHighlight={pathHighlight} {...props} />
+    : <SvgConnectionLines pathHighlight={pathHighlight} {...props} />
+), (prevProps, nextProps) => {
+  // Custom comparison for ConnectionLines; positions are replaced, never changed in place
   return (
+    prevProps.renderer === nextProps.renderer &&
     prevProps.connections.length === nextProps.connections.length &&
     prevProps.gameCompleted === nextProps.gameCompleted &&
+    prevProps.pathHighlight === nextProps.pathHighlight &&
+    prevProps.zoomLevel === nextProps.zoomLevel &&
     prevProps.boardSize.width === nextProps.boardSize.width &&
     prevProps.boardSize.height === nextProps.boardSize.height &&
-    JSON.stringify(prevProps.nodePositions) === JSON.stringify(nextProps.nodePositions)
+    prevProps.viewport.x === nextProps.viewport.x &&
+    prevProps.viewport.y === nextProps.viewport.y &&
+    prevProps.viewport.width === nextProps.viewport.width &&
+    prevProps.viewport.height === nextProps.viewport.height &&
+    prevProps.nodeSize.width === nextProps.nodeSize.width &&
+    prevProps.nodeSize.height === nextProps.nodeSize.height &&
+    prevProps.nodePositions === nextProps.nodePositions
   );
 });
 
-export default ConnectionLines;
\ No newline at end of file
+export default ConnectionLines;
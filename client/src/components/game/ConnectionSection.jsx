@@ -2,21 +2,27 @@ import React from 'react';
 import ConnectionItem from './ConnectionItem';
 import * as sectionStyles from '../../styles/connectionPanelStyle.js';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useProgressiveList } from '../../hooks/useProgressiveList';
+import { isGuestCredit } from '../../utils/filmographyUtils';
+import { FILMOGRAPHY_PAGE_SIZE } from '../../utils/constants';
 
 /**
  * ConnectionSection - Renders a section of connections with a title and grid of items
+ * Long lists (a long-running show's whole cast) are shown a page at a time as they're scrolled.
  */
 const ConnectionSection = ({ 
   title, 
   items, 
   mediaType, 
+  listKey,
   isItemOnBoard, 
-  handleAddToBoard, 
-  determineGuestStatus 
+  isItemBlocked,
+  handleAddToBoard
 }) => {
-  if (!items || items.length === 0) return null;
-
   const { isLightMode } = useTheme();
+  const { visibleItems, hasMore, showMore, sentinelRef } = useProgressiveList(items, FILMOGRAPHY_PAGE_SIZE, listKey);
+
+  if (!items || items.length === 0) return null;
 
   return (
     <div className={`${sectionStyles.connectionSectionStyle} ${sectionStyles[mediaType]}`}>
@@ -24,26 +30,30 @@ const ConnectionSection = ({
         (isLightMode ? sectionStyles.connectionSectionH3LightStyle : sectionStyles.connectionSectionH3DarkStyle)}>
       {title} ({items.length})</h3>
       <div className={sectionStyles.connectionsGridStyle}>
-        {items.map((item, index) => {
-          // Determine if this is a guest appearance
-          const isGuest = determineGuestStatus ? 
-            determineGuestStatus(item) : 
-            item.isGuestAppearance;
-          
-          return (
-            <ConnectionItem
-              key={`${mediaType}-${item.id}-${item.credit_id || item.order || index}`}
-              item={item}
-              mediaType={mediaType}
-              isOnBoard={isItemOnBoard(item, mediaType)}
-              isGuestAppearance={isGuest}
-              onAdd={handleAddToBoard}
-            />
-          );
-        })}
+        {visibleItems.map((item, index) => (
+          <ConnectionItem
+            key={`${mediaType}-${item.id}-${item.credit_id || item.order || index}`}
+            item={item}
+            mediaType={mediaType}
+            isOnBoard={isItemOnBoard(item, mediaType)}
+            isBlocked={isItemBlocked(item, mediaType)}
+            isGuestAppearance={mediaType !== 'movie' && isGuestCredit(item)}
+            onAdd={handleAddToBoard}
+          />
+        ))}
       </div>
+      {hasMore && (
+        <button
+          ref={sentinelRef}
+          type="button"
+          onClick={showMore}
+          className={sectionStyles.showMoreButtonStyle}
+        >
+          Show more ({items.length - visibleItems.length} left)
+        </button>
+      )}
     </div>
   );
 };
 
-export default ConnectionSection;
\ No newline at end of file
+export default ConnectionSection;
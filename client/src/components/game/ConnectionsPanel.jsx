@@ -1,6 +1,9 @@
-import React from "react";
+import React, { useEffect, useMemo, useRef } from "react";
 import { useGameContext } from "../../contexts/gameContext";
 import { getItemTitle } from "../../utils/entityUtils";
+import { getStartNodeId } from "../../utils/gameUtils";
+import { includesCrewCredits } from "../../utils/challengeUtils";
+import { getFilmography, isCreditBlocked } from "../../utils/filmographyUtils";
 import ConnectionContent from "./ConnectionContent";
 import { useTheme } from '../../contexts/ThemeContext';
 import * as PanelStyles from "../../styles/connectionPanelStyle.js";
@@ -11,7 +14,26 @@ const ConnectionsPanel = () => {
     closeConnectionsPanel,
     addToBoard,
     nodes,
+    startActors,
+    removeNodeFromBoard,
+    challengeMode,
   } = useGameContext();
+  const closeButtonRef = useRef(null);
+  const selectedNodeId = selectedNode?.id;
+
+  // Keyboard users land in the panel when it opens and back on the card when it closes
+  useEffect(() => {
+    if (!selectedNodeId) return;
+    closeButtonRef.current?.focus();
+    return () => document.getElementById(selectedNodeId)?.focus({ preventScroll: true });
+  }, [selectedNodeId]);
+
+  // Everything the card connects to, whether or not it's on the board yet
+  const filmography = useMemo(
+    () => (selectedNode ? getFilmography(selectedNode, includesCrewCredits(challengeMode)) : null),
+    [selectedNode, challengeMode]
+  );
+  const nodeIdsOnBoard = useMemo(() => new Set(nodes.map(node => node.id)), [nodes]);
 
   if (!selectedNode) return null;
 
@@ -19,102 +41,11 @@ const ConnectionsPanel = () => {
   const title = getItemTitle(selectedNode.data);
   const nodeType = selectedNode.type;
 
-  // Organize possible connections based on node type
-  const getPossibleConnections = () => {
-    switch (nodeType) {
-      case "person": {
-        // For actors, show both movies and TV shows
-        const movieCredits = selectedNode.data.movie_credits?.cast || [];
-        const tvCredits = selectedNode.data.tv_credits?.cast || [];
-
-        // Filter to only include movies that are already on the board
-        const filteredMovies = movieCredits.filter((movie) =>
-          isItemOnBoard(movie, "movie")
-        );
-
-        // Filter to only include TV shows that are already on the board
-        const filteredTVShows = tvCredits.filter((show) =>
-          isItemOnBoard(show, "tv")
-        );
-
-        // Sort by popularity or date (using popularity for now)
-        const sortedMovies = [...filteredMovies].sort(
-          (a, b) => b.popularity - a.popularity
-        );
-        const sortedTvShows = [...filteredTVShows].sort(
-          (a, b) => b.popularity - a.popularity
-        );
-
-        // Mark guest appearances in TV shows - check for multiple possible flags
-        const markedTvShows = sortedTvShows.map((show) => {
-          // Check for various ways guest appearances might be marked
-          const isGuest =
-            show.is_guest_appearance ||
-            show.isGuestAppearance ||
-            (show.character && show.character.toLowerCase().includes("guest")) ||
-            (show.credit_id && show.credit_id.toLowerCase().includes("guest")) ||
-            false;
-
-          return {
-            ...show,
-            isGuestAppearance: isGuest,
-          };
-        });
-
-        return {
-          movies: sortedMovies,
-          tvShows: markedTvShows,
-        };
-      }
-
-      case "movie": {
-        // For movies, show cast members
-        const cast = selectedNode.data.credits?.cast || [];
-
-        // Filter to only include actors that are already on the board
-        const filteredCast = cast.filter((actor) => isItemOnBoard(actor, "person"));
-
-        const sortedCast = [...filteredCast].sort(
-          (a, b) => (a.order || 999) - (b.order || 999)
-        );
-        return { cast: sortedCast };
-      }
-
-      case "tv": {
-        // For TV shows, show cast members including guest stars
-        const regularCast = selectedNode.data.credits?.cast || [];
-        const aggregateCast = selectedNode.data.aggregate_credits?.cast || [];
-
-        // Use aggregate cast if available (better for long-running shows)
-        const castToUse = aggregateCast.length > 0 ? aggregateCast : regularCast;
-
-        // Filter to only include actors that are already on the board
-        const filteredCast = castToUse.filter((actor) => isItemOnBoard(actor, "person"));
+  // Check if an item is already on the board
+  const isItemOnBoard = (item, type) => nodeIdsOnBoard.has(`${type}-${item.id}`);
 
-        // Sort by popularity or episode count
-        const sortedCast = [...filteredCast].sort((a, b) => {
-          // First by episode count if available
-          const aEpisodes = a.total_episode_count || a.episode_count || 0;
-          const bEpisodes = b.total_episode_count || b.episode_count || 0;
-
-          if (bEpisodes !== aEpisodes) return bEpisodes - aEpisodes;
-          // Then by popularity as tie-breaker
-          return b.popularity - a.popularity;
-        });
-
-        return { cast: sortedCast };
-      }
-
-      default:
-        return {};
-    }
-  };  // Check if an item is already on the board
-  const isItemOnBoard = (item, type) => {
-    const itemId = `${type}-${item.id}`;
-    return nodes.some(node => node.id === itemId);
-  };
-
-  const connections = getPossibleConnections();
+  // Titles the challenge rules out are listed but can't be added
+  const isItemBlocked = (item, mediaType) => isCreditBlocked(item, mediaType, challengeMode);
 
   // Handle adding an item to the board
   const handleAddToBoard = (item, mediaType) => {
@@ -134,43 +65,47 @@ const ConnectionsPanel = () => {
     }
   };
 
-  // Define isGuestStar here, as it's passed to ConnectionContent
-  const isGuestStar = (actor) => {
-    // Check based on roles array (more robust for aggregate credits)
-    if (actor.roles && Array.isArray(actor.roles)) {
-      return actor.roles.some((role) => role.character && role.character.toLowerCase().includes("guest"));
-    }
-    // Fallback to checking character directly (for regular credits)
-    if (actor.character && typeof actor.character === "string") {
-      return actor.character.toLowerCase().includes("guest");
-    }
-    // Check for explicit guest appearance flags if present
-    if (typeof actor.is_guest_appearance === "boolean") {
-      return actor.is_guest_appearance;
-    }
-    if (typeof actor.isGuestAppearance === "boolean") {
-      return actor.isGuestAppearance;
-    }
-    return false; // Default to false if no guest indicators found
-  };
   const { isLightMode } = useTheme();
+
+  // Starting actors anchor the game and can't be removed
+  const isStartActor = startActors.some(actor => actor && getStartNodeId(actor) === selectedNode.id);
+
   return (
     <div className={PanelStyles.connectionsPanelBaseStyle + " " +
-      (isLightMode ? PanelStyles.connectionsPanelLightStyle : PanelStyles.connectionsPanelDarkStyle)}>
+      (isLightMode ? PanelStyles.connectionsPanelLightStyle : PanelStyles.connectionsPanelDarkStyle)}
+      role="dialog"
+      aria-label={`Connections of ${title}`}
+      onKeyDown={(e) => e.key === 'Escape' && closeConnectionsPanel()}
+    >
       <div className={PanelStyles.connectionsHeaderBaseStyle + " " +
         (isLightMode ? PanelStyles.connectionsHeaderLightStyle : PanelStyles.connectionsHeaderDarkStyle)}>
         <h2 className={PanelStyles.connectionsHeaderH2BaseStyle + " " + (isLightMode? PanelStyles.connectionsHeaderH2LightStyle : PanelStyles.connectionsHeaderH2DarkStyle)}>{title}</h2>
-        <button className={PanelStyles.closeButtonBaseStyle + " " + (isLightMode ? PanelStyles.closeButtonLightStyle: PanelStyles.closeButtonDarkStyle)} onClick={closeConnectionsPanel}>
+        {!isStartActor && (
+          <button
+            className={PanelStyles.removeNodeButtonBaseStyle + " " + (isLightMode ? PanelStyles.removeNodeButtonLightStyle : PanelStyles.removeNodeButtonDarkStyle)}
+            onClick={() => removeNodeFromBoard(selectedNode.id)}
+            title="Remove from board (Ctrl+Z to undo)"
+          >
+            Remove
+          </button>
+        )}
+        <button
+          ref={closeButtonRef}
+          className={PanelStyles.closeButtonBaseStyle + " " + (isLightMode ? PanelStyles.closeButtonLightStyle: PanelStyles.closeButtonDarkStyle)}
+          onClick={closeConnectionsPanel}
+          aria-label="Close connections (Esc)"
+        >
           ×
         </button>
       </div>
 
       <ConnectionContent
+        key={selectedNode.id}
         nodeType={nodeType}
-        connections={connections}
+        filmography={filmography}
         isItemOnBoard={isItemOnBoard}
+        isItemBlocked={isItemBlocked}
         handleAddToBoard={handleAddToBoard}
-        isGuestStar={isGuestStar}
       />
     </div>
   );
@@ -2,8 +2,10 @@
  * DraggableNode.jsx
  * 
  * This component represents an interactive node in the game board that can be:
- * - Dragged around the board (mouse and touch support)
- * - Double-clicked/tapped to show its connections
+ * - Dragged around the board (mouse and touch support), or moved with the arrow keys;
+ *   while dragging it moves itself and only updates the board state when it's dropped
+ * - Double-clicked/tapped (or Enter when focused) to show its connections
+ * - Tabbed through along the board's connections
  * - Visually styled based on entity type (person, movie, TV show)
  * 
  * Each node displays:
@@ -11,6 +13,7 @@
  * - A title/name
  * - A type badge
  * - Special highlighting for starting actors
+ * - After a win, a glow when on the winning route ('path') or faded when not ('dimmed')
  */
 import React, { useRef, useState, useCallback, useEffect } from 'react';
 import { getImageUrl } from '../../utils/tmdbUtils';
@@ -18,11 +21,30 @@ import { getItemTitle } from '../../utils/stringUtils';
 import { useGameContext } from '../../contexts/gameContext';
 import * as NodeStyles from '../../styles/NodeStyles.js'; // Import the styles
 
-const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight, isStartActor, zoomLevel }) => {
+// Board pixels an arrow key moves a focused node, and with Shift held
+const KEYBOARD_MOVE_STEP = 10;
+const KEYBOARD_MOVE_STEP_LARGE = 50;
+const ARROW_KEY_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+const DraggableNode = ({ node, position, updatePosition, onDragEnd, onTraverse, livePositions = null, ariaLabel, boardWidth, boardHeight, isStartActor, highlight = null, zoomLevel, isReadOnly = false }) => {
   const nodeRef = useRef(null);
+  // Position when the current drag started and the latest rendered position, used for undo
+  const dragStartPositionRef = useRef(null);
+  const latestPositionRef = useRef(position);
+  latestPositionRef.current = position;
+  // Where the pointer grabbed the node, and when it was last clicked (for double clicks);
+  // kept in refs since rendering doesn't depend on them
+  const dragOffsetRef = useRef({ x: 0, y: 0 });
+  const lastClickTimeRef = useRef(0);
+  // Latest position while dragging, drawn on the next animation frame
+  const pendingPositionRef = useRef(null);
+  const animationFrameRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
-  const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
-  const [lastClickTime, setLastClickTime] = useState(0);
   
   // Get the selectNode function from context to handle node selection
   const { selectNode } = useGameContext();
@@ -37,65 +59,99 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
   const title = getItemTitle(node.data);
   
   /**
-   * Handles mouse down events to start dragging or detect double clicks
-   * @param {MouseEvent} e - Mouse event
+   * Start dragging from a pointer position, or show the connections on a double click/tap
+   * @param {number} clientX - Pointer position on screen
+   * @param {number} clientY - Pointer position on screen
+   * @returns {boolean} - True if it was a double click/tap
    */
-  const handleMouseDown = useCallback((e) => {
-    if (e.button !== 0) return; // Only handle left clicks
-    
+  const startDrag = useCallback((clientX, clientY) => {
     const currentTime = new Date().getTime();
-    const timeSinceLastClick = currentTime - lastClickTime;
+    const timeSinceLastClick = currentTime - lastClickTimeRef.current;
     
-    // Check for double click (less than 300ms between clicks)
+    // Check for double click/tap (less than 300ms between clicks)
     if (timeSinceLastClick < 300) {
-      e.preventDefault();
-      e.stopPropagation();
-      
-      // Handle double-click - show connections panel
       selectNode(node);
-      return;
+      return true;
     }
     
     // Update last click time for potential double-click detection
-    setLastClickTime(currentTime);
+    lastClickTimeRef.current = currentTime;
     
-    // Calculate offset based on the element's actual position and mouse position
+    // Calculate offset based on the element's actual position and pointer position
     const rect = nodeRef.current.getBoundingClientRect();
-    setDragOffset({
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top
-    });
+    dragOffsetRef.current = {
+      x: clientX - rect.left,
+      y: clientY - rect.top
+    };
     
     setIsDragging(true);
-    
-    e.preventDefault();
-    e.stopPropagation();
+    dragStartPositionRef.current = position;
     
     // This makes sure the node always appears on top when dragging
     if (nodeRef.current) {
       nodeRef.current.style.zIndex = "1000";
     }
-  }, [node, lastClickTime, selectNode]);
-  
+    return false;
+  }, [node, position, selectNode]);
+
   /**
-   * Handles mouse movement during dragging to update node position
+   * Handles mouse down events to start dragging or detect double clicks
    * @param {MouseEvent} e - Mouse event
    */
-  const handleMouseMove = useCallback((e) => {
-    if (!isDragging) return;
-    
-    // Calculate new position based on mouse position and initial offset
+  const handleMouseDown = useCallback((e) => {
+    if (e.button !== 0 || isReadOnly) return; // Only handle left clicks on a live board
+    startDrag(e.clientX, e.clientY);
+    e.preventDefault();
+    e.stopPropagation();
+  }, [startDrag, isReadOnly]);
+
+  /**
+   * Handles touch start events for mobile dragging and double-tap detection
+   * @param {TouchEvent} e - Touch event
+   */
+  const handleTouchStart = useCallback((e) => {
+    if (e.touches.length !== 1 || isReadOnly) return;
+    if (startDrag(e.touches[0].clientX, e.touches[0].clientY)) {
+      e.preventDefault();
+    }
+  }, [startDrag, isReadOnly]);
+
+  /**
+   * Draw the latest drag position: the node moves itself and tells the connection lines,
+   * without a React render
+   */
+  const drawPendingPosition = useCallback(() => {
+    animationFrameRef.current = null;
+    const pendingPosition = pendingPositionRef.current;
+    if (!pendingPosition || !nodeRef.current) return;
+
+    nodeRef.current.style.left = `${pendingPosition.x}px`;
+    nodeRef.current.style.top = `${pendingPosition.y}px`;
+    livePositions?.set(node.id, pendingPosition);
+  }, [node.id, livePositions]);
+
+  /**
+   * Move the node under the pointer, kept on the board
+   * Pointer events can come faster than the screen refreshes, so moves are drawn at most
+   * once per animation frame.
+   * @param {number} clientX - Pointer position on screen
+   * @param {number} clientY - Pointer position on screen
+   */
+  const dragTo = useCallback((clientX, clientY) => {
+    // Calculate new position based on pointer position and initial offset, measured from
+    // the board's corner since the board moves on screen when it's panned
     const effectiveZoom = zoomLevel || 1;
-    let newX = (e.clientX - dragOffset.x) / effectiveZoom;
-    let newY = (e.clientY - dragOffset.y) / effectiveZoom;
+    const boardRect = nodeRef.current?.offsetParent?.getBoundingClientRect();
+    const newX = (clientX - dragOffsetRef.current.x - (boardRect?.left || 0)) / effectiveZoom;
+    const newY = (clientY - dragOffsetRef.current.y - (boardRect?.top || 0)) / effectiveZoom;
     
     // Get node dimensions
     const nodeWidth = nodeRef.current ? nodeRef.current.offsetWidth : 120;
     const nodeHeight = nodeRef.current ? nodeRef.current.offsetHeight : 160;
     
     // Better boundary calculation for mobile portrait mode
-    const safeAreaTop = 60;
-    const safeAreaBottom = 150;
+    const safeAreaTop = 60; // Account for header/UI
+    const safeAreaBottom = 150; // Account for search panel and stats
     
     const validBoardWidth = typeof boardWidth === 'number' && boardWidth > 0 
       ? boardWidth 
@@ -106,142 +162,140 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
       : Math.max(window.innerHeight - safeAreaTop - safeAreaBottom, 400);
     
     // Apply boundaries with extra padding
-    const boundedX = Math.max(10, Math.min(newX, validBoardWidth - nodeWidth - 10));
-    const boundedY = Math.max(safeAreaTop, Math.min(newY, validBoardHeight - nodeHeight + safeAreaTop));
-    
-    // Only update with bounded position
-    updatePosition({ x: boundedX, y: boundedY });
-    
-    e.preventDefault();
-  }, [isDragging, dragOffset, updatePosition, boardWidth, boardHeight, zoomLevel]);
+    pendingPositionRef.current = {
+      x: Math.max(10, Math.min(newX, validBoardWidth - nodeWidth - 10)),
+      y: Math.max(safeAreaTop, Math.min(newY, validBoardHeight - nodeHeight + safeAreaTop))
+    };
+    if (animationFrameRef.current === null) {
+      animationFrameRef.current = requestAnimationFrame(drawPendingPosition);
+    }
+  }, [boardWidth, boardHeight, zoomLevel, drawPendingPosition]);
   
   /**
-   * Handles mouse up events to end dragging
+   * Handles mouse movement during dragging to update node position
+   * @param {MouseEvent} e - Mouse event
    */
-  const handleMouseUp = useCallback(() => {
-    if (isDragging) {
-      setIsDragging(false);
-      
-      // Reset z-index back to normal when done dragging
-      if (nodeRef.current) {
-        nodeRef.current.style.zIndex = "";
-      }
-    }
-  }, [isDragging]);
-  
+  const handleMouseMove = useCallback((e) => {
+    dragTo(e.clientX, e.clientY);
+    e.preventDefault();
+  }, [dragTo]);
+
   /**
-   * Handles touch start events for mobile dragging and double-tap detection
+   * Handles touch movement during dragging to update node position on mobile
    * @param {TouchEvent} e - Touch event
    */
-  const handleTouchStart = useCallback((e) => {
+  const handleTouchMove = useCallback((e) => {
     if (e.touches.length !== 1) return;
-    
-    const touch = e.touches[0];
-    const currentTime = new Date().getTime();
-    const timeSinceLastClick = currentTime - lastClickTime;
-    
-    // Check for double tap
-    if (timeSinceLastClick < 300) {
-      e.preventDefault();
-      
-      // Handle double-tap - show connections panel
-      selectNode(node);
-      return;
+    dragTo(e.touches[0].clientX, e.touches[0].clientY);
+    e.preventDefault();
+  }, [dragTo]);
+  
+  /**
+   * Saves where the node was dropped to the board and reports the completed move so it
+   * can be recorded for undo
+   */
+  const finishDrag = useCallback(() => {
+    cancelAnimationFrame(animationFrameRef.current);
+    animationFrameRef.current = null;
+    const droppedAt = pendingPositionRef.current;
+    pendingPositionRef.current = null;
+
+    if (droppedAt) {
+      updatePosition(node.id, droppedAt);
+      livePositions?.delete(node.id);
     }
-    
-    // Update last click time for potential double-tap detection
-    setLastClickTime(currentTime);
-    
-    // Calculate offset based on the element's actual position and touch position
-    const rect = nodeRef.current.getBoundingClientRect();
-    setDragOffset({
-      x: touch.clientX - rect.left,
-      y: touch.clientY - rect.top
-    });
-    
-    setIsDragging(true);
-    
-    // Set higher z-index for dragging
-    if (nodeRef.current) {
-      nodeRef.current.style.zIndex = "1000";
+    if (onDragEnd && dragStartPositionRef.current) {
+      onDragEnd(node.id, dragStartPositionRef.current, droppedAt || latestPositionRef.current);
     }
-  }, [node, lastClickTime, selectNode]);
-  
+    dragStartPositionRef.current = null;
+  }, [node.id, updatePosition, onDragEnd, livePositions]);
+
   /**
-   * Handles touch movement during dragging to update node position on mobile
-   * @param {TouchEvent} e - Touch event
+   * Handles mouse up and touch end events to stop dragging
    */
-  const handleTouchMove = useCallback((e) => {
-    if (!isDragging || e.touches.length !== 1) return;
-    
-    const touch = e.touches[0];
-    
-    // Calculate new position based on touch position and initial offset
-    const effectiveZoom = zoomLevel || 1;
-    let newX = (touch.clientX - dragOffset.x) / effectiveZoom;
-    let newY = (touch.clientY - dragOffset.y) / effectiveZoom;
-    
-    // Get node dimensions
-    const nodeWidth = nodeRef.current ? nodeRef.current.offsetWidth : 120;
-    const nodeHeight = nodeRef.current ? nodeRef.current.offsetHeight : 160;
-    
-    // Better boundary calculation for mobile portrait mode
-    const safeAreaTop = 60; // Account for header/UI
-    const safeAreaBottom = 150; // Account for search panel and stats
+  const handleDragEnd = useCallback(() => {
+    setIsDragging(false);
+    finishDrag();
     
-    const validBoardWidth = typeof boardWidth === 'number' && boardWidth > 0 
-      ? boardWidth 
-      : Math.max(window.innerWidth - 20, 300); // Add padding and minimum width
-    
-    const validBoardHeight = typeof boardHeight === 'number' && boardHeight > 0 
-      ? boardHeight 
-      : Math.max(window.innerHeight - safeAreaTop - safeAreaBottom, 400); // Account for UI elements
-    
-    // Apply boundaries with extra padding for safety
-    const boundedX = Math.max(10, Math.min(newX, validBoardWidth - nodeWidth - 10));
-    const boundedY = Math.max(safeAreaTop, Math.min(newY, validBoardHeight - nodeHeight + safeAreaTop));
-    
-    // Only update with bounded position
-    updatePosition({ x: boundedX, y: boundedY });
-    
-    e.preventDefault();
-  }, [isDragging, dragOffset, updatePosition, boardWidth, boardHeight, zoomLevel]);
+    // Reset z-index back to normal when done dragging
+    if (nodeRef.current) {
+      nodeRef.current.style.zIndex = "";
+    }
+  }, [finishDrag]);
   
   /**
-   * Handles touch end events to stop dragging on mobile
+   * Handles keyboard operation of a focused node
+   * Arrow keys move it (a held key counts as one move for undo), Enter or Space shows its
+   * connections and Tab/Shift+Tab go to the next/previous node along the connections
+   * @param {KeyboardEvent} e - Keyboard event
    */
-  const handleTouchEnd = useCallback(() => {
-    if (isDragging) {
-      setIsDragging(false);
-      
-      // Reset z-index back to normal
-      if (nodeRef.current) {
-        nodeRef.current.style.zIndex = "";
+  const handleKeyDown = useCallback((e) => {
+    if (isReadOnly) return;
+
+    const direction = ARROW_KEY_DIRECTIONS[e.key];
+    if (direction) {
+      e.preventDefault();
+      if (!dragStartPositionRef.current) {
+        dragStartPositionRef.current = position;
       }
+      const step = e.shiftKey ? KEYBOARD_MOVE_STEP_LARGE : KEYBOARD_MOVE_STEP;
+      updatePosition(node.id, { x: position.x + direction.x * step, y: position.y + direction.y * step });
+      return;
     }
-  }, [isDragging]);
+
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      selectNode(node);
+      return;
+    }
+
+    // At either end of the order Tab isn't handled, so focus leaves the board as usual
+    if (e.key === 'Tab' && onTraverse?.(node.id, e.shiftKey ? -1 : 1)) {
+      e.preventDefault();
+    }
+  }, [node, position, updatePosition, selectNode, onTraverse, isReadOnly]);
+
+  /**
+   * Records a keyboard move once the arrow key is released
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  const handleKeyUp = useCallback((e) => {
+    if (ARROW_KEY_DIRECTIONS[e.key]) {
+      finishDrag();
+    }
+  }, [finishDrag]);
   
   /**
-   * Set up and clean up event listeners for mouse and touch interactions
+   * Listen for pointer movement on the whole document while this node is being dragged
    */
   useEffect(() => {
-    if (!nodeRef.current) return;
+    if (!isDragging) return;
     
     // Add event listeners
     document.addEventListener('mousemove', handleMouseMove);
-    document.addEventListener('mouseup', handleMouseUp);
+    document.addEventListener('mouseup', handleDragEnd);
     document.addEventListener('touchmove', handleTouchMove, { passive: false });
-    document.addEventListener('touchend', handleTouchEnd);
+    document.addEventListener('touchend', handleDragEnd);
     
     // Cleanup function
     return () => {
       document.removeEventListener('mousemove', handleMouseMove);
-      document.removeEventListener('mouseup', handleMouseUp);
+      document.removeEventListener('mouseup', handleDragEnd);
       document.removeEventListener('touchmove', handleTouchMove);
-      document.removeEventListener('touchend', handleTouchEnd);
+      document.removeEventListener('touchend', handleDragEnd);
     };
-  }, [handleMouseMove, handleMouseUp, handleTouchMove, handleTouchEnd]);
-  
+  }, [isDragging, handleMouseMove, handleDragEnd, handleTouchMove]);
+
+  // Don't draw a frame for a node that's gone
+  useEffect(() => () => cancelAnimationFrame(animationFrameRef.current), []);
+
+  // Follow moves made for the node, like the auto-arrange animation, without a React render
+  useEffect(() => livePositions?.watch(node.id, (livePosition) => {
+    if (!livePosition || !nodeRef.current) return;
+    nodeRef.current.style.left = `${livePosition.x}px`;
+    nodeRef.current.style.top = `${livePosition.y}px`;
+  }), [livePositions, node.id]);
+
   /**
    * Validate position when board dimensions change or orientation changes
    */
@@ -266,10 +320,10 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
       
       // Only update if position needs correction
       if (Math.abs(boundedX - position.x) > 1 || Math.abs(boundedY - position.y) > 1) {
-        updatePosition({ x: boundedX, y: boundedY });
+        updatePosition(node.id, { x: boundedX, y: boundedY });
       }
     }
-  }, [boardWidth, boardHeight, position.x, position.y, updatePosition]);
+  }, [node.id, boardWidth, boardHeight, position.x, position.y, updatePosition]);
   
   /**
    * Listen for orientation changes
@@ -297,7 +351,7 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
           
           // Only update if position needs correction
           if (Math.abs(boundedX - position.x) > 1 || Math.abs(boundedY - position.y) > 1) {
-            updatePosition({ x: boundedX, y: boundedY });
+            updatePosition(node.id, { x: boundedX, y: boundedY });
           }
         }
       }, 200); // Delay to allow orientation change
@@ -308,7 +362,7 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
     return () => {
       window.removeEventListener('orientationchange', handleOrientationChange);
     };
-  }, [boardWidth, boardHeight, position.x, position.y, updatePosition]);
+  }, [node.id, boardWidth, boardHeight, position.x, position.y, updatePosition]);
 
   /**
    * Determine background color based on node type
@@ -334,12 +388,14 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
     ${NodeStyles.draggableNodeBaseStyle}
     ${isDragging ? `${NodeStyles.draggingTransitionOverrideStyle} ${NodeStyles.draggingNodeStyle}` : ""}
     ${isStartActor ? NodeStyles.startActorNodeStyle : ""}
+    ${highlight === 'path' ? NodeStyles.winningPathNodeStyle : highlight === 'dimmed' ? NodeStyles.dimmedNodeStyle : ""}
     ${node.type}-node 
   `.replace(/\s+/g, ' ').trim(); // Clean up extra spaces
 
   return (
     <div id={node.id}
       ref={nodeRef} 
+      data-board-node
       className={nodeClassName}
       style={{
         left: `${position.x}px`,
@@ -350,6 +406,11 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
       }}
       onMouseDown={handleMouseDown}
       onTouchStart={handleTouchStart}
+      onKeyDown={handleKeyDown}
+      onKeyUp={handleKeyUp}
+      tabIndex={isReadOnly ? undefined : 0}
+      role={isReadOnly ? undefined : 'button'}
+      aria-label={ariaLabel || title}
     >
       <div className={NodeStyles.nodeContentWrapperStyle}>
         <div className={NodeStyles.nodeImageContainerStyle}>
@@ -366,4 +427,5 @@ const DraggableNode = ({ node, position, updatePosition, boardWidth, boardHeight
   );
 };
 
-export default DraggableNode;
\ No newline at end of file
+// Nodes only re-render when their own props change, not whenever any node on the board does
+export default React.memo(DraggableNode);
\ No newline at end of file
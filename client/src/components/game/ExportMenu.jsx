@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { logger } from '../../utils/loggerUtils';
+import { getWinningPathOrder } from '../../utils/boardUtils';
+import {
+  loadExportImages,
+  buildBoardSvg,
+  buildResultCardSvg,
+  svgToPngBlob,
+  downloadBlob,
+  shareOrDownloadImage,
+  formatExportResult
+} from '../../utils/boardExportUtils';
+import * as ExportStyles from '../../styles/ExportStyle.js';
+
+/**
+ * ExportMenu component - Saves the board as an image
+ * The whole board as a PNG or SVG with the result underneath, and once the game is won
+ * a compact result card of the winning route to share.
+ */
+const ExportMenu = ({ nodes, connections, nodePositions, startNodeIds, nodeSize, result }) => {
+  const { gameCompleted, winningPath, startActors } = useGameContext();
+  const { isLightMode } = useTheme();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const filenameBase = `silver-sync-${new Date().toISOString().slice(0, 10)}`;
+
+  /**
+   * Run an export, keeping the menu open with a message if it fails
+   * @param {Function} createAndSave - Async function that builds and saves the image
+   */
+  const runExport = async (createAndSave) => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await createAndSave();
+      setIsOpen(false);
+    } catch (exportError) {
+      logger.error('❌ Board export failed:', exportError);
+      setError("Couldn't create the image. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const exportBoard = (format) => runExport(async () => {
+    const images = await loadExportImages(nodes);
+    const image = buildBoardSvg({ nodes, connections, nodePositions, startNodeIds, nodeSize, images, gameCompleted }, result);
+    const blob = format === 'svg'
+      ? new Blob([image.svg], { type: 'image/svg+xml' })
+      : await svgToPngBlob(image);
+    downloadBlob(blob, `${filenameBase}-board.${format}`);
+  });
+
+  const shareResultCard = () => runExport(async () => {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+    const pathNodes = getWinningPathOrder(winningPath, startNodeIds[0] ?? null)
+      .map(nodeId => nodesById.get(nodeId))
+      .filter(Boolean);
+    const images = await loadExportImages(pathNodes);
+    const card = buildResultCardSvg({
+      pathNodes,
+      isTree: winningPath.isTree,
+      startActors: startActors.filter(Boolean),
+      startNodeIds,
+      images
+    }, result);
+    await shareOrDownloadImage(await svgToPngBlob(card), `${filenameBase}-result.png`, formatExportResult(result));
+  });
+
+  return (
+    <>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-expanded={isOpen}
+        aria-controls="board-export-menu"
+        disabled={nodes.length === 0}
+        className={ExportStyles.exportToggleBaseStyle + " " + (isLightMode ? ExportStyles.exportToggleLightStyle : ExportStyles.exportToggleDarkStyle)}
+      >
+        📷 Export
+      </button>
+      {isOpen && (
+        <div
+          id="board-export-menu"
+          className={ExportStyles.exportMenuBaseStyle + " " + (isLightMode ? ExportStyles.exportMenuLightStyle : ExportStyles.exportMenuDarkStyle)}
+        >
+          <button type="button" className={ExportStyles.exportOptionStyle} onClick={() => exportBoard('png')} disabled={isExporting}>
+            Board as PNG
+          </button>
+          <button type="button" className={ExportStyles.exportOptionStyle} onClick={() => exportBoard('svg')} disabled={isExporting}>
+            Board as SVG
+          </button>
+          {gameCompleted && winningPath && (
+            <button type="button" className={ExportStyles.exportOptionStyle} onClick={shareResultCard} disabled={isExporting}>
+              Share result card
+            </button>
+          )}
+          <div className={ExportStyles.exportStatusStyle} role="status">
+            {isExporting ? 'Preparing image…' : error}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -7,37 +7,83 @@
  * 3. Handles board size and scaling
  * 4. Manages the drawing of lines as visual connections between entities
  * 5. Coordinates with the game state for displaying the current game status
+ * 6. Pans a board bigger than the screen, with a minimap to find your way around it
+ * 7. Walks along the winning route after a win, fading out the cards that aren't on it
+ * 8. Keeps big boards fast: only what's near the screen is rendered, dragged cards move
+ *    outside React state, and past a few hundred connections the lines go on a canvas
+ *
+ * Given a readOnlyFrame it draws that frame instead of the live board, read-only and
+ * without the game's overlays (used by the replay viewer and Explore).
  */
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useMemo } from 'react';
 import { useGameContext } from '../../contexts/gameContext';
 import ConnectionsPanel from './ConnectionsPanel';
 import LoadingOverlay from './LoadingOverlay';
 import GameStats from './GameStats';
+import HintButton from './HintButton';
+import RaceStatusBar from './RaceStatusBar';
 import NodeLayer from './NodeLayer';
 import ConnectionLines from './ConnectionLines';
+import LayoutControls from './LayoutControls';
+import Minimap from './Minimap';
+import BoardContentsList from './BoardContentsList';
+import ExportMenu from './ExportMenu';
 import { Box } from '@mui/material';
-import { useZoom } from '../../hooks/useZoom';
+import { useZoom, ZOOM_LEVELS } from '../../hooks/useZoom';
+import { useAutoLayout } from '../../hooks/useAutoLayout';
+import { useBoardAnnouncements } from '../../hooks/useBoardAnnouncements';
+import { usePathReveal } from '../../hooks/usePathReveal';
 import * as BoardStyles from '../../styles/BoardStyle.js'; // Import BoardStyle
 import { logger } from '../../utils/loggerUtils';
+import { getStartNodeId } from '../../utils/gameUtils';
+import { createLivePositionStore } from '../../utils/livePositionStore';
+import {
+  measureNodeSize,
+  getNodesBounds,
+  clampViewportOrigin,
+  getViewportOriginCenteredOn,
+  getZoomToFit
+} from '../../utils/boardUtils';
+import { BOARD_WORLD_SCALE, BOARD_RENDERING } from '../../utils/constants';
 import { useTheme } from '../../contexts/ThemeContext';
 
-const GameBoard = React.memo(() => {
+const noop = () => {};
+
+const GameBoard = React.memo(({ readOnlyFrame = null }) => {
   // Get game state and functions from context
   const {
-    nodes,
-    connections,
-    nodePositions,
+    nodes: liveNodes,
+    connections: liveConnections,
+    nodePositions: liveNodePositions,
     updateNodePosition,
+    recordNodeMove,
+    moveNodes,
+    recordLayout,
+    pinnedNodeIds,
+    unpinAllNodes,
+    undoBoardAction,
+    redoBoardAction,
     isLoading,
     gameCompleted,
-    startActors,    selectedNode,
+    keepPlayingAfterWin,
+    winningPath,
+    startActors: liveStartActors,
+    selectedNode,
     gameStartTime,
     gameScore,
     currentGameScore, // Add current game score
     shortestPathLength,
+    challengeMode,
     searchResults   // Get search results to determine if search panel is expanded
   } = useGameContext();
 
+  // A read-only frame ({ nodes, connections, nodePositions, startActors }) replaces the live board
+  const isReadOnly = Boolean(readOnlyFrame);
+  const nodes = readOnlyFrame?.nodes ?? liveNodes;
+  const connections = readOnlyFrame?.connections ?? liveConnections;
+  const nodePositions = readOnlyFrame?.nodePositions ?? liveNodePositions;
+  const startActors = readOnlyFrame?.startActors ?? liveStartActors;
+
   // Refs for DOM elements and animation
   const boardRef = useRef(null);
   // const svgRef = useRef(null); // Removed unused ref
@@ -45,13 +91,56 @@ const GameBoard = React.memo(() => {
   // Create refs for connections to animate them
   const connectionRefs = useRef({});
 
-  // Set board dimensions using state
-  const [boardSize, setBoardSize] = useState({ width: 1000, height: 800 });
+  // Where moving cards are, shared by the cards, the lines and the auto-arrange animation
+  const [livePositions] = useState(createLivePositionStore);
+
+  // Card to focus once panning has brought it on screen and it's rendered
+  const pendingFocusNodeIdRef = useRef(null);
+
+  // Size of the board on screen in pixels; the board itself is BOARD_WORLD_SCALE times bigger
+  const [screenSize, setScreenSize] = useState({ width: 1000, height: 800 });
+  const boardSize = useMemo(() => ({
+    width: screenSize.width * BOARD_WORLD_SCALE,
+    height: screenSize.height * BOARD_WORLD_SCALE
+  }), [screenSize]);
+
+  // Which starting actor "center on start" goes to next
+  const nextStartFocusRef = useRef(0);
 
   // Timer state
   const [elapsedTime, setElapsedTime] = useState(0);
 
-  const { zoomLevel, handleWheel } = useZoom();
+  const { zoomLevel, handleWheel, setZoom, pan, setPan } = useZoom();
+
+  // The part of the board on screen, in board coordinates
+  const viewport = useMemo(() => {
+    const size = { width: screenSize.width / zoomLevel, height: screenSize.height / zoomLevel };
+    return { ...clampViewportOrigin(pan, size, boardSize), ...size };
+  }, [screenSize, zoomLevel, pan, boardSize]);
+
+  // Force-directed auto-arrange; read-only boards keep the layout they were given
+  const { arrangeBoard, isArranging, continuousLayout, setContinuousLayout } = useAutoLayout({
+    nodes,
+    connections,
+    nodePositions,
+    startActors,
+    viewport,
+    pinnedNodeIds,
+    moveNodes,
+    livePositions,
+    recordLayout,
+    disabled: isReadOnly
+  });
+
+  // What changed on the board, for screen readers
+  const announcement = useBoardAnnouncements({
+    nodes,
+    connections,
+    gameCompleted,
+    startActors,
+    shortestPathLength,
+    disabled: isReadOnly
+  });
 
   // Check if there are any guest appearances in the connections
   const hasGuestAppearances = connections.some(conn => conn.isGuestAppearance === true);
@@ -60,13 +149,12 @@ const GameBoard = React.memo(() => {
   const hasSearchResults = Boolean(searchResults && searchResults.length > 0);
   
   /**
-   * Dynamically update board dimensions when window resizes or zoom changes
+   * Dynamically update board dimensions when window resizes
    */
   useEffect(() => {
     const updateDimensions = () => {
       if (boardRef.current) {
         const rect = boardRef.current.getBoundingClientRect();
-        const effectiveZoom = zoomLevel || 1;
         
         // Get actual viewport dimensions
         const viewportWidth = window.innerWidth;
@@ -81,9 +169,9 @@ const GameBoard = React.memo(() => {
         const availableWidth = Math.max(rect.width, viewportWidth - 20);
         const availableHeight = Math.max(rect.height, viewportHeight - safeAreaTop - safeAreaBottom);
         
-        setBoardSize({
-          width: Math.max(availableWidth / effectiveZoom, 320),
-          height: Math.max(availableHeight / effectiveZoom, 480)
+        setScreenSize({
+          width: Math.max(availableWidth, 320),
+          height: Math.max(availableHeight, 480)
         });
       }
     };
@@ -99,7 +187,151 @@ const GameBoard = React.memo(() => {
       window.removeEventListener('resize', updateDimensions);
       window.removeEventListener('orientationchange', updateDimensions);
     };
-  }, [zoomLevel]);  // <-- now also runs whenever zoomLevel changes
+  }, []);
+
+  const startNodeIds = startActors.filter(Boolean).map(getStartNodeId);
+  const nodeSize = measureNodeSize(nodes[0]?.id);
+
+  // The winning route is shown until the player carries on playing or starts over
+  const showWinningPath = !isReadOnly && gameCompleted && !keepPlayingAfterWin && Boolean(winningPath);
+  const { revealedNodeIds } = usePathReveal(winningPath, startNodeIds[0] ?? null, showWinningPath);
+
+  // Cards and connections of the route lit up so far, for NodeLayer and ConnectionLines
+  const pathHighlight = useMemo(() => {
+    if (!showWinningPath) return null;
+    const edgeKeys = new Set(winningPath.edges
+      .filter(([source, target]) => revealedNodeIds.has(source) && revealedNodeIds.has(target))
+      .map(edge => [...edge].sort().join('|')));
+    return { nodeIds: revealedNodeIds, edgeKeys };
+  }, [showWinningPath, winningPath, revealedNodeIds]);
+
+  /**
+   * Pan so a viewport of the given size starts at origin, kept on the board
+   * @param {Object} origin - Top-left corner {x, y} in board coordinates
+   * @param {Object} size - Viewport size, when the zoom is changing at the same time
+   */
+  const panTo = (origin, size = viewport) => {
+    setPan(clampViewportOrigin(origin, size, boardSize));
+  };
+
+  /**
+   * Zoom and pan so the given cards are on screen (or as many as the furthest zoom level allows)
+   * @param {string[]} [nodeIds] - IDs of the cards; every card when left out
+   */
+  const fitNodes = (nodeIds) => {
+    const positions = nodeIds
+      ? Object.fromEntries(nodeIds.map(nodeId => [nodeId, nodePositions[nodeId]]))
+      : nodePositions;
+    const bounds = getNodesBounds(positions, nodeSize);
+    if (!bounds) return;
+
+    const zoom = getZoomToFit(bounds, screenSize, ZOOM_LEVELS);
+    const size = { width: screenSize.width / zoom, height: screenSize.height / zoom };
+    setZoom(zoom);
+    panTo(getViewportOriginCenteredOn(bounds, size), size);
+  };
+
+  // Bring the whole winning route into view once, as the walk starts
+  const fitNodesRef = useRef(fitNodes);
+  useEffect(() => {
+    fitNodesRef.current = fitNodes;
+  });
+  useEffect(() => {
+    if (showWinningPath) {
+      fitNodesRef.current(winningPath.nodeIds);
+    }
+  }, [showWinningPath, winningPath]);
+
+  /**
+   * Pan so a card is in the middle of the screen
+   * @param {string} nodeId - ID of the card
+   */
+  const centerOnNode = (nodeId) => {
+    const position = nodePositions[nodeId];
+    if (!position) return;
+    panTo(getViewportOriginCenteredOn({ ...position, ...nodeSize }, viewport));
+  };
+
+  /**
+   * Keep a focused card on screen
+   * Focus can scroll the clipped board behind the pan, so that's undone and the board
+   * pans to the card instead when it's out of view.
+   */
+  const handleBoardFocus = (e) => {
+    e.currentTarget.scrollLeft = 0;
+    e.currentTarget.scrollTop = 0;
+
+    const position = nodePositions[e.target.id];
+    if (!position) return;
+
+    const isOnScreen = position.x >= viewport.x && position.y >= viewport.y &&
+      position.x + nodeSize.width <= viewport.x + viewport.width &&
+      position.y + nodeSize.height <= viewport.y + viewport.height;
+    if (!isOnScreen) {
+      centerOnNode(e.target.id);
+    }
+  };
+
+  /**
+   * Move keyboard focus to a card, e.g. from the board list
+   * Cards far off screen aren't rendered, so the board pans to those first.
+   * @param {string} nodeId - ID of the card
+   */
+  const focusNode = (nodeId) => {
+    const element = document.getElementById(nodeId);
+    if (element) {
+      element.focus({ preventScroll: true });
+      return;
+    }
+    pendingFocusNodeIdRef.current = nodeId;
+    centerOnNode(nodeId);
+  };
+
+  useEffect(() => {
+    const element = pendingFocusNodeIdRef.current && document.getElementById(pendingFocusNodeIdRef.current);
+    if (element) {
+      pendingFocusNodeIdRef.current = null;
+      element.focus({ preventScroll: true });
+    }
+  });
+
+  /**
+   * Center on the starting actors in turn
+   */
+  const centerOnStartActor = () => {
+    if (startNodeIds.length === 0) return;
+    centerOnNode(startNodeIds[nextStartFocusRef.current % startNodeIds.length]);
+    nextStartFocusRef.current += 1;
+  };
+
+  /**
+   * Keyboard shortcuts for undo (Ctrl+Z) and redo (Ctrl+Shift+Z / Ctrl+Y)
+   * Text fields keep their native undo behaviour
+   */
+  useEffect(() => {
+    if (isReadOnly) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoBoardAction();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoBoardAction();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undoBoardAction, redoBoardAction, isReadOnly]);
 
   /**
    * Timer effect - updates the elapsed time every second while game is active
@@ -174,46 +406,117 @@ const GameBoard = React.memo(() => {
     >
       <div
         className={BoardStyles.zoomWrapperStyle} // Use style from BoardStyle.js
-        
+        onFocus={handleBoardFocus}
       >
         <div
           className={BoardStyles.zoomContentBaseStyle} // Use base style from BoardStyle.js
           style={{
             width:           `${boardSize.width}px`,  // Dynamic, remains inline
             height:          `${boardSize.height}px`, // Dynamic, remains inline
-            transform:       `scale(${zoomLevel})`,   // Dynamic, remains inline
+            transform:       `scale(${zoomLevel}) translate(${-viewport.x}px, ${-viewport.y}px)`, // Dynamic, remains inline
           }}
         >
           {/* Connection lines behind nodes */}
           <ConnectionLines 
+            renderer={connections.length >= BOARD_RENDERING.CANVAS_LINES_MIN_CONNECTIONS ? 'canvas' : 'svg'}
             connections={connections}
             nodePositions={nodePositions}
             connectionRefs={connectionRefs}
+            livePositions={livePositions}
             boardSize={boardSize}
-            gameCompleted={gameCompleted}
+            viewport={viewport}
+            nodeSize={nodeSize}
+            zoomLevel={zoomLevel}
+            gameCompleted={gameCompleted && !isReadOnly}
+            pathHighlight={pathHighlight}
           />
 
           {/* Nodes on top */}
           <NodeLayer
             nodes={nodes}
+            connections={connections}
             nodePositions={nodePositions}
-            updateNodePosition={updateNodePosition}
+            updateNodePosition={isReadOnly ? noop : updateNodePosition}
+            recordNodeMove={isReadOnly ? null : recordNodeMove}
+            onFocusNode={focusNode}
+            livePositions={livePositions}
             boardSize={boardSize}
+            viewport={viewport}
+            nodeSize={nodeSize}
             startActors={startActors}
             zoomLevel={zoomLevel}
+            isReadOnly={isReadOnly}
+            pathHighlight={pathHighlight}
           />
         </div>
       </div>
 
-      {selectedNode && <ConnectionsPanel />}
-      {isLoading    && <LoadingOverlay />}      <GameStats
-        formattedGameScore={formattedGameScoreValue}
-        formattedTime={formattedTimeValue}
-        pathLength={pathLengthValue}
-        hasGuestAppearances={hasGuestAppearances}
-        hasSearchResults={hasSearchResults}
-        gameCompleted={gameCompleted}
-      />
+      {!isReadOnly && (
+        <>
+          <HintButton />
+          <RaceStatusBar />
+          <div className={BoardStyles.boardToolsContainerStyle}>
+            <LayoutControls
+              arrangeBoard={arrangeBoard}
+              isArranging={isArranging}
+              continuousLayout={continuousLayout}
+              setContinuousLayout={setContinuousLayout}
+              pinnedCount={pinnedNodeIds.length}
+              unpinAllNodes={unpinAllNodes}
+              disabled={nodes.length < 3}
+            />
+            <BoardContentsList
+              nodes={nodes}
+              connections={connections}
+              startNodeIds={startNodeIds}
+              onShowOnBoard={focusNode}
+            />
+            <ExportMenu
+              nodes={nodes}
+              connections={connections}
+              nodePositions={nodePositions}
+              startNodeIds={startNodeIds}
+              nodeSize={nodeSize}
+              result={{
+                challenge: challengeMode?.title,
+                hops: gameCompleted ? shortestPathLength : null,
+                time: formattedTimeValue,
+                score: gameCompleted ? formattedGameScoreValue : null
+              }}
+            />
+          </div>
+          <div className="sr-only" role="status" aria-live="polite">
+            {announcement}
+          </div>
+
+          {selectedNode && <ConnectionsPanel />}
+          {isLoading    && <LoadingOverlay />}
+          <GameStats
+            formattedGameScore={formattedGameScoreValue}
+            formattedTime={formattedTimeValue}
+            pathLength={pathLengthValue}
+            hasGuestAppearances={hasGuestAppearances}
+            hasSearchResults={hasSearchResults}
+            gameCompleted={gameCompleted}
+          />
+        </>
+      )}
+
+      {nodes.length >= 2 && (
+        <Minimap
+          nodes={nodes}
+          connections={connections}
+          nodePositions={nodePositions}
+          startNodeIds={startNodeIds}
+          nodeSize={nodeSize}
+          boardSize={boardSize}
+          viewport={viewport}
+          onPan={panTo}
+          onFitAll={() => fitNodes()}
+          onCenterOnStart={centerOnStartActor}
+          onJumpToNode={centerOnNode}
+        />
+      )}
 
       {/* Zoom percentage indicator - only show on medium/large screens */}
       {window.innerWidth >= 900 && (
@@ -2,6 +2,9 @@ import React from 'react';
 import { useGameContext } from '../../contexts/gameContext';
 import StartScreen from '../StartScreen';
 import ChallengeScreen from '../ChallengeScreen';
+import RaceLobby from '../RaceLobby';
+import ChallengeEditor from '../ChallengeEditor';
+import ExploreScreen from '../ExploreScreen';
 import GameplayArea from './GameplayArea';
 import { Box } from '@mui/material';
 
@@ -34,6 +37,12 @@ function GameContent() {
         return <ChallengeScreen />;
       case 'actor-selection':
         return <StartScreen />;
+      case 'race-lobby':
+        return <RaceLobby />;
+      case 'challenge-editor':
+        return <ChallengeEditor />;
+      case 'explore':
+        return <ExploreScreen />;
       case 'start':
       default:
         return <ChallengeScreen />;
@@ -4,11 +4,12 @@ import { Box } from '@mui/material';
 import GameBoard from './GameBoard';
 import SearchPanel from './SearchPanel';
 import VictoryModal from './VictoryModal';
+import RaceResults from './RaceResults';
 import BoardHeader from './BoardHeader';
 import { useGameContext } from '../../contexts/gameContext';
 
 function GameplayArea() {
-  const { gameCompleted, keepPlayingAfterWin } = useGameContext();
+  const { gameCompleted, keepPlayingAfterWin, race } = useGameContext();
 
   return (
     <Box className="relative flex-1 flex flex-col overflow-hidden">
@@ -20,7 +21,7 @@ function GameplayArea() {
       </Box>
       <SearchPanel />
       {gameCompleted && !keepPlayingAfterWin && (
-        <VictoryModal />
+        race ? <RaceResults /> : <VictoryModal />
       )}    </Box>
   );
 }
@@ -0,0 +1,43 @@
+import React from 'react';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import { HINT_LEVELS } from '../../utils/constants';
+import * as HintStyles from '../../styles/HintStyle.js';
+
+/**
+ * HintButton component - Reveals progressively stronger hints
+ * Each level costs score, so the button shows how many hints are left
+ */
+const HintButton = () => {
+  const { requestHint, hintsUsed, currentHint, gameStarted, gameCompleted } = useGameContext();
+  const { isLightMode } = useTheme();
+
+  if (!gameStarted) return null;
+
+  const hintsLeft = HINT_LEVELS - hintsUsed;
+
+  return (
+    <div className={HintStyles.hintContainerStyle}>
+      <button
+        type="button"
+        onClick={requestHint}
+        disabled={gameCompleted || hintsLeft <= 0}
+        className={HintStyles.hintButtonBaseStyle + " " + (isLightMode ? HintStyles.hintButtonLightStyle : HintStyles.hintButtonDarkStyle)}
+        title="Each hint lowers your score"
+      >
+        💡 Hint ({hintsLeft} left)
+      </button>
+      {currentHint && !gameCompleted && (
+        <div
+          className={HintStyles.hintTextBaseStyle + " " + (isLightMode ? HintStyles.hintTextLightStyle : HintStyles.hintTextDarkStyle)}
+          role="status"
+        >
+          {currentHint.level > 0 && <span className="font-semibold">Hint {currentHint.level}: </span>}
+          {currentHint.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HintButton;
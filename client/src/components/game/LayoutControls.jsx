@@ -0,0 +1,56 @@
+import React from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import * as LayoutStyles from '../../styles/LayoutStyle.js';
+
+/**
+ * LayoutControls component - Auto-arranges the board
+ * Dragged cards are pinned and stay put; unpinning hands them back to the layout
+ */
+const LayoutControls = ({
+  arrangeBoard,
+  isArranging,
+  continuousLayout,
+  setContinuousLayout,
+  pinnedCount,
+  unpinAllNodes,
+  disabled
+}) => {
+  const { isLightMode } = useTheme();
+  const buttonStyle = LayoutStyles.layoutButtonBaseStyle + " " + (isLightMode ? LayoutStyles.layoutButtonLightStyle : LayoutStyles.layoutButtonDarkStyle);
+
+  return (
+    <div className={LayoutStyles.layoutControlsContainerStyle}>
+      <button
+        type="button"
+        onClick={() => arrangeBoard()}
+        disabled={disabled || isArranging}
+        className={buttonStyle}
+        title="Spread the cards out so fewer lines cross. Cards you've dragged stay where they are."
+      >
+        🧲 Auto-arrange
+      </button>
+      <label className={LayoutStyles.layoutToggleBaseStyle + " " + (isLightMode ? LayoutStyles.layoutToggleLightStyle : LayoutStyles.layoutToggleDarkStyle)}>
+        <input
+          type="checkbox"
+          checked={continuousLayout}
+          onChange={(e) => setContinuousLayout(e.target.checked)}
+          disabled={disabled}
+        />
+        Keep arranged
+      </label>
+      {pinnedCount > 0 && (
+        <button
+          type="button"
+          onClick={unpinAllNodes}
+          disabled={disabled}
+          className={buttonStyle}
+          title="Let Auto-arrange move the cards you've dragged"
+        >
+          📌 Unpin {pinnedCount} {pinnedCount === 1 ? 'card' : 'cards'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LayoutControls;
@@ -0,0 +1,161 @@
+import React, { useRef } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getItemTitle } from '../../utils/entityUtils';
+import * as MinimapStyles from '../../styles/MinimapStyle.js';
+
+// Width of the overview in pixels; its height follows the board's proportions
+const MINIMAP_WIDTH = 180;
+
+const NODE_TYPE_STYLES = {
+  person: MinimapStyles.minimapPersonStyle,
+  movie: MinimapStyles.minimapMovieStyle,
+  tv: MinimapStyles.minimapTvStyle
+};
+
+/**
+ * Minimap component - Overview of the whole board
+ * Shows every card and connection with the part of the board on screen as a rectangle.
+ * Dragging the rectangle (or clicking elsewhere on the map) pans the board.
+ */
+const Minimap = ({
+  nodes,
+  connections,
+  nodePositions,
+  startNodeIds,
+  nodeSize,
+  boardSize,
+  viewport,
+  onPan,
+  onFitAll,
+  onCenterOnStart,
+  onJumpToNode
+}) => {
+  const { isLightMode } = useTheme();
+  const mapRef = useRef(null);
+  // Where the viewport was grabbed, relative to its top-left corner, while dragging
+  const grabOffsetRef = useRef(null);
+
+  const scale = MINIMAP_WIDTH / boardSize.width;
+  const mapHeight = boardSize.height * scale;
+
+  const getCenter = (nodeId) => {
+    const position = nodePositions[nodeId];
+    return position ? { x: position.x + nodeSize.width / 2, y: position.y + nodeSize.height / 2 } : null;
+  };
+
+  /**
+   * Convert a pointer position to board coordinates
+   */
+  const toBoardPoint = (e) => {
+    const rect = mapRef.current.getBoundingClientRect();
+    return { x: (e.clientX - rect.left) / scale, y: (e.clientY - rect.top) / scale };
+  };
+
+  const panToPointer = (e) => {
+    const point = toBoardPoint(e);
+    onPan({ x: point.x - grabOffsetRef.current.x, y: point.y - grabOffsetRef.current.y });
+  };
+
+  const handlePointerDown = (e) => {
+    const point = toBoardPoint(e);
+    const isOnViewport = point.x >= viewport.x && point.x <= viewport.x + viewport.width &&
+      point.y >= viewport.y && point.y <= viewport.y + viewport.height;
+
+    // Grabbing the rectangle keeps the grab point under the pointer; elsewhere the view centers on it
+    grabOffsetRef.current = isOnViewport
+      ? { x: point.x - viewport.x, y: point.y - viewport.y }
+      : { x: viewport.width / 2, y: viewport.height / 2 };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    panToPointer(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (grabOffsetRef.current) panToPointer(e);
+  };
+
+  const handlePointerUp = () => {
+    grabOffsetRef.current = null;
+  };
+
+  const sortedNodes = [...nodes].sort((a, b) => getItemTitle(a.data).localeCompare(getItemTitle(b.data)));
+  const buttonStyle = MinimapStyles.minimapButtonBaseStyle + " " + (isLightMode ? MinimapStyles.minimapButtonLightStyle : MinimapStyles.minimapButtonDarkStyle);
+
+  return (
+    <div className={MinimapStyles.minimapContainerBaseStyle + " " + (isLightMode ? MinimapStyles.minimapContainerLightStyle : MinimapStyles.minimapContainerDarkStyle)}>
+      <svg
+        ref={mapRef}
+        width={MINIMAP_WIDTH}
+        height={mapHeight}
+        className={MinimapStyles.minimapMapBaseStyle + " " + (isLightMode ? MinimapStyles.minimapMapLightStyle : MinimapStyles.minimapMapDarkStyle)}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        aria-label="Board overview"
+      >
+        {connections.map(connection => {
+          const source = getCenter(connection.source);
+          const target = getCenter(connection.target);
+          if (!source || !target) return null;
+          return (
+            <line
+              key={connection.id}
+              x1={source.x * scale}
+              y1={source.y * scale}
+              x2={target.x * scale}
+              y2={target.y * scale}
+              className={MinimapStyles.minimapConnectionStyle}
+              strokeWidth={1}
+            />
+          );
+        })}
+        {nodes.map(node => {
+          const position = nodePositions[node.id];
+          if (!position) return null;
+          return (
+            <rect
+              key={node.id}
+              x={position.x * scale}
+              y={position.y * scale}
+              width={Math.max(nodeSize.width * scale, 3)}
+              height={Math.max(nodeSize.height * scale, 4)}
+              className={startNodeIds.includes(node.id) ? MinimapStyles.minimapStartActorStyle : NODE_TYPE_STYLES[node.type]}
+            >
+              <title>{getItemTitle(node.data)}</title>
+            </rect>
+          );
+        })}
+        <rect
+          x={viewport.x * scale}
+          y={viewport.y * scale}
+          width={viewport.width * scale}
+          height={viewport.height * scale}
+          className={MinimapStyles.minimapViewportStyle}
+          strokeWidth={1.5}
+        />
+      </svg>
+
+      <div className={MinimapStyles.minimapControlsStyle}>
+        <button type="button" onClick={onFitAll} className={buttonStyle} title="Zoom and pan to show every card">
+          ⤢ Fit all
+        </button>
+        <button type="button" onClick={onCenterOnStart} className={buttonStyle} title="Center on a starting actor (click again for the next one)">
+          🎯 Start
+        </button>
+      </div>
+      <select
+        value=""
+        onChange={(e) => onJumpToNode(e.target.value)}
+        className={MinimapStyles.minimapSelectBaseStyle + " " + (isLightMode ? MinimapStyles.minimapSelectLightStyle : MinimapStyles.minimapSelectDarkStyle)}
+        aria-label="Jump to a card"
+      >
+        <option value="" disabled>Jump to…</option>
+        {sortedNodes.map(node => (
+          <option key={node.id} value={node.id}>{getItemTitle(node.data)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default Minimap;
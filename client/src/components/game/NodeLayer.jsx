@@ -1,47 +1,127 @@
-import React from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { Box } from '@mui/material';
 import DraggableNode from './DraggableNode';
+import { getStartNodeId } from '../../utils/gameUtils';
+import { getBoardTraversalOrder, describeBoardNode, isRectInView } from '../../utils/boardUtils';
+import { BOARD_RENDERING } from '../../utils/constants';
 
-const NodeLayer = React.memo(({ 
-  nodes, 
-  nodePositions, 
-  updateNodePosition, 
-  boardSize, 
+const NodeLayer = React.memo(({
+  nodes,
+  connections,
+  nodePositions,
+  updateNodePosition,
+  recordNodeMove,
+  onFocusNode,
+  livePositions,
+  boardSize,
+  viewport,
+  nodeSize,
   startActors,
-  zoomLevel
+  zoomLevel,
+  isReadOnly = false,
+  pathHighlight = null
 }) => {
+  // The card with keyboard focus stays rendered when it's moved or panned off screen
+  const [focusedNodeId, setFocusedNodeId] = useState(null);
+
+  const startNodeIds = useMemo(() => startActors.filter(Boolean).map(getStartNodeId), [startActors]);
+
+  // Keyboard users Tab along the connections, starting from the starting actors
+  const traversalOrder = useMemo(
+    () => getBoardTraversalOrder(nodes, connections, startNodeIds),
+    [nodes, connections, startNodeIds]
+  );
+  const connectionCounts = useMemo(() => {
+    const counts = {};
+    connections.forEach(({ source, target }) => {
+      counts[source] = (counts[source] || 0) + 1;
+      counts[target] = (counts[target] || 0) + 1;
+    });
+    return counts;
+  }, [connections]);
+
+  // Handlers the nodes call, passed down as stable functions so the nodes' memo holds
+  const handlersRef = useRef({ updateNodePosition, recordNodeMove, onFocusNode, traversalOrder });
+  useEffect(() => {
+    handlersRef.current = { updateNodePosition, recordNodeMove, onFocusNode, traversalOrder };
+  });
+
+  const updatePosition = useCallback((nodeId, position) => {
+    handlersRef.current.updateNodePosition(nodeId, position);
+  }, []);
+
+  const handleDragEnd = useCallback((nodeId, from, to) => {
+    handlersRef.current.recordNodeMove?.(nodeId, from, to);
+  }, []);
+
+  /**
+   * Move focus to the next or previous node in the traversal order
+   * @returns {boolean} - False at either end of the order
+   */
+  const focusNextNode = useCallback((nodeId, step) => {
+    const { traversalOrder: order, onFocusNode: focusNode } = handlersRef.current;
+    const nextNodeId = order[order.indexOf(nodeId) + step];
+    if (!nextNodeId || !focusNode) return false;
+    focusNode(nextNodeId);
+    return true;
+  }, []);
+
+  // Only cards on or near the screen are rendered
+  const visibleNodes = nodes.filter(node => {
+    const position = nodePositions[node.id] || { x: 0, y: 0 };
+    return node.id === focusedNodeId ||
+      isRectInView({ ...position, ...nodeSize }, viewport, BOARD_RENDERING.CULLING_MARGIN);
+  });
+
   return (
-    <Box>
-      {nodes.map(node => {
+    <Box
+      onFocus={(e) => setFocusedNodeId(e.target.id || null)}
+      onBlur={() => setFocusedNodeId(null)}
+    >
+      {visibleNodes.map(node => {
         // Check if this node is one of the starting actors
-        const isStartActor = startActors.some(actor => 
-          `person-${actor.id}` === node.id
-        );
-        
+        const isStartActor = startNodeIds.includes(node.id);
+
         return (
           <DraggableNode
             key={node.id}
             node={node}
             position={nodePositions[node.id] || { x: 0, y: 0 }}
-            updatePosition={(position) => updateNodePosition(node.id, position)}
+            updatePosition={updatePosition}
+            onDragEnd={handleDragEnd}
+            onTraverse={focusNextNode}
+            livePositions={livePositions}
+            ariaLabel={describeBoardNode(node, connectionCounts[node.id] || 0, isStartActor)}
             boardWidth={boardSize.width}
             boardHeight={boardSize.height}
             isStartActor={isStartActor}
+            highlight={pathHighlight ? (pathHighlight.nodeIds.has(node.id) ? 'path' : 'dimmed') : null}
             zoomLevel={zoomLevel} /* zoom level */
+            isReadOnly={isReadOnly}
           />
         );
       })}    </Box>
   );
 }, (prevProps, nextProps) => {
-  // Custom comparison for NodeLayer
+  // Custom comparison for NodeLayer; positions are replaced, never changed in place, so
+  // comparing the maps themselves is enough
   return (
     prevProps.nodes.length === nextProps.nodes.length &&
+    prevProps.connections.length === nextProps.connections.length &&
     prevProps.zoomLevel === nextProps.zoomLevel &&
+    prevProps.isReadOnly === nextProps.isReadOnly &&
+    prevProps.pathHighlight === nextProps.pathHighlight &&
     prevProps.boardSize.width === nextProps.boardSize.width &&
     prevProps.boardSize.height === nextProps.boardSize.height &&
-    JSON.stringify(prevProps.nodePositions) === JSON.stringify(nextProps.nodePositions) &&
+    prevProps.viewport.x === nextProps.viewport.x &&
+    prevProps.viewport.y === nextProps.viewport.y &&
+    prevProps.viewport.width === nextProps.viewport.width &&
+    prevProps.viewport.height === nextProps.viewport.height &&
+    prevProps.nodeSize.width === nextProps.nodeSize.width &&
+    prevProps.nodeSize.height === nextProps.nodeSize.height &&
+    prevProps.nodePositions === nextProps.nodePositions &&
     JSON.stringify(prevProps.startActors) === JSON.stringify(nextProps.startActors)
   );
 });
 
-export default NodeLayer;
\ No newline at end of file
+export default NodeLayer;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Box, Typography, Button, Paper } from '@mui/material';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import * as RaceStyles from '../../styles/RaceStyle.js';
+
+/**
+ * RaceResults component - Compares both players' boards at the end of a race
+ * Shown instead of the victory modal; the opponent's column keeps updating until they finish
+ */
+function RaceResults() {
+  const { race, racePlayer, resetGame, setKeepPlayingAfterWin } = useGameContext();
+  const { isLightMode } = useTheme();
+
+  if (!race || !racePlayer) return null;
+
+  const overlayStyle = isLightMode ? "bg-[rgba(255,255,255,0.7)]" : "bg-black/70";
+  const paperStyle = isLightMode
+    ? "bg-white text-gray-800 border border-blue-200"
+    : "!bg-slate-800 text-gray-100 border border-yellow-500/30";
+  const titleStyle = isLightMode ? "text-blue-700" : "text-yellow-400";
+  const cardStyle = RaceStyles.raceResultsCardBaseStyle + " " + (isLightMode ? RaceStyles.raceResultsCardLightStyle : RaceStyles.raceResultsCardDarkStyle);
+
+  const didWin = race.winnerId === racePlayer.id;
+  const players = [...race.players].sort((a, b) => (a.id === racePlayer.id ? -1 : b.id === racePlayer.id ? 1 : 0));
+
+  const describeStatus = (player) => {
+    if (player.finishedAt) return `Finished in ${player.raceSeconds}s`;
+    if (player.left) return 'Left the race';
+    return 'Still playing...';
+  };
+
+  return (
+    <Box className={`absolute inset-0 flex items-center justify-center z-[200] transition-colors duration-300 ${overlayStyle}`}>
+      <Paper
+        elevation={8}
+        className={`p-6 sm:p-8 rounded-2xl max-w-2xl w-[95%] mx-auto shadow-2xl border-2 transition-colors duration-300 ${paperStyle}`}
+      >
+        <div className="flex flex-col items-center mb-4">
+          <span className="text-4xl mb-2">{didWin ? '🏆' : '🏁'}</span>
+          <Typography variant="h4" className={`text-center font-extrabold tracking-wide ${titleStyle}`}>
+            {didWin ? 'You won the race!' : 'Race over'}
+          </Typography>
+        </div>
+
+        <div className={RaceStyles.raceResultsGridStyle}>
+          {players.map(player => (
+            <div
+              key={player.id}
+              className={cardStyle + (race.winnerId === player.id ? " " + RaceStyles.raceResultsWinnerStyle : "")}
+            >
+              <div className="font-semibold text-base mb-1">
+                {player.name}{player.id === racePlayer.id ? ' (you)' : ''}
+                {race.winnerId === player.id ? ' 🏆' : ''}
+              </div>
+              <div>{describeStatus(player)}</div>
+              <div>Added: {player.nodeCount}</div>
+              <div>Path length: {player.pathLength ?? '-'}</div>
+              <div>Score: {player.score ?? '-'}</div>
+              {player.path && (
+                <div className="mt-2 text-[11px] opacity-80">
+                  {player.path.map(step => step.name).join(' → ')}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <Box className="flex gap-4 justify-center mt-6">
+          <Button
+            variant={isLightMode ? "contained" : "outlined"}
+            color="primary"
+            onClick={resetGame}
+            className="px-6 py-2 font-bold rounded-lg shadow"
+            style={isLightMode ? {} : { borderColor: "#ffd700" }}
+          >
+            New Game
+          </Button>
+          <Button
+            variant={isLightMode ? "outlined" : "contained"}
+            color="secondary"
+            onClick={() => setKeepPlayingAfterWin(true)}
+            className="px-6 py-2 font-bold rounded-lg shadow"
+            style={isLightMode ? {} : { borderColor: "#ffd700" }}
+          >
+            View Board
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+}
+
+export default RaceResults;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import * as RaceStyles from '../../styles/RaceStyle.js';
+
+/**
+ * RaceStatusBar component - Shows the opponent's live progress during a race
+ */
+const RaceStatusBar = () => {
+  const { race, racePlayer, gameStarted } = useGameContext();
+  const { isLightMode } = useTheme();
+
+  if (!gameStarted || !race || !racePlayer || race.status === 'waiting') return null;
+
+  const opponent = race.players.find(player => player.id !== racePlayer.id);
+  if (!opponent) return null;
+
+  let status;
+  if (opponent.left) {
+    status = 'left the race';
+  } else if (opponent.finishedAt) {
+    status = `finished in ${opponent.raceSeconds}s` + (race.winnerId === opponent.id ? ' 🏆' : '');
+  } else {
+    status = `${opponent.nodeCount} added · path ${opponent.pathLength ?? '-'}`;
+  }
+
+  return (
+    <div
+      className={RaceStyles.raceStatusBaseStyle + " " + (isLightMode ? RaceStyles.raceStatusLightStyle : RaceStyles.raceStatusDarkStyle)}
+      role="status"
+      aria-live="polite"
+    >
+      🏁 <span className="font-semibold">{opponent.name}</span>: {status}
+    </div>
+  );
+};
+
+export default RaceStatusBar;
@@ -0,0 +1,138 @@
+/**
+ * ReplayViewer Component
+ *
+ * Plays back a recorded game on a read-only GameBoard, with play/pause, a scrubber
+ * and a playback speed. The caption shows the last thing the player did.
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import CloseIcon from '@mui/icons-material/Close';
+import GameBoard from './GameBoard';
+import { useTheme } from '../../contexts/ThemeContext';
+import { fetchReplay } from '../../services/firebaseService';
+import { buildReplayFrame, describeReplayEvent, formatReplayTime } from '../../utils/replayUtils';
+import { logger } from '../../utils/loggerUtils';
+import * as ReplayStyles from '../../styles/ReplayStyle.js';
+
+// How often the playback clock advances (ms)
+const PLAYBACK_TICK = 100;
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+
+const ReplayViewer = ({ replayId, title, onClose }) => {
+  const { isLightMode } = useTheme();
+  const [replay, setReplay] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [time, setTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(2);
+
+  // Load the replay when the viewer opens
+  useEffect(() => {
+    let cancelled = false;
+    fetchReplay(replayId)
+      .then(data => {
+        if (cancelled) return;
+        // The database drops empty arrays
+        setReplay({ ...data, start: data.start || [], events: data.events || [] });
+        setIsPlaying(true);
+      })
+      .catch(error => {
+        logger.error('❌ Failed to load replay:', error);
+        if (!cancelled) setLoadError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [replayId]);
+
+  const duration = replay?.duration || 0;
+
+  // Advance the playback clock, stopping at the end
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      setTime(prev => {
+        const next = Math.min(prev + PLAYBACK_TICK * speed, duration);
+        if (next >= duration) setIsPlaying(false);
+        return next;
+      });
+    }, PLAYBACK_TICK);
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, duration]);
+
+  const frame = useMemo(() => {
+    if (!replay) return null;
+    const { nodes, connections, nodePositions, eventIndex } = buildReplayFrame(replay, time);
+    return {
+      nodes,
+      connections,
+      nodePositions,
+      // Starting titles need their media type to be recognized as starting nodes
+      startActors: replay.start.map(({ node }) => (node.type === 'person' ? node.data : { ...node.data, media_type: node.type })),
+      caption: describeReplayEvent(replay.events[eventIndex], replay)
+    };
+  }, [replay, time]);
+
+  const handlePlayPause = () => {
+    // Playing from the end starts over
+    if (!isPlaying && time >= duration) {
+      setTime(0);
+    }
+    setIsPlaying(prev => !prev);
+  };
+
+  const buttonStyle = ReplayStyles.replayButtonBaseStyle + " " + (isLightMode ? ReplayStyles.replayButtonLightStyle : ReplayStyles.replayButtonDarkStyle);
+
+  return (
+    <div className={ReplayStyles.replayOverlayStyle + " " + (isLightMode ? ReplayStyles.replayOverlayLightStyle : ReplayStyles.replayOverlayDarkStyle)}>
+      <div className={ReplayStyles.replayHeaderBaseStyle + " " + (isLightMode ? ReplayStyles.replayHeaderLightStyle : ReplayStyles.replayHeaderDarkStyle)}>
+        <span className={ReplayStyles.replayTitleStyle}>▶ Replay: {title}</span>
+        <button type="button" onClick={onClose} aria-label="Close replay">
+          <CloseIcon />
+        </button>
+      </div>
+
+      {frame ? (
+        <div className={ReplayStyles.replayBoardStyle}>
+          <GameBoard readOnlyFrame={frame} />
+        </div>
+      ) : (
+        <div className={ReplayStyles.replayMessageStyle}>
+          {loadError ? `Could not load this replay: ${loadError}` : 'Loading replay...'}
+        </div>
+      )}
+
+      <div className={ReplayStyles.replayControlsBaseStyle + " " + (isLightMode ? ReplayStyles.replayControlsLightStyle : ReplayStyles.replayControlsDarkStyle)}>
+        <button type="button" className={buttonStyle} disabled={!replay} onClick={handlePlayPause}>
+          {isPlaying ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <input
+          type="range"
+          className={ReplayStyles.replayScrubberStyle}
+          min={0}
+          max={duration}
+          step={PLAYBACK_TICK}
+          value={time}
+          disabled={!replay}
+          onChange={(event) => setTime(Number(event.target.value))}
+          aria-label="Replay position"
+        />
+        <span className={ReplayStyles.replayTimeStyle}>
+          {formatReplayTime(time)} / {formatReplayTime(duration)}
+        </span>
+        <select
+          className={ReplayStyles.replaySelectBaseStyle + " " + (isLightMode ? ReplayStyles.replaySelectLightStyle : ReplayStyles.replaySelectDarkStyle)}
+          value={speed}
+          onChange={(event) => setSpeed(Number(event.target.value))}
+          aria-label="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map(option => (
+            <option key={option} value={option}>{option}×</option>
+          ))}
+        </select>
+        {frame && <span className={ReplayStyles.replayCaptionStyle}>{frame.caption}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
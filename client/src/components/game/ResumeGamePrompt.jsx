@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { useGameContext } from '../../contexts/gameContext';
+import { useTheme } from '../../contexts/ThemeContext';
+import * as ResumeStyles from '../../styles/ResumeGameStyle.js';
+
+/**
+ * ResumeGamePrompt component - Offers to pick up an unfinished game
+ * The game clock kept running while the game was saved, so the elapsed time is shown up front
+ */
+const ResumeGamePrompt = () => {
+  const { savedGame, resumeSavedGame, discardSavedGame, isLoading } = useGameContext();
+  const { isLightMode } = useTheme();
+  const [resumeFailed, setResumeFailed] = useState(false);
+
+  if (!savedGame) return null;
+
+  const actorNames = savedGame.startActorNames;
+  const addedCount = Math.max(0, savedGame.nodes.length - savedGame.startActorIds.length);
+  const elapsedMinutes = Math.floor((Date.now() - savedGame.gameStartTime) / 60000);
+  const challengeTitle = savedGame.challengeMode?.title;
+
+  const handleResume = async () => {
+    setResumeFailed(false);
+    const resumed = await resumeSavedGame();
+    setResumeFailed(!resumed);
+  };
+
+  return (
+    <div className={ResumeStyles.resumeContainerBaseStyle + " " + (isLightMode ? ResumeStyles.resumeContainerLightStyle : ResumeStyles.resumeContainerDarkStyle)}>
+      <p className={ResumeStyles.resumeTextStyle}>
+        <span className="font-semibold">Unfinished game: </span>
+        {actorNames.length >= 2 ? `${actorNames.slice(0, -1).join(', ')} & ${actorNames[actorNames.length - 1]}` : 'two actors'}
+        {challengeTitle ? ` (${challengeTitle})` : ''}
+        {` - ${addedCount} added, started ${elapsedMinutes} min ago. Starting a new game replaces it.`}
+        {resumeFailed && (
+          <span className={ResumeStyles.resumeErrorStyle}>Couldn&apos;t load this game. Try again or discard it.</span>
+        )}
+      </p>
+      <div className={ResumeStyles.resumeButtonGroupStyle}>
+        <button
+          type="button"
+          onClick={handleResume}
+          disabled={isLoading}
+          className={ResumeStyles.resumeButtonBaseStyle + " " + (isLightMode ? ResumeStyles.resumeButtonLightStyle : ResumeStyles.resumeButtonDarkStyle)}
+        >
+          ▶ Resume game
+        </button>
+        <button
+          type="button"
+          onClick={discardSavedGame}
+          disabled={isLoading}
+          className={ResumeStyles.resumeButtonBaseStyle + " " + (isLightMode ? ResumeStyles.discardButtonLightStyle : ResumeStyles.discardButtonDarkStyle)}
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResumeGamePrompt;
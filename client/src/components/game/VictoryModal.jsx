@@ -3,12 +3,20 @@ import React from 'react';
 import { Box, Typography, Button, Paper } from '@mui/material';
 import { useGameContext } from '../../contexts/gameContext';
 import { useTheme } from '../../contexts/ThemeContext';
+import { usePathReveal } from '../../hooks/usePathReveal';
+import { getStartNodeId } from '../../utils/gameUtils';
+import { getItemTitle } from '../../utils/entityUtils';
+import { getImageUrl } from '../../utils/tmdbUtils';
 
 function VictoryModal() { 
   // Get necessary functions from context
-  const { resetGame, setKeepPlayingAfterWin } = useGameContext();
+  const { resetGame, setKeepPlayingAfterWin, shortestPathLength, optimalPath, isOptimalPathLoading, currentGameScore, scoreDetails, winningPath, nodes, startActors } = useGameContext();
   const { isLightMode } = useTheme();
 
+  // Same walk as the board's, so the modal opens once the route has been traced there
+  const firstStartActor = startActors.find(Boolean);
+  const { order, isComplete } = usePathReveal(winningPath, firstStartActor ? getStartNodeId(firstStartActor) : null, true);
+
   // styles for dark and light modes
   const overlayStyle = isLightMode
     ? "bg-[rgba(255,255,255,0.7)]"
@@ -23,6 +31,28 @@ function VictoryModal() {
   const dividerStyle = isLightMode
     ? "border-t border-blue-200 my-4"
     : "border-t border-yellow-700 my-4";
+  const parStyle = isLightMode ? "text-gray-600" : "text-gray-300";
+  const breakdownStyle = isLightMode
+    ? "bg-blue-50 border border-blue-100"
+    : "bg-slate-900/60 border border-yellow-700/40";
+  const timelineImageStyle = isLightMode
+    ? "border-blue-300"
+    : "border-yellow-500/60";
+
+  if (winningPath && !isComplete) return null;
+
+  // The route in walking order, as cards for the timeline
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const pathNodes = order.map(nodeId => nodesById.get(nodeId)).filter(Boolean);
+
+  // Par text from the server-side solver
+  let parText = "Par unavailable";
+  if (isOptimalPathLoading) {
+    parText = "Calculating par...";
+  } else if (optimalPath?.found) {
+    const difference = shortestPathLength - optimalPath.pathLength;
+    parText = `Par: ${optimalPath.pathLength}` + (difference > 0 ? ` (+${difference})` : " (on par!)");
+  }
 
   return (
     <Box className={`absolute inset-0 flex items-center justify-center z-[200] transition-colors duration-300 ${overlayStyle}`}>
@@ -45,6 +75,52 @@ function VictoryModal() {
           >
             You've successfully connected the stars!
           </Typography>
+          {pathNodes.length > 0 && (
+            <ol className="flex flex-wrap items-start justify-center gap-1 mt-4" aria-label="Your winning route">
+              {pathNodes.map((node, index) => (
+                <li
+                  key={node.id}
+                  className="flex items-start gap-1 animate-[pathStepAppear_0.3s_ease-out_both] motion-reduce:animate-none"
+                  style={{ animationDelay: `${index * 80}ms` }}
+                >
+                  {index > 0 && !winningPath.isTree && <span className={`mt-6 text-sm ${parStyle}`} aria-hidden="true">→</span>}
+                  <div className="flex flex-col items-center w-14">
+                    <img
+                      src={getImageUrl(node.data.profile_path || node.data.poster_path, node.type === 'person' ? 'profile' : 'poster')}
+                      alt=""
+                      className={`w-12 h-[72px] object-cover rounded border ${timelineImageStyle}`}
+                    />
+                    <span className={`text-[10px] leading-tight mt-1 line-clamp-2 ${parStyle}`}>{getItemTitle(node.data)}</span>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+          <Typography className={`text-sm mt-2 ${parStyle}`}>
+            Your path: {shortestPathLength ?? '-'} · {parText}
+          </Typography>
+          {optimalPath?.found && (
+            <Typography className={`text-xs mt-1 ${parStyle}`}>
+              Optimal route: {optimalPath.pathDetails.map(entity => entity.name || entity.id).join(' → ')}
+            </Typography>
+          )}
+          {scoreDetails?.breakdown && (
+            <Box className={`mt-4 rounded-lg px-3 py-2 text-left ${breakdownStyle}`}>
+              {scoreDetails.breakdown.map((line, index) => (
+                <div key={index} className={`flex justify-between gap-4 text-xs ${parStyle}`}>
+                  <span>{line.label} <span className="opacity-70">({line.detail})</span></span>
+                  <span className="font-mono">{index === 0 || line.delta < 0 ? line.delta : `+${line.delta}`}</span>
+                </div>
+              ))}
+              <div className="flex justify-between gap-4 text-sm font-semibold mt-1 pt-1 border-t border-current/20">
+                <span>Score</span>
+                <span className="font-mono">{currentGameScore}</span>
+              </div>
+              <Typography className={`text-[10px] mt-1 text-right opacity-60 ${parStyle}`}>
+                Formula {scoreDetails.scoringVersion}
+              </Typography>
+            </Box>
+          )}
         </div>
         <div className={dividerStyle}></div>
         <Box className="flex gap-4 justify-center">
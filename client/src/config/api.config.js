@@ -56,6 +56,12 @@ const config = {
       movie: '/api/tmdb/movie',       // Maps to server/app/api/tmdb/movie/[...path]/route.js
       tv: '/api/tmdb/tv-show',        // Maps to existing server/app/api/tmdb/tv-show/[...path]/route.js
       search: '/api/tmdb/search',     // Maps to server/app/api/tmdb/search/[...path]/route.js
+      optimalPath: '/api/tmdb/optimal-path', // Maps to server/app/api/tmdb/optimal-path/route.js
+      daily: '/api/tmdb/daily',       // Maps to server/app/api/tmdb/daily/route.js
+      episodeCast: '/api/tmdb/episode-cast', // Maps to server/app/api/tmdb/episode-cast/route.js
+      randomPair: '/api/tmdb/random-pair', // Maps to server/app/api/tmdb/random-pair/route.js
+      race: '/api/race',              // Maps to server/app/api/race/route.js and race/[code]/...
+      image: '/api/tmdb/image',       // Maps to server/app/api/tmdb/image/route.js
       images: '/api/tmdb'             // For image-related endpoints
     }
   },
@@ -17,11 +17,27 @@ import { GameContext } from './gameContext';
 import { useGame } from '../hooks/useGame';
 import { useBoard } from '../hooks/useBoard';
 import { useSearch } from '../hooks/useSearch';
+import { useRace } from '../hooks/useRace';
 import { generateCheatSheet, clearCheatSheetCacheForNewGame } from '../utils/cheatSheetCache';
 import { fetchRandomUniqueActor, clearConnectionCache } from '../utils/boardUtils';
-import { getPersonDetails, getMovieDetails, getTvShowDetails, fetchRandomPerson } from '../services/tmdbService';
+import { getPersonDetails, getMovieDetails, getTvShowDetails, fetchRandomPerson, fetchRandomTitle } from '../services/tmdbService';
 import { loadChallengeBlacklists } from '../services/challengeBlacklistService';
 import { logger } from '../utils/loggerUtils';
+import { findHintTarget, getHintText, isHintTargetAvailable } from '../utils/hintUtils';
+import { actorTreeManager } from '../utils/actorTreeUtils';
+import { replayRecorder } from '../utils/replayUtils';
+import { RACE_CHALLENGE, isReverseChallenge, includesCrewCredits, getParChallengeId } from '../utils/challengeUtils';
+import { getItemTitle } from '../utils/entityUtils';
+import { HINT_LEVELS, SAVED_GAME_DELAY } from '../utils/constants';
+import { saveInProgressGame, fetchInProgressGame, clearInProgressGame } from '../services/firebaseService';
+import {
+  createGameSnapshot,
+  pickLatestSnapshot,
+  saveLocalGame,
+  loadLocalGame,
+  clearLocalGame,
+  loadSnapshotDetails
+} from '../utils/gameSaveUtils';
 
 /**
  * Main Game Provider component that wraps the application
@@ -34,18 +50,24 @@ export const GameProvider = ({ children }) => {
   // Use custom hooks for different aspects of the game
   const gameState = useGame();
   const boardState = useBoard();
-  const searchState = useSearch();  // Local state for UI and game interactions
+  const searchState = useSearch();
+  const raceState = useRace();  // Local state for UI and game interactions
   const [showAllSearchable, setShowAllSearchable] = useState(false);
   const [cheatSheetResults, setCheatSheetResults] = useState([]);
   // Node selection for connections panel
   const [selectedNode, setSelectedNode] = useState(null);
   // Challenge and screen navigation state
-  const [currentScreen, setCurrentScreen] = useState('challenges'); // 'start', 'challenges', 'actor-selection', 'game'
+  // Invite links (?race=CODE) open straight into the race lobby
+  const [currentScreen, setCurrentScreen] = useState(() =>
+    new URLSearchParams(window.location.search).has('race') ? 'race-lobby' : 'challenges'
+  ); // 'start', 'challenges', 'actor-selection', 'race-lobby', 'challenge-editor', 'explore', 'game'
   const [challengeMode, setChallengeMode] = useState(null);
   // Leaderboard state
   const [showLeaderboard, setShowLeaderboard] = useState(false);
   // User authentication state
   const [currentUser, setCurrentUser] = useState(null);
+  // Unfinished game that can be resumed from the challenge or actor selection screen
+  const [savedGame, setSavedGame] = useState(() => loadLocalGame());
 
   // Initialize user from localStorage on component mount
   useEffect(() => {
@@ -77,7 +99,7 @@ export const GameProvider = ({ children }) => {
   const {
     isLoading, setIsLoading,
     gameStarted, setGameStarted,
-    startActors, setStartActors,
+    startActors, setStartActors, setStartActorCount,
     gameCompleted, setGameCompleted,
     keepPlayingAfterWin, setKeepPlayingAfterWin, setStartActorsError,
     actorSearchResults, setActorSearchResults,
@@ -87,18 +109,36 @@ export const GameProvider = ({ children }) => {
     setActorSearch,
     gameStartTime,
     shortestPathLength,
+    optimalPath,
+    isOptimalPathLoading,
+    hintsUsed,
+    currentHint,
+    hintTarget,
+    getGameSessionId,
+    getSessionPar,
   } = gameState;
   const {
     nodes, setNodes,
     connections, setConnections,
     nodePositions, setNodePositions,
     updateNodePosition: updateNodePositionFromBoard,
+    moveNodes,
+    pinnedNodeIds,
     checkItemConnectability,
     checkInitialConnectability,
     addToBoard: addToBoardFn,
     checkGameCompletion,
     initializeActorTrees,
-    resetActorTrees
+    restoreBoard,
+    resetActorTrees,
+    removeFromBoard,
+    recordNodeMove,
+    recordLayout,
+    unpinAllNodes,
+    undo,
+    redo,
+    canUndo,
+    canRedo
   } = boardState;
 
   const {
@@ -113,6 +153,9 @@ export const GameProvider = ({ children }) => {
     searchStartActors: searchStartActorsFn
   } = searchState;
 
+  const { race, racePlayer, reportRaceProgress, finishRace, leaveRace } = raceState;
+  const isRacing = challengeMode?.id === RACE_CHALLENGE.id;
+
   
   /**
    * Wrapper function to update node positions on the board
@@ -139,6 +182,7 @@ export const GameProvider = ({ children }) => {
         filtertype: challengeMode?.type || 'classic',
         excludeProductionCompanies: challengeMode?.remove || [],
         challengeName: challengeMode?.id || null, // Pass the challenge name for blacklist filtering
+        includeCrew: includesCrewCredits(challengeMode)
       });
 
       setCheatSheetResults(cheatSheetEntities); // Load cheat sheet results into and cashe them for search
@@ -162,7 +206,7 @@ export const GameProvider = ({ children }) => {
    * Fetches a random actor for a starting position
    * Makes multiple attempts if needed to avoid duplicates
    * 
-   * @param {number} actorIndex - Index (0 or 1) of the actor position to fill
+   * @param {number} actorIndex - Index of the actor position to fill
    */
   const randomizeActors = async (actorIndex) => {
     logger.debug(`🎲 Randomizing actor for position ${actorIndex}`);
@@ -170,13 +214,14 @@ export const GameProvider = ({ children }) => {
     setStartActorsError(null);
 
     try {
-      const randomActor = await fetchRandomUniqueActor(actorIndex, startActors, fetchRandomPerson);
+      const fetchRandomEntity = isReverseChallenge(challengeMode) ? fetchRandomTitle : fetchRandomPerson;
+      const randomActor = await fetchRandomUniqueActor(actorIndex, startActors, fetchRandomEntity);
 
       if (randomActor) {
         const newStartActors = [...startActors];
         newStartActors[actorIndex] = randomActor;
         setStartActors(newStartActors);
-        logger.info(`✅ Random actor selected: ${randomActor.name}`);
+        logger.info(`✅ Random start selected: ${getItemTitle(randomActor)}`);
       } else {
         const errorMsg = "Failed to find a unique actor after multiple attempts";
         setStartActorsError(errorMsg);
@@ -194,13 +239,13 @@ export const GameProvider = ({ children }) => {
    * Initializes the board with starting nodes and actor trees
    */
   const startGame = async () => {
-    logger.info('🚀 Starting game with actors:', startActors.map(a => a.name).join(' & '));
+    logger.info('🚀 Starting game with actors:', startActors.map(getItemTitle).join(' & '));
     setIsLoading(true);
     try {
       // Initialize the actor trees first
       initializeActorTrees(startActors);
       
-      await gameState.startGame(setNodes, setNodePositions);
+      await gameState.startGame(setNodes, setNodePositions, challengeMode?.id || null, currentUser, challengeMode?.dailyDate || null, getParChallengeId(challengeMode));
       setGameStarted(true);
       logger.info('✅ Game started successfully');
     } catch (error) {
@@ -210,11 +255,114 @@ export const GameProvider = ({ children }) => {
       setIsLoading(false);
     }
   };  /**
+   * Builds a snapshot of the game in progress
+   * @returns {Object} Snapshot for localStorage and the server
+   */
+  const buildGameSnapshot = useCallback(() => ({
+    ...createGameSnapshot({
+      challengeMode,
+      startActors,
+      nodes,
+      connections,
+      nodePositions,
+      gameStartTime,
+      sessionId: getGameSessionId(),
+      sessionOptimalPathLength: getSessionPar(),
+      optimalPath,
+      hintsUsed,
+      currentHint,
+      hintTarget,
+      replay: replayRecorder.getReplay()
+    }),
+    userId: currentUser?.userId || null
+  }), [challengeMode, startActors, nodes, connections, nodePositions, gameStartTime, getGameSessionId, getSessionPar, optimalPath, hintsUsed, currentHint, hintTarget, currentUser]);
+
+  /**
+   * Saves the game in progress locally and, for logged-in users, on the server
+   * @param {Object} snapshot - Snapshot from buildGameSnapshot
+   */
+  const storeGameSnapshot = useCallback((snapshot) => {
+    saveLocalGame(snapshot);
+    if (currentUser?.userId) {
+      saveInProgressGame(currentUser.userId, snapshot)
+        .catch(error => logger.warn('⚠️ Could not save game to the server:', error));
+    }
+  }, [currentUser]);
+
+  /**
+   * Resumes the saved game
+   * Refetches every node's details, then rebuilds the board graph and game state;
+   * the cheat sheet effects below rebuild the connectable items once the game is running.
+   * @returns {Promise<boolean>} True if the game was resumed
+   */
+  const resumeSavedGame = async () => {
+    if (!savedGame) return false;
+
+    logger.info('💾 Resuming saved game:', savedGame.startActorNames.join(' & '));
+    setIsLoading(true);
+    try {
+      const details = await loadSnapshotDetails(savedGame);
+
+      // A session belongs to the user who started it
+      const isOwnSession = savedGame.userId === (currentUser?.userId || null);
+      const snapshot = {
+        ...savedGame,
+        sessionId: isOwnSession ? savedGame.sessionId : null,
+        sessionOptimalPathLength: isOwnSession ? savedGame.sessionOptimalPathLength : null
+      };
+
+      clearCheatSheetCacheForNewGame();
+      clearConnectionCache();
+      setCheatSheetResults([]);
+      searchState.resetSearch();
+      setSelectedNode(null);
+      setChallengeMode(snapshot.challengeMode);
+
+      const connectionResult = restoreBoard(details.startActors, details.nodes, details.connections);
+      gameState.resumeGame(snapshot, details.startActors);
+      gameState.setShortestPathLength(connectionResult ? connectionResult.pathLength : null);
+
+      setSavedGame(null);
+      logger.info('✅ Saved game resumed');
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to resume saved game:', error);
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Deletes the saved game locally and on the server
+   */
+  const discardSavedGame = useCallback(() => {
+    clearLocalGame();
+    setSavedGame(null);
+    if (currentUser?.userId) {
+      clearInProgressGame(currentUser.userId)
+        .catch(error => logger.warn('⚠️ Could not clear saved game on the server:', error));
+    }
+  }, [currentUser]);
+
+  /**
    * Resets the game to initial state
    * Clears board, connections, search results, and actor trees
    */
   const resetGame = () => {
     logger.info('🔄 Resetting game');
+
+    // Leaving a race (or its lobby) forfeits it
+    if (racePlayer) {
+      leaveRace();
+    }
+
+    // Leaving an unfinished game keeps it available to resume (races only exist while both players are in)
+    if (gameStarted && !gameCompleted && nodes.length >= 2 && !isRacing) {
+      const snapshot = buildGameSnapshot();
+      storeGameSnapshot(snapshot);
+      setSavedGame(snapshot);
+    }
     gameState.resetGame(
       setNodes,
       setNodePositions,
@@ -247,7 +395,7 @@ export const GameProvider = ({ children }) => {
    * This ensures the function is called with the correct state setters
    * 
    * @param {string} query - Search query for actors
-   * @param {number} actorIndex - Index of the actor position to fill (0 or 1)
+   * @param {number} actorIndex - Index of the actor position to fill
    * @param {number} page - Page number for pagination
    */
   const searchStartActorsWrapper = (query, actorIndex, page) => {
@@ -258,7 +406,8 @@ export const GameProvider = ({ children }) => {
       setActorSearchResults,
       setActorSearchPages,
       setActorSearchTotalPages,
-      setIsLoading
+      setIsLoading,
+      isReverseChallenge(challengeMode)
     );
   };  /**
    * Generic function to add any entity to the board
@@ -268,7 +417,7 @@ export const GameProvider = ({ children }) => {
     const entityName = entity.name || entity.title || 'Unknown';
     logger.info(`➕ Adding to board: ${entityName} (${entity.media_type})`);
 
-    const result = await addToBoardFn(entity, exactMatch, connectableItems, setIsLoading, startActors, gameCompleted, gameState.setShortestPathLength, gameState.completeGame, gameStartTime, setGameCompleted, currentUser, challengeMode);
+    const result = await addToBoardFn(entity, exactMatch, connectableItems, setIsLoading, startActors, gameCompleted, gameState.setShortestPathLength, gameState.completeGame, gameStartTime, setGameCompleted, currentUser, challengeMode, gameState.getScoringPar(), gameState.hintsUsed);
 
     // Remove from regular search results
     setSearchResults(prev =>
@@ -298,6 +447,90 @@ export const GameProvider = ({ children }) => {
     return result;
   };
 
+  /**
+   * Syncs the path length and win state after the board graph changed
+   * outside of addToBoard (undo, redo, node removal)
+   * @param {Object|null} connectionResult - Current shortest connection between the starting actors
+   */
+  const syncBoardConnection = (connectionResult) => {
+    gameState.setShortestPathLength(connectionResult ? connectionResult.pathLength : null);
+
+    if (connectionResult && !gameCompleted) {
+      checkGameCompletion(
+        startActors,
+        keepPlayingAfterWin,
+        gameState.completeGame,
+        gameStartTime,
+        gameState.setShortestPathLength,
+        currentUser,
+        challengeMode,
+        gameState.getScoringPar(),
+        gameState.hintsUsed
+      );
+    }
+  };
+
+  /**
+   * Reveals the next hint level for the current board
+   * Keeps pointing at the same title while it can still be added, so the levels build on each other
+   */
+  const requestHint = () => {
+    if (!gameStarted || gameCompleted || gameState.hintsUsed >= HINT_LEVELS) return;
+
+    let target = gameState.hintTarget;
+    if (!isHintTargetAvailable(target, cheatSheetResults)) {
+      target = findHintTarget({ nodes, cheatSheetEntities: cheatSheetResults, startActors, optimalPath });
+    }
+
+    // Nothing to point at: tell the player without charging for a hint
+    if (!target) {
+      gameState.setCurrentHint({ level: gameState.hintsUsed, text: 'No hint available yet - try adding something to the board first.' });
+      return;
+    }
+
+    gameState.recordHint(target, getHintText(gameState.hintsUsed + 1, target, startActors));
+  };
+
+  /**
+   * Removes a node from the board and closes its connections panel
+   * @param {string} nodeId - ID of the node to remove
+   */
+  const removeNodeFromBoard = (nodeId) => {
+    const result = removeFromBoard(nodeId);
+    if (!result) return;
+
+    if (selectedNode?.id === nodeId) {
+      setSelectedNode(null);
+    }
+    syncBoardConnection(result.connectionResult);
+  };
+
+  /**
+   * Undoes the last board action (add, remove or move)
+   */
+  const undoBoardAction = () => {
+    const result = undo();
+    if (!result) return;
+
+    if (result.action.type === 'add' && selectedNode?.id === result.action.node.id) {
+      setSelectedNode(null);
+    }
+    syncBoardConnection(result.connectionResult);
+  };
+
+  /**
+   * Redoes the last undone board action
+   */
+  const redoBoardAction = () => {
+    const result = redo();
+    if (!result) return;
+
+    if (result.action.type === 'remove' && selectedNode?.id === result.action.node.id) {
+      setSelectedNode(null);
+    }
+    syncBoardConnection(result.connectionResult);
+  };
+
   /**
    * Adds a person (actor) to the board
    * @param {Object} person - Person entity to add
@@ -337,6 +570,7 @@ export const GameProvider = ({ children }) => {
     setIsLoading(true);    
     try {
       const searchResult = searchState.performLocalSearch(term, cheatSheetResults);
+      replayRecorder.record({ type: 'search', term, resultCount: searchResult.results.length });
 
       const duration = Date.now() - startTime;
       logger.info(`📊 Local search completed: ${searchResult.results.length} results in ${duration}ms`);
@@ -450,7 +684,17 @@ export const GameProvider = ({ children }) => {
     gameStartTime,
     gameScore: gameState.gameScore,
     currentGameScore: gameState.currentGameScore, // Add current game score
-    shortestPathLength,    // Board state
+    scoreDetails: gameState.scoreDetails,
+    winningPath: gameState.winningPath,
+    savedGame,
+    race,
+    racePlayer,
+    raceError: raceState.raceError,
+    hintsUsed: gameState.hintsUsed,
+    currentHint: gameState.currentHint,
+    shortestPathLength,
+    optimalPath,
+    isOptimalPathLoading,    // Board state
     nodes,
     connections,
     nodePositions,
@@ -466,6 +710,7 @@ export const GameProvider = ({ children }) => {
     setIsLoading,
     setGameStarted,
     setStartActors,
+    setStartActorCount,
     setGameCompleted,
     setKeepPlayingAfterWin,
     setActorSearchResults,
@@ -487,6 +732,23 @@ export const GameProvider = ({ children }) => {
     checkItemConnectability,
     checkInitialConnectability,
     checkGameCompletion,
+    removeNodeFromBoard,
+    recordNodeMove,
+    moveNodes,
+    recordLayout,
+    pinnedNodeIds,
+    unpinAllNodes,
+    undoBoardAction,
+    redoBoardAction,
+    canUndo,
+    canRedo,
+    requestHint,
+    resumeSavedGame,
+    discardSavedGame,
+    hostRace: raceState.hostRace,
+    enterRace: raceState.enterRace,
+    startRace: raceState.startRace,
+    leaveRace,
 
     // Custom hooks actions
     startGame,
@@ -506,7 +768,64 @@ export const GameProvider = ({ children }) => {
     selectedNode,
     selectNode,
     closeConnectionsPanel,
-  };// Auto-generate cache when game starts to enable local search
+  };
+
+  // Offer the newer of this device's save and the account's save after logging in
+  useEffect(() => {
+    if (!currentUser?.userId) return;
+
+    let cancelled = false;
+    fetchInProgressGame(currentUser.userId)
+      .then(remoteGame => {
+        if (!cancelled) {
+          setSavedGame(pickLatestSnapshot(loadLocalGame(), remoteGame));
+        }
+      })
+      .catch(error => logger.warn('⚠️ Could not load saved game from the server:', error));
+
+    return () => { cancelled = true; };
+  }, [currentUser]);
+
+  // Autosave the game in progress shortly after each change
+  useEffect(() => {
+    if (!gameStarted || gameCompleted || isRacing || nodes.length < 2 || !startActors.every(Boolean)) return;
+
+    const timer = setTimeout(() => storeGameSnapshot(buildGameSnapshot()), SAVED_GAME_DELAY);
+    return () => clearTimeout(timer);
+  }, [gameStarted, gameCompleted, isRacing, nodes.length, startActors, buildGameSnapshot, storeGameSnapshot]);
+
+  // Share live progress with the opponent during a race
+  useEffect(() => {
+    if (!isRacing || !gameStarted || gameCompleted) return;
+    reportRaceProgress({ nodeCount: Math.max(0, nodes.length - 2), pathLength: shortestPathLength });
+  }, [isRacing, gameStarted, gameCompleted, nodes.length, shortestPathLength, reportRaceProgress]);
+
+  // Report the finish once, with the winning path for the results screen
+  useEffect(() => {
+    if (!isRacing || !gameCompleted || !race || !racePlayer) return;
+    if (race.players.find(player => player.id === racePlayer.id)?.finishedAt) return;
+
+    const connection = actorTreeManager.getShortestConnection();
+    const path = (connection?.fullPath || []).map(nodeId => {
+      const node = nodes.find(candidate => candidate.id === nodeId);
+      return { id: nodeId, name: node?.data?.name || node?.data?.title || nodeId };
+    });
+    finishRace({
+      nodeCount: Math.max(0, nodes.length - 2),
+      pathLength: shortestPathLength,
+      score: gameState.currentGameScore,
+      path
+    });
+  }, [isRacing, gameCompleted, race, racePlayer, nodes, shortestPathLength, gameState.currentGameScore, finishRace]);
+
+  // A finished game can't be resumed (races are never saved, so they leave the save alone)
+  useEffect(() => {
+    if (gameCompleted && !isRacing) {
+      discardSavedGame();
+    }
+  }, [gameCompleted, isRacing, discardSavedGame]);
+
+  // Auto-generate cache when game starts to enable local search
   useEffect(() => {
     if (gameStarted && nodes.length === 2) { // Only when game starts with initial 2 actors
       logger.debug('🚀 Game started, generating cache for local search');
@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { computeForceLayout, getLayoutBounds, interpolatePositions } from '../utils/layoutUtils';
+import { getStartNodeId } from '../utils/gameUtils';
+import { measureNodeSize, prefersReducedMotion } from '../utils/boardUtils';
+import { AUTO_LAYOUT } from '../utils/constants';
+import { logger } from '../utils/loggerUtils';
+
+/**
+ * Custom hook for arranging the game board with a force-directed layout
+ * "Auto-arrange" runs the layout once and can be undone; the continuous mode re-runs it
+ * whenever cards are added or removed. Cards are arranged within the part of the board on
+ * screen and glide to their new places through the live position store, like a dragged
+ * card; the board state only gets the final positions.
+ *
+ * @param {Object} board - { nodes, connections, nodePositions, startActors, viewport,
+ *   pinnedNodeIds, moveNodes, livePositions, recordLayout, disabled }
+ * @returns {Object} - { arrangeBoard, isArranging, continuousLayout, setContinuousLayout }
+ */
+export const useAutoLayout = (board) => {
+  const [continuousLayout, setContinuousLayout] = useState(false);
+  const [isArranging, setIsArranging] = useState(false);
+  const animationFrameRef = useRef(null);
+  const boardRef = useRef(board);
+
+  // The layout reads the board when it runs, not when it was scheduled
+  useEffect(() => {
+    boardRef.current = board;
+  });
+
+  // Stop an unfinished animation when the board goes away
+  useEffect(() => () => cancelAnimationFrame(animationFrameRef.current), []);
+
+  /**
+   * Lay out the board and animate the cards to their new positions
+   * @param {boolean} undoable - False for layouts the continuous mode runs by itself, which
+   *   aren't recorded for undo or the replay
+   */
+  const arrangeBoard = useCallback((undoable = true) => {
+    const { nodes, connections, nodePositions, startActors, viewport, pinnedNodeIds, moveNodes, livePositions, recordLayout, disabled } = boardRef.current;
+    if (disabled || nodes.length < 2) return;
+
+    const nodeIds = nodes.map(node => node.id);
+    const nodeSize = measureNodeSize(nodeIds[0]);
+    const from = Object.fromEntries(nodeIds.filter(nodeId => nodePositions[nodeId]).map(nodeId => [nodeId, nodePositions[nodeId]]));
+    // An arrangement replaces one that is still animating, starting from where the cards are now
+    const current = { ...from };
+    nodeIds.forEach(nodeId => {
+      if (livePositions.get(nodeId)) current[nodeId] = livePositions.get(nodeId);
+    });
+    const to = computeForceLayout({
+      nodeIds,
+      connections,
+      positions: current,
+      anchorIds: startActors.filter(Boolean).map(getStartNodeId),
+      pinnedIds: pinnedNodeIds,
+      bounds: getLayoutBounds(viewport, nodeSize),
+      nodeSize
+    });
+
+    cancelAnimationFrame(animationFrameRef.current);
+    logger.debug(`🧲 Arranging ${nodeIds.length} cards (${pinnedNodeIds.length} pinned)`);
+
+    // The board state only changes here, once the cards have arrived
+    const finish = () => {
+      animationFrameRef.current = null;
+      setIsArranging(false);
+      // Cards whose state position doesn't change won't re-render, so they're put in place here
+      livePositions.setMany(to);
+      moveNodes(to);
+      livePositions.clear();
+      if (undoable) {
+        recordLayout(from, to);
+      }
+    };
+
+    if (prefersReducedMotion()) {
+      finish();
+      return;
+    }
+
+    setIsArranging(true);
+    const startTime = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - startTime) / AUTO_LAYOUT.ANIMATION_MS);
+      if (progress < 1) {
+        livePositions.setMany(interpolatePositions(current, to, progress));
+        animationFrameRef.current = requestAnimationFrame(step);
+      } else {
+        finish();
+      }
+    };
+    animationFrameRef.current = requestAnimationFrame(step);
+  }, []);
+
+  // Continuous mode: re-arrange when it's switched on and whenever the board's shape changes
+  const { nodes, connections, viewport, disabled } = board;
+  useEffect(() => {
+    if (continuousLayout && !disabled) {
+      arrangeBoard(false);
+    }
+  }, [continuousLayout, disabled, nodes.length, connections.length, viewport.width, viewport.height, arrangeBoard]);
+
+  return {
+    arrangeBoard,
+    isArranging,
+    continuousLayout,
+    setContinuousLayout
+  };
+};
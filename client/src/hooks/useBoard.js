@@ -4,11 +4,16 @@
  * Manages nodes, connections, positions, and connectivity logic between
  * different entities (actors, movies, TV shows) on the game board.
  */
-import { useState } from 'react';
-import { getPersonDetails, getMovieDetails, getTvShowDetails } from '../services/tmdbService';
+import { useState, useRef } from 'react';
+import { getPersonDetails, getMovieDetails, getTvShowDetails, getTvEpisodeCast } from '../services/tmdbService';
 import { logger } from '../utils/loggerUtils';
 import { actorTreeManager } from '../utils/actorTreeUtils';
-import { isMovieBlocked, isTvShowBlocked } from '../utils/challengeUtils';
+import { isEntityBlockedByChallenge, includesCrewCredits, requiresSharedEpisodes } from '../utils/challengeUtils';
+import { findPersonConnections, findMovieConnections, findTvShowConnections } from '../utils/entityUtils';
+import { addEpisodesToConnections } from '../utils/episodeUtils';
+import { BOARD_HISTORY_LIMIT } from '../utils/constants';
+import { calculateScore } from '../utils/scoringUtils';
+import { replayRecorder } from '../utils/replayUtils';
 
 /**
  * @returns {Object} Board methods and state variables
@@ -22,19 +27,60 @@ export const useBoard = () => {
   // State for tracking the position of each node on the board
   const [nodePositions, setNodePositions] = useState({});
 
+  // Undo/redo history of board actions: { type: 'add' | 'remove' | 'move' | 'layout', ... }
+  // The stacks live in a ref so presses that land before a re-render (key repeat) each
+  // pop the current top; the sizes are mirrored into state for canUndo/canRedo
+  const historyRef = useRef({ undoStack: [], redoStack: [] });
+  const [historySizes, setHistorySizes] = useState({ undo: 0, redo: 0 });
+
+  // Nodes the player has dragged; the auto-layout leaves them where they were put
+  const [pinnedNodeIds, setPinnedNodeIds] = useState([]);
+
   /**
    * Initialize the actor tree manager with starting actors
-   * This should be called when the game starts with the two starting actors
+   * This should be called when the game starts with the starting actors
    * 
    * @param {Array} startingActors - Array of starting actor objects
    */
   const initializeActorTrees = (startingActors) => {
     if (startingActors && startingActors.length >= 2) {
       actorTreeManager.initializeTrees(startingActors);
+      clearHistory();
+      setPinnedNodeIds([]);
       logger.info('🌳 Initialized actor trees for game');
     }
   };
 
+  /**
+   * Rebuild the board and the actor trees from a saved game
+   * Undo history isn't saved, so a resumed game starts with an empty history.
+   *
+   * @param {Array} startingActors - The starting actors
+   * @param {Array} savedNodes - Nodes with their details ({ id, type, data, position })
+   * @param {Array} savedConnections - Connections between the saved nodes
+   * @returns {Object|null} Shortest connection between the starting actors, if any
+   */
+  const restoreBoard = (startingActors, savedNodes, savedConnections) => {
+    actorTreeManager.initializeTrees(startingActors);
+    clearHistory();
+    setPinnedNodeIds([]);
+
+    // Edges are only created once both ends are in the graph, so the order doesn't matter
+    savedNodes
+      .filter(node => !actorTreeManager.isStartingActor(node.id))
+      .forEach(node => {
+        const nodeConnections = savedConnections.filter(conn => conn.source === node.id || conn.target === node.id);
+        actorTreeManager.addEntityToTrees(node.id, node.type, node.data, nodeConnections);
+      });
+
+    setNodes(savedNodes);
+    setConnections(savedConnections);
+    setNodePositions(Object.fromEntries(savedNodes.map(node => [node.id, node.position])));
+    logger.info(`💾 Restored board with ${savedNodes.length} nodes`);
+
+    return actorTreeManager.getShortestConnection();
+  };
+
   /**
    * Update a node's position on the board after it's been dragged
    * 
@@ -47,6 +93,22 @@ export const useBoard = () => {
       [nodeId]: position
     }));
   };
+
+  /**
+   * Move several nodes at once, e.g. when an auto-arrange animation ends or is undone
+   * Positions for nodes that are no longer on the board are ignored.
+   *
+   * @param {Object} positions - Map of node ID to position {x, y}
+   */
+  const moveNodes = (positions) => {
+    setNodePositions(prev => {
+      const updated = { ...prev };
+      Object.entries(positions).forEach(([nodeId, position]) => {
+        if (updated[nodeId]) updated[nodeId] = position;
+      });
+      return updated;
+    });
+  };
   /**
  * Check if an item can be connected to existing nodes on the board
  * 
@@ -116,20 +178,22 @@ export const useBoard = () => {
    * @param {Function} completeGame - Function to handle game completion and score tracking
    * @param {number} gameStartTime - When the game started (for score calculation)
    * @param {Function} setGameCompleted - Function to set game completion state
+   * @param {number|null} optimalPathLength - Par from the server-side solver, if known
+   * @param {number} hintsUsed - Hints revealed this game
    * @returns {Promise<void>} - Promise that resolves when item is added
-   */  const addToBoard = async (item, exactMatch, connectableItems, setIsLoading, startActors, gameCompleted, setShortestPathLength, completeGame, gameStartTime, setGameCompleted, currentUser = null, challengeMode = null) => {
+   */  const addToBoard = async (item, exactMatch, connectableItems, setIsLoading, startActors, gameCompleted, setShortestPathLength, completeGame, gameStartTime, setGameCompleted, currentUser = null, challengeMode = null, optimalPathLength = null, hintsUsed = 0) => {
     if (!item) return;
 
     setIsLoading(true);
 
     try {      // Apply challenge filtering as a safety measure
       if (challengeMode?.id) {
-        if (item.media_type === 'movie' && isMovieBlocked(item.id, challengeMode.id)) {
+        if (item.media_type === 'movie' && isEntityBlockedByChallenge(item, challengeMode.id)) {
           logger.warn(`🚫 Blocked movie from being added to board: ${item.title} (challenge: ${challengeMode.id})`);
           setIsLoading(false);
           return;
         }
-        if (item.media_type === 'tv' && isTvShowBlocked(item.id, challengeMode.id)) {
+        if (item.media_type === 'tv' && isEntityBlockedByChallenge(item, challengeMode.id)) {
           logger.warn(`🚫 Blocked TV show from being added to board: ${item.name} (challenge: ${challengeMode.id})`);
           setIsLoading(false);
           return;
@@ -172,6 +236,20 @@ export const useBoard = () => {
         nodeType = 'tv';
       }
 
+      // Search results lack some rule criteria (runtime, companies), so check the details too
+      if (challengeMode?.id && nodeType !== 'person' && isEntityBlockedByChallenge({ ...nodeData, media_type: nodeType }, challengeMode.id)) {
+        logger.warn(`🚫 Blocked title from being added to board: ${nodeData.title || nodeData.name} (challenge: ${challengeMode.id})`);
+        setIsLoading(false);
+        return;
+      }
+
+      // A show without an episode index couldn't link anyone in an episode game, so it stays off the board
+      if (nodeType === 'tv' && requiresSharedEpisodes(challengeMode) && !(await getTvEpisodeCast(item.id))) {
+        logger.warn(`📺 Couldn't load the episodes of ${nodeData.name}; not adding it to the board`);
+        setIsLoading(false);
+        return;
+      }
+
       // Calculate a simple position for the new node
       const newNodePosition = {
         x: 250 + Math.random() * 100 - 50, // Random position near center
@@ -192,65 +270,20 @@ export const useBoard = () => {
         [nodeId]: newNodePosition
       }));
         // Create connections to existing nodes on the board
-      const newConnections = [];
-      
-      // Check connections based on node type
+      // Crew games also connect people to the titles they directed, wrote or scored
+      const includeCrew = includesCrewCredits(challengeMode);
+      let newConnections = [];
       if (nodeType === 'person') {
-        // For actors, connect to movies/TV shows they appeared in that are on the board
-        const movieCredits = nodeData.movie_credits?.cast || [];
-        const tvCredits = nodeData.tv_credits?.cast || [];
-        
-        nodes.forEach(existingNode => {
-          if (existingNode.type === 'movie') {
-            const movieMatch = movieCredits.find(credit => credit.id === existingNode.data.id);
-            if (movieMatch) {
-              newConnections.push({
-                source: nodeId,
-                target: existingNode.id
-              });
-            }
-          } else if (existingNode.type === 'tv') {
-            const tvMatch = tvCredits.find(credit => credit.id === existingNode.data.id);
-            if (tvMatch) {
-              newConnections.push({
-                source: nodeId,
-                target: existingNode.id
-              });
-            }
-          }
-        });
+        newConnections = findPersonConnections(nodeData, nodes, nodeId, includeCrew);
       } else if (nodeType === 'movie') {
-        // For movies, connect to actors that are on the board and appeared in this movie
-        const cast = nodeData.credits?.cast || [];
-        
-        nodes.forEach(existingNode => {
-          if (existingNode.type === 'person') {
-            const actorMatch = cast.find(actor => actor.id === existingNode.data.id);
-            if (actorMatch) {
-              newConnections.push({
-                source: nodeId,
-                target: existingNode.id
-              });
-            }
-          }
-        });
+        newConnections = findMovieConnections(nodeData, nodes, nodeId, includeCrew);
       } else if (nodeType === 'tv') {
-        // For TV shows, connect to actors that are on the board and appeared in this show
-        const regularCast = nodeData.credits?.cast || [];
-        const aggregateCast = nodeData.aggregate_credits?.cast || [];
-        const allCast = [...regularCast, ...aggregateCast];
-        
-        nodes.forEach(existingNode => {
-          if (existingNode.type === 'person') {
-            const actorMatch = allCast.find(actor => actor.id === existingNode.data.id);
-            if (actorMatch) {
-              newConnections.push({
-                source: nodeId,
-                target: existingNode.id
-              });
-            }
-          }
-        });
+        newConnections = findTvShowConnections(nodeData, nodes, nodeId, includeCrew);
+      }
+
+      // In episode games a show only links the people who shared one of its episodes
+      if (requiresSharedEpisodes(challengeMode)) {
+        newConnections = await addEpisodesToConnections(newConnections);
       }
 
       // Add the new connections to the connections state
@@ -259,8 +292,10 @@ export const useBoard = () => {
         logger.info(`🔗 Created ${newConnections.length} connections for ${nodeData.name || nodeData.title}`);
       }
 
-      // Add the entity to actor trees and check for connections
-      if (startActors && startActors[0] && startActors[1] && setShortestPathLength) {
+      recordAction({ type: 'add', node: newNode, position: newNodePosition, connections: newConnections });
+
+      // Add the entity to the board graph and check for connections
+      if (startActors?.length >= 2 && startActors.every(Boolean) && setShortestPathLength) {
         const treeResult = actorTreeManager.addEntityToTrees(
           nodeId,
           nodeType,
@@ -268,52 +303,32 @@ export const useBoard = () => {
           newConnections
         );
 
-        // Check if this entity created a connection between the starting actors
-        if (treeResult.shortestConnection) {
-          const pathLength = treeResult.shortestConnection.pathLength;          // Update the shortest path length
+        // The graph always reports the current shortest route, which may have
+        // just been created or shortened by this entity
+        const connectionResult = treeResult.shortestConnection;
+        if (connectionResult) {
+          const pathLength = connectionResult.pathLength;
           setShortestPathLength(pathLength);
-          
+
           logger.info(`🎉 Connection found! Path length: ${pathLength}`, {
-            bridgeNode: treeResult.shortestConnection.bridgeNode,
-            fullPath: treeResult.shortestConnection.fullPath
+            bridgeNode: connectionResult.bridgeNode,
+            fullPath: connectionResult.fullPath
           });
-          
+
           // If the game wasn't already completed, use checkGameCompletion to handle scoring
-          if (!gameCompleted) {            checkGameCompletion(
+          if (!gameCompleted) {
+            checkGameCompletion(
               startActors,
               false, // keepPlayingAfterWin
               completeGame,
               gameStartTime,
               setShortestPathLength,
               currentUser,
-              challengeMode
+              challengeMode,
+              optimalPathLength,
+              hintsUsed
             );
           }
-        } else {
-          // If no direct connection through this entity, check if actors are connected through any path
-          const startActorId1 = `person-${startActors[0].id}`;
-          const startActorId2 = `person-${startActors[1].id}`;
-
-          const connectionCheck = actorTreeManager.checkActorsConnected(startActorId1, startActorId2);          if (connectionCheck) {
-            const pathLength = connectionCheck.pathLength;
-            setShortestPathLength(pathLength);
-            
-            logger.info(`🔗 Actors connected! Path length: ${pathLength}`, {
-              bridgeNode: connectionCheck.bridgeNode,
-              fullPath: connectionCheck.fullPath
-            });
-            
-            if (!gameCompleted) {              checkGameCompletion(
-                startActors,
-                false, 
-                completeGame,
-                gameStartTime,
-                setShortestPathLength,
-                currentUser,
-                challengeMode
-              );
-            }
-          }
         }
       }
 
@@ -327,8 +342,9 @@ export const useBoard = () => {
     }
   };
   /**
-   * Check if a path exists between the starting actors (win condition)
-   * Uses the actor tree manager for more efficient path finding
+   * Check if the starting actors are connected (win condition)
+   * Two actors need a path between them; in chain mode every starting actor has to be
+   * part of one connected tree, and the smallest such tree is what gets scored.
    * 
    * @param {Array} startActors - The starting actors
    * @param {boolean} keepPlayingAfterWin - Whether to keep playing after finding a path
@@ -337,6 +353,8 @@ export const useBoard = () => {
    * @param {function} setShortestPathLength - Function to set the shortest path length
    * @param {Object} currentUser - Current logged in user (optional)
    * @param {Object} challengeMode - Current challenge mode (optional)
+   * @param {number|null} optimalPathLength - Par from the server-side solver (optional)
+   * @param {number} hintsUsed - Hints revealed this game (optional)
    * @returns {boolean} - Whether a path was found
    */
   const checkGameCompletion = (
@@ -346,7 +364,9 @@ export const useBoard = () => {
     gameStartTime, 
     setShortestPathLength,
     currentUser = null,
-    challengeMode = null
+    challengeMode = null,
+    optimalPathLength = null,
+    hintsUsed = 0
   ) => {
     // If user chose to keep playing after win, don't show completion again
     if (keepPlayingAfterWin) {
@@ -354,15 +374,12 @@ export const useBoard = () => {
     }
     
     // Make sure we have the starting actors
-    if (!startActors[0] || !startActors[1]) {
+    if (startActors.length < 2 || startActors.some(actor => !actor)) {
       return false;
     }
     
-    const startActorId1 = `person-${startActors[0].id}`;
-    const startActorId2 = `person-${startActors[1].id}`;
-    
     // Use actor tree manager to check if actors are connected
-    const connectionResult = actorTreeManager.checkActorsConnected(startActorId1, startActorId2);
+    const connectionResult = actorTreeManager.getShortestConnection();
     
     if (connectionResult) {
       const pathLength = connectionResult.pathLength;
@@ -375,25 +392,25 @@ export const useBoard = () => {
       logger.info(`🎯 Game completion check: Connection found! Path length: ${pathLength}`, {
         bridgeNode: connectionResult.bridgeNode,
         fullPath: connectionResult.fullPath
-      });      // Calculate score based on new scoring system
+      });
+
+      // Score with the formula declared by the current challenge
       if (gameStartTime && completeGame) {
         const completionTime = Math.floor((Date.now() - gameStartTime) / 1000); // in seconds
-        
-        const activeNodes = connectionResult.pathLength; 
-        
+
         // Get total unique nodes across all trees (excluding starting actors)
-        const totalNodes = actorTreeManager.getTotalUniqueNodes();        
-        // Calculate final score: (activeNodes / totalNodes) * (10,000 / completionTime)
-        let finalScore = 0;
-        if (totalNodes > 0 && completionTime > 0) {
-          const ratio = activeNodes / totalNodes;
-          const timeBonus = 100000 / completionTime;
-          finalScore = ratio * timeBonus;
-        }
-          logger.info(`🎯 Score calculation: activeNodes=${activeNodes}, totalNodes=${totalNodes}, time=${completionTime}s, score=${finalScore.toFixed(2)}`);
-        
-        const roundedScore = Math.round(finalScore);
-        completeGame(roundedScore, connectionResult, completionTime, currentUser, challengeMode);
+        const totalNodes = actorTreeManager.getTotalUniqueNodes();
+        const { score, scoringVersion, breakdown } = calculateScore({
+          pathLength,
+          totalNodes,
+          timeTaken: completionTime,
+          optimalPathLength,
+          hintsUsed
+        }, challengeMode?.id);
+
+        logger.info(`🎯 Score calculation (${scoringVersion}): pathLength=${pathLength}, totalNodes=${totalNodes}, par=${optimalPathLength ?? 'n/a'}, hints=${hintsUsed}, time=${completionTime}s, score=${score}`);
+
+        completeGame(score, { ...connectionResult, totalNodes }, completionTime, currentUser, challengeMode, { scoringVersion, breakdown });
       }
   
       return true;
@@ -409,9 +426,177 @@ export const useBoard = () => {
    */
   const resetActorTrees = () => {
     actorTreeManager.reset();
+    clearHistory();
     logger.info('🌲 Reset actor trees for new game');
   };
 
+  /**
+   * Push a board action onto the undo stack
+   * Any new action invalidates the redo stack
+   * 
+   * @param {Object} action - The action that was just applied
+   */
+  const recordAction = (action) => {
+    replayRecorder.recordBoardAction(action);
+    setHistory([...historyRef.current.undoStack, action].slice(-BOARD_HISTORY_LIMIT), []);
+  };
+
+  /**
+   * Clear the undo/redo history
+   */
+  const clearHistory = () => {
+    setHistory([], []);
+  };
+
+  /**
+   * Replace both history stacks
+   * 
+   * @param {Array} undoStack - Actions that can be undone, oldest first
+   * @param {Array} redoStack - Actions that can be redone, oldest first
+   */
+  const setHistory = (undoStack, redoStack) => {
+    historyRef.current = { undoStack, redoStack };
+    setHistorySizes({ undo: undoStack.length, redo: redoStack.length });
+  };
+
+  /**
+   * Put a node and its connections on the board and in the board graph
+   * 
+   * @param {Object} node - Node to place
+   * @param {Object} position - Position of the node {x, y}
+   * @param {Array} nodeConnections - Connections involving the node
+   * @returns {Object|null} Shortest connection between the starting actors afterwards
+   */
+  const placeNode = (node, position, nodeConnections) => {
+    setNodes(prev => [...prev, node]);
+    setNodePositions(prev => ({ ...prev, [node.id]: position }));
+    setConnections(prev => [...prev, ...nodeConnections]);
+    return actorTreeManager.addEntityToTrees(node.id, node.type, node.data, nodeConnections).shortestConnection;
+  };
+
+  /**
+   * Take a node and its connections off the board and out of the board graph
+   * 
+   * @param {string} nodeId - ID of the node to take off
+   * @returns {Object|null} Shortest connection between the starting actors afterwards
+   */
+  const takeNode = (nodeId) => {
+    setNodes(prev => prev.filter(node => node.id !== nodeId));
+    setNodePositions(prev => {
+      const updated = { ...prev };
+      delete updated[nodeId];
+      return updated;
+    });
+    setConnections(prev => prev.filter(conn => conn.source !== nodeId && conn.target !== nodeId));
+    return actorTreeManager.removeEntity(nodeId);
+  };
+
+  /**
+   * Apply a recorded action in the given direction
+   * 
+   * @param {Object} action - Recorded board action
+   * @param {boolean} reverse - True to revert the action (undo), false to re-apply it (redo)
+   * @returns {Object|null} Shortest connection between the starting actors afterwards
+   */
+  const applyAction = (action, reverse) => {
+    replayRecorder.recordBoardAction(action, reverse);
+    switch (action.type) {
+      case 'add':
+        return reverse ? takeNode(action.node.id) : placeNode(action.node, action.position, action.connections);
+      case 'remove':
+        return reverse ? placeNode(action.node, action.position, action.connections) : takeNode(action.node.id);
+      case 'move':
+        setNodePositions(prev => ({ ...prev, [action.nodeId]: reverse ? action.from : action.to }));
+        return actorTreeManager.getShortestConnection();
+      case 'layout':
+        moveNodes(reverse ? action.from : action.to);
+        return actorTreeManager.getShortestConnection();
+      default:
+        return actorTreeManager.getShortestConnection();
+    }
+  };
+
+  /**
+   * Remove a node (and its connections) from the board
+   * Starting actors can't be removed
+   * 
+   * @param {string} nodeId - ID of the node to remove
+   * @returns {Object|null} { connectionResult } if the node was removed, null otherwise
+   */
+  const removeFromBoard = (nodeId) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node || actorTreeManager.isStartingActor(nodeId)) {
+      return null;
+    }
+
+    const nodeConnections = connections.filter(conn => conn.source === nodeId || conn.target === nodeId);
+    recordAction({ type: 'remove', node, position: nodePositions[nodeId], connections: nodeConnections });
+
+    logger.info(`✂️ Removing ${node.data?.name || node.data?.title || nodeId} from board`);
+    return { connectionResult: takeNode(nodeId) };
+  };
+
+  /**
+   * Record a finished drag so it can be undone
+   * The node is pinned, so later auto-layouts leave it where it was dropped.
+   * 
+   * @param {string} nodeId - ID of the moved node
+   * @param {Object} from - Position before the drag
+   * @param {Object} to - Position after the drag
+   */
+  const recordNodeMove = (nodeId, from, to) => {
+    if (!from || !to || (from.x === to.x && from.y === to.y)) return;
+    recordAction({ type: 'move', nodeId, from, to });
+    setPinnedNodeIds(prev => (prev.includes(nodeId) ? prev : [...prev, nodeId]));
+  };
+
+  /**
+   * Record a finished auto-layout the player asked for, for undo and the replay
+   * Layouts the continuous mode runs by itself aren't recorded: one after every change
+   * would fill the undo history and the replay with whole-board position lists.
+   * 
+   * @param {Object} from - Positions before the layout, by node ID
+   * @param {Object} to - Positions after the layout, by node ID
+   */
+  const recordLayout = (from, to) => {
+    recordAction({ type: 'layout', from, to });
+  };
+
+  /**
+   * Let the auto-layout move every node again
+   */
+  const unpinAllNodes = () => {
+    setPinnedNodeIds([]);
+  };
+
+  /**
+   * Undo the most recent board action
+   * @returns {Object|null} { action, connectionResult } or null if there is nothing to undo
+   */
+  const undo = () => {
+    const { undoStack, redoStack } = historyRef.current;
+    const action = undoStack[undoStack.length - 1];
+    if (!action) return null;
+
+    setHistory(undoStack.slice(0, -1), [...redoStack, action]);
+    logger.info(`↩️ Undo ${action.type}`);
+    return { action, connectionResult: applyAction(action, true) };
+  };
+
+  /**
+   * Redo the most recently undone board action
+   * @returns {Object|null} { action, connectionResult } or null if there is nothing to redo
+   */
+  const redo = () => {
+    const { undoStack, redoStack } = historyRef.current;
+    const action = redoStack[redoStack.length - 1];
+    if (!action) return null;
+
+    setHistory([...undoStack, action], redoStack.slice(0, -1));
+    logger.info(`↪️ Redo ${action.type}`);
+    return { action, connectionResult: applyAction(action, false) };
+  };
+
   // Using saveEntityToLocalDatabase from boardUtils.js
   // Return methods and state variables from the hook
   return {
@@ -422,11 +607,22 @@ export const useBoard = () => {
     nodePositions,
     setNodePositions,
     updateNodePosition,
+    moveNodes,
+    pinnedNodeIds,
     checkItemConnectability,
     checkInitialConnectability,
     addToBoard,
     checkGameCompletion,
     initializeActorTrees,
-    resetActorTrees
+    restoreBoard,
+    resetActorTrees,
+    removeFromBoard,
+    recordNodeMove,
+    recordLayout,
+    unpinAllNodes,
+    undo,
+    redo,
+    canUndo: historySizes.undo > 0,
+    canRedo: historySizes.redo > 0
   };
 };
\ No newline at end of file
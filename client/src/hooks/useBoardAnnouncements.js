@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import { getItemTitle } from '../utils/entityUtils';
+
+const getConnectionKey = (connection) => `${connection.source}|${connection.target}`;
+
+/**
+ * Custom hook for the game board's screen-reader announcements
+ * Compares the board with how it last looked to describe what changed: cards placed and
+ * what they connect to, cards removed, and the win.
+ *
+ * @param {Object} board - { nodes, connections, gameCompleted, startActors, shortestPathLength, disabled }
+ * @returns {string} - Latest announcement, for an aria-live region
+ */
+export const useBoardAnnouncements = ({ nodes, connections, gameCompleted, startActors, shortestPathLength, disabled }) => {
+  const [announcement, setAnnouncement] = useState('');
+  // Titles by node ID, connection keys and win state as of the last announcement check
+  const previousRef = useRef({ titles: new Map(), connectionKeys: new Set(), gameCompleted: false });
+
+  useEffect(() => {
+    const previous = previousRef.current;
+    const titles = new Map(nodes.map(node => [node.id, getItemTitle(node.data)]));
+    previousRef.current = { titles, connectionKeys: new Set(connections.map(getConnectionKey)), gameCompleted };
+
+    // A board appearing from nothing is a new or resumed game, not something the player did
+    if (disabled || previous.titles.size === 0 || titles.size === 0) return;
+
+    const messages = [];
+    nodes
+      .filter(node => !previous.titles.has(node.id))
+      .forEach(node => {
+        const linkedTitles = connections
+          .filter(conn => !previous.connectionKeys.has(getConnectionKey(conn)) && (conn.source === node.id || conn.target === node.id))
+          .map(conn => titles.get(conn.source === node.id ? conn.target : conn.source));
+        messages.push(linkedTitles.length > 0
+          ? `${titles.get(node.id)} placed, connected to ${linkedTitles.join(', ')}.`
+          : `${titles.get(node.id)} placed.`);
+      });
+
+    [...previous.titles.keys()]
+      .filter(nodeId => !titles.has(nodeId))
+      .forEach(nodeId => messages.push(`${previous.titles.get(nodeId)} removed.`));
+
+    if (gameCompleted && !previous.gameCompleted) {
+      const names = startActors.filter(Boolean).map(getItemTitle).join(' and ');
+      messages.push(`You win! ${names} are connected${shortestPathLength ? ` by a path of ${shortestPathLength}` : ''}.`);
+    }
+
+    if (messages.length > 0) {
+      setAnnouncement(messages.join(' '));
+    }
+  }, [nodes, connections, gameCompleted, startActors, shortestPathLength, disabled]);
+
+  return announcement;
+};
@@ -1,8 +1,12 @@
-import { useState, useEffect } from 'react';
-import { getPersonDetails } from '../services/tmdbService';
-import { saveGameToHistory as saveGameToFirebase } from '../services/firebaseService';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getPersonDetails, getMovieDetails, getTvShowDetails, fetchOptimalPath } from '../services/tmdbService';
+import { saveGameToHistory as saveGameToFirebase, startGameSession } from '../services/firebaseService';
 import { INITIAL_KNOWN_ENTITIES } from '../utils/constants';
 import { logger } from '../utils/loggerUtils';
+import { replayRecorder } from '../utils/replayUtils';
+import { REVERSE_CHALLENGE, CREW_CHALLENGE, includesCrewCredits, getParChallengeId } from '../utils/challengeUtils';
+import { getItemTitle } from '../utils/entityUtils';
+import { getWinningPath } from '../utils/boardUtils';
 import { 
   validateStartActors,
   initializeGameBoard,
@@ -10,7 +14,9 @@ import {
   loadBestScore,
   getInitialGameState,
   updateActorSearchTerm,
-  clearActorSearchResults
+  clearActorSearchResults,
+  resizeActorSlots,
+  getStartNodeId
 } from '../utils/gameUtils';
 
 /**
@@ -28,8 +34,27 @@ export const useGame = () => {
     const [knownEntities, setKnownEntities] = useState(INITIAL_KNOWN_ENTITIES);
   const [gameScore, setGameScore] = useState(() => loadBestScore());
   const [currentGameScore, setCurrentGameScore] = useState(null);
+  // Formula version and line-by-line breakdown of the current game's score
+  const [scoreDetails, setScoreDetails] = useState(null);
   
   const [shortestPathLength, setShortestPathLength] = useState(null);
+  // Route that won the game, as it was at the moment of winning: { nodeIds, edges, isTree }
+  const [winningPath, setWinningPath] = useState(null);
+
+  // Par for the current game, computed by the server-side solver
+  const [optimalPath, setOptimalPath] = useState(null);
+  const [isOptimalPathLoading, setIsOptimalPathLoading] = useState(false);
+  const optimalPathRequestRef = useRef(null);
+
+  // Server-side session used to verify the timing of the submitted result
+  const gameSessionIdRef = useRef(null);
+  // Par fixed in that session when the game started; the server scores the result against it
+  const sessionParRef = useRef(null);
+
+  // Hints revealed this game; each one lowers the score
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [currentHint, setCurrentHint] = useState(null);
+  const [hintTarget, setHintTarget] = useState(null);
   
   // Actor search related state
   const [actorSearchResults, setActorSearchResults] = useState([[], []]);
@@ -47,10 +72,14 @@ export const useGame = () => {
    * Start the game with the selected actors
    * @param {function} setNodes - Function to set board nodes
    * @param {function} setNodePositions - Function to set node positions
+   * @param {string|null} challengeId - Active challenge, used when computing par
+   * @param {Object|null} currentUser - Logged in user, whose result will be verified by the server
+   * @param {string|null} dailyDate - Puzzle date when playing the daily puzzle
+   * @param {string|null} parChallengeId - Challenge par is computed for, when it differs from challengeId
    */
-  const startGame = async (setNodes, setNodePositions) => {
+  const startGame = async (setNodes, setNodePositions, challengeId = null, currentUser = null, dailyDate = null, parChallengeId = challengeId) => {
     // Validate if we can start the game with the selected actors
-    const { valid, error } = validateStartActors(startActors[0], startActors[1]);
+    const { valid, error } = validateStartActors(startActors, challengeId === REVERSE_CHALLENGE.id ? 'titles' : 'actors');
     
     if (!valid) {
       setStartActorsError(error);
@@ -71,8 +100,34 @@ export const useGame = () => {
       setNodes(nodes);
       setNodePositions(nodePositions);
       
-      setGameStartTime(new Date().getTime());
+      const startTime = new Date().getTime();
+      setGameStartTime(startTime);
       setGameStarted(true);
+      clearHints();
+      replayRecorder.start(startTime, nodes, nodePositions);
+
+      // Compute par in the background; the game doesn't wait for it
+      if (nodes.length === 2) {
+        loadOptimalPath(nodes[0].id, nodes[1].id, parChallengeId);
+      } else {
+        // The solver only handles pairs, so chain games have no par
+        clearOptimalPath();
+      }
+
+      gameSessionIdRef.current = null;
+      sessionParRef.current = null;
+      if (currentUser) {
+        const includeCrew = parChallengeId === CREW_CHALLENGE.id;
+        startGameSession(currentUser.userId, challengeId || 'for-fun', nodes.map(node => node.id), dailyDate, includeCrew)
+          .then(({ sessionId, scored, optimalPathLength }) => {
+            gameSessionIdRef.current = sessionId;
+            sessionParRef.current = optimalPathLength;
+            if (!scored) {
+              logger.info('📅 Daily puzzle already attempted today, this game won\'t be ranked');
+            }
+          })
+          .catch(error => logger.warn('⚠️ Could not start game session, result will be unverified:', error));
+      }
     } catch (error) {
       logger.error("Error starting game:", error);
       setStartActorsError("Error starting game. Please try again.");
@@ -80,6 +135,119 @@ export const useGame = () => {
       setIsLoading(false);
     }
   };
+  /**
+   * Resume a saved game
+   * The board itself is rebuilt by useBoard.restoreBoard; this restores the game clock,
+   * par, server session and hints so the result is scored as one continuous game.
+   * @param {Object} snapshot - Normalized saved game
+   * @param {Array} restoredActors - Starting actors with their details
+   */
+  const resumeGame = (snapshot, restoredActors) => {
+    setStartActors(restoredActors);
+    setStartActorsError(null);
+    setGameCompleted(false);
+    setKeepPlayingAfterWin(false);
+    setCurrentGameScore(null);
+    setScoreDetails(null);
+    setWinningPath(null);
+    setShortestPathLength(null);
+    setGameStartTime(snapshot.gameStartTime);
+    setGameStarted(true);
+
+    setHintsUsed(snapshot.hintsUsed);
+    setHintTarget(snapshot.hintTarget);
+    setCurrentHint(snapshot.currentHint);
+    replayRecorder.restore(snapshot.gameStartTime, snapshot.replay);
+
+    gameSessionIdRef.current = snapshot.sessionId;
+    sessionParRef.current = snapshot.sessionOptimalPathLength;
+
+    if (snapshot.optimalPath) {
+      optimalPathRequestRef.current = null;
+      setOptimalPath(snapshot.optimalPath);
+      setIsOptimalPathLoading(false);
+    } else if (snapshot.startActorIds.length !== 2) {
+      clearOptimalPath();
+    } else {
+      loadOptimalPath(snapshot.startActorIds[0], snapshot.startActorIds[1], getParChallengeId(snapshot.challengeMode));
+    }
+  };
+
+  /**
+   * Get the server session of the current game
+   * @returns {string|null} Session ID, or null if the game isn't verified
+   */
+  const getGameSessionId = useCallback(() => gameSessionIdRef.current, []);
+
+  /**
+   * Get the par fixed in the server session of the current game
+   * @returns {number|null} Session par, or null if there is none
+   */
+  const getSessionPar = useCallback(() => sessionParRef.current, []);
+
+  /**
+   * Get the par the current game is scored against
+   * Games with a server session use the session's par, the same one the server verifies
+   * against, even if the solver finishes later; other games use the solver's par once loaded.
+   * @returns {number|null} Par, or null if the game is scored without one
+   */
+  const getScoringPar = () => {
+    if (gameSessionIdRef.current) return sessionParRef.current;
+    return optimalPath?.found ? optimalPath.pathLength : null;
+  };
+
+  /**
+   * Record a revealed hint
+   * @param {Object} target - Title the hint points to
+   * @param {string} text - Hint text shown to the player
+   */
+  const recordHint = (target, text) => {
+    const level = hintsUsed + 1;
+    setHintsUsed(level);
+    setHintTarget(target);
+    setCurrentHint({ level, text });
+    replayRecorder.record({ type: 'hint', level });
+    logger.info(`💡 Hint ${level} used: ${text}`);
+  };
+
+  /**
+   * Clear hints for a new game
+   */
+  const clearHints = () => {
+    setHintsUsed(0);
+    setHintTarget(null);
+    setCurrentHint(null);
+  };
+  /**
+   * Request the optimal path between the starting actors
+   * Responses for a previous game are ignored
+   * @param {string} fromNodeId - Board node ID of the first starting actor
+   * @param {string} toNodeId - Board node ID of the second starting actor
+   * @param {string|null} challengeId - Active challenge
+   */
+  const loadOptimalPath = async (fromNodeId, toNodeId, challengeId) => {
+    const requestKey = `${fromNodeId}|${toNodeId}|${challengeId}`;
+    optimalPathRequestRef.current = requestKey;
+    setOptimalPath(null);
+    setIsOptimalPathLoading(true);
+
+    const result = await fetchOptimalPath(fromNodeId, toNodeId, challengeId);
+
+    if (optimalPathRequestRef.current !== requestKey) return;
+    logger.info(result?.found ? `⛳ Par calculated: ${result.pathLength}` : '⛳ Par unavailable for this game');
+    setOptimalPath(result);
+    setIsOptimalPathLoading(false);
+  };
+
+  /**
+   * Forget the par of the previous game, ignoring any request still in flight
+   */
+  const clearOptimalPath = () => {
+    optimalPathRequestRef.current = null;
+    setOptimalPath(null);
+    setIsOptimalPathLoading(false);
+  };
+
     /**
    * Reset the game to initial state
    * @param {function} setNodes - Function to set board nodes
@@ -101,6 +269,13 @@ export const useGame = () => {
     setStartActors([null, null]);
     setShortestPathLength(null); // Reset shortest path length when starting a new game
     setCurrentGameScore(null); // Reset current game score when starting a new game
+    setScoreDetails(null);
+    setWinningPath(null);
+    clearOptimalPath();
+    gameSessionIdRef.current = null;
+    sessionParRef.current = null;
+    clearHints();
+    replayRecorder.reset();
     
     // Reset board state using initial values
     const initialState = getInitialGameState();
@@ -117,10 +292,13 @@ export const useGame = () => {
    * @param {number} timeTaken - Time taken to complete the game in seconds (optional)
    * @param {Object} currentUser - Current logged in user (optional)
    * @param {string} challengeMode - Current challenge mode (optional)
+   * @param {Object} details - { scoringVersion, breakdown } from the scoring engine (optional)
    */
-  const completeGame = (score, connectionResult = null, timeTaken = null, currentUser = null, challengeMode = null) => {
+  const completeGame = (score, connectionResult = null, timeTaken = null, currentUser = null, challengeMode = null, details = null) => {
     setGameCompleted(true);
     setCurrentGameScore(score); // Store the current game's score
+    setScoreDetails(details);
+    setWinningPath(getWinningPath(connectionResult));
     
     // Update best score if current score is better (lower) than previous best score
     const newBestScore = updateBestScore(score, gameScore);
@@ -129,8 +307,8 @@ export const useGame = () => {
     }
 
     // Save game to history if user is logged in
-    if (currentUser && startActors[0] && startActors[1] && connectionResult) {
-      saveGameToHistory(currentUser, score, connectionResult, timeTaken, challengeMode);
+    if (currentUser && startActors.every(Boolean) && connectionResult) {
+      saveGameToHistory(currentUser, score, connectionResult, timeTaken, challengeMode, details);
     }  };
   
   /**
@@ -139,7 +317,8 @@ export const useGame = () => {
    * @param {number} score - Final game score
    * @param {number} timeTaken - Time taken to complete the game in seconds
    * @param {string} challengeMode - Current challenge mode
-   */  const saveGameToHistory = async (currentUser, score,connectionResult, timeTaken, challengeMode) => {
+   * @param {Object} details - Scoring formula version and breakdown
+   */  const saveGameToHistory = async (currentUser, score,connectionResult, timeTaken, challengeMode, details) => {
     try {
       logger.info('💾 Saving game to history for user:', currentUser.userId);
         // Determine game mode name using the challenge id
@@ -147,20 +326,44 @@ export const useGame = () => {
         // Get the board's nodes from the hook parameter (we need to pass this in)
       // For now, just save the path IDs and improve this later
         const gameData = {
-        startingActor1: startActors[0].name,
-        startingActor2: startActors[1].name,
+        startingActor1: getItemTitle(startActors[0]),
+        startingActor2: getItemTitle(startActors[startActors.length - 1]),
         pathLength: connectionResult?.pathLength || 0,
         fullPath: connectionResult?.fullPath || [],
         timeTaken: timeTaken || Math.floor((Date.now() - gameStartTime) / 1000),
         score: score,
+        totalNodes: connectionResult?.totalNodes ?? null,
+        optimalPathLength: getScoringPar(),
+        hintsUsed,
+        scoringVersion: details?.scoringVersion ?? null,
+        scoreBreakdown: details?.breakdown ?? null,
+        sessionId: gameSessionIdRef.current,
         completedAt: new Date().toISOString()
       };
+      // Chain games are a tree rather than a path, so the server checks the tree's edges
+      if (connectionResult?.treeEdges) {
+        gameData.startActorIds = startActors.map(getStartNodeId);
+        gameData.startingActorNames = startActors.map(getItemTitle);
+        gameData.treeEdges = connectionResult.treeEdges;
+      }
+      // For Fun games with crew credits turned on are checked against crew links too
+      if (includesCrewCredits(challengeMode)) {
+        gameData.includeCrew = true;
+      }
       
       logger.info('🎮 Client - gameData being sent:', JSON.stringify(gameData, null, 2));
       logger.info('🎮 Client - gameData keys:', Object.keys(gameData));
         // Call the imported Firebase service function
-      const result = await saveGameToFirebase(currentUser.userId, gameModeName, gameData);
-      logger.info('✅ Game saved to history successfully, result:', result);
+      // The replay goes along with the entry but is kept out of the log above
+      const result = await saveGameToFirebase(currentUser.userId, gameModeName, {
+        ...gameData,
+        replay: replayRecorder.getReplay()
+      });
+      if (result.verification?.status === 'verified') {
+        logger.info('✅ Game saved to history successfully, result:', result);
+      } else {
+        logger.warn('⚠️ Game saved but not eligible for the leaderboard:', result.verification?.reasons);
+      }
       
     } catch (error) {
       logger.error('❌ Failed to save game to history:', error);
@@ -168,11 +371,12 @@ export const useGame = () => {
     }
   };
     /**
-   * Select an actor as a starting actor
+   * Select an actor (or, in reverse games, a title) as a starting actor
    * @param {number} actorId - ID of the actor to select
-   * @param {number} actorIndex - Index (0 or 1) of the actor position
+   * @param {number} actorIndex - Index of the actor position
+   * @param {string} mediaType - 'person', or 'movie'/'tv' for a starting title
    */
-  const selectStartActor = async (actorId, actorIndex) => {
+  const selectStartActor = async (actorId, actorIndex, mediaType = 'person') => {
     try {
       if (!actorId) {
         setStartActors(prev => {
@@ -187,7 +391,14 @@ export const useGame = () => {
       
       setIsLoading(true);      
       // getPersonDetails now handles merging of guest appearances
-      const actorDetails = await getPersonDetails(actorId);
+      let actorDetails;
+      if (mediaType === 'movie') {
+        actorDetails = { ...await getMovieDetails(actorId), media_type: 'movie' };
+      } else if (mediaType === 'tv') {
+        actorDetails = { ...await getTvShowDetails(actorId), media_type: 'tv' };
+      } else {
+        actorDetails = await getPersonDetails(actorId);
+      }
 
       setStartActors(prev => {
         const newStartActors = [...prev];
@@ -203,10 +414,23 @@ export const useGame = () => {
       setIsLoading(false);
     }
   };
+  /**
+   * Change the number of starting actor slots (2, or 3 to 5 for chain games)
+   * Actors already picked for the remaining slots are kept.
+   * @param {number} count - Number of starting actors
+   */
+  const setStartActorCount = (count) => {
+    setStartActors(prev => resizeActorSlots(prev, count, () => null));
+    setActorSearchResults(prev => resizeActorSlots(prev, count, () => []));
+    setActorSearchTerms(prev => resizeActorSlots(prev, count, () => ''));
+    setActorSearchPages(prev => resizeActorSlots(prev, count, () => 1));
+    setActorSearchTotalPages(prev => resizeActorSlots(prev, count, () => 1));
+  };
+
     /**
    * Set actor search term
    * @param {string} term - Search term
-   * @param {number} actorIndex - Index (0 or 1) of the actor position
+   * @param {number} actorIndex - Index of the actor position
    */
   const setActorSearch = (term, actorIndex) => {
     setActorSearchTerms(prev => updateActorSearchTerm(term, actorIndex, prev));
@@ -221,6 +445,7 @@ export const useGame = () => {
     setGameStartTime,
     startActors, 
     setStartActors,
+    setStartActorCount,
     gameCompleted, 
     setGameCompleted,
     keepPlayingAfterWin, 
@@ -231,8 +456,17 @@ export const useGame = () => {
     gameScore,
     setGameScore,
     currentGameScore, // Add current game score
+    scoreDetails,
+    winningPath,
+    hintsUsed,
+    currentHint,
+    setCurrentHint,
+    hintTarget,
+    recordHint,
     shortestPathLength,
     setShortestPathLength,
+    optimalPath,
+    isOptimalPathLoading,
     actorSearchResults,
     setActorSearchResults,
     actorSearchTerms,
@@ -242,6 +476,10 @@ export const useGame = () => {
     actorSearchTotalPages,
     setActorSearchTotalPages,
     startGame,
+    resumeGame,
+    getGameSessionId,
+    getSessionPar,
+    getScoringPar,
     resetGame,
     completeGame,
     selectStartActor,
@@ -0,0 +1,44 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getWinningPathOrder, prefersReducedMotion } from '../utils/boardUtils';
+import { VICTORY_REVEAL_STEP_MS } from '../utils/constants';
+
+/**
+ * Custom hook for the walk along the winning route after a win
+ * Cards light up one at a time outward from the first starting actor, so a classic game
+ * walks from actor 1 to actor 2. With reduced motion the whole route shows at once.
+ *
+ * @param {Object|null} winningPath - { nodeIds, edges } from the game state
+ * @param {string|null} firstStartNodeId - Node ID of the first starting actor
+ * @param {boolean} active - Whether the walk should run
+ * @returns {Object} - { order, revealedNodeIds: Set, isComplete }
+ */
+export const usePathReveal = (winningPath, firstStartNodeId, active) => {
+  const [revealedCount, setRevealedCount] = useState(0);
+
+  const order = useMemo(() => getWinningPathOrder(winningPath, firstStartNodeId), [winningPath, firstStartNodeId]);
+
+  // Start over whenever the walk is switched off, ready for the next win
+  useEffect(() => {
+    if (!active) setRevealedCount(0);
+  }, [active]);
+
+  useEffect(() => {
+    if (!active || revealedCount >= order.length) return;
+    if (prefersReducedMotion()) {
+      setRevealedCount(order.length);
+      return;
+    }
+
+    const timer = setTimeout(() => setRevealedCount(count => count + 1), revealedCount === 0 ? 0 : VICTORY_REVEAL_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [active, revealedCount, order.length]);
+
+  const visibleCount = active ? revealedCount : 0;
+  const revealedNodeIds = useMemo(() => new Set(order.slice(0, visibleCount)), [order, visibleCount]);
+
+  return {
+    order,
+    revealedNodeIds,
+    isComplete: active && order.length > 0 && visibleCount >= order.length
+  };
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Custom hook for showing a long list a page at a time
+ * More items are shown when a marker element after the list scrolls into view, so long
+ * lists cost nothing to render until they're read. Starts over when resetKey changes.
+ *
+ * @param {Array} items - Whole list
+ * @param {number} pageSize - Items per page
+ * @param {*} resetKey - Value that changes when the list is replaced, e.g. a filter
+ * @returns {Object} - { visibleItems, hasMore, showMore, sentinelRef }
+ */
+export const useProgressiveList = (items, pageSize, resetKey) => {
+  const [shown, setShown] = useState({ resetKey, count: pageSize });
+  const sentinelRef = useRef(null);
+
+  // A new list starts back at the first page
+  const count = shown.resetKey === resetKey ? shown.count : pageSize;
+  const hasMore = items.length > count;
+
+  const showMore = () => setShown({ resetKey, count: count + pageSize });
+
+  // The observer's callback reads the latest count through a ref
+  const showMoreRef = useRef(showMore);
+  useEffect(() => {
+    showMoreRef.current = showMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!hasMore || !sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        showMoreRef.current();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, count]);
+
+  return {
+    visibleItems: items.slice(0, count),
+    hasMore,
+    showMore,
+    sentinelRef
+  };
+};
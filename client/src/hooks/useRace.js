@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react';
+import { createRace, joinRace, sendRaceAction, subscribeToRace } from '../services/raceService';
+import { logger } from '../utils/loggerUtils';
+
+/**
+ * Custom hook for a head-to-head race
+ * Holds the live room state and this player's credentials for the room
+ * @returns {Object} - Race methods and state
+ */
+export const useRace = () => {
+  // Live room state from the server: { code, status, hostId, actors, startedAt, winnerId, players }
+  const [race, setRace] = useState(null);
+  // This player in the room: { code, id, token }
+  const [racePlayer, setRacePlayer] = useState(null);
+  const [raceError, setRaceError] = useState(null);
+
+  // Follow the room while this player is in it
+  useEffect(() => {
+    if (!racePlayer?.code) return;
+
+    const unsubscribe = subscribeToRace(racePlayer.code, (state) => {
+      setRace(state);
+      if (state.status === 'closed') {
+        logger.info(`🏁 Race ${state.code} was closed by the host`);
+        setRaceError('The host closed this race');
+        setRacePlayer(null);
+      }
+    });
+    return unsubscribe;
+  }, [racePlayer?.code]);
+
+  /**
+   * Run a race request, keeping its error for the lobby to show
+   */
+  const runRaceRequest = async (request, description) => {
+    setRaceError(null);
+    try {
+      return await request();
+    } catch (error) {
+      logger.error(`❌ Failed to ${description}:`, error);
+      setRaceError(error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Open a race room and become its host
+   * @param {string} name - Display name
+   */
+  const hostRace = async (name) => {
+    const result = await runRaceRequest(() => createRace(name), 'create race');
+    if (result) {
+      logger.info(`🏁 Created race ${result.room.code}`);
+      setRace(result.room);
+      setRacePlayer({ code: result.room.code, ...result.player });
+    }
+  };
+
+  /**
+   * Join a race room by code
+   * @param {string} code - Room code
+   * @param {string} name - Display name
+   */
+  const enterRace = async (code, name) => {
+    const result = await runRaceRequest(() => joinRace(code.trim().toUpperCase(), name), 'join race');
+    if (result) {
+      logger.info(`🏁 Joined race ${result.room.code}`);
+      setRace(result.room);
+      setRacePlayer({ code: result.room.code, ...result.player });
+    }
+  };
+
+  /**
+   * Start the race (host only); both players receive the pair over the event stream
+   */
+  const startRace = async () => {
+    if (!racePlayer) return;
+    await runRaceRequest(() => sendRaceAction(racePlayer.code, racePlayer.token, 'start'), 'start race');
+  };
+
+  /**
+   * Share this player's progress with the opponent
+   * @param {Object} progress - { nodeCount, pathLength }
+   */
+  const reportRaceProgress = useCallback((progress) => {
+    if (!racePlayer) return;
+    sendRaceAction(racePlayer.code, racePlayer.token, 'progress', progress)
+      .catch(error => logger.warn('⚠️ Could not send race progress:', error));
+  }, [racePlayer]);
+
+  /**
+   * Report that this player connected the starting actors
+   * @param {Object} result - { nodeCount, pathLength, score, path: [{ id, name }] }
+   */
+  const finishRace = useCallback((result) => {
+    if (!racePlayer) return;
+    sendRaceAction(racePlayer.code, racePlayer.token, 'finish', result)
+      .catch(error => logger.warn('⚠️ Could not send race finish:', error));
+  }, [racePlayer]);
+
+  /**
+   * Leave the race and stop following it
+   */
+  const leaveRace = useCallback(() => {
+    if (racePlayer) {
+      sendRaceAction(racePlayer.code, racePlayer.token, 'leave')
+        .catch(error => logger.warn('⚠️ Could not leave race:', error));
+    }
+    setRacePlayer(null);
+    setRace(null);
+    setRaceError(null);
+  }, [racePlayer]);
+
+  return {
+    race,
+    racePlayer,
+    raceError,
+    hostRace,
+    enterRace,
+    startRace,
+    reportRaceProgress,
+    finishRace,
+    leaveRace
+  };
+};
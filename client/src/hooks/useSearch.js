@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { searchPeople } from '../services/tmdbService';
+import { searchPeople, searchTitles } from '../services/tmdbService';
 import { searchLocal, quickSearch } from '../utils/localSearch';
 import { logger } from '../utils/loggerUtils';
 
@@ -87,12 +87,13 @@ export const useSearch = () => {
   /**
    * Search for actors for the starting positions
    * @param {string} query - Search query
-   * @param {number} actorIndex - Actor position index (0 or 1)
+   * @param {number} actorIndex - Actor position index
    * @param {number} page - Page number for pagination
    * @param {function} setActorSearchResults - Function to set search results
    * @param {function} setActorSearchPages - Function to set current page
    * @param {function} setActorSearchTotalPages - Function to set total pages
    * @param {function} setIsLoading - Function to set loading state
+   * @param {boolean} searchForTitles - Search movies and TV shows instead (reverse games)
    */
   const searchStartActors = async (
     query, 
@@ -101,7 +102,8 @@ export const useSearch = () => {
     setActorSearchResults,
     setActorSearchPages,
     setActorSearchTotalPages,
-    setIsLoading
+    setIsLoading,
+    searchForTitles = false
   ) => {
     try {
       if (!query.trim()) {
@@ -114,11 +116,11 @@ export const useSearch = () => {
       }
       
       setIsLoading(true);
-      const response = await searchPeople(query, page);
+      const response = searchForTitles ? await searchTitles(query, page) : await searchPeople(query, page);
       
-      // Filter out results without ID or profile images
+      // Filter out results without ID or images
       const filteredResults = response.results.filter(actor => {
-        return actor.id && actor.profile_path;
+        return actor.id && (searchForTitles ? actor.poster_path : actor.profile_path);
       });
       
       // Update actor search results
@@ -1,15 +1,18 @@
 // src/hooks/useZoom.js
 import { useState, useCallback } from 'react';
 
-/** Four fixed zoom levels: 100%, 75%, 50%, 25% */
-const ZOOM_LEVELS = [1, 0.9, 0.8, 0.7];
+/** Four fixed zoom levels: 100%, 90%, 80%, 70% */
+export const ZOOM_LEVELS = [1, 0.9, 0.8, 0.7];
 
 /**
- * Custom hook to handle Zoom in game
- * @returns {{ zoomLevel: number, handleWheel(e): void }}
+ * Custom hook to handle Zoom and panning in game
+ * The pan is the board point shown at the top-left corner of the screen; GameBoard keeps
+ * it inside the board when it's used.
+ * @returns {{ zoomLevel: number, handleWheel(e): void, setZoom(level): void, pan: Object, setPan(pan): void }}
  */
 export const useZoom = () => {
   const [zoomLevel, setZoomLevel] = useState(ZOOM_LEVELS[0]);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
 
   const handleZoom = useCallback((deltaY) => {
     setZoomLevel(prev => {
@@ -32,8 +35,16 @@ export const useZoom = () => {
     handleZoom(e.deltaY);
   }, [handleZoom]);
 
+  // Jump to the fixed zoom level closest to the one asked for
+  const setZoom = useCallback((level) => {
+    setZoomLevel(ZOOM_LEVELS.reduce((closest, lvl) => (Math.abs(lvl - level) < Math.abs(closest - level) ? lvl : closest)));
+  }, []);
+
   return {
     zoomLevel,
-    handleWheel
+    handleWheel,
+    setZoom,
+    pan,
+    setPan
   };
 };
@@ -38,6 +38,18 @@ export const callApi = async (endpoint, params = {}, options = {}) => {
       // Map search endpoints: search/multi -> /api/tmdb/search/multi
       const path = cleanEndpoint.replace('search/', '');
       backendEndpoint = `${config.backend.endpoints.search}/${path}`;
+    } else if (cleanEndpoint === 'optimal-path') {
+      // Server-side solver: optimal-path -> /api/tmdb/optimal-path
+      backendEndpoint = config.backend.endpoints.optimalPath;
+    } else if (cleanEndpoint === 'daily') {
+      // Daily puzzle pair: daily -> /api/tmdb/daily
+      backendEndpoint = config.backend.endpoints.daily;
+    } else if (cleanEndpoint === 'episode-cast') {
+      // Episode-cast index: episode-cast -> /api/tmdb/episode-cast
+      backendEndpoint = config.backend.endpoints.episodeCast;
+    } else if (cleanEndpoint === 'random-pair') {
+      // Difficulty-calibrated starting pair: random-pair -> /api/tmdb/random-pair
+      backendEndpoint = config.backend.endpoints.randomPair;
     } else {
       // Default fallback
       backendEndpoint = `/api/tmdb/${cleanEndpoint}`;
@@ -18,7 +18,7 @@ const CACHE_KEYS = {
 const CACHE_DURATION = 24 * 60 * 60 * 1000;
 
 // Current cache version (increment when schema changes)
-const CACHE_VERSION = '1.0.0';
+const CACHE_VERSION = '1.1.0';
 
 /**
  * Available challenge modes that require blacklist filtering
@@ -29,7 +29,9 @@ export const FILTERABLE_CHALLENGES = [
   'no-disney',
   'Nathan',
   'movies-only',
-  'tv-only'
+  'tv-only',
+  'no-animation',
+  'since-2000'
 ];
 
 /**
@@ -37,7 +39,13 @@ export const FILTERABLE_CHALLENGES = [
  */
 export const NO_FILTER_CHALLENGES = [
   'for-fun',
-  'classic'
+  'classic',
+  'daily',
+  'race',
+  'chain',
+  'reverse',
+  'crew',
+  'episodes'
 ];
 
 /**
@@ -180,6 +188,29 @@ function loadFromCache() {
   }
 }
 
+/**
+ * Load the blacklist of a user-made challenge into the session cache
+ * Custom challenges aren't part of the bulk load, so they're fetched when one is played.
+ * 
+ * @param {string} challengeId - Custom challenge ID
+ * @returns {Promise<Object>} - The blacklist data
+ */
+export async function loadCustomChallengeBlacklist(challengeId) {
+  const blacklists = loadFromCache() || {};
+  if (blacklists[challengeId]) {
+    return blacklists[challengeId];
+  }
+
+  const blacklist = await fetchChallengeBlacklist(challengeId);
+  try {
+    // Only the lists are replaced, so the bulk cache keeps its own age
+    sessionStorage.setItem(CACHE_KEYS.BLACKLISTS, JSON.stringify({ ...blacklists, [challengeId]: blacklist }));
+  } catch (error) {
+    logger.error('Error caching custom challenge blacklist:', error);
+  }
+  return blacklist;
+}
+
 /**
  * Clear cached blacklists (useful for testing or force refresh)
  */
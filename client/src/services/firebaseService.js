@@ -194,8 +194,11 @@ export async function verifyUser(username, password) {
  *   - fullPath: array containing the complete path from actor1 to actor2
  *   - timeTaken: time in seconds to complete the game
  *   - score: final game score
+ *   - totalNodes: number of board entities reachable from the starting actors
+ *   - optimalPathLength: par fixed in the game session (or null)
+ *   - sessionId: ID returned by startGameSession (or null)
  *   - completedAt: timestamp when game was completed
- * @returns {Promise<string>} The ID of the saved game
+ * @returns {Promise<Object>} { gameId, verification } - the server re-verifies the result and may flag it
  */
 export async function saveGameToHistory(userId, gameMode, gameData) {
   const res = await fetch(`${API_BASE}/save-game-history/*`, {
@@ -210,7 +213,104 @@ export async function saveGameToHistory(userId, gameMode, gameData) {
     throw new Error(data.message || 'Failed to save game to history');
   }
 
-  return data.gameId;
+  return { gameId: data.gameId, verification: data.verification };
+}
+
+/**
+ * Registers the start of a game so the server can verify its timing
+ * @param {string} userId - The user ID of the player
+ * @param {string} gameMode - The challenge mode
+ * @param {Array} startActorIds - Board node IDs of the two starting actors
+ * @param {string|null} dailyDate - Puzzle date when playing the daily puzzle
+ * @param {boolean} includeCrew - Whether crew credits link in this game
+ * @returns {Promise<Object>} { sessionId, scored, optimalPathLength } - scored is false for repeat daily
+ *   attempts; optimalPathLength is the par the server will score the result against
+ */
+export async function startGameSession(userId, gameMode, startActorIds, dailyDate = null, includeCrew = false) {
+  const res = await fetch(`${API_BASE}/game-start/*`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, gameMode, startActorIds, dailyDate, includeCrew }),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.message || 'Failed to start game session');
+  }
+
+  return { sessionId: data.sessionId, scored: data.scored, optimalPathLength: data.optimalPathLength ?? null };
+}
+
+/**
+ * Fetches a user's daily puzzle status
+ * @param {string} userId - The user ID of the player
+ * @returns {Promise<Object>} { date, attemptedToday, streak: { current, best, lastDate } }
+ */
+export async function fetchDailyStatus(userId) {
+  const res = await fetch(`${API_BASE}/daily-status/*`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId }),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.message || 'Failed to fetch daily status');
+  }
+
+  return { date: data.date, attemptedToday: data.attemptedToday, streak: data.streak };
+}
+
+/**
+ * Calls the saved game endpoint
+ * @param {string} userId - The user ID of the player
+ * @param {string} action - 'save', 'load' or 'clear'
+ * @param {Object|null} savedGame - Snapshot to save
+ * @returns {Promise<Object>} Response data
+ */
+async function callSavedGame(userId, action, savedGame = null) {
+  const res = await fetch(`${API_BASE}/saved-game/*`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, action, savedGame }),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.message || `Failed to ${action} saved game`);
+  }
+
+  return data;
+}
+
+/**
+ * Stores a user's in-progress game so it can be resumed on another device
+ * @param {string} userId - The user ID of the player
+ * @param {Object} savedGame - Snapshot from createGameSnapshot
+ */
+export async function saveInProgressGame(userId, savedGame) {
+  await callSavedGame(userId, 'save', savedGame);
+}
+
+/**
+ * Fetches a user's in-progress game
+ * @param {string} userId - The user ID of the player
+ * @returns {Promise<Object|null>} The saved snapshot, or null if there is none
+ */
+export async function fetchInProgressGame(userId) {
+  const data = await callSavedGame(userId, 'load');
+  return data.savedGame || null;
+}
+
+/**
+ * Deletes a user's in-progress game once it's finished or discarded
+ * @param {string} userId - The user ID of the player
+ */
+export async function clearInProgressGame(userId) {
+  await callSavedGame(userId, 'clear');
 }
 
 /**
@@ -255,5 +355,74 @@ export async function fetchUserGameHistory(userId) {
   return data.gameHistory || {};
 }
 
+/**
+ * Fetches the recorded replay of a finished game
+ * @param {string} replayId - Replay ID from a history or leaderboard entry
+ * @returns {Promise<Object>} Replay { version, duration, start, events, ... }
+ */
+export async function fetchReplay(replayId) {
+  const res = await fetch(`${API_BASE}/replay/*`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ replayId }),
+  });
+
+  const data = await res.json();
 
+  if (!res.ok) {
+    throw new Error(data.message || 'Failed to fetch replay');
+  }
 
+  return data.replay;
+}
+
+/**
+ * Calls the custom challenge endpoint
+ * @param {Object} body - { action, ... }
+ * @returns {Promise<Object>} Response data
+ */
+async function callCustomChallenge(body) {
+  const res = await fetch(`${API_BASE}/custom-challenge/*`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.message || `Failed to ${body.action} custom challenge`);
+  }
+
+  return data;
+}
+
+/**
+ * Creates a user-made challenge
+ * @param {string} userId - The user ID of the creator
+ * @param {Object} challenge - { title, description, excludedCompanies, mediaType, era, startActors }
+ * @returns {Promise<Object>} The stored challenge, including its generated ID
+ */
+export async function createCustomChallenge(userId, challenge) {
+  const data = await callCustomChallenge({ action: 'create', userId, challenge });
+  return data.challenge;
+}
+
+/**
+ * Fetches a user-made challenge, e.g. from a share link
+ * @param {string} challengeId - Custom challenge ID
+ * @returns {Promise<Object>} The challenge
+ */
+export async function fetchCustomChallenge(challengeId) {
+  const data = await callCustomChallenge({ action: 'get', challengeId });
+  return data.challenge;
+}
+
+/**
+ * Fetches the featured and most recent community challenges
+ * @returns {Promise<Object>} { featured, recent }
+ */
+export async function fetchCustomChallenges() {
+  const data = await callCustomChallenge({ action: 'list' });
+  return { featured: data.featured || [], recent: data.recent || [] };
+}
@@ -0,0 +1,83 @@
+import config from '../config/api.config';
+import { logger } from '../utils/loggerUtils';
+
+// Handles the head-to-head race API (server/app/api/race)
+// Room changes arrive over server-sent events; everything else is a plain POST
+
+const RACE_BASE = `${config.backend.baseUrl}${config.backend.endpoints.race}`;
+
+/**
+ * POST to a race endpoint and unwrap the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ */
+async function postRace(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  const data = await res.json();
+
+  if (!res.ok) {
+    throw new Error(data.error || 'Race request failed');
+  }
+
+  return data;
+}
+
+/**
+ * Open a new race room
+ * @param {string} name - Display name of the host
+ * @returns {Promise<Object>} { room, player: { id, token } }
+ */
+export async function createRace(name) {
+  return postRace(RACE_BASE, { name });
+}
+
+/**
+ * Join a race room by its code
+ * @param {string} code - Room code from the invite
+ * @param {string} name - Display name of the player
+ * @returns {Promise<Object>} { room, player: { id, token } }
+ */
+export async function joinRace(code, name) {
+  return postRace(`${RACE_BASE}/${encodeURIComponent(code)}`, { action: 'join', name });
+}
+
+/**
+ * Send a race action for the current player
+ * @param {string} code - Room code
+ * @param {string} token - Player token returned when creating or joining
+ * @param {string} action - 'start', 'progress', 'finish' or 'leave'
+ * @param {Object} payload - Action data
+ * @returns {Promise<Object|null>} Room state (null once a room is closed)
+ */
+export async function sendRaceAction(code, token, action, payload = {}) {
+  const data = await postRace(`${RACE_BASE}/${encodeURIComponent(code)}`, { action, token, ...payload });
+  return data.room;
+}
+
+/**
+ * Listen for live updates to a race room
+ * @param {string} code - Room code
+ * @param {Function} onUpdate - Called with the room state on connect and after every change
+ * @returns {Function} Function that closes the stream
+ */
+export function subscribeToRace(code, onUpdate) {
+  const source = new EventSource(`${RACE_BASE}/${encodeURIComponent(code)}/events`);
+
+  source.onmessage = (event) => {
+    try {
+      onUpdate(JSON.parse(event.data));
+    } catch (error) {
+      logger.error('❌ Invalid race update:', error);
+    }
+  };
+  // EventSource reconnects on its own; just note the drop
+  source.onerror = () => logger.warn(`⚠️ Race ${code} stream interrupted, reconnecting...`);
+
+  return () => source.close();
+}
@@ -14,6 +14,7 @@ import {  CACHE_TTL,
   processMultiPageResults
 } from '../utils/tmdbUtils';
 import { logger } from '../utils/loggerUtils';
+import { EPISODE_CAST_MAX_REQUESTS, CALIBRATED_PAIR_DIFFICULTIES } from '../utils/constants';
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -275,6 +276,36 @@ export const fetchRandomPerson = async () => {
   );
 };
 
+/**
+ * Fetches a random popular movie or TV show
+ * Used for generating the starting titles of a reverse game
+ * 
+ * @returns {Promise<Object>} Title details including credits, tagged with its media_type
+ * @throws {Error} If no popular titles are found or other API errors
+ */
+export const fetchRandomTitle = async () => {
+  return withErrorHandling(
+    async () => {
+      const mediaType = Math.random() < 0.5 ? 'movie' : 'tv';
+      const page = Math.floor(Math.random() * 10) + 1; // Random page between 1 and 10
+      const popularTitles = await callApi(`/${mediaType}/popular`, { page });
+      
+      if (!popularTitles.results || popularTitles.results.length === 0) {
+        throw new Error('No popular titles found');
+      }
+      
+      const randomIndex = Math.floor(Math.random() * popularTitles.results.length);
+      const randomTitleId = popularTitles.results[randomIndex].id;
+      const details = mediaType === 'movie'
+        ? await getMovieDetails(randomTitleId)
+        : await getTvShowDetails(randomTitleId);
+      
+      return { ...details, media_type: mediaType };
+    },
+    { error: true, message: 'Failed to fetch random title' }
+  );
+};
+
 /**
  * Finds potential TV show guest appearances for a specific actor
  * This enhances the data available beyond what the standard TMDB API provides
@@ -558,6 +589,39 @@ export const searchPeople = async (query, page = 1) => {
   );
 };
 
+/**
+ * Search for movies and TV shows, leaving out people
+ * 
+ * @param {string} query - The search query
+ * @param {number} page - The page number to fetch
+ * @returns {Promise<Object>} - The search results including pagination info
+ */
+export const searchTitles = async (query, page = 1) => {
+  if (!validateSearchQuery(query)) {
+    return { results: [], page: 1, total_pages: 1 };
+  }
+  
+  return withErrorHandling(
+    () => withCache(
+      `search-titles-${query.trim()}-${page}`,
+      async () => {
+        const response = await callApi('/search/multi', { 
+          query: query.trim(),
+          include_adult: false,
+          page: page
+        });
+        
+        return {
+          results: (response.results || []).filter(item => item.media_type === 'movie' || item.media_type === 'tv'),
+          page: response.page || 1,
+          total_pages: response.total_pages || 1
+        };
+      }
+    ),
+    { results: [], page: 1, total_pages: 1 }
+  );
+};
+
 /**
  * Fetch popular entities across multiple pages for each media type
  */
@@ -654,16 +718,118 @@ export const fetchTwoRandomActorsWithPhotos = async () => {
         return [actor1, actor2];
     };
 
+/**
+ * Fetch two starting actors whose separation suits a challenge's difficulty
+ * The server measures the pair under the challenge's blacklist, so it's always solvable.
+ * Falls back to two random popular actors if the server finds no pair in time.
+ *
+ * @param {string|null} challengeId - Active challenge, so blacklisted titles are avoided
+ * @param {string} difficulty - Difficulty shown on the challenge card (e.g. 'Hard')
+ * @returns {Promise<Array>} - [actor1Details, actor2Details]
+ */
+export const fetchCalibratedActorPair = async (challengeId, difficulty) => {
+  const params = {};
+  if (challengeId) params.challenge = challengeId;
+  if (CALIBRATED_PAIR_DIFFICULTIES.includes(difficulty)) params.difficulty = difficulty;
+
+  const pair = await withErrorHandling(() => callApi('/random-pair', params), null);
+  if (!pair?.actors) {
+    logger.warn('🎲 No calibrated pair available, picking two random actors instead');
+    return fetchTwoRandomActorsWithPhotos();
+  }
+
+  const actors = await Promise.all(pair.actors.map(actor => getPersonDetails(actor.id)));
+  if (actors.some(actor => !actor?.id)) {
+    return fetchTwoRandomActorsWithPhotos();
+  }
+
+  logger.info(`🎲 ${pair.calibrated ? 'Calibrated' : 'Closest'} ${difficulty || ''} pair: ${actors[0].name} & ${actors[1].name} (${pair.hops} hops)`);
+  return actors;
+};
+
+/**
+ * Get today's daily puzzle, the same starting actors for every player
+ * Throws if the puzzle can't be loaded so callers can fall back to another mode
+ *
+ * @returns {Promise<Object>} - { date, actors: [actor1Details, actor2Details] }
+ */
+export const fetchDailyPuzzle = async () => {
+  const puzzle = await callApi('/daily');
+  const actors = await Promise.all(puzzle.actors.map(actor => getPersonDetails(actor.id)));
+
+  if (actors.some(actor => !actor?.id)) {
+    throw new Error(`Failed to load actor details for the ${puzzle.date} daily puzzle`);
+  }
+
+  return { date: puzzle.date, actors };
+};
+
+/**
+ * Get the optimal connection between two entities from the server-side solver
+ * Used as the "par" for a game; the request can take several seconds
+ *
+ * @param {string} fromNodeId - Board node ID of the first start entity (e.g. 'person-287')
+ * @param {string} toNodeId - Board node ID of the second start entity
+ * @param {string|null} challengeId - Active challenge, so blacklisted titles are avoided
+ * @param {Array} avoidNodeIds - Node IDs the path may not pass through (Explore's alternative routes)
+ * @returns {Promise<Object|null>} - Solver result ({ found, optimal, pathLength, pathDetails }) or null on error
+ */
+export const fetchOptimalPath = async (fromNodeId, toNodeId, challengeId = null, avoidNodeIds = []) => {
+  const params = { from: fromNodeId, to: toNodeId };
+  if (challengeId) params.challenge = challengeId;
+  if (avoidNodeIds.length > 0) params.avoid = avoidNodeIds.join(',');
+
+  return withErrorHandling(
+    () => withCache(
+      `optimal-path-${fromNodeId}-${toNodeId}-${challengeId || 'none'}-${params.avoid || ''}`,
+      () => callApi('/optimal-path', params)
+    ),
+    null
+  );
+};
+
+/**
+ * Get which episodes of a TV show each person is credited in, for episode games
+ * The server builds long shows a few seasons per request, so an unfinished index is
+ * requested again until it's complete or EPISODE_CAST_MAX_REQUESTS runs out.
+ *
+ * @param {number} tvId - The TMDB ID of the TV show
+ * @returns {Promise<Object|null>} - { tvId, cast: { personId: ['S1E3', ...] }, complete } or null on error
+ */
+export const getTvEpisodeCast = async (tvId) => {
+  const cacheKey = `episode-cast-${tvId}`;
+  const cached = getValidCachedData(cacheKey);
+  if (cached?.complete) return cached;
+
+  return withErrorHandling(async () => {
+    let index = null;
+    for (let attempt = 0; attempt < EPISODE_CAST_MAX_REQUESTS && !index?.complete; attempt++) {
+      index = await callApi('/episode-cast', { tv: tvId });
+    }
+    if (!index.complete) {
+      logger.warn(`📺 Episode index for tv-${tvId} is unfinished; playing with seasons ${index.indexedSeasons.join(', ')}`);
+    }
+    setCachedData(cacheKey, index);
+    return index;
+  }, cached || null);
+};
+
 export default {
   fetchRandomPerson,
+  fetchRandomTitle,
   getPersonDetails,
   getMovieDetails,
   getTvShowDetails,  getTvShowSeason,
   getTvEpisodeDetails,
+  getTvEpisodeCast,
   getTvShowGuestStars,
   findPersonGuestAppearances,
   checkActorInTvShow,
   searchPeople,
+  searchTitles,
   fetchPopularEntities,
-  fetchTwoRandomActorsWithPhotos
+  fetchTwoRandomActorsWithPhotos,
+  fetchCalibratedActorPair,
+  fetchDailyPuzzle,
+  fetchOptimalPath
 };
\ No newline at end of file
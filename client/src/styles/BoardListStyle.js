@@ -0,0 +1,14 @@
+// Text alternative to the board: every card with what it connects to, under the board tools
+export const boardListToggleBaseStyle = "py-0.5 px-2 sm:py-1 sm:px-3 rounded-md border text-[10px] sm:text-xs md:text-sm font-semibold transition-colors duration-150";
+export const boardListToggleDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-[gold] hover:bg-black/90";
+export const boardListToggleLightStyle = "bg-white/90 border-blue-200 text-blue-700 hover:bg-blue-50";
+
+export const boardListPanelBaseStyle = "w-[70vw] sm:w-72 max-h-[50vh] overflow-y-auto rounded-md border p-2 text-[11px] sm:text-xs";
+export const boardListPanelDarkStyle = "bg-slate-900/95 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const boardListPanelLightStyle = "bg-white/95 border-blue-200 text-gray-800";
+
+export const boardListItemStyle = "py-1 border-b border-gray-500/30 last:border-b-0";
+export const boardListItemTitleStyle = "font-semibold";
+export const boardListItemLinksStyle = "opacity-80";
+export const boardListItemActionsStyle = "flex gap-2 mt-0.5";
+export const boardListActionStyle = "underline underline-offset-2 hover:opacity-80";
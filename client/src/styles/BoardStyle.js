@@ -30,6 +30,9 @@ export const gameBoardContainerLightStyle =
 
 export const zoomWrapperStyle = "w-full h-full relative overflow-hidden touch-none min-h-screen";
 
-export const zoomContentBaseStyle = "relative origin-center transition-transform duration-100 ease-in-out min-w-full min-h-full";
+export const zoomContentBaseStyle = "relative origin-top-left transition-transform duration-100 ease-in-out min-w-full min-h-full";
 
-export const zoomIndicatorStyle = "absolute top-1 right-1 sm:top-2 sm:right-2 md:top-3 md:right-3 bg-white/90 text-black text-[10px] sm:text-xs md:text-sm py-0.5 px-1 sm:py-1 sm:px-2 md:py-1.5 md:px-3 rounded-md font-medium z-50 backdrop-blur-sm hidden sm:block";
\ No newline at end of file
+export const zoomIndicatorStyle = "absolute top-1 right-1 sm:top-2 sm:right-2 md:top-3 md:right-3 bg-white/90 text-black text-[10px] sm:text-xs md:text-sm py-0.5 px-1 sm:py-1 sm:px-2 md:py-1.5 md:px-3 rounded-md font-medium z-50 backdrop-blur-sm hidden sm:block";
+
+// Board tools (auto-arrange, board list), top-right of the board below the zoom indicator
+export const boardToolsContainerStyle = "absolute top-1 right-1 sm:top-10 sm:right-2 md:top-12 md:right-3 z-50 flex flex-col items-end gap-1";
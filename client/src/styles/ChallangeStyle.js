@@ -40,4 +40,22 @@ export const challengeScreenLeaderboardButtonDarkStyle ="bg-[#4bbee3] hover:bg-b
 
 export const challengeScreenAboutButtonBaseStyle ="flex-1 cursor-pointer rounded-lg py-[0.8rem] px-6 text-[1.1rem] font-bold text-white shadow-md transition-colors duration-300";
 export const challengeScreenAboutButtonLightStyle ="bg-emerald-600 hover:bg-emerald-700";
-export const challengeScreenAboutButtonDarkStyle ="bg-emerald-500 hover:bg-emerald-900";
\ No newline at end of file
+export const challengeScreenAboutButtonDarkStyle ="bg-emerald-500 hover:bg-emerald-900";
+
+// Community challenges, listed under the built-in ones
+export const challengeScreenSectionTitleBaseStyle = "font-serif font-bold text-xl sm:text-2xl text-center mb-4";
+export const challengeScreenSectionTitleLightStyle = "text-gray-600";
+export const challengeScreenSectionTitleDarkStyle = "text-[#F4F2E9]";
+
+export const challengeScreenCreateButtonBaseStyle ="w-full cursor-pointer rounded-lg py-[0.8rem] px-6 text-[1.1rem] font-bold text-white shadow-md transition-colors duration-300";
+export const challengeScreenCreateButtonLightStyle ="bg-fuchsia-700 hover:bg-fuchsia-800";
+export const challengeScreenCreateButtonDarkStyle ="bg-fuchsia-600 hover:bg-fuchsia-900";
+
+export const challengeScreenExploreButtonBaseStyle ="w-full cursor-pointer rounded-lg py-[0.8rem] px-6 text-[1.1rem] font-bold text-white shadow-md transition-colors duration-300";
+export const challengeScreenExploreButtonLightStyle ="bg-indigo-600 hover:bg-indigo-700";
+export const challengeScreenExploreButtonDarkStyle ="bg-indigo-500 hover:bg-indigo-900";
+
+// Shown while a starting pair is being picked for an auto-start challenge
+export const challengeScreenStatusBaseStyle = "w-full max-w-xl mx-auto mb-4 rounded-lg py-2 px-4 text-center text-sm font-semibold animate-pulse";
+export const challengeScreenStatusLightStyle = "bg-yellow-100 text-gray-800";
+export const challengeScreenStatusDarkStyle = "bg-[rgba(255,215,0,0.1)] text-[#F4F2E9]";
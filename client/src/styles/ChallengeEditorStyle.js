@@ -0,0 +1,35 @@
+// Challenge editor panel, centered on the challenge background
+export const editorPanelBaseStyle = "w-full max-w-2xl mx-auto p-5 sm:p-6 rounded-xl border backdrop-blur-sm flex flex-col gap-5 shadow-[0_8px_32px_rgba(0,0,0,0.3)]";
+export const editorPanelDarkStyle = "bg-gray-900/80 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const editorPanelLightStyle = "bg-white/90 border-blue-200 text-gray-800";
+
+export const editorSectionStyle = "flex flex-col gap-2";
+export const editorLabelStyle = "text-xs font-semibold uppercase tracking-wide opacity-70";
+export const editorHintStyle = "text-xs opacity-70";
+export const editorInputBaseStyle = "w-full py-2 px-3 rounded-md border text-sm focus:outline-none focus:ring-2";
+export const editorInputDarkStyle = "bg-slate-800 border-gray-600 text-white focus:ring-[gold]";
+export const editorInputLightStyle = "bg-white border-gray-300 text-black focus:ring-blue-400";
+export const editorErrorStyle = "text-sm text-red-500 text-center";
+
+// Studio checkboxes and media type options
+export const editorOptionGridStyle = "grid grid-cols-2 sm:grid-cols-3 gap-2";
+export const editorOptionRowStyle = "flex flex-wrap gap-2";
+export const editorOptionBaseStyle = "flex items-center gap-2 py-1.5 px-2 rounded-md border text-sm cursor-pointer select-none";
+export const editorOptionDarkStyle = "border-gray-600 hover:bg-gray-800";
+export const editorOptionLightStyle = "border-gray-300 hover:bg-gray-100";
+export const editorOptionSelectedDarkStyle = "border-[gold] bg-yellow-900/30";
+export const editorOptionSelectedLightStyle = "border-blue-500 bg-blue-50";
+
+// Fixed starting actors
+export const editorActorChipStyle = "flex items-center gap-2 py-1 pl-1 pr-2 rounded-full border border-current/20 text-sm";
+export const editorActorImageStyle = "w-7 h-7 rounded-full object-cover bg-gray-500";
+export const editorSearchResultsBaseStyle = "flex flex-col rounded-md border overflow-hidden";
+export const editorSearchResultsDarkStyle = "border-gray-600 bg-slate-800";
+export const editorSearchResultsLightStyle = "border-gray-300 bg-white";
+export const editorSearchResultStyle = "flex items-center gap-2 py-1.5 px-2 text-sm text-left hover:bg-current/10";
+
+export const editorButtonBaseStyle = "w-full py-2 px-4 rounded-lg font-bold transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+export const editorButtonDarkStyle = "bg-[gold] text-black hover:bg-yellow-300";
+export const editorButtonLightStyle = "bg-blue-600 text-white hover:bg-blue-700";
+export const editorSecondaryButtonDarkStyle = "bg-transparent border border-gray-500 text-gray-200 hover:bg-gray-800";
+export const editorSecondaryButtonLightStyle = "bg-transparent border border-gray-300 text-gray-700 hover:bg-gray-100";
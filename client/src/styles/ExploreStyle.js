@@ -0,0 +1,36 @@
+// Explore results: full-screen board between a header and the route list
+export const exploreResultsStyle = "fixed inset-0 z-40 flex flex-col";
+export const exploreResultsDarkStyle = "bg-[#0a0a1a] text-gray-100";
+export const exploreResultsLightStyle = "bg-[#f8fafc] text-gray-800";
+
+export const exploreHeaderBaseStyle = "flex justify-between items-center gap-2 py-2 px-3 sm:px-5 border-b";
+export const exploreHeaderDarkStyle = "border-[rgba(255,215,0,0.3)]";
+export const exploreHeaderLightStyle = "border-blue-200";
+export const exploreTitleStyle = "text-sm sm:text-lg font-bold truncate";
+export const exploreBoardStyle = "relative flex-1 overflow-hidden";
+
+// Route list and actions along the bottom
+export const exploreFooterBaseStyle = "flex flex-col gap-2 py-2 px-3 sm:px-5 border-t text-xs sm:text-sm max-h-[35vh] overflow-y-auto";
+export const exploreFooterDarkStyle = "bg-gray-900/90 border-[rgba(255,215,0,0.3)]";
+export const exploreFooterLightStyle = "bg-white/90 border-blue-200";
+export const exploreRouteStyle = "truncate";
+export const exploreRouteLabelStyle = "font-bold mr-2";
+export const exploreActionsStyle = "flex flex-wrap items-center gap-2";
+
+export const exploreButtonBaseStyle = "py-1 px-3 rounded-md font-bold transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+export const exploreButtonDarkStyle = "bg-[gold] text-black hover:bg-yellow-300";
+export const exploreButtonLightStyle = "bg-blue-600 text-white hover:bg-blue-700";
+export const exploreSecondaryButtonDarkStyle = "bg-transparent border border-gray-500 text-gray-200 hover:bg-gray-800";
+export const exploreSecondaryButtonLightStyle = "bg-transparent border border-gray-300 text-gray-700 hover:bg-gray-100";
+
+// Picking the two actors, on the challenge background
+export const exploreCardsStyle = "flex flex-col sm:flex-row flex-wrap justify-around items-center sm:items-start w-full max-w-xs sm:max-w-lg md:max-w-2xl gap-6 sm:gap-4 m-4 sm:m-10 mb-6 sm:mb-8";
+export const exploreIntroBaseStyle = "text-sm sm:text-base text-center max-w-xl";
+export const exploreIntroDarkStyle = "text-gray-200";
+export const exploreIntroLightStyle = "text-gray-700";
+export const exploreMessageStyle = "text-sm text-center opacity-80";
+export const exploreErrorStyle = "text-sm text-red-500 text-center";
+
+export const exploreFindButtonBaseStyle = "w-full max-w-[300px] cursor-pointer rounded-lg py-2 px-6 sm:py-[0.8rem] sm:px-8 text-base sm:text-[1.2rem] font-bold shadow-md transition-colors duration-300";
+export const exploreFindButtonDarkStyle = "bg-[#2a9cc1] text-white hover:bg-cyan-900 disabled:bg-slate-600 disabled:text-slate-400";
+export const exploreFindButtonLightStyle = "bg-[#6dd5f8] text-black hover:bg-cyan-500 disabled:bg-slate-300 disabled:text-slate-500";
@@ -0,0 +1,11 @@
+// Board image export menu, in the board tools
+export const exportToggleBaseStyle = "py-0.5 px-2 sm:py-1 sm:px-3 rounded-md border text-[10px] sm:text-xs md:text-sm font-semibold transition-colors duration-150";
+export const exportToggleDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-[gold] hover:bg-black/90";
+export const exportToggleLightStyle = "bg-white/90 border-blue-200 text-blue-700 hover:bg-blue-50";
+
+export const exportMenuBaseStyle = "flex flex-col items-stretch gap-1 rounded-md border p-2 text-[11px] sm:text-xs";
+export const exportMenuDarkStyle = "bg-slate-900/95 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const exportMenuLightStyle = "bg-white/95 border-blue-200 text-gray-800";
+
+export const exportOptionStyle = "text-left py-0.5 px-1 rounded hover:bg-gray-500/20 disabled:opacity-50 disabled:cursor-not-allowed";
+export const exportStatusStyle = "max-w-[12rem] opacity-80";
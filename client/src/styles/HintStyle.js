@@ -0,0 +1,10 @@
+// Container for the hint button and the revealed hint, top-left of the board
+export const hintContainerStyle = "absolute top-1 left-1 sm:top-2 sm:left-2 md:top-3 md:left-3 z-50 flex flex-col items-start gap-1 max-w-[60vw] sm:max-w-xs";
+
+export const hintButtonBaseStyle = "py-0.5 px-2 sm:py-1 sm:px-3 rounded-md border text-[10px] sm:text-xs md:text-sm font-semibold transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed";
+export const hintButtonDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-[gold] hover:bg-black/90";
+export const hintButtonLightStyle = "bg-white/90 border-blue-200 text-blue-700 hover:bg-blue-50";
+
+export const hintTextBaseStyle = "py-1 px-2 rounded-md border text-[10px] sm:text-xs leading-snug";
+export const hintTextDarkStyle = "bg-slate-800/90 border-yellow-700/40 text-gray-100";
+export const hintTextLightStyle = "bg-white/90 border-blue-100 text-gray-800";
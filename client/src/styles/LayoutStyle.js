@@ -0,0 +1,10 @@
+// Container for the auto-arrange controls, at the top of the board tools
+export const layoutControlsContainerStyle = "flex flex-col items-end gap-1";
+
+export const layoutButtonBaseStyle = "py-0.5 px-2 sm:py-1 sm:px-3 rounded-md border text-[10px] sm:text-xs md:text-sm font-semibold transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed";
+export const layoutButtonDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-[gold] hover:bg-black/90";
+export const layoutButtonLightStyle = "bg-white/90 border-blue-200 text-blue-700 hover:bg-blue-50";
+
+export const layoutToggleBaseStyle = "flex items-center gap-1 py-0.5 px-2 rounded-md text-[10px] sm:text-xs cursor-pointer select-none";
+export const layoutToggleDarkStyle = "bg-black/60 text-gray-100";
+export const layoutToggleLightStyle = "bg-white/80 text-gray-800";
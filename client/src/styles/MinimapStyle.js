@@ -0,0 +1,23 @@
+// Board overview, bottom-right of the board above the stats; hidden on phones
+export const minimapContainerBaseStyle = "absolute bottom-[130px] right-2 md:bottom-[140px] md:right-3 z-50 hidden sm:flex flex-col gap-1 p-1.5 rounded-md border";
+export const minimapContainerDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)]";
+export const minimapContainerLightStyle = "bg-white/90 border-blue-200";
+
+export const minimapMapBaseStyle = "block rounded cursor-pointer touch-none";
+export const minimapMapDarkStyle = "bg-slate-900/80";
+export const minimapMapLightStyle = "bg-slate-100";
+
+export const minimapConnectionStyle = "stroke-gray-400/60";
+export const minimapPersonStyle = "fill-[rgba(118,120,245,0.9)]";
+export const minimapMovieStyle = "fill-[rgba(201,176,55,0.9)]";
+export const minimapTvStyle = "fill-[rgba(215,215,215,0.9)]";
+export const minimapStartActorStyle = "fill-[gold]";
+export const minimapViewportStyle = "fill-white/10 stroke-[gold] cursor-move";
+
+export const minimapControlsStyle = "flex items-center gap-1";
+export const minimapButtonBaseStyle = "py-0.5 px-1.5 rounded border text-[10px] md:text-xs font-semibold transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed";
+export const minimapButtonDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-[gold] hover:bg-black/90";
+export const minimapButtonLightStyle = "bg-white border-blue-200 text-blue-700 hover:bg-blue-50";
+export const minimapSelectBaseStyle = "min-w-0 flex-1 py-0.5 px-1 rounded border text-[10px] md:text-xs";
+export const minimapSelectDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const minimapSelectLightStyle = "bg-white border-blue-200 text-gray-800";
@@ -1,8 +1,12 @@
-export const draggableNodeBaseStyle = "group absolute w-[40px] h-[60px] sm:w-[60px] sm:h-[90px] md:w-[80px] md:h-[120px] lg:w-[100px] lg:h-[150px] rounded border sm:border-2 border-solid overflow-hidden cursor-grab origin-center shadow-[0_1px_4px_rgba(0,0,0,0.3)] sm:shadow-[0_2px_8px_rgba(0,0,0,0.3)] transition-[box-shadow_0.2s_ease,transform_0.2s_ease] bg-[rgba(20,20,35,0.9)] select-none touch-none z-10 animate-[nodeAppear_0.3s_ease-out] hover:scale-[1.02] hover:shadow-[0_2px_8px_rgba(0,0,0,0.4)] sm:hover:shadow-[0_4px_12px_rgba(0,0,0,0.4)]";
+export const draggableNodeBaseStyle = "group absolute w-[40px] h-[60px] sm:w-[60px] sm:h-[90px] md:w-[80px] md:h-[120px] lg:w-[100px] lg:h-[150px] rounded border sm:border-2 border-solid overflow-hidden cursor-grab origin-center shadow-[0_1px_4px_rgba(0,0,0,0.3)] sm:shadow-[0_2px_8px_rgba(0,0,0,0.3)] transition-[box-shadow_0.2s_ease,transform_0.2s_ease] bg-[rgba(20,20,35,0.9)] select-none touch-none z-10 focus:outline-none focus-visible:ring-4 focus-visible:ring-sky-400 animate-[nodeAppear_0.3s_ease-out] hover:scale-[1.02] hover:shadow-[0_2px_8px_rgba(0,0,0,0.4)] sm:hover:shadow-[0_4px_12px_rgba(0,0,0,0.4)]";
 
 export const startActorNodeStyle = "border border-[gold] sm:border-2 sm:border-[gold] md:border-[3px] lg:border-[4px] shadow-[0_1px_6px_rgba(255,215,0,0.6)] sm:shadow-[0_2px_10px_rgba(255,215,0,0.6)]";
 
 export const draggingNodeStyle = "shadow-[0_2px_12px_rgba(0,0,0,0.5)] scale(1.05)";
+// Cards on the winning route once the victory walk reaches them, and the cards off it
+export const winningPathNodeStyle = "ring-2 sm:ring-4 ring-[gold] shadow-[0_0_16px_rgba(255,215,0,0.8)] z-20 transition-[opacity,box-shadow] duration-300";
+export const dimmedNodeStyle = "opacity-30 transition-opacity duration-300";
+
 export const draggingTransitionOverrideStyle = "transition-none"; 
 
 export const nodeContentWrapperStyle = "relative w-full h-full flex flex-col justify-center items-center pointer-events-none";
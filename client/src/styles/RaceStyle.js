@@ -0,0 +1,31 @@
+// Race lobby panel, centered on the challenge background
+export const raceLobbyPanelBaseStyle = "w-full max-w-md mx-auto p-5 sm:p-6 rounded-xl border backdrop-blur-sm flex flex-col gap-4 shadow-[0_8px_32px_rgba(0,0,0,0.3)]";
+export const raceLobbyPanelDarkStyle = "bg-gray-900/80 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const raceLobbyPanelLightStyle = "bg-white/90 border-blue-200 text-gray-800";
+
+export const raceLobbyTitleStyle = "text-xl font-bold text-center";
+export const raceLobbyLabelStyle = "text-xs font-semibold uppercase tracking-wide opacity-70";
+export const raceLobbyInputBaseStyle = "w-full py-2 px-3 rounded-md border text-sm focus:outline-none focus:ring-2";
+export const raceLobbyInputDarkStyle = "bg-slate-800 border-gray-600 text-white focus:ring-[gold]";
+export const raceLobbyInputLightStyle = "bg-white border-gray-300 text-black focus:ring-blue-400";
+export const raceLobbyCodeStyle = "text-3xl font-mono font-bold tracking-[0.3em] text-center";
+export const raceLobbyErrorStyle = "text-sm text-red-500 text-center";
+export const raceLobbyPlayerStyle = "flex justify-between items-center text-sm py-1 border-b border-current/10";
+
+export const raceButtonBaseStyle = "w-full py-2 px-4 rounded-lg font-bold transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+export const raceButtonDarkStyle = "bg-[gold] text-black hover:bg-yellow-300";
+export const raceButtonLightStyle = "bg-blue-600 text-white hover:bg-blue-700";
+export const raceSecondaryButtonDarkStyle = "bg-transparent border border-gray-500 text-gray-200 hover:bg-gray-800";
+export const raceSecondaryButtonLightStyle = "bg-transparent border border-gray-300 text-gray-700 hover:bg-gray-100";
+
+// Opponent progress, top-center of the board
+export const raceStatusBaseStyle = "absolute top-1 left-1/2 -translate-x-1/2 sm:top-2 md:top-3 z-50 py-0.5 px-2 sm:py-1 sm:px-3 rounded-md border text-[10px] sm:text-xs md:text-sm whitespace-nowrap";
+export const raceStatusDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const raceStatusLightStyle = "bg-white/90 border-blue-200 text-gray-800";
+
+// Results comparing both players
+export const raceResultsGridStyle = "grid grid-cols-1 sm:grid-cols-2 gap-3 w-full";
+export const raceResultsCardBaseStyle = "rounded-lg px-3 py-2 text-left text-xs sm:text-sm border";
+export const raceResultsCardDarkStyle = "bg-slate-900/60 border-yellow-700/40";
+export const raceResultsCardLightStyle = "bg-blue-50 border-blue-100";
+export const raceResultsWinnerStyle = "ring-2 ring-[gold]";
@@ -0,0 +1,30 @@
+// Full-screen replay viewer, above the leaderboard popup
+export const replayOverlayStyle = "fixed inset-0 z-[1100] flex flex-col";
+export const replayOverlayDarkStyle = "bg-[#0a0a1a] text-gray-100";
+export const replayOverlayLightStyle = "bg-[#f8fafc] text-gray-800";
+
+export const replayHeaderBaseStyle = "flex justify-between items-center gap-2 py-2 px-3 sm:px-5 border-b";
+export const replayHeaderDarkStyle = "border-[rgba(255,215,0,0.3)]";
+export const replayHeaderLightStyle = "border-blue-200";
+export const replayTitleStyle = "text-sm sm:text-lg font-bold truncate";
+export const replayBoardStyle = "relative flex-1 overflow-hidden";
+export const replayMessageStyle = "flex-1 flex justify-center items-center text-sm opacity-80";
+
+// Playback controls along the bottom
+export const replayControlsBaseStyle = "flex flex-wrap items-center gap-2 sm:gap-3 py-2 px-3 sm:px-5 border-t text-xs sm:text-sm";
+export const replayControlsDarkStyle = "bg-gray-900/90 border-[rgba(255,215,0,0.3)]";
+export const replayControlsLightStyle = "bg-white/90 border-blue-200";
+export const replayButtonBaseStyle = "py-1 px-3 rounded-md font-bold transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+export const replayButtonDarkStyle = "bg-[gold] text-black hover:bg-yellow-300";
+export const replayButtonLightStyle = "bg-blue-600 text-white hover:bg-blue-700";
+export const replayScrubberStyle = "flex-1 min-w-[120px] cursor-pointer";
+export const replayTimeStyle = "font-mono whitespace-nowrap";
+export const replaySelectBaseStyle = "py-1 px-2 rounded border text-xs sm:text-sm";
+export const replaySelectDarkStyle = "bg-gray-800 border-gray-600 text-white";
+export const replaySelectLightStyle = "bg-white border-gray-300 text-gray-800";
+export const replayCaptionStyle = "w-full sm:w-auto sm:flex-1 truncate opacity-80";
+
+// Replay link in leaderboard rows
+export const replayLinkBaseStyle = "ml-1 text-xs underline-offset-2 hover:underline";
+export const replayLinkDarkStyle = "text-[#ffd700]";
+export const replayLinkLightStyle = "text-blue-600";
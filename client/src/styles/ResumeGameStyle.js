@@ -0,0 +1,14 @@
+// Banner offering to resume an unfinished game, shown above the challenge grid and actor cards
+export const resumeContainerBaseStyle = "w-full max-w-xl mx-auto mb-4 sm:mb-6 p-3 sm:p-4 rounded-lg border flex flex-col sm:flex-row items-center gap-3 shadow-lg";
+export const resumeContainerDarkStyle = "bg-black/70 border-[rgba(255,215,0,0.3)] text-gray-100";
+export const resumeContainerLightStyle = "bg-white/90 border-blue-200 text-gray-800";
+
+export const resumeTextStyle = "flex-grow text-center sm:text-left text-xs sm:text-sm leading-snug";
+export const resumeErrorStyle = "block mt-1 text-red-500 text-xs";
+
+export const resumeButtonGroupStyle = "flex gap-2 shrink-0";
+export const resumeButtonBaseStyle = "py-1 px-3 rounded-md border text-xs sm:text-sm font-semibold transition-colors duration-150 disabled:opacity-50 disabled:cursor-not-allowed";
+export const resumeButtonDarkStyle = "bg-[gold] border-[gold] text-black hover:bg-yellow-300";
+export const resumeButtonLightStyle = "bg-blue-600 border-blue-600 text-white hover:bg-blue-700";
+export const discardButtonDarkStyle = "bg-transparent border-gray-500 text-gray-300 hover:bg-gray-800";
+export const discardButtonLightStyle = "bg-transparent border-gray-300 text-gray-600 hover:bg-gray-100";
@@ -42,6 +42,32 @@ export const onBoardIndicatorBaseStyle = "mx-auto text-[8px] sm:text-[10px] py-0
 export const onBoardIndicatorDarkStyle = "text-[rgba(255,215,0,0.8)] border-[rgba(255,215,0,0.5)] bg-[rgba(255,215,0,0.07)]";
 export const onBoardIndicatorLightStyle = "text-black border-[rgba(180,140,0,0.25)] bg-[rgba(255,255,0,0.45)]";
 
+export const blockedBadgeStyle = "absolute bottom-0 left-0 right-0 bg-[rgba(231,76,60,0.85)] text-white text-[6px] sm:text-[8px] py-0 sm:py-0.5 font-bold text-center";
+
+export const blockedIndicatorBaseStyle = "text-[8px] sm:text-[10px] py-0.5 px-0.5 sm:px-[5px] rounded-[3px] inline-block self-start mt-auto border";
+export const blockedIndicatorDarkStyle = "text-[rgba(231,76,60,0.95)] border-[rgba(231,76,60,0.5)] bg-[rgba(231,76,60,0.1)]";
+export const blockedIndicatorLightStyle = "text-red-700 border-red-300 bg-[rgba(231,76,60,0.08)]";
+
+///filmography browser: tabs, sort and filter above the list
+export const filmographyToolbarStyle = "sticky top-0 z-[1] flex flex-col gap-1 sm:gap-2 pt-1 sm:pt-3 pb-1 sm:pb-2";
+export const filmographyToolbarDarkStyle = "bg-[rgba(10,10,26,0.97)]";
+export const filmographyToolbarLightStyle = "bg-[rgba(255,255,255,0.9)]";
+
+export const filmographyTabListStyle = "flex gap-1";
+export const filmographyTabBaseStyle = "flex-1 py-0.5 sm:py-1 rounded-md border text-[10px] sm:text-sm font-semibold transition-colors duration-150 disabled:opacity-40 disabled:cursor-not-allowed";
+export const filmographyTabDarkStyle = "border-[rgba(255,215,0,0.25)] text-[rgba(255,255,255,0.8)] hover:bg-[rgba(255,255,255,0.05)]";
+export const filmographyTabLightStyle = "border-[rgba(0,0,0,0.12)] text-[rgba(0,0,0,0.75)] hover:bg-[rgba(0,0,0,0.04)]";
+export const filmographyTabActiveDarkStyle = "bg-[rgba(255,215,0,0.15)] border-[rgba(255,215,0,0.6)] text-[gold]";
+export const filmographyTabActiveLightStyle = "bg-blue-50 border-blue-400 text-blue-700";
+
+export const filmographyControlsStyle = "flex gap-1 sm:gap-2";
+export const filmographyInputBaseStyle = "min-w-0 flex-1 rounded-md border px-1.5 sm:px-2 py-0.5 sm:py-1 text-[10px] sm:text-sm";
+export const filmographySelectBaseStyle = "rounded-md border px-1 sm:px-2 py-0.5 sm:py-1 text-[10px] sm:text-sm";
+export const filmographyFieldDarkStyle = "bg-[rgba(0,0,0,0.3)] border-[rgba(255,255,255,0.15)] text-white";
+export const filmographyFieldLightStyle = "bg-white border-[rgba(0,0,0,0.15)] text-black";
+
+export const showMoreButtonStyle = "mt-2 mx-auto py-0.5 px-3 rounded-md border border-current/30 text-[10px] sm:text-xs opacity-80 hover:opacity-100";
+
 ///connection Section Style
 export const connectionSectionStyle = "my-1 sm:my-4";
 
@@ -67,8 +93,14 @@ export const connectionsHeaderH2LightStyle = "text-yellow-500";
 export const closeButtonBaseStyle = "bg-transparent border-none text-lg sm:text-[22px] cursor-pointer p-0 w-4 h-4 sm:w-6 sm:h-6 flex items-center justify-center rounded-full ";
 export const closeButtonDarkStyle = "text-white hover:bg-[rgba(255,255,255,0.1)] hover:text-white"; 
 export const closeButtonLightStyle = "text-black hover:bg-[rgba(0,0,0,0.05)] hover:text-black";
+
+export const removeNodeButtonBaseStyle = "mr-1 sm:mr-3 text-[8px] sm:text-[11px] py-0.5 px-1 sm:px-2 rounded-[3px] border cursor-pointer whitespace-nowrap transition-all duration-200 ease-in-out hover:scale-105";
+export const removeNodeButtonDarkStyle = "bg-[rgba(231,76,60,0.15)] text-[rgba(231,76,60,0.95)] border-[rgba(231,76,60,0.5)] hover:bg-[rgba(231,76,60,0.3)]";
+export const removeNodeButtonLightStyle = "bg-[rgba(231,76,60,0.1)] text-red-700 border-red-300 hover:bg-[rgba(231,76,60,0.2)]";
 //// connection line style
 export const connectionsLayerStyle = "absolute top-0 left-0 w-full h-full pointer-events-none z-[5]";
+// Canvas the lines are drawn on for big boards; it's placed over the visible area inline
+export const connectionsCanvasStyle = "absolute pointer-events-none z-[5]";
 
 // Base connection line styles (applied via style prop since SVG stroke properties aren't available in Tailwind)
 export const connectionLineBaseStyle = {
@@ -88,4 +120,25 @@ export const connectionLineCompletedStyle = {
   stroke: "rgba(255, 215, 0, 0.8)",
   strokeWidth: 3,
   filter: "drop-shadow(0 0 3px rgba(255, 215, 0, 0.7))",
-};
\ No newline at end of file
+};
+// Lines off the winning route while it's shown
+export const connectionLineDimmedStyle = {
+  stroke: "rgba(255, 255, 255, 0.15)",
+  strokeWidth: 1,
+};
+// Crew credit line styles
+export const connectionLineCrewStyle = {
+  stroke: "rgba(244, 63, 94, 0.8)",
+  strokeDasharray: "2,4",
+  strokeWidth: 2,
+};
+
+// Job label drawn at the middle of a crew credit line
+export const connectionJobLabelStyle = {
+  fill: "rgba(255, 255, 255, 0.95)",
+  stroke: "rgba(0, 0, 0, 0.7)",
+  strokeWidth: 3,
+  paintOrder: "stroke",
+  fontSize: 11,
+  fontWeight: 600,
+};
@@ -1,425 +1,589 @@
 /**
- * Actor Tree Management System
- * 
- * This utility manages linked trees for each starting actor, tracking which entities
- * belong to each actor's connection network. When an entity connects to both trees,
- * it calculates the shortest path between the starting actors.
+ * Actor Connection Graph
+ *
+ * This utility keeps an undirected graph of everything on the board (actors, movies,
+ * TV shows) and the connections between them. Breadth-first distances from each
+ * starting actor are maintained incrementally as entities are added, so the shortest
+ * route between the starting actors is always available, even when a later placement
+ * creates a shorter path than the one that first connected them.
+ *
+ * With more than two starting actors (chain mode) the connection is the smallest tree on
+ * the board that joins all of them. Reverse games root the trees at titles instead of actors.
+ * In episode games, person-show connections link through per-episode graph nodes (see
+ * episodeUtils.js); routes are reported with the show's board node in their place. The show's
+ * own node has no edges, so no route can cross it, and counts as reached through its episodes.
  */
 import { logger } from './loggerUtils';
+import { getStartNodeId, getStartNodeType } from './gameUtils';
+import { getEpisodeNodeId, toBoardNodeId, isEpisodeNodeId } from './episodeUtils';
 
 /**
- * Class to represent a tree node in the actor connection network
+ * Undirected graph of board entities
  */
-class TreeNode {
-  constructor(nodeId, nodeType, data, parent = null) {
-    this.nodeId = nodeId;
-    this.nodeType = nodeType; // 'person', 'movie', 'tv'
-    this.data = data;
-    this.parent = parent;
-    this.children = new Set();
-    this.depth = parent ? parent.depth + 1 : 0;
-    
-    // Add this node to parent's children if parent exists
-    if (parent) {
-      parent.children.add(this);
-    }
+export class BoardGraph {
+  constructor() {
+    this.adjacency = new Map(); // nodeId -> Set of neighbour nodeIds
+    this.nodeInfo = new Map(); // nodeId -> { nodeType, data }
   }
 
   /**
-   * Get the path from this node to the root
-   * @returns {Array} Array of node IDs from root to this node
+   * Add a node to the graph (no-op if it already exists)
+   * @param {string} nodeId - ID of the node
+   * @param {string} nodeType - Type of the node ('person', 'movie', 'tv')
+   * @param {Object} data - Data for the node
    */
-  getPathToRoot() {
-    const path = [];
-    let current = this;
-    
-    while (current) {
-      path.unshift(current.nodeId);
-      current = current.parent;
+  addNode(nodeId, nodeType, data) {
+    if (!this.adjacency.has(nodeId)) {
+      this.adjacency.set(nodeId, new Set());
     }
-    
-    return path;
+    this.nodeInfo.set(nodeId, { nodeType, data });
   }
 
   /**
-   * Get the depth of this node (distance from root)
-   * @returns {number} Depth level
+   * Add an undirected edge between two existing nodes
+   * @param {string} nodeA - First node ID
+   * @param {string} nodeB - Second node ID
+   * @returns {boolean} Whether a new edge was created
    */
-  getDepth() {
-    return this.depth;
-  }
-}
+  addEdge(nodeA, nodeB) {
+    if (nodeA === nodeB || !this.adjacency.has(nodeA) || !this.adjacency.has(nodeB)) {
+      return false;
+    }
+    if (this.adjacency.get(nodeA).has(nodeB)) {
+      return false;
+    }
 
-/**
- * Class to manage the actor connection tree
- */
-export class ActorTree {
-  constructor(rootActorId, rootActorData) {
-    this.rootActorId = rootActorId;
-    this.root = new TreeNode(rootActorId, 'person', rootActorData);
-    this.nodeMap = new Map(); // nodeId -> TreeNode
-    this.nodeMap.set(rootActorId, this.root);
-    
-    logger.info(`🌳 Created actor tree for ${rootActorData.name} (${rootActorId})`);
+    this.adjacency.get(nodeA).add(nodeB);
+    this.adjacency.get(nodeB).add(nodeA);
+    return true;
   }
 
   /**
-   * Add a new entity to the tree
-   * @param {string} nodeId - ID of the new node
-   * @param {string} nodeType - Type of the node ('person', 'movie', 'tv')
-   * @param {Object} nodeData - Data for the node
-   * @param {string} parentNodeId - ID of the parent node to connect to
-   * @returns {TreeNode|null} The created tree node or null if failed
+   * Remove a node and all of its edges
+   * @param {string} nodeId - ID of the node to remove
+   * @returns {boolean} Whether the node existed
    */
-  addNode(nodeId, nodeType, nodeData, parentNodeId) {
-    // Check if node already exists in this tree
-    if (this.nodeMap.has(nodeId)) {
-      logger.debug(`Node ${nodeId} already exists in tree for ${this.rootActorId}`);
-      return this.nodeMap.get(nodeId);
-    }
+  removeNode(nodeId) {
+    const neighbors = this.adjacency.get(nodeId);
+    if (!neighbors) return false;
 
-    // Find parent node
-    const parentNode = this.nodeMap.get(parentNodeId);
-    if (!parentNode) {
-      logger.warn(`Parent node ${parentNodeId} not found in tree for ${this.rootActorId}`);
-      return null;
+    for (const neighbor of neighbors) {
+      this.adjacency.get(neighbor)?.delete(nodeId);
     }
-
-    // Create new tree node
-    const newNode = new TreeNode(nodeId, nodeType, nodeData, parentNode);
-    this.nodeMap.set(nodeId, newNode);
-
-    logger.debug(`🌿 Added ${nodeType} ${nodeId} to tree for ${this.rootActorId} (depth: ${newNode.getDepth()})`);
-    return newNode;
+    this.adjacency.delete(nodeId);
+    this.nodeInfo.delete(nodeId);
+    return true;
   }
 
   /**
-   * Check if a node exists in this tree
+   * Check if a node exists in the graph
    * @param {string} nodeId - ID to check
    * @returns {boolean} Whether the node exists
    */
   hasNode(nodeId) {
-    return this.nodeMap.has(nodeId);
+    return this.adjacency.has(nodeId);
   }
 
   /**
-   * Get a node from the tree
+   * Get the neighbours of a node
    * @param {string} nodeId - ID of the node
-   * @returns {TreeNode|null} The tree node or null if not found
+   * @returns {Set} Neighbour node IDs (empty if the node doesn't exist)
    */
-  getNode(nodeId) {
-    return this.nodeMap.get(nodeId) || null;
+  getNeighbors(nodeId) {
+    return this.adjacency.get(nodeId) || new Set();
   }
 
   /**
-   * Get the path from root to a specific node
-   * @param {string} nodeId - Target node ID
-   * @returns {Array|null} Path from root to node, or null if node not found
+   * Get the type of a node
+   * @param {string} nodeId - ID of the node
+   * @returns {string|null} Node type or null if not found
    */
-  getPathToNode(nodeId) {
-    const node = this.nodeMap.get(nodeId);
-    return node ? node.getPathToRoot() : null;
+  getNodeType(nodeId) {
+    return this.nodeInfo.get(nodeId)?.nodeType || null;
   }
 
   /**
-   * Get all nodes at a specific depth level
-   * @param {number} depth - Depth level to query
-   * @returns {Array} Array of TreeNodes at the specified depth
+   * Compute breadth-first distances from a node
+   * @param {string} sourceId - Node to start from
+   * @returns {Map} nodeId -> distance for every reachable node
    */
-  getNodesAtDepth(depth) {
-    const result = [];
-    for (const node of this.nodeMap.values()) {
-      if (node.getDepth() === depth) {
-        result.push(node);
+  distancesFrom(sourceId) {
+    const distances = new Map();
+    if (!this.adjacency.has(sourceId)) return distances;
+
+    distances.set(sourceId, 0);
+    const queue = [sourceId];
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      const nextDistance = distances.get(current) + 1;
+      for (const neighbor of this.adjacency.get(current)) {
+        if (!distances.has(neighbor)) {
+          distances.set(neighbor, nextDistance);
+          queue.push(neighbor);
+        }
       }
     }
-    return result;
+
+    return distances;
   }
 
   /**
-   * Get statistics about the tree
-   * @returns {Object} Tree statistics
+   * Propagate tree costs along edges (every edge costs 1), Dijkstra-style with a bucket queue
+   * @param {Map} costs - nodeId -> cost, updated in place
+   * @param {Map} steps - nodeId -> how the cost was reached, updated in place
    */
-  getStats() {
-    const nodesByType = { person: 0, movie: 0, tv: 0 };
-    let maxDepth = 0;
+  relaxTreeCosts(costs, steps) {
+    const buckets = [];
+    for (const [nodeId, cost] of costs) {
+      (buckets[cost] = buckets[cost] || []).push(nodeId);
+    }
 
-    for (const node of this.nodeMap.values()) {
-      nodesByType[node.nodeType]++;
-      maxDepth = Math.max(maxDepth, node.getDepth());
+    for (let cost = 0; cost < buckets.length; cost++) {
+      for (const nodeId of buckets[cost] || []) {
+        if (costs.get(nodeId) !== cost) continue; // Stale entry
+        for (const neighbor of this.adjacency.get(nodeId)) {
+          if (!costs.has(neighbor) || costs.get(neighbor) > cost + 1) {
+            costs.set(neighbor, cost + 1);
+            steps.set(neighbor, { from: nodeId });
+            (buckets[cost + 1] = buckets[cost + 1] || []).push(neighbor);
+          }
+        }
+      }
     }
+  }
 
-    return {
-      totalNodes: this.nodeMap.size,
-      nodesByType,
-      maxDepth,
-      rootActor: this.rootActorId
+  /**
+   * Find the smallest tree (fewest edges) that connects a set of terminal nodes
+   * Uses the Dreyfus-Wagner dynamic program over subsets of terminals, which is exact and
+   * fast enough for the handful of starting actors a game allows.
+   *
+   * @param {Array} terminalIds - Node IDs the tree must contain
+   * @returns {Object|null} { nodes, edges: [[nodeA, nodeB]] } or null if the terminals aren't connected
+   */
+  steinerTree(terminalIds) {
+    if (terminalIds.length === 0 || !terminalIds.every(id => this.adjacency.has(id))) {
+      return null;
+    }
+
+    // Only the first terminal's component can hold the tree
+    const component = this.distancesFrom(terminalIds[0]);
+    if (!terminalIds.every(id => component.has(id))) {
+      return null;
+    }
+
+    // costs[mask] / steps[mask]: cheapest tree joining the terminals in mask plus each node
+    const fullMask = (1 << terminalIds.length) - 1;
+    const costs = Array.from({ length: fullMask + 1 }, () => new Map());
+    const steps = Array.from({ length: fullMask + 1 }, () => new Map());
+
+    terminalIds.forEach((terminalId, index) => {
+      const mask = 1 << index;
+      costs[mask].set(terminalId, 0);
+      this.relaxTreeCosts(costs[mask], steps[mask]);
+    });
+
+    for (let mask = 1; mask <= fullMask; mask++) {
+      if ((mask & (mask - 1)) === 0) continue; // Single terminals are done
+
+      for (const nodeId of component.keys()) {
+        let best = Infinity;
+        let bestSubset = 0;
+        // Join two smaller trees at this node; each split is tried once
+        for (let subset = (mask - 1) & mask; subset > 0; subset = (subset - 1) & mask) {
+          if (subset < (mask ^ subset)) continue;
+          const cost = costs[subset].get(nodeId) + costs[mask ^ subset].get(nodeId);
+          if (cost < best) {
+            best = cost;
+            bestSubset = subset;
+          }
+        }
+        costs[mask].set(nodeId, best);
+        steps[mask].set(nodeId, { subset: bestSubset });
+      }
+      this.relaxTreeCosts(costs[mask], steps[mask]);
+    }
+
+    // Walk the recorded steps back into a list of edges
+    const nodes = new Set();
+    const edges = new Map();
+    const collect = (mask, nodeId) => {
+      nodes.add(nodeId);
+      const step = steps[mask].get(nodeId);
+      if (!step) return; // A terminal on its own
+      if (step.from !== undefined) {
+        edges.set([step.from, nodeId].sort().join('|'), [step.from, nodeId]);
+        collect(mask, step.from);
+      } else {
+        collect(step.subset, nodeId);
+        collect(mask ^ step.subset, nodeId);
+      }
     };
+    collect(fullMask, terminalIds[0]);
+
+    return { nodes: [...nodes], edges: [...edges.values()] };
+  }
+
+  /**
+   * Clear all nodes and edges
+   */
+  clear() {
+    this.adjacency.clear();
+    this.nodeInfo.clear();
   }
 }
 
 /**
- * Manager class for handling both actor trees and finding connections
+ * Manager class for the board graph and the starting actors' shortest paths
  */
 export class ActorTreeManager {
   constructor() {
-    this.trees = new Map(); // actorId -> ActorTree
-    this.globalNodeToTrees = new Map(); // nodeId -> Set of actorIds that have this node
+    this.graph = new BoardGraph();
+    this.distances = new Map(); // startingActorId -> Map(nodeId -> distance)
   }
 
   /**
-   * Initialize trees for the starting actors
-   * @param {Array} startingActors - Array of starting actor objects
+   * Initialize the graph with the starting actors
+   * @param {Array} startingActors - Array of starting actor (or title) objects
    */
   initializeTrees(startingActors) {
-    this.trees.clear();
-    this.globalNodeToTrees.clear();
+    this.reset();
 
     for (const actor of startingActors) {
-      const actorId = `person-${actor.id}`;
-      const tree = new ActorTree(actorId, actor);
-      this.trees.set(actorId, tree);
-      
-      // Register the root actor in global map
-      if (!this.globalNodeToTrees.has(actorId)) {
-        this.globalNodeToTrees.set(actorId, new Set());
+      const actorId = getStartNodeId(actor);
+      this.graph.addNode(actorId, getStartNodeType(actor), actor);
+      this.distances.set(actorId, new Map([[actorId, 0]]));
+      logger.info(`🌳 Registered starting node ${actor.name || actor.title} (${actorId})`);
+    }
+
+    logger.info(`🌲 Initialized board graph for ${startingActors.length} starting actors`);
+  }
+
+  /**
+   * Propagate shorter distances from a starting actor after edges were added
+   * Only nodes whose distance actually improves are revisited.
+   * @param {Map} distances - Distance map for one starting actor
+   * @param {Array} seedNodeIds - Nodes touched by the new edges
+   */
+  relaxDistances(distances, seedNodeIds) {
+    const queue = [];
+
+    for (const nodeId of seedNodeIds) {
+      let best = distances.has(nodeId) ? distances.get(nodeId) : Infinity;
+      for (const neighbor of this.graph.getNeighbors(nodeId)) {
+        if (distances.has(neighbor)) {
+          best = Math.min(best, distances.get(neighbor) + 1);
+        }
+      }
+      if (best !== Infinity && best !== distances.get(nodeId)) {
+        distances.set(nodeId, best);
+      }
+      if (best !== Infinity) {
+        queue.push(nodeId);
       }
-      this.globalNodeToTrees.get(actorId).add(actorId);
     }
 
-    logger.info(`🌲 Initialized trees for ${startingActors.length} starting actors`);
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      const nextDistance = distances.get(current) + 1;
+      for (const neighbor of this.graph.getNeighbors(current)) {
+        if (!distances.has(neighbor) || distances.get(neighbor) > nextDistance) {
+          distances.set(neighbor, nextDistance);
+          queue.push(neighbor);
+        }
+      }
+    }
   }
 
   /**
-   * Add a new entity to the appropriate tree(s) based on its connections
+   * Add a new entity and its connections to the board graph
    * @param {string} nodeId - ID of the new node
    * @param {string} nodeType - Type of the node
    * @param {Object} nodeData - Data for the node
    * @param {Array} connections - Array of connections this node has
-   * @returns {Object} Information about which trees were updated and if connection found
+   * @returns {Object} Which starting actors reach the node and the current shortest connection
    */
   addEntityToTrees(nodeId, nodeType, nodeData, connections) {
-    const treesAffected = new Set();
-    const connectionResults = [];
+    this.graph.addNode(nodeId, nodeType, nodeData);
 
-    // Find which trees this entity should be added to based on its connections
+    const touchedNodes = new Set([nodeId]);
     for (const connection of connections) {
       const connectedNodeId = connection.source === nodeId ? connection.target : connection.source;
-      
-      // Check which trees contain the connected node
-      const treesWithConnectedNode = this.globalNodeToTrees.get(connectedNodeId);
-      if (treesWithConnectedNode) {
-        for (const treeActorId of treesWithConnectedNode) {
-          treesAffected.add(treeActorId);
-          
-          // Add this node to the tree
-          const tree = this.trees.get(treeActorId);
-          if (tree && !tree.hasNode(nodeId)) {
-            const addedNode = tree.addNode(nodeId, nodeType, nodeData, connectedNodeId);
-            if (addedNode) {
-              connectionResults.push({
-                treeActorId,
-                depth: addedNode.getDepth(),
-                parentNodeId: connectedNodeId
-              });
-            }
-          }
-        }
+      if (Array.isArray(connection.episodes)) {
+        this.addEpisodeEdges(connection, touchedNodes);
+      } else if (this.graph.addEdge(nodeId, connectedNodeId)) {
+        touchedNodes.add(connectedNodeId);
       }
     }
 
-    // Update global node mapping
-    if (treesAffected.size > 0) {
-      this.globalNodeToTrees.set(nodeId, new Set(treesAffected));
+    const treesAffected = [];
+    const connectionResults = [];
+    for (const [actorId, distances] of this.distances) {
+      this.relaxDistances(distances, [...touchedNodes]);
+      this.addShowDistances(distances);
+      if (distances.has(nodeId)) {
+        treesAffected.push(actorId);
+        connectionResults.push({ treeActorId: actorId, depth: distances.get(nodeId) });
+      }
     }
 
-    // Check if this entity connects trees (bridges both starting actors)
-    const treeActorIds = Array.from(treesAffected);
-    let shortestConnection = null;
-    
-    if (treeActorIds.length >= 2) {
-      // This entity bridges multiple trees - find shortest path
-      shortestConnection = this.findShortestPathBetweenTrees(treeActorIds, nodeId);
-    }
+    const shortestConnection = this.getShortestConnection();
 
-    logger.info(`🔗 Added ${nodeType} ${nodeId} to ${treesAffected.size} tree(s)`, {
-      treesAffected: Array.from(treesAffected),
+    logger.info(`🔗 Added ${nodeType} ${nodeId} to board graph (${touchedNodes.size - 1} edge(s))`, {
+      treesAffected,
       connectionFound: !!shortestConnection,
       shortestPathLength: shortestConnection?.pathLength
     });
 
     return {
-      treesAffected: Array.from(treesAffected),
+      treesAffected,
       connectionResults,
       shortestConnection,
-      bridgeNode: treeActorIds.length >= 2 ? nodeId : null
+      bridgeNode: treesAffected.length >= 2 ? nodeId : null
     };
   }
 
   /**
-   * Find the shortest path between trees when they become connected
-   * @param {Array} treeActorIds - IDs of the tree root actors
-   * @param {string} bridgeNodeId - ID of the node that connects the trees
-   * @returns {Object|null} Shortest path information
+   * Link a person to each episode of a show they appeared in
+   * Episode nodes are shared by everyone credited in that episode.
+   * @param {Object} connection - Person-show connection with `episodes`
+   * @param {Set} touchedNodes - Nodes whose distances need relaxing, updated in place
    */
-  findShortestPathBetweenTrees(treeActorIds, bridgeNodeId) {
-    if (treeActorIds.length < 2) return null;
-
-    let shortestPath = null;
-    let shortestLength = Infinity;
-
-    // Check all combinations of tree pairs
-    for (let i = 0; i < treeActorIds.length; i++) {
-      for (let j = i + 1; j < treeActorIds.length; j++) {
-        const tree1 = this.trees.get(treeActorIds[i]);
-        const tree2 = this.trees.get(treeActorIds[j]);
-
-        if (!tree1 || !tree2) continue;
-
-        // Get paths from each root to the bridge node
-        const pathFromRoot1 = tree1.getPathToNode(bridgeNodeId);
-        const pathFromRoot2 = tree2.getPathToNode(bridgeNodeId);          
-        if (pathFromRoot1 && pathFromRoot2) {
-          // Calculate total path length
-          // Path is: root1 -> ... -> bridge <- ... <- root2
-          // We subtract 1 because the bridge node is counted in both paths
-          const totalLength = pathFromRoot1.length + pathFromRoot2.length - 1;
-
-          if (totalLength < shortestLength) {
-            shortestLength = totalLength;
-            const pathFromActor2ToBridge = pathFromRoot2.slice(0, -1).reverse();
-            const constructedPath = [...pathFromRoot1, ...pathFromActor2ToBridge];
-            
-            logger.debug('🔗 Constructing path between trees:', {
-              actor1: treeActorIds[i],
-              actor2: treeActorIds[j],
-              pathFromRoot1,
-              pathFromRoot2,
-              pathFromActor2ToBridge,
-              bridgeNode: bridgeNodeId,
-              constructedPath,
-              totalLength
-            });
-            
-            shortestPath = {
-              startActor1: treeActorIds[i],
-              startActor2: treeActorIds[j],
-              pathLength: totalLength - 2, // Subtract the starting actors from path length
-              bridgeNode: bridgeNodeId,
-              fullPath: constructedPath,
-              pathFromActor1: pathFromRoot1,
-              pathFromActor2: pathFromRoot2
-            };
-          }
+  addEpisodeEdges(connection, touchedNodes) {
+    const tvNodeId = this.graph.getNodeType(connection.source) === 'tv' ? connection.source : connection.target;
+    const personNodeId = tvNodeId === connection.source ? connection.target : connection.source;
+    if (!this.graph.hasNode(tvNodeId) || !this.graph.hasNode(personNodeId)) return;
+
+    for (const episodeCode of connection.episodes) {
+      const episodeNodeId = getEpisodeNodeId(tvNodeId, episodeCode);
+      this.graph.addNode(episodeNodeId, 'episode', { tvNodeId, episodeCode });
+      if (this.graph.addEdge(personNodeId, episodeNodeId)) {
+        touchedNodes.add(personNodeId);
+        touchedNodes.add(episodeNodeId);
+      }
+    }
+  }
+
+  /**
+   * Mark shows as reached through their episodes
+   * A show is one step past its nearest reached episode. It only gets a distance, not edges,
+   * so routes still have to go person - episode - person.
+   * @param {Map} distances - Distance map from a starting actor, updated in place
+   */
+  addShowDistances(distances) {
+    for (const [nodeId, distance] of distances) {
+      if (!isEpisodeNodeId(nodeId)) continue;
+      const tvNodeId = toBoardNodeId(nodeId);
+      if (!distances.has(tvNodeId) || distances.get(tvNodeId) > distance + 1) {
+        distances.set(tvNodeId, distance + 1);
+      }
+    }
+  }
+
+  /**
+   * Remove an entity from the board graph
+   * Distances can only grow when a node disappears, so they are recomputed from scratch.
+   * @param {string} nodeId - ID of the node to remove
+   * @returns {Object|null} The current shortest connection after removal
+   */
+  removeEntity(nodeId) {
+    if (this.distances.has(nodeId)) {
+      logger.warn(`Cannot remove starting actor ${nodeId} from the board graph`);
+    } else if (this.graph.removeNode(nodeId)) {
+      // A show's episode nodes go with it
+      for (const graphNodeId of [...this.graph.adjacency.keys()]) {
+        if (isEpisodeNodeId(graphNodeId) && toBoardNodeId(graphNodeId) === nodeId) {
+          this.graph.removeNode(graphNodeId);
+        }
+      }
+      for (const actorId of this.distances.keys()) {
+        const distances = this.graph.distancesFrom(actorId);
+        this.addShowDistances(distances);
+        this.distances.set(actorId, distances);
+      }
+      logger.info(`✂️ Removed ${nodeId} from board graph`);
+    }
+
+    return this.getShortestConnection();
+  }
+
+  /**
+   * Check if a node is one of the starting actors
+   * @param {string} nodeId - ID to check
+   * @returns {boolean} Whether the node is a starting actor
+   */
+  isStartingActor(nodeId) {
+    return this.distances.has(nodeId);
+  }
+
+  /**
+   * Get the starting actors whose network contains a node
+   * @param {string} nodeId - ID to check
+   * @returns {Array} Starting actor IDs that can reach the node
+   */
+  getReachingActors(nodeId) {
+    const actorIds = [];
+    for (const [actorId, distances] of this.distances) {
+      if (distances.has(nodeId)) actorIds.push(actorId);
+    }
+    return actorIds;
+  }
+
+  /**
+   * Get the current connection between the starting actors: the shortest path for two
+   * actors, the smallest spanning tree for more
+   * @returns {Object|null} Connection information if connected
+   */
+  getShortestConnection() {
+    const actorIds = [...this.distances.keys()];
+    if (actorIds.length > 2) {
+      return this.getSpanningConnection();
+    }
+    return actorIds.length === 2 ? this.checkActorsConnected(actorIds[0], actorIds[1]) : null;
+  }
+
+  /**
+   * Find the smallest tree on the board that connects every starting actor
+   * pathLength counts the tree's nodes other than the starting actors, the same way a
+   * two-actor path does, so both score alike.
+   * @returns {Object|null} { pathLength, fullPath, treeEdges, bridgeNode } if all actors are connected
+   */
+  getSpanningConnection() {
+    const actorIds = [...this.distances.keys()];
+    const tree = this.graph.steinerTree(actorIds);
+    if (!tree) return null;
+
+    // List the tree's nodes outward from the first actor
+    const distancesFromFirst = this.distances.get(actorIds[0]);
+    const fullPath = [...new Set([...tree.nodes]
+      .sort((a, b) => distancesFromFirst.get(a) - distancesFromFirst.get(b))
+      .map(toBoardNodeId))];
+    const treeEdges = [...new Map(tree.edges
+      .map(edge => edge.map(toBoardNodeId))
+      .map(edge => [[...edge].sort().join('|'), edge])).values()];
+
+    logger.debug('🔗 getSpanningConnection tree:', { actorIds, edges: treeEdges });
+
+    return {
+      pathLength: fullPath.length - actorIds.length,
+      bridgeNode: null,
+      fullPath,
+      treeEdges
+    };
+  }
+
+  /**
+   * Rebuild a path by walking down the distance gradient towards the source
+   * @param {Map} distances - Distance map from the source actor
+   * @param {string} targetId - Node to walk back from
+   * @returns {Array} Path from the source to the target
+   */
+  tracePath(distances, targetId) {
+    const path = [targetId];
+    let current = targetId;
+
+    while (distances.get(current) > 0) {
+      const expected = distances.get(current) - 1;
+      let next = null;
+      for (const neighbor of this.graph.getNeighbors(current)) {
+        if (distances.get(neighbor) === expected) {
+          next = neighbor;
+          break;
         }
       }
+      if (!next) break; // Shouldn't happen while distances are consistent
+      path.push(next);
+      current = next;
     }
 
-    return shortestPath;
+    return path.reverse();
   }
 
   /**
-   * Get statistics for all trees
-   * @returns {Object} Statistics for all trees
+   * Get statistics for each starting actor's reachable network
+   * @returns {Object} Statistics keyed by starting actor ID
    */
   getAllTreeStats() {
     const stats = {};
-    for (const [actorId, tree] of this.trees) {
-      stats[actorId] = tree.getStats();
+    for (const [actorId, distances] of this.distances) {
+      const nodesByType = { person: 0, movie: 0, tv: 0 };
+      let maxDepth = 0;
+
+      let totalNodes = 0;
+      for (const [nodeId, distance] of distances) {
+        const nodeType = this.graph.getNodeType(nodeId);
+        if (nodeType === 'episode') continue;
+        if (nodeType) nodesByType[nodeType]++;
+        totalNodes++;
+        maxDepth = Math.max(maxDepth, distance);
+      }
+
+      stats[actorId] = {
+        totalNodes,
+        nodesByType,
+        maxDepth,
+        rootActor: actorId
+      };
     }
     return stats;
   }
 
   /**
-   * Get total count of unique nodes across all trees (excluding starting actors)
+   * Get total count of unique nodes reachable from any starting actor (excluding starting actors)
    * @returns {number} Total count of unique nodes
    */
   getTotalUniqueNodes() {
     const uniqueNodes = new Set();
-    
-    for (const [actorId, tree] of this.trees) {
-      for (const nodeId of tree.nodeMap.keys()) {
-        // Exclude the starting actors from the count
-        if (nodeId !== actorId) {
+
+    for (const distances of this.distances.values()) {
+      for (const nodeId of distances.keys()) {
+        if (!this.distances.has(nodeId) && !isEpisodeNodeId(nodeId)) {
           uniqueNodes.add(nodeId);
         }
       }
     }
-    
+
     return uniqueNodes.size;
   }
 
   /**
-   * Check if two starting actors are connected
+   * Find the shortest route between two starting actors on the board
    * @param {string} actor1Id - First actor ID
    * @param {string} actor2Id - Second actor ID
    * @returns {Object|null} Connection information if connected
    */
   checkActorsConnected(actor1Id, actor2Id) {
-    const tree1 = this.trees.get(actor1Id);
-    const tree2 = this.trees.get(actor2Id);
+    const distancesFrom1 = this.distances.get(actor1Id);
+    const distancesFrom2 = this.distances.get(actor2Id);
 
-    if (!tree1 || !tree2) return null;
+    if (!distancesFrom1 || !distancesFrom2 || !distancesFrom1.has(actor2Id)) return null;
 
-    // Find common nodes between the trees
-    const commonNodes = [];
-    for (const nodeId of tree1.nodeMap.keys()) {
-      if (tree2.hasNode(nodeId)) {
-        commonNodes.push(nodeId);
-      }
-    }
+    const fullPath = this.tracePath(distancesFrom1, actor2Id).map(toBoardNodeId);
+    const bridgeIndex = Math.floor((fullPath.length - 1) / 2);
+    const bridgeNode = fullPath[bridgeIndex];
 
-    if (commonNodes.length === 0) return null;
-
-    // Find the shortest connection through common nodes
-    let shortestConnection = null;
-    let shortestLength = Infinity;
-
-    for (const commonNodeId of commonNodes) {
-      const pathFromActor1 = tree1.getPathToNode(commonNodeId);
-      const pathFromActor2 = tree2.getPathToNode(commonNodeId);      if (pathFromActor1 && pathFromActor2) {
-        const totalLength = pathFromActor1.length + pathFromActor2.length - 1;
-        if (totalLength < shortestLength) {
-          shortestLength = totalLength;
-          // Create the full path: actor1 -> entities -> bridge -> entities -> actor2
-          // pathFromActor1: [actor1, entity1, entity2, bridge]
-          // pathFromActor2: [actor2, entity3, entity4, bridge] 
-          // Result should be: [actor1, entity1, entity2, bridge, entity4, entity3, actor2]
-          const pathFromActor2ToBridge = pathFromActor2.slice(0, -1).reverse(); // Remove bridge and reverse
-          const constructedPath = [...pathFromActor1, ...pathFromActor2ToBridge];
-          
-          logger.debug('🔗 checkActorsConnected constructing path:', {
-            actor1: actor1Id,
-            actor2: actor2Id,
-            pathFromActor1,
-            pathFromActor2,
-            pathFromActor2ToBridge,
-            bridgeNode: commonNodeId,
-            constructedPath,
-            totalLength
-          });
-          
-          shortestConnection = {
-            pathLength: totalLength - 2, // Exclude starting actors
-            bridgeNode: commonNodeId,
-            fullPath: constructedPath,
-            pathFromActor1,
-            pathFromActor2
-          };
-        }
-      }
-    }
+    logger.debug('🔗 checkActorsConnected shortest path:', {
+      actor1: actor1Id,
+      actor2: actor2Id,
+      fullPath
+    });
 
-    return shortestConnection;
+    return {
+      pathLength: fullPath.length - 2, // Exclude starting actors
+      bridgeNode,
+      fullPath,
+      pathFromActor1: fullPath.slice(0, bridgeIndex + 1),
+      pathFromActor2: fullPath.slice(bridgeIndex).reverse()
+    };
   }
 
   /**
-   * Reset all trees
+   * Reset the board graph
    */
   reset() {
-    this.trees.clear();
-    this.globalNodeToTrees.clear();
-    logger.info('🌲 Reset all actor trees');
+    this.graph.clear();
+    this.distances.clear();
+    logger.info('🌲 Reset board graph');
   }
 }
 
@@ -0,0 +1,295 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ActorTreeManager, BoardGraph } from './actorTreeUtils';
+
+vi.mock('./loggerUtils', () => ({
+  logger: { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} }
+}));
+vi.mock('../services/tmdbService', () => ({ getTvEpisodeCast: vi.fn() }));
+
+const actor = (id) => ({ id, name: `Actor ${id}` });
+const link = (source, target) => ({ source, target });
+
+/**
+ * Place an entity the way the board does: node first, then its links to nodes already on the board
+ */
+const place = (manager, nodeId, ...linkedIds) => manager.addEntityToTrees(
+  nodeId,
+  nodeId.split('-')[0],
+  { id: nodeId },
+  linkedIds.map(linkedId => link(nodeId, linkedId))
+);
+
+describe('BoardGraph', () => {
+  it('keeps edges undirected and ignores duplicates and unknown nodes', () => {
+    const graph = new BoardGraph();
+    graph.addNode('person-1', 'person', {});
+    graph.addNode('movie-10', 'movie', {});
+
+    expect(graph.addEdge('person-1', 'movie-10')).toBe(true);
+    expect(graph.addEdge('movie-10', 'person-1')).toBe(false);
+    expect(graph.addEdge('person-1', 'movie-99')).toBe(false);
+    expect([...graph.getNeighbors('movie-10')]).toEqual(['person-1']);
+  });
+
+  it('computes breadth-first distances', () => {
+    const graph = new BoardGraph();
+    ['a', 'b', 'c', 'd'].forEach(id => graph.addNode(id, 'person', {}));
+    graph.addEdge('a', 'b');
+    graph.addEdge('b', 'c');
+
+    expect(Object.fromEntries(graph.distancesFrom('a'))).toEqual({ a: 0, b: 1, c: 2 });
+    expect(graph.distancesFrom('missing').size).toBe(0);
+  });
+});
+
+describe('ActorTreeManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ActorTreeManager();
+    manager.initializeTrees([actor(1), actor(2)]);
+  });
+
+  it('reports no connection until the starting actors are linked', () => {
+    const result = place(manager, 'movie-10', 'person-1');
+    expect(result.treesAffected).toEqual(['person-1']);
+    expect(result.shortestConnection).toBeNull();
+  });
+
+  it('connects the starting actors through a shared title', () => {
+    place(manager, 'movie-10', 'person-1');
+    const result = place(manager, 'person-2', 'movie-10');
+
+    expect(result.shortestConnection).toMatchObject({
+      pathLength: 1,
+      fullPath: ['person-1', 'movie-10', 'person-2']
+    });
+  });
+
+  it('picks up a later shortcut that shortens an existing connection', () => {
+    place(manager, 'movie-10', 'person-1');
+    place(manager, 'person-3', 'movie-10');
+    place(manager, 'movie-20', 'person-3');
+    place(manager, 'person-4', 'movie-20');
+    const long = place(manager, 'movie-30', 'person-4', 'person-2');
+    expect(long.shortestConnection.pathLength).toBe(5);
+
+    const short = place(manager, 'movie-40', 'person-1', 'person-2');
+    expect(short.shortestConnection).toMatchObject({
+      pathLength: 1,
+      fullPath: ['person-1', 'movie-40', 'person-2']
+    });
+  });
+
+  it('relaxes distances of nodes already on the board when a shortcut appears', () => {
+    place(manager, 'movie-10', 'person-1');
+    place(manager, 'person-3', 'movie-10');
+    place(manager, 'movie-20', 'person-3');
+    place(manager, 'person-4', 'movie-20');
+    // person-5 sits at the far end of a chain that only leads back to person-1
+    place(manager, 'movie-50', 'person-4');
+    place(manager, 'person-5', 'movie-50');
+    expect(manager.distances.get('person-1').get('person-5')).toBe(6);
+
+    place(manager, 'movie-60', 'person-1', 'person-5');
+    expect(manager.distances.get('person-1').get('person-5')).toBe(2);
+    expect(manager.distances.get('person-1').get('movie-50')).toBe(3);
+  });
+
+  it('matches distances recomputed from scratch after every placement', () => {
+    const placements = [
+      ['movie-10', 'person-1'],
+      ['person-3', 'movie-10'],
+      ['movie-20', 'person-2'],
+      ['person-4', 'movie-20'],
+      ['movie-30', 'person-3', 'person-4'],
+      ['movie-40', 'person-1', 'person-4'],
+      ['person-5', 'movie-30', 'movie-40']
+    ];
+
+    for (const [nodeId, ...linkedIds] of placements) {
+      place(manager, nodeId, ...linkedIds);
+      for (const [actorId, distances] of manager.distances) {
+        expect(Object.fromEntries(distances)).toEqual(Object.fromEntries(manager.graph.distancesFrom(actorId)));
+      }
+    }
+  });
+
+  it('falls back to the next shortest route when a node is removed', () => {
+    place(manager, 'movie-10', 'person-1', 'person-2');
+    place(manager, 'movie-20', 'person-1');
+    place(manager, 'person-3', 'movie-20');
+    place(manager, 'movie-30', 'person-3', 'person-2');
+
+    const result = manager.removeEntity('movie-10');
+    expect(result).toMatchObject({
+      pathLength: 3,
+      fullPath: ['person-1', 'movie-20', 'person-3', 'movie-30', 'person-2']
+    });
+    expect(manager.graph.hasNode('movie-10')).toBe(false);
+    expect(manager.removeEntity('movie-20')).toBeNull();
+  });
+
+  it('keeps starting actors on the board', () => {
+    manager.removeEntity('person-1');
+    expect(manager.graph.hasNode('person-1')).toBe(true);
+    expect(manager.isStartingActor('person-1')).toBe(true);
+  });
+
+  it('counts the unique nodes reachable from any starting actor', () => {
+    place(manager, 'movie-10', 'person-1');
+    place(manager, 'movie-20', 'person-2');
+    place(manager, 'tv-30');
+
+    expect(manager.getTotalUniqueNodes()).toBe(2);
+    expect(manager.getReachingActors('movie-20')).toEqual(['person-2']);
+  });
+});
+
+describe('BoardGraph.steinerTree', () => {
+  const buildGraph = (edges) => {
+    const graph = new BoardGraph();
+    edges.flat().forEach(id => graph.addNode(id, 'node', {}));
+    edges.forEach(([a, b]) => graph.addEdge(a, b));
+    return graph;
+  };
+
+  // Fewest nodes of any connected set containing the terminals, by checking every subset
+  const bruteForceTreeSize = (graph, terminals) => {
+    const nodeIds = [...graph.adjacency.keys()];
+    let best = Infinity;
+    for (let mask = 1; mask < 1 << nodeIds.length; mask++) {
+      const chosen = new Set(nodeIds.filter((_, i) => mask & (1 << i)));
+      if (chosen.size >= best || !terminals.every(id => chosen.has(id))) continue;
+      const reached = new Set([terminals[0]]);
+      const queue = [terminals[0]];
+      while (queue.length > 0) {
+        for (const next of graph.getNeighbors(queue.shift())) {
+          if (chosen.has(next) && !reached.has(next)) {
+            reached.add(next);
+            queue.push(next);
+          }
+        }
+      }
+      if (reached.size === chosen.size) best = chosen.size;
+    }
+    return best;
+  };
+
+  const isTreeOver = (tree, terminals) => {
+    const nodes = new Set(tree.nodes);
+    return terminals.every(id => nodes.has(id)) &&
+      tree.edges.length === tree.nodes.length - 1 &&
+      tree.edges.every(([a, b]) => nodes.has(a) && nodes.has(b));
+  };
+
+  it('joins three terminals through a shared node', () => {
+    const graph = buildGraph([['a', 'hub'], ['b', 'hub'], ['c', 'hub'], ['a', 'x'], ['x', 'b']]);
+    const tree = graph.steinerTree(['a', 'b', 'c']);
+
+    expect(tree.nodes.sort()).toEqual(['a', 'b', 'c', 'hub']);
+    expect(isTreeOver(tree, ['a', 'b', 'c'])).toBe(true);
+  });
+
+  it('prefers a Steiner point over joining shortest pairwise paths', () => {
+    // Chaining the rim paths a-ab-b-bc-c takes two extra nodes; the centre joins all three with one
+    const graph = buildGraph([
+      ['a', 'ab'], ['ab', 'b'], ['b', 'bc'], ['bc', 'c'],
+      ['a', 'centre'], ['b', 'centre'], ['c', 'centre']
+    ]);
+    const tree = graph.steinerTree(['a', 'b', 'c']);
+    expect(tree.nodes.sort()).toEqual(['a', 'b', 'c', 'centre']);
+    expect(isTreeOver(tree, ['a', 'b', 'c'])).toBe(true);
+  });
+
+  it('matches a brute-force search on small graphs', () => {
+    // Deterministic pseudo-random graphs so failures reproduce
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+
+    for (let round = 0; round < 25; round++) {
+      const nodeIds = Array.from({ length: 9 }, (_, i) => `n${i}`);
+      const edges = [];
+      nodeIds.forEach((a, i) => nodeIds.slice(i + 1).forEach(b => {
+        if (random() < 0.3) edges.push([a, b]);
+      }));
+      const graph = buildGraph(edges);
+      nodeIds.forEach(id => graph.addNode(id, 'node', {}));
+
+      const terminals = nodeIds.slice(0, 3 + (round % 2));
+      const tree = graph.steinerTree(terminals);
+      const expected = bruteForceTreeSize(graph, terminals);
+
+      if (expected === Infinity) {
+        expect(tree).toBeNull();
+      } else {
+        expect(tree.nodes).toHaveLength(expected);
+        expect(isTreeOver(tree, terminals)).toBe(true);
+      }
+    }
+  });
+
+  it('returns null when a terminal is missing or cut off', () => {
+    const graph = buildGraph([['a', 'b'], ['c', 'd']]);
+    expect(graph.steinerTree(['a', 'c'])).toBeNull();
+    expect(graph.steinerTree(['a', 'missing'])).toBeNull();
+  });
+});
+
+describe('ActorTreeManager with more than two starting actors', () => {
+  it('reports the smallest tree joining every starting actor', () => {
+    const manager = new ActorTreeManager();
+    manager.initializeTrees([actor(1), actor(2), actor(3)]);
+
+    place(manager, 'movie-10', 'person-1', 'person-2');
+    expect(place(manager, 'movie-20', 'person-1').shortestConnection).toBeNull();
+
+    const result = place(manager, 'person-4', 'movie-20');
+    expect(result.shortestConnection).toBeNull();
+
+    const connected = place(manager, 'movie-30', 'person-3', 'person-2');
+    expect(connected.shortestConnection.pathLength).toBe(2);
+    expect(connected.shortestConnection.treeEdges).toHaveLength(4);
+    expect(connected.shortestConnection.fullPath[0]).toBe('person-1');
+  });
+});
+
+describe('ActorTreeManager in episode games', () => {
+  let manager;
+
+  // Place a show linked to people through the episodes each of them appeared in
+  const placeShow = (nodeId, episodesByPerson) => manager.addEntityToTrees(
+    nodeId,
+    'tv',
+    { id: nodeId },
+    Object.entries(episodesByPerson).map(([personId, episodes]) => ({ source: nodeId, target: personId, episodes }))
+  );
+
+  beforeEach(() => {
+    manager = new ActorTreeManager();
+    manager.initializeTrees([actor(1), actor(2)]);
+  });
+
+  it('links people through a shared episode and reports the show in its place', () => {
+    const result = placeShow('tv-10', { 'person-1': ['S1E1'], 'person-2': ['S1E1', 'S1E2'] });
+    expect(result.shortestConnection).toMatchObject({ pathLength: 1, fullPath: ['person-1', 'tv-10', 'person-2'] });
+  });
+
+  it('never routes through the show between different episodes', () => {
+    const result = placeShow('tv-10', { 'person-1': ['S1E1'], 'person-2': ['S1E2'] });
+    expect(result.shortestConnection).toBeNull();
+  });
+
+  it('counts a show as reached through its episodes', () => {
+    const result = placeShow('tv-10', { 'person-1': ['S1E1'] });
+    expect(result.treesAffected).toEqual(['person-1']);
+    expect(manager.getReachingActors('tv-10')).toEqual(['person-1']);
+    expect(manager.getTotalUniqueNodes()).toBe(1);
+
+    manager.removeEntity('tv-10');
+    expect(manager.getTotalUniqueNodes()).toBe(0);
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Board image export
+ * Draws the board as a standalone SVG from the same nodes, connections and positions the
+ * NodeLayer and ConnectionLines render, plus a footer with the result. PNGs are the SVG
+ * drawn onto a canvas. Posters and headshots are fetched through the backend and inlined
+ * as data URLs, so the SVG works offline and the canvas can be saved.
+ *
+ * The result card is a fixed-size summary of a win: the route as a row of cards and the
+ * result underneath, sized for sharing.
+ */
+import { logger } from './loggerUtils';
+import { getItemTitle } from './entityUtils';
+import { getProxiedImageUrl } from './tmdbUtils';
+import { getNodesBounds } from './boardUtils';
+import { BOARD_EXPORT } from './constants';
+import * as ConnectionLinesStyles from '../styles/connectionPanelStyle.js';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+const FONT_FAMILY = 'system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+const BACKGROUND_COLOR = '#0f172a';
+const CARD_COLOR = 'rgba(20,20,35,0.9)';
+const START_ACTOR_COLOR = 'gold';
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+// SVG text doesn't wrap or ellipsize, so long titles are cut to about what fits
+const truncate = (text, maxLength) => (text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text);
+
+/**
+ * Convert one of ConnectionLines' style objects to SVG attributes
+ */
+const toLineAttributes = (style) => [
+  `stroke="${style.stroke}"`,
+  `stroke-width="${style.strokeWidth}"`,
+  style.strokeDasharray ? `stroke-dasharray="${style.strokeDasharray}"` : ''
+].join(' ');
+
+/**
+ * Pick a connection's line style the way ConnectionLines does
+ */
+const getLineStyle = (connection, gameCompleted) => {
+  if (gameCompleted) return ConnectionLinesStyles.connectionLineCompletedStyle;
+  if (connection.isGuestAppearance === true) return ConnectionLinesStyles.connectionLineGuestStyle;
+  if (connection.job) return ConnectionLinesStyles.connectionLineCrewStyle;
+  return ConnectionLinesStyles.connectionLineBaseStyle;
+};
+
+/**
+ * Read a blob as a data URL
+ */
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Fetch the cards' posters and headshots through the backend
+ * Cards whose image can't be fetched are drawn with their initial instead.
+ *
+ * @param {Array} nodes - Board nodes
+ * @returns {Promise<Object>} - Map of node ID to image data URL (or null)
+ */
+export const loadExportImages = async (nodes) => {
+  const entries = await Promise.all(nodes.map(async (node) => {
+    const imageType = node.type === 'person' ? 'profile' : 'poster';
+    const url = getProxiedImageUrl(node.data?.poster_path || node.data?.profile_path, imageType);
+    if (!url) return [node.id, null];
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return [node.id, await blobToDataUrl(await response.blob())];
+    } catch (error) {
+      logger.warn(`⚠️ Couldn't load the image for ${getItemTitle(node.data)} for export:`, error);
+      return [node.id, null];
+    }
+  }));
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Draw one card: image (or initial), title bar and a gold border for starting actors
+ *
+ * @param {Object} node - Board node
+ * @param {Object} rect - { x, y, width, height } of the card
+ * @param {string|null} image - Image data URL
+ * @param {boolean} isStartActor - Whether the card is a starting actor
+ * @param {number} index - Position in the drawing, for unique clip path IDs
+ * @returns {string} - SVG markup
+ */
+const renderCard = (node, rect, image, isStartActor, index) => {
+  const { x, y, width, height } = rect;
+  const title = getItemTitle(node.data);
+  const titleBarHeight = Math.max(14, Math.round(height * 0.12));
+  const fontSize = Math.round(titleBarHeight * 0.6);
+  const clipId = `card-clip-${index}`;
+
+  const picture = image
+    ? `<image href="${image}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${clipId})"/>`
+    : `<text x="${x + width / 2}" y="${y + height / 2}" text-anchor="middle" dominant-baseline="middle" fill="white" font-size="${Math.round(width * 0.3)}" font-weight="700">${escapeXml(title.charAt(0))}</text>`;
+
+  return `
+  <g>
+    <clipPath id="${clipId}"><rect x="${x}" y="${y}" width="${width}" height="${height}" rx="4"/></clipPath>
+    <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="4" fill="${CARD_COLOR}"/>
+    ${picture}
+    <rect x="${x}" y="${y + height - titleBarHeight}" width="${width}" height="${titleBarHeight}" fill="rgba(0,0,0,0.7)" clip-path="url(#${clipId})"/>
+    <text x="${x + width / 2}" y="${y + height - titleBarHeight / 2}" text-anchor="middle" dominant-baseline="middle" fill="white" font-size="${fontSize}" font-weight="600">${escapeXml(truncate(title, Math.floor(width / (fontSize * 0.55))))}</text>
+    <rect x="${x}" y="${y}" width="${width}" height="${height}" rx="4" fill="none" stroke="${isStartActor ? START_ACTOR_COLOR : 'rgba(255,255,255,0.25)'}" stroke-width="${isStartActor ? 4 : 1}"/>
+  </g>`;
+};
+
+/**
+ * Describe the result in one line, e.g. "Daily Challenge · 4 hops · 02:31 · Score 1,250"
+ *
+ * @param {Object} result - { challenge, hops, time, score }; missing parts are left out
+ * @returns {string}
+ */
+export const formatExportResult = ({ challenge, hops, time, score }) => [
+  challenge,
+  hops != null ? `${hops} ${hops === 1 ? 'hop' : 'hops'}` : null,
+  time,
+  score != null ? `Score ${score}` : null
+].filter(Boolean).join(' · ');
+
+/**
+ * Draw the footer band with the result on the left and the game's name on the right
+ */
+const renderFooter = (result, y, width) => `
+  <rect x="0" y="${y}" width="${width}" height="${BOARD_EXPORT.FOOTER_HEIGHT}" fill="rgba(0,0,0,0.45)"/>
+  <text x="${BOARD_EXPORT.PADDING}" y="${y + BOARD_EXPORT.FOOTER_HEIGHT / 2}" dominant-baseline="middle" fill="white" font-size="18" font-weight="600">${escapeXml(formatExportResult(result))}</text>
+  <text x="${width - BOARD_EXPORT.PADDING}" y="${y + BOARD_EXPORT.FOOTER_HEIGHT / 2}" text-anchor="end" dominant-baseline="middle" fill="${START_ACTOR_COLOR}" font-size="16" font-weight="700">Silver Sync</text>`;
+
+const wrapSvg = (width, height, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+  <rect width="${width}" height="${height}" fill="${BACKGROUND_COLOR}"/>${body}
+</svg>`;
+
+/**
+ * Build an SVG of the board, cropped to the cards, with the result as a footer
+ *
+ * @param {Object} board - { nodes, connections, nodePositions, startNodeIds, nodeSize, images, gameCompleted }
+ * @param {Object} result - Footer contents for formatExportResult
+ * @returns {Object} - { svg, width, height }
+ */
+export const buildBoardSvg = ({ nodes, connections, nodePositions, startNodeIds, nodeSize, images, gameCompleted }, result) => {
+  const bounds = getNodesBounds(nodePositions, nodeSize) || { x: 0, y: 0, width: 0, height: 0 };
+  const width = Math.ceil(Math.max(bounds.width + BOARD_EXPORT.PADDING * 2, BOARD_EXPORT.MIN_WIDTH));
+  const boardHeight = Math.ceil(bounds.height + BOARD_EXPORT.PADDING * 2);
+  const height = boardHeight + BOARD_EXPORT.FOOTER_HEIGHT;
+
+  // Board coordinates shifted so the cards are centered, with the top one at the padding
+  const toExport = (position) => ({
+    x: position.x - bounds.x + (width - bounds.width) / 2,
+    y: position.y - bounds.y + BOARD_EXPORT.PADDING
+  });
+  const getCenter = (nodeId) => {
+    const position = toExport(nodePositions[nodeId]);
+    return { x: position.x + nodeSize.width / 2, y: position.y + nodeSize.height / 2 };
+  };
+
+  const lines = connections
+    .filter(connection => nodePositions[connection.source] && nodePositions[connection.target])
+    .map(connection => {
+      const source = getCenter(connection.source);
+      const target = getCenter(connection.target);
+      const label = connection.job || (connection.episodes ? `${connection.episodes.length} ep.` : null);
+      const labelStyle = ConnectionLinesStyles.connectionJobLabelStyle;
+      return `
+  <line x1="${source.x}" y1="${source.y}" x2="${target.x}" y2="${target.y}" ${toLineAttributes(getLineStyle(connection, gameCompleted))}/>` + (label ? `
+  <text x="${(source.x + target.x) / 2}" y="${(source.y + target.y) / 2}" text-anchor="middle" dominant-baseline="middle" fill="${labelStyle.fill}" stroke="${labelStyle.stroke}" stroke-width="${labelStyle.strokeWidth}" paint-order="stroke" font-size="${labelStyle.fontSize}" font-weight="${labelStyle.fontWeight}">${escapeXml(label)}</text>` : '');
+    });
+
+  const cards = nodes
+    .filter(node => nodePositions[node.id])
+    .map((node, index) => renderCard(
+      node,
+      { ...toExport(nodePositions[node.id]), ...nodeSize },
+      images[node.id],
+      startNodeIds.includes(node.id),
+      index
+    ));
+
+  return {
+    svg: wrapSvg(width, height, lines.join('') + cards.join('') + renderFooter(result, boardHeight, width)),
+    width,
+    height
+  };
+};
+
+/**
+ * Build the shareable result card for a win
+ * The route's cards sit in a row, in walking order, shrinking to fit long routes.
+ *
+ * @param {Object} win - { pathNodes, isTree, startActors, startNodeIds, images }
+ * @param {Object} result - Footer contents for formatExportResult
+ * @returns {Object} - { svg, width, height }
+ */
+export const buildResultCardSvg = ({ pathNodes, isTree, startActors, startNodeIds, images }, result) => {
+  const { WIDTH: width, HEIGHT: height } = BOARD_EXPORT.RESULT_CARD;
+  const gap = isTree ? 12 : 28;
+  const rowWidth = width - BOARD_EXPORT.PADDING * 2;
+  const cardWidth = Math.min(140, (rowWidth - gap * (pathNodes.length - 1)) / Math.max(pathNodes.length, 1));
+  const cardHeight = cardWidth * 1.5;
+  const rowLeft = (width - (cardWidth * pathNodes.length + gap * (pathNodes.length - 1))) / 2;
+  const rowTop = 150 + (300 - cardHeight) / 2;
+
+  const names = startActors.map(getItemTitle);
+  const heading = names.length > 2
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names.join(' and ');
+
+  const cards = pathNodes.map((node, index) => {
+    const x = rowLeft + index * (cardWidth + gap);
+    const arrow = index > 0 && !isTree
+      ? `<text x="${x - gap / 2}" y="${rowTop + cardHeight / 2}" text-anchor="middle" dominant-baseline="middle" fill="${START_ACTOR_COLOR}" font-size="${Math.min(24, gap)}">→</text>`
+      : '';
+    return arrow + renderCard(
+      node,
+      { x, y: rowTop, width: cardWidth, height: cardHeight },
+      images[node.id],
+      startNodeIds.includes(node.id),
+      index
+    );
+  });
+
+  const body = `
+  <text x="${width / 2}" y="70" text-anchor="middle" fill="${START_ACTOR_COLOR}" font-size="44" font-weight="800">I connected the stars!</text>
+  <text x="${width / 2}" y="118" text-anchor="middle" fill="white" font-size="24" font-weight="600">${escapeXml(truncate(heading, 80))}</text>
+  ${cards.join('')}
+  ${renderFooter(result, height - BOARD_EXPORT.FOOTER_HEIGHT, width)}`;
+
+  return { svg: wrapSvg(width, height, body), width, height };
+};
+
+/**
+ * Draw an SVG onto a canvas and save it as a PNG
+ * Rendered at up to twice the size for sharp text, less when that would be too big to draw.
+ *
+ * @param {Object} image - { svg, width, height } from one of the builders above
+ * @returns {Promise<Blob>} - PNG image
+ */
+export const svgToPngBlob = ({ svg, width, height }) => new Promise((resolve, reject) => {
+  const scale = Math.min(2, Math.sqrt(BOARD_EXPORT.MAX_PNG_PIXELS / (width * height)));
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not create the PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The board image could not be drawn'));
+  };
+  image.src = url;
+});
+
+/**
+ * Save a blob as a file through the browser's download
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Hand an image to the system share sheet where the browser supports sharing files,
+ * otherwise download it
+ *
+ * @param {Blob} blob - PNG image
+ * @param {string} filename - File name
+ * @param {string} text - Message to share with it
+ * @returns {Promise<boolean>} - True when shared, false when downloaded
+ */
+export const shareOrDownloadImage = async (blob, filename, text) => {
+  const file = new File([blob], filename, { type: blob.type });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text });
+      return true;
+    } catch (error) {
+      // Closing the share sheet isn't a failure; anything else falls back to a download
+      if (error.name === 'AbortError') return true;
+      logger.warn('⚠️ Sharing failed, downloading instead:', error);
+    }
+  }
+  downloadBlob(blob, filename);
+  return false;
+};
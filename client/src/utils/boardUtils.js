@@ -1,6 +1,9 @@
 // Board-specific utility functions
 import { logger } from './loggerUtils';
+import { getStartNodeId } from './gameUtils';
 import { findPathBetweenNodesOptimized, clearPathCache } from './connectionOptimizer';
+import { NODE_SIZE_FALLBACK } from './constants';
+import { getItemTitle } from './stringUtils';
 
 // Constants for node positioning
 export const DEFAULT_NODE_POSITION = { x: 250, y: 250 };
@@ -52,6 +55,188 @@ export const calculateNodePosition = (connections, nodePositions, nodeId) => {
   };
 };
 
+/**
+ * Measure a card on the board, falling back to the largest card size
+ * Cards are all the same size, so when this one isn't rendered (it's off screen) any
+ * card that is will do.
+ * 
+ * @param {string} nodeId - ID of a node on the board
+ * @returns {Object} - { width, height }
+ */
+export const measureNodeSize = (nodeId) => {
+  const element = (nodeId && document.getElementById(nodeId)) || document.querySelector('[data-board-node]');
+  return {
+    width: element?.offsetWidth || NODE_SIZE_FALLBACK.WIDTH,
+    height: element?.offsetHeight || NODE_SIZE_FALLBACK.HEIGHT
+  };
+};
+
+/**
+ * Get the rectangle around a set of cards
+ * 
+ * @param {Object} nodePositions - Current node positions map
+ * @param {Object} nodeSize - { width, height } of a card
+ * @returns {Object|null} - { x, y, width, height }, or null if no card has a position
+ */
+export const getNodesBounds = (nodePositions, nodeSize) => {
+  const positions = Object.values(nodePositions).filter(Boolean);
+  if (positions.length === 0) return null;
+
+  const minX = Math.min(...positions.map(position => position.x));
+  const minY = Math.min(...positions.map(position => position.y));
+  const maxX = Math.max(...positions.map(position => position.x)) + nodeSize.width;
+  const maxY = Math.max(...positions.map(position => position.y)) + nodeSize.height;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+/**
+ * Check whether a rectangle is on screen, or within a margin of it
+ * 
+ * @param {Object} rect - { x, y, width, height } in board coordinates
+ * @param {Object} viewport - { x, y, width, height } of the visible area
+ * @param {number} margin - Board pixels around the viewport that still count
+ * @returns {boolean}
+ */
+export const isRectInView = (rect, viewport, margin = 0) => (
+  rect.x + rect.width >= viewport.x - margin &&
+  rect.y + rect.height >= viewport.y - margin &&
+  rect.x <= viewport.x + viewport.width + margin &&
+  rect.y <= viewport.y + viewport.height + margin
+);
+
+/**
+ * Keep a viewport's top-left corner where the viewport stays on the board
+ * 
+ * @param {Object} origin - Wanted top-left corner {x, y} in board coordinates
+ * @param {Object} viewportSize - { width, height } of the visible area in board coordinates
+ * @param {Object} worldSize - { width, height } of the whole board
+ * @returns {Object} - Top-left corner {x, y}
+ */
+export const clampViewportOrigin = (origin, viewportSize, worldSize) => ({
+  x: Math.min(Math.max(0, origin.x), Math.max(0, worldSize.width - viewportSize.width)),
+  y: Math.min(Math.max(0, origin.y), Math.max(0, worldSize.height - viewportSize.height))
+});
+
+/**
+ * Get the viewport origin that centers a rectangle of the board on screen
+ * 
+ * @param {Object} rect - { x, y, width, height } in board coordinates
+ * @param {Object} viewportSize - { width, height } of the visible area in board coordinates
+ * @returns {Object} - Top-left corner {x, y}, before clamping to the board
+ */
+export const getViewportOriginCenteredOn = (rect, viewportSize) => ({
+  x: rect.x + rect.width / 2 - viewportSize.width / 2,
+  y: rect.y + rect.height / 2 - viewportSize.height / 2
+});
+
+/**
+ * Pick the closest zoom level at which a rectangle of the board fits on screen
+ * 
+ * @param {Object} rect - { width, height } in board coordinates
+ * @param {Object} screenSize - { width, height } of the board on screen, in pixels
+ * @param {Array} zoomLevels - Available zoom levels, largest first
+ * @returns {number} - Zoom level; the smallest one when nothing fits
+ */
+export const getZoomToFit = (rect, screenSize, zoomLevels) => (
+  zoomLevels.find(level => rect.width <= screenSize.width / level && rect.height <= screenSize.height / level)
+  ?? zoomLevels[zoomLevels.length - 1]
+);
+
+/**
+ * Order the cards for keyboard traversal: outward from the starting actors along the
+ * connections, so Tab walks the chains the player has built. Unconnected cards come last.
+ * 
+ * @param {Array} nodes - Board nodes
+ * @param {Array} connections - Board connections
+ * @param {Array} startNodeIds - Starting actor node IDs
+ * @returns {Array} - Node IDs in traversal order
+ */
+export const getBoardTraversalOrder = (nodes, connections, startNodeIds) => {
+  const neighbours = new Map(nodes.map(node => [node.id, []]));
+  connections.forEach(({ source, target }) => {
+    neighbours.get(source)?.push(target);
+    neighbours.get(target)?.push(source);
+  });
+
+  const order = [];
+  const visited = new Set();
+  const visit = (rootId) => {
+    if (visited.has(rootId) || !neighbours.has(rootId)) return;
+    visited.add(rootId);
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      order.push(nodeId);
+      neighbours.get(nodeId).forEach(neighbourId => {
+        if (!visited.has(neighbourId)) {
+          visited.add(neighbourId);
+          queue.push(neighbourId);
+        }
+      });
+    }
+  };
+
+  startNodeIds.forEach(visit);
+  nodes.forEach(node => visit(node.id));
+  return order;
+};
+
+/**
+ * Get the route that won the game
+ * Classic games win with a path; chain games with a tree joining every starting actor.
+ * 
+ * @param {Object} connectionResult - Shortest connection from the board graph
+ * @returns {Object|null} - { nodeIds, edges: [[source, target]], isTree }, or null without a route
+ */
+export const getWinningPath = (connectionResult) => {
+  const nodeIds = connectionResult?.fullPath || [];
+  if (nodeIds.length === 0) return null;
+
+  const isTree = Boolean(connectionResult.treeEdges);
+  const edges = isTree
+    ? connectionResult.treeEdges
+    : nodeIds.slice(1).map((nodeId, index) => [nodeIds[index], nodeId]);
+  return { nodeIds, edges, isTree };
+};
+
+/**
+ * Order the winning route's cards outward from a starting actor
+ * For a classic game that's actor 1 to actor 2.
+ * 
+ * @param {Object|null} winningPath - Route from getWinningPath
+ * @param {string|null} firstStartNodeId - Node ID of the starting actor to walk from
+ * @returns {Array} - Node IDs in walking order
+ */
+export const getWinningPathOrder = (winningPath, firstStartNodeId) => {
+  if (!winningPath) return [];
+  const pathNodes = winningPath.nodeIds.map(id => ({ id }));
+  const pathConnections = winningPath.edges.map(([source, target]) => ({ source, target }));
+  return getBoardTraversalOrder(pathNodes, pathConnections, firstStartNodeId ? [firstStartNodeId] : []);
+};
+
+/**
+ * Check whether the player asked the system for less motion
+ * @returns {boolean} - True when animations should be skipped
+ */
+export const prefersReducedMotion = () => window.matchMedia?.('(prefers-reduced-motion: reduce)').matches === true;
+
+/**
+ * Describe a card for screen readers
+ * 
+ * @param {Object} node - Board node
+ * @param {number} connectionCount - Number of connections the card has
+ * @param {boolean} isStartActor - Whether the card is a starting actor
+ * @returns {string} - e.g. "Heat, movie, 2 connections"
+ */
+export const describeBoardNode = (node, connectionCount, isStartActor = false) => {
+  const typeLabel = { person: 'person', movie: 'movie', tv: 'TV show' }[node.type] || node.type;
+  return [
+    getItemTitle(node.data),
+    isStartActor ? `starting ${typeLabel}` : typeLabel,
+    `${connectionCount} ${connectionCount === 1 ? 'connection' : 'connections'}`
+  ].join(', ');
+};
+
 /**
  * Save an entity to local database for future fuzzy searches
  * 
@@ -118,10 +303,10 @@ export const filterExistingBoardEntities = (entities, nodes) => {
 };
 
 /**
- * Fetches a random actor for a starting position, avoiding duplicates
- * @param {number} actorIndex - Index (0 or 1) of the actor position
+ * Fetches a random actor (or title, in reverse games) for a starting position, avoiding duplicates
+ * @param {number} actorIndex - Index of the actor position
  * @param {Array} startActors - Current starting actors array
- * @param {Function} fetchRandomPerson - TMDB service function
+ * @param {Function} fetchRandomPerson - TMDB service function returning the random entity
  * @param {number} maxAttempts - Maximum attempts to avoid infinite loops
  * @returns {Object|null} - Random actor or null if failed
  */
@@ -136,16 +321,13 @@ export const fetchRandomUniqueActor = async (actorIndex, startActors, fetchRando
     logger.debug(`Attempt ${attempts} to fetch random actor...`);
     
     const actor = await fetchRandomPerson();
-    logger.debug('Fetched actor:', actor?.name, actor?.id);
-
-    // Check if this actor is already used in the other position
-    const otherIndex = actorIndex === 0 ? 1 : 0;
-    const otherActor = startActors[otherIndex];
+    logger.debug('Fetched actor:', actor?.name || actor?.title, actor?.id);
 
-    // Only use this actor if it's not the same as the other position
-    if (!otherActor || otherActor.id !== actor.id) {
+    // Only use this actor if it isn't already in another position
+    const isTaken = startActors.some((other, index) => index !== actorIndex && other && getStartNodeId(other) === getStartNodeId(actor));
+    if (!isTaken) {
       randomActor = actor;
-      logger.info(`Successfully selected actor: ${actor.name}`);
+      logger.info(`Successfully selected actor: ${actor.name || actor.title}`);
     } else {
       logger.debug("Duplicate actor found, trying again...");
     }
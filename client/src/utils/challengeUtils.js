@@ -5,6 +5,7 @@
  * These functions work with the cached blacklist data in sessionStorage.
  */
 import { logger } from './loggerUtils';
+import { CUSTOM_CHALLENGE_PREFIX } from './constants';
 
 /**
  * Get cached blacklists from sessionStorage
@@ -64,6 +65,100 @@ export function isTvShowBlocked(tvShowId, challengeName) {
          challengeData.blockedTvShows[tvShowId.toString()];
 }
 
+/**
+ * Read the values a rule criterion compares against from a TMDB title
+ * Search and credit results carry fewer fields than full details, so some criteria can't be checked on them.
+ * @param {Object} entity - Movie or TV show
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {string} criterion - Rule criterion name
+ * @returns {Array|number|null} - Value(s) for the criterion, or null if the entity doesn't have them
+ */
+function getRuleValue(entity, mediaType, criterion) {
+  switch (criterion) {
+    case 'mediaTypes':
+      return [mediaType];
+    case 'genres':
+      return entity.genre_ids || entity.genres?.map(genre => genre.id) || null;
+    case 'companies':
+      return entity.production_companies?.map(company => company.id) || null;
+    case 'languages':
+      return entity.original_language ? [entity.original_language] : null;
+    case 'years': {
+      const year = parseInt((entity.release_date || entity.first_air_date || '').slice(0, 4), 10);
+      return Number.isFinite(year) ? year : null;
+    }
+    case 'runtime': {
+      const runtime = mediaType === 'movie' ? entity.runtime : entity.episode_run_time?.[0];
+      return runtime > 0 ? runtime : null;
+    }
+    case 'certifications': {
+      // Certifications are only checked for movies, matching the server's discover queries
+      const usRelease = mediaType === 'movie'
+        ? entity.release_dates?.results?.find(result => result.iso_3166_1 === 'US')
+        : null;
+      const certifications = (usRelease?.release_dates || []).map(release => release.certification).filter(Boolean);
+      return certifications.length > 0 ? certifications : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a title against one rule criterion
+ * @returns {boolean|null} - Whether it matches, or null if the title doesn't say
+ */
+function matchesRuleCriterion(entity, mediaType, criterion, expected) {
+  const value = getRuleValue(entity, mediaType, criterion);
+  if (value === null) return null;
+
+  if (criterion === 'years') {
+    return (expected.from === undefined || value >= expected.from) && (expected.to === undefined || value <= expected.to);
+  }
+  if (criterion === 'runtime') {
+    return (expected.min === undefined || value >= expected.min) && (expected.max === undefined || value <= expected.max);
+  }
+  return value.some(entry => expected.includes(entry));
+}
+
+/**
+ * Evaluate a challenge's declarative rules against a title
+ * Same format as server/app/api/utils/challengeRules.js: a title must match every include
+ * criterion and no exclude criterion. Criteria the title has no data for don't block it, so
+ * search results are checked again once the board has loaded their details.
+ * @param {Object} entity - Movie or TV show
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {Object|null} rules - { include, exclude }
+ * @returns {boolean} - True if the rules block the title
+ */
+export function isBlockedByRules(entity, mediaType, rules) {
+  if (!rules || !entity) return false;
+
+  const failsInclude = Object.entries(rules.include || {})
+    .some(([criterion, expected]) => matchesRuleCriterion(entity, mediaType, criterion, expected) === false);
+  const matchesExclude = Object.entries(rules.exclude || {})
+    .some(([criterion, expected]) => matchesRuleCriterion(entity, mediaType, criterion, expected) === true);
+
+  return failsInclude || matchesExclude;
+}
+
+/**
+ * Check if a movie or TV show is blocked by a challenge's blacklists or rules
+ * @param {Object} entity - Movie or TV show with media_type
+ * @param {string} challengeName - Name of the challenge mode
+ * @returns {boolean} - True if the title should be blocked/filtered
+ */
+export function isEntityBlockedByChallenge(entity, challengeName) {
+  if (!challengeName || !entity) return false;
+
+  const mediaType = entity.media_type;
+  if (mediaType === 'movie' && isMovieBlocked(entity.id, challengeName)) return true;
+  if (mediaType === 'tv' && isTvShowBlocked(entity.id, challengeName)) return true;
+  if (mediaType !== 'movie' && mediaType !== 'tv') return false;
+
+  return isBlockedByRules(entity, mediaType, getCachedBlacklists()?.[challengeName]?.rules);
+}
+
 /**
  * Filter an array of entities based on challenge mode
  * @param {Array} entities - Array of movies/TV shows to filter
@@ -75,15 +170,8 @@ export function filterEntitiesByChallenge(entities, challengeName) {
     return entities || [];
   }
   
-  return entities.filter(entity => {
-    if (entity.media_type === 'movie') {
-      return !isMovieBlocked(entity.id, challengeName);
-    } else if (entity.media_type === 'tv') {
-      return !isTvShowBlocked(entity.id, challengeName);
-    }
-    // Don't filter persons/actors
-    return true;
-  });
+  // Persons/actors are never filtered
+  return entities.filter(entity => !isEntityBlockedByChallenge(entity, challengeName));
 }
 
 /**
@@ -110,7 +198,185 @@ export function areBlacklistsLoaded() {
 /**
  * List of challenges that require no filtering
  */
-export const NO_FILTER_CHALLENGES = ['for-fun', 'classic'];
+export const NO_FILTER_CHALLENGES = ['for-fun', 'classic', 'daily', 'race', 'chain', 'reverse', 'crew', 'episodes'];
+
+/**
+ * Head-to-head race; shown on the challenge screen and used for games started from a race lobby
+ */
+export const RACE_CHALLENGE = {
+  id: 'race',
+  title: 'Head to Head',
+  description: 'Race a friend on the same two actors - invite them with a code and watch their progress live',
+  icon: '🏁',
+  difficulty: 'Medium',
+  color: 'bg-indigo-500',
+  filter: false,
+  remove: []
+};
+
+/**
+ * Chain mode: 3 to 5 starting actors that must all end up in one connected web
+ */
+export const CHAIN_CHALLENGE = {
+  id: 'chain',
+  title: 'Chain',
+  description: 'Pick 3 to 5 actors and link every one of them into a single connected web',
+  icon: '⛓️',
+  difficulty: 'Hard',
+  color: 'bg-cyan-600',
+  filter: false,
+  remove: []
+};
+
+/**
+ * Check if a challenge is played with more than two starting actors
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {boolean} - True for chain games
+ */
+export function isChainChallenge(challengeMode) {
+  return challengeMode?.id === CHAIN_CHALLENGE.id;
+}
+
+/**
+ * Reverse mode: the two starting nodes are movies or TV shows, linked through actors
+ */
+export const REVERSE_CHALLENGE = {
+  id: 'reverse',
+  title: 'Reverse',
+  description: 'Pick two movies or shows and connect them through the actors who appeared in them',
+  icon: '🔄',
+  difficulty: 'Medium',
+  color: 'bg-amber-600',
+  filter: false,
+  remove: []
+};
+
+/**
+ * Check if a challenge starts from titles instead of actors
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {boolean} - True for reverse games
+ */
+export function isReverseChallenge(challengeMode) {
+  return challengeMode?.id === REVERSE_CHALLENGE.id;
+}
+
+/**
+ * Crew mode: directors, writers and composers connect titles as well as actors
+ */
+export const CREW_CHALLENGE = {
+  id: 'crew',
+  title: 'Behind the Camera',
+  description: 'Directors, writers and composers count as connections too - start with two random actors',
+  icon: '🎥',
+  difficulty: 'Easy',
+  color: 'bg-rose-500',
+  filter: false,
+  remove: []
+};
+
+/**
+ * Check if crew credits count as connections in a game
+ * They always do in crew mode, and For Fun games can switch them on with includeCrew.
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {boolean} - True if crew credits connect
+ */
+export function includesCrewCredits(challengeMode) {
+  return challengeMode?.id === CREW_CHALLENGE.id || Boolean(challengeMode?.includeCrew);
+}
+
+/**
+ * Get the challenge whose par applies to a game
+ * Crew credits change the shortest route, so any game that counts them uses the crew par.
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {string|null} - Challenge ID to compute par for
+ */
+export function getParChallengeId(challengeMode) {
+  return includesCrewCredits(challengeMode) ? CREW_CHALLENGE.id : challengeMode?.id || null;
+}
+
+/**
+ * Episode mode: a TV show only links two actors who were credited in the same episode
+ */
+export const EPISODE_CHALLENGE = {
+  id: 'episodes',
+  title: 'Shared Scenes',
+  description: 'TV shows only connect actors who appeared in the same episode - a long soap is no shortcut',
+  icon: '📺',
+  difficulty: 'Hard',
+  color: 'bg-sky-700',
+  filter: false,
+  remove: []
+};
+
+/**
+ * Check if TV connections need a shared episode in a game
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {boolean} - True for episode games
+ */
+export function requiresSharedEpisodes(challengeMode) {
+  return challengeMode?.id === EPISODE_CHALLENGE.id;
+}
+
+/**
+ * Check if a challenge was made by a player in the challenge editor
+ * Custom challenges are filtered by their own blacklist, loaded when one is played.
+ * @param {Object|string|null} challenge - Challenge mode or challenge ID
+ * @returns {boolean} - True for custom challenges
+ */
+export function isCustomChallenge(challenge) {
+  const challengeId = typeof challenge === 'string' ? challenge : challenge?.id;
+  return typeof challengeId === 'string' && challengeId.startsWith(CUSTOM_CHALLENGE_PREFIX);
+}
+
+/**
+ * Build the share link that opens a custom challenge
+ * @param {string} challengeId - Custom challenge ID
+ * @returns {string} - Link to this page with ?challenge=<id>
+ */
+export function getCustomChallengeLink(challengeId) {
+  return `${window.location.origin}${window.location.pathname}?challenge=${challengeId}`;
+}
+
+/**
+ * Turn a stored custom challenge into a challenge card for the challenge screen
+ * @param {Object} challenge - Custom challenge from the server
+ * @returns {Object} - Challenge mode
+ */
+export function toCustomChallengeMode(challenge) {
+  return {
+    id: challenge.id,
+    title: challenge.title,
+    description: challenge.description || describeCustomChallenge(challenge),
+    icon: '🧩',
+    difficulty: 'Custom',
+    color: 'bg-fuchsia-600',
+    filter: true,
+    remove: [],
+    custom: true,
+    createdBy: challenge.createdBy || null,
+    startActors: challenge.startActors || null
+  };
+}
+
+/**
+ * Summarize a custom challenge's restrictions, for challenges saved without a description
+ * @param {Object} challenge - Custom challenge definition
+ * @returns {string} - e.g. "Movies only, 1990-1999, without Pixar"
+ */
+export function describeCustomChallenge(challenge) {
+  const parts = [];
+  if (challenge.mediaType === 'movie') parts.push('Movies only');
+  if (challenge.mediaType === 'tv') parts.push('TV shows only');
+  if (challenge.era) {
+    const { from, to } = challenge.era;
+    parts.push(from !== undefined && to !== undefined ? `${from}-${to}` : from !== undefined ? `${from} or later` : `up to ${to}`);
+  }
+  const companies = challenge.excludedCompanies || [];
+  if (companies.length > 0) {
+    parts.push(`without ${companies.map(company => company.name).join(', ')}`);
+  }
+  return parts.join(', ');
+}
 
 /**
  * List of challenges that require filtering
@@ -121,7 +387,9 @@ export const FILTERABLE_CHALLENGES = [
   'no-disney', 
   'Nathan', 
   'movies-only', 
-  'tv-only'
+  'tv-only',
+  'no-animation',
+  'since-2000'
 ];
 
 /**
@@ -7,6 +7,7 @@
  */
 import { logger } from './loggerUtils';
 import { filterEntitiesByChallenge } from './challengeUtils';
+import { getCrewCreditJobs } from './connectionOptimizer';
 
 // Cache keys
 const CACHE_KEYS = {
@@ -105,6 +106,34 @@ const generateBoardHash = (nodes) => {
   return btoa(sortedNodeIds).slice(0, 16); // Simple hash for cache key
 };
 
+/**
+ * Entities a node reaches through directing, writing or music credits
+ * @param {Object} node - Board node
+ * @returns {Array} - Connectable entities tagged with the crew job
+ */
+const getCrewConnectableEntities = (node) => {
+  const toEntities = (credits, mediaType) => credits
+    .filter(credit => credit.id && (credit.name || credit.title) && getCrewCreditJobs(credit).length > 0)
+    .map(credit => ({
+      ...credit,
+      media_type: mediaType,
+      source_node: node.id,
+      connection_type: 'crew',
+      crew_job: getCrewCreditJobs(credit)[0]
+    }));
+
+  if (node.type === 'person') {
+    return [
+      ...toEntities(node.data.movie_credits?.crew || [], 'movie'),
+      ...toEntities(node.data.tv_credits?.crew || [], 'tv')
+    ];
+  }
+  const crew = node.data.aggregate_credits?.crew?.length > 0
+    ? node.data.aggregate_credits.crew
+    : node.data.credits?.crew || [];
+  return toEntities(crew, 'person');
+};
+
 /**
  * Optimized version of fetchConnectableEntitiesFromBoard
  */
@@ -222,6 +251,11 @@ const fetchConnectableEntitiesOptimized = async (nodes, filterOptions = {}) => {
       }
     }
 
+    // Crew games also reach people and titles through crew credits
+    if (filterOptions.includeCrew) {
+      nodeConnections.push(...getCrewConnectableEntities(node));
+    }
+
     // Add to results with duplicate checking
     for (const entity of nodeConnections) {
       const entityKey = `${entity.media_type}-${entity.id}`;
@@ -3,6 +3,45 @@
  * Replaces O(n) linear searches with O(1) hash map lookups
  */
 import { logger } from './loggerUtils';
+import { CREW_CONNECTION_JOBS } from './constants';
+
+/**
+ * Get the jobs of a crew credit that count as connections
+ * TV aggregate credits list several jobs per person; other crew credits have a single job.
+ * @param {Object} credit - Crew credit
+ * @returns {Array} - Connecting jobs, e.g. ['Director']
+ */
+export const getCrewCreditJobs = (credit) => {
+  const jobs = credit.jobs ? credit.jobs.map(entry => entry.job) : [credit.job];
+  return jobs.filter(job => CREW_CONNECTION_JOBS.includes(job));
+};
+
+/**
+ * Add crew credits to a credit index
+ * Acting credits already in the index win; several jobs on the same title are merged.
+ * @param {Map} index - id -> credit
+ * @param {Array} crewCredits - Crew credits to add
+ */
+const indexCrewCredits = (index, crewCredits) => {
+  for (const credit of crewCredits) {
+    const jobs = getCrewCreditJobs(credit);
+    if (jobs.length === 0) continue;
+
+    const existing = index.get(credit.id);
+    if (!existing) {
+      index.set(credit.id, { ...credit, crew_jobs: jobs });
+    } else if (existing.crew_jobs) {
+      existing.crew_jobs = [...new Set([...existing.crew_jobs, ...jobs])];
+    }
+  }
+};
+
+/**
+ * Label for a connection made through a credit
+ * @param {Object} credit - Indexed credit
+ * @returns {Object} - { job } for crew credits, otherwise empty
+ */
+const getCreditConnectionLabel = (credit) => (credit?.crew_jobs ? { job: credit.crew_jobs.join(' / ') } : {});
 
 /**
  * Create optimized index structures for fast connection lookups
@@ -37,9 +76,10 @@ export const createConnectionIndex = (nodes) => {
 /**
  * Create credit indexes for a person's filmography
  * @param {Object} person - Person with movie/TV credits
+ * @param {boolean} includeCrew - Also index directing, writing and music credits
  * @returns {Object} - Credit lookup maps
  */
-export const createCreditIndex = (person) => {
+export const createCreditIndex = (person, includeCrew = false) => {
   const movieCreditIndex = new Map();
   const tvCreditIndex = new Map();
   
@@ -54,6 +94,11 @@ export const createCreditIndex = (person) => {
   for (const credit of tvCredits) {
     tvCreditIndex.set(credit.id, credit);
   }
+
+  if (includeCrew) {
+    indexCrewCredits(movieCreditIndex, person.movie_credits?.crew || []);
+    indexCrewCredits(tvCreditIndex, person.tv_credits?.crew || []);
+  }
   
   return { movieCreditIndex, tvCreditIndex };
 };
@@ -61,9 +106,10 @@ export const createCreditIndex = (person) => {
 /**
  * Create cast index for a movie or TV show
  * @param {Object} mediaItem - Movie or TV show with cast credits
+ * @param {boolean} includeCrew - Also index the directors, writers and composers
  * @returns {Map} - Cast lookup map (actor.id -> actor)
  */
-export const createCastIndex = (mediaItem) => {
+export const createCastIndex = (mediaItem, includeCrew = false) => {
   const castIndex = new Map();
   
   // For TV shows, prefer aggregate_credits.cast for more comprehensive actor list
@@ -88,6 +134,13 @@ export const createCastIndex = (mediaItem) => {
       castIndex.set(actor.id, actor);
     }
   }
+
+  if (includeCrew) {
+    const crew = mediaItem.aggregate_credits?.crew?.length > 0
+      ? mediaItem.aggregate_credits.crew
+      : mediaItem.credits?.crew || [];
+    indexCrewCredits(castIndex, crew.filter(person => person.id && person.name));
+  }
   
   return castIndex;
 };
@@ -97,23 +150,25 @@ export const createCastIndex = (mediaItem) => {
  * @param {Object} person - Person object with complete details
  * @param {Object} connectionIndex - Pre-built connection indexes
  * @param {string} personNodeId - ID of the person node
+ * @param {boolean} includeCrew - Crew credits also connect; those connections carry the job
  * @returns {Array} - Array of connections
  */
-export const findPersonConnectionsOptimized = (person, connectionIndex, personNodeId) => {
+export const findPersonConnectionsOptimized = (person, connectionIndex, personNodeId, includeCrew = false) => {
   const connections = [];
   const { movieIndex, tvIndex } = connectionIndex;
   
   // Create credit indexes for this person
-  const { movieCreditIndex, tvCreditIndex } = createCreditIndex(person);
+  const { movieCreditIndex, tvCreditIndex } = createCreditIndex(person, includeCrew);
   
   // Check movie connections using O(1) lookups
-  for (const [movieId] of movieCreditIndex) {
+  for (const [movieId, creditInfo] of movieCreditIndex) {
     const movieNode = movieIndex.get(movieId);
     if (movieNode) {
       connections.push({
         id: `${personNodeId}-${movieNode.id}`,
         source: personNodeId,
-        target: movieNode.id
+        target: movieNode.id,
+        ...getCreditConnectionLabel(creditInfo)
       });
       logger.debug(`Found connection between ${personNodeId} and movie ${movieNode.id}`);
     }
@@ -129,7 +184,8 @@ export const findPersonConnectionsOptimized = (person, connectionIndex, personNo
         id: `${personNodeId}-${tvNode.id}`,
         source: personNodeId,
         target: tvNode.id,
-        isGuestAppearance
+        isGuestAppearance,
+        ...getCreditConnectionLabel(creditInfo)
       });
       
       logger.debug(`Found connection between ${personNodeId} and TV show ${tvNode.id}${isGuestAppearance ? ' (guest)' : ''}`);
@@ -144,23 +200,25 @@ export const findPersonConnectionsOptimized = (person, connectionIndex, personNo
  * @param {Object} movie - Movie object with complete details
  * @param {Object} connectionIndex - Pre-built connection indexes
  * @param {string} movieNodeId - ID of the movie node
+ * @param {boolean} includeCrew - Crew credits also connect; those connections carry the job
  * @returns {Array} - Array of connections
  */
-export const findMovieConnectionsOptimized = (movie, connectionIndex, movieNodeId) => {
+export const findMovieConnectionsOptimized = (movie, connectionIndex, movieNodeId, includeCrew = false) => {
   const connections = [];
   const { personIndex } = connectionIndex;
   
   // Create cast index for this movie
-  const castIndex = createCastIndex(movie);
+  const castIndex = createCastIndex(movie, includeCrew);
   
   // Check actor connections using O(1) lookups
-  for (const [actorId] of castIndex) {
+  for (const [actorId, creditInfo] of castIndex) {
     const personNode = personIndex.get(actorId);
     if (personNode) {
       connections.push({
         id: `${personNode.id}-${movieNodeId}`,
         source: personNode.id,
-        target: movieNodeId
+        target: movieNodeId,
+        ...getCreditConnectionLabel(creditInfo)
       });
       logger.debug(`Found connection between movie ${movieNodeId} and actor ${personNode.id}`);
     }
@@ -174,32 +232,34 @@ export const findMovieConnectionsOptimized = (movie, connectionIndex, movieNodeI
  * @param {Object} tvShow - TV show object with complete details
  * @param {Object} connectionIndex - Pre-built connection indexes
  * @param {string} tvNodeId - ID of the TV show node
+ * @param {boolean} includeCrew - Crew credits also connect; those connections carry the job
  * @returns {Array} - Array of connections
  */
-export const findTvShowConnectionsOptimized = (tvShow, connectionIndex, tvNodeId) => {
+export const findTvShowConnectionsOptimized = (tvShow, connectionIndex, tvNodeId, includeCrew = false) => {
   const connections = [];
   const { personIndex } = connectionIndex;
   
   // Create cast index for this TV show
-  const castIndex = createCastIndex(tvShow);
+  const castIndex = createCastIndex(tvShow, includeCrew);
   
   // Check actor connections using O(1) lookups
-  for (const [actorId] of castIndex) {
+  for (const [actorId, creditInfo] of castIndex) {
     const personNode = personIndex.get(actorId);
     if (personNode) {
       connections.push({
         id: `${personNode.id}-${tvNodeId}`,
         source: personNode.id,
-        target: tvNodeId
+        target: tvNodeId,
+        ...getCreditConnectionLabel(creditInfo)
       });
     }
   }
   
-  // Also check for guest appearances from actor credits
+  // Also check for guest appearances (and, with crew credits, crew jobs) from the person's credits
   for (const [actorId, personNode] of personIndex) {
     if (!castIndex.has(actorId)) { // Not in regular cast
-      const tvCredits = personNode.data.tv_credits?.cast || [];
-      const creditInfo = tvCredits.find(credit => credit.id === tvShow.id);
+      const { tvCreditIndex } = createCreditIndex(personNode.data, includeCrew);
+      const creditInfo = tvCreditIndex.get(tvShow.id);
       
       if (creditInfo) {
         const isGuestAppearance = creditInfo.is_guest_appearance || false;
@@ -207,7 +267,8 @@ export const findTvShowConnectionsOptimized = (tvShow, connectionIndex, tvNodeId
           id: `${personNode.id}-${tvNodeId}`,
           source: personNode.id,
           target: tvNodeId,
-          isGuestAppearance
+          isGuestAppearance,
+          ...getCreditConnectionLabel(creditInfo)
         });
       }
     }
@@ -221,9 +282,10 @@ export const findTvShowConnectionsOptimized = (tvShow, connectionIndex, tvNodeId
  * @param {Array} items - Items to check for connectability
  * @param {Array} nodes - Current board nodes
  * @param {Object} services - TMDB service functions
+ * @param {boolean} includeCrew - Crew credits also count as connections
  * @returns {Promise<Map>} - Map of item.id -> boolean (connectable)
  */
-export const batchCheckConnectability = async (items, nodes, services) => {
+export const batchCheckConnectability = async (items, nodes, services, includeCrew = false) => {
   const { getPersonDetails, getMovieDetails, getTvShowDetails } = services;
   const connectionIndex = createConnectionIndex(nodes);
   const results = new Map();
@@ -241,21 +303,21 @@ export const batchCheckConnectability = async (items, nodes, services) => {
   // Process persons
   if (groupedItems.person.length > 0) {
     batchPromises.push(
-      processBatch(groupedItems.person, 'person', connectionIndex, getPersonDetails, results)
+      processBatch(groupedItems.person, 'person', connectionIndex, getPersonDetails, results, includeCrew)
     );
   }
   
   // Process movies
   if (groupedItems.movie.length > 0) {
     batchPromises.push(
-      processBatch(groupedItems.movie, 'movie', connectionIndex, getMovieDetails, results)
+      processBatch(groupedItems.movie, 'movie', connectionIndex, getMovieDetails, results, includeCrew)
     );
   }
   
   // Process TV shows
   if (groupedItems.tv.length > 0) {
     batchPromises.push(
-      processBatch(groupedItems.tv, 'tv', connectionIndex, getTvShowDetails, results)
+      processBatch(groupedItems.tv, 'tv', connectionIndex, getTvShowDetails, results, includeCrew)
     );
   }
   
@@ -269,7 +331,7 @@ export const batchCheckConnectability = async (items, nodes, services) => {
 /**
  * Process a batch of items of the same type
  */
-const processBatch = async (items, type, connectionIndex, getDetailsFn, results) => {
+const processBatch = async (items, type, connectionIndex, getDetailsFn, results, includeCrew) => {
   const { personIndex, movieIndex, tvIndex } = connectionIndex;
   
   for (const item of items) {
@@ -278,7 +340,7 @@ const processBatch = async (items, type, connectionIndex, getDetailsFn, results)
       
       if (type === 'person') {
         const details = await getDetailsFn(item.id);
-        const { movieCreditIndex, tvCreditIndex } = createCreditIndex(details);
+        const { movieCreditIndex, tvCreditIndex } = createCreditIndex(details, includeCrew);
         
         // Check if any movies/TV shows on board are in this person's credits
         for (const [movieId] of movieCreditIndex) {
@@ -298,7 +360,7 @@ const processBatch = async (items, type, connectionIndex, getDetailsFn, results)
         }
       } else if (type === 'movie' || type === 'tv') {
         const details = await getDetailsFn(item.id);
-        const castIndex = createCastIndex(details);
+        const castIndex = createCastIndex(details, includeCrew);
         
         // Check if any actors on board are in this movie/TV show's cast
         for (const [actorId] of castIndex) {
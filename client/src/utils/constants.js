@@ -47,4 +47,165 @@ export const DEFAULT_BOARD_DIMENSIONS = {
   HEIGHT: 600
 };
 
-export const PLATFORMS = ['movie', 'tv'];
\ No newline at end of file
+export const PLATFORMS = ['movie', 'tv'];
+
+/**
+ * Maximum number of board actions (add, remove, move, layout) kept for undo
+ */
+export const BOARD_HISTORY_LIMIT = 100;
+
+/**
+ * TMDB genre names by ID (movie and TV genres), used to word hints
+ */
+export const TMDB_GENRES = {
+  28: 'action', 12: 'adventure', 16: 'animated', 35: 'comedy', 80: 'crime',
+  99: 'documentary', 18: 'drama', 10751: 'family', 14: 'fantasy', 36: 'history',
+  27: 'horror', 10402: 'music', 9648: 'mystery', 10749: 'romance', 878: 'sci-fi',
+  10770: 'TV movie', 53: 'thriller', 10752: 'war', 37: 'western',
+  10759: 'action & adventure', 10762: 'kids', 10763: 'news', 10764: 'reality',
+  10765: 'sci-fi & fantasy', 10766: 'soap', 10767: 'talk', 10768: 'war & politics'
+};
+
+/**
+ * Number of hint levels per game (side, genre/year, title)
+ */
+export const HINT_LEVELS = 3;
+
+/**
+ * Delay (ms) before an in-progress game is saved after a change, so dragging a node
+ * doesn't write on every frame
+ */
+export const SAVED_GAME_DELAY = 1000;
+
+/**
+ * Most events kept in a game replay; past it, moves, layouts and searches make room
+ * (see replayUtils.js), as the server does for longer replays
+ */
+export const MAX_REPLAY_EVENTS = 2000;
+
+/**
+ * Number of starting actors a chain game can have
+ */
+export const CHAIN_MIN_ACTORS = 3;
+export const CHAIN_MAX_ACTORS = 5;
+
+/**
+ * Crew jobs that connect a person to a title when crew credits are enabled
+ * Keep in sync with CREW_CONNECTION_JOBS in server/app/api/utils/pathSolver.js
+ */
+export const CREW_CONNECTION_JOBS = [
+  'Director',
+  'Co-Director',
+  'Writer',
+  'Screenplay',
+  'Story',
+  'Teleplay',
+  'Novel',
+  'Original Music Composer',
+  'Composer',
+  'Music'
+];
+
+/**
+ * Custom challenges made in the challenge editor have IDs like "custom-k3v9x2ma"
+ * Keep in sync with CUSTOM_CHALLENGE_PREFIX in server/app/api/utils/customChallenges.js
+ */
+export const CUSTOM_CHALLENGE_PREFIX = 'custom-';
+
+/**
+ * Studios offered in the challenge editor (TMDB company IDs)
+ */
+export const CUSTOM_CHALLENGE_STUDIOS = [
+  { id: 2, name: 'Walt Disney Pictures' },
+  { id: 3, name: 'Pixar' },
+  { id: 420, name: 'Marvel Studios' },
+  { id: 1, name: 'Lucasfilm' },
+  { id: 429, name: 'DC Entertainment' },
+  { id: 174, name: 'Warner Bros. Pictures' },
+  { id: 33, name: 'Universal Pictures' },
+  { id: 4, name: 'Paramount' },
+  { id: 5, name: 'Columbia Pictures' },
+  { id: 25, name: '20th Century Fox' },
+  { id: 521, name: 'DreamWorks Animation' },
+  { id: 923, name: 'Legendary Pictures' },
+  { id: 1632, name: 'Lionsgate' },
+  { id: 3172, name: 'Blumhouse Productions' },
+  { id: 41077, name: 'A24' }
+];
+
+/**
+ * Most routes Explore shows between two actors (the shortest plus alternatives)
+ */
+export const EXPLORE_MAX_ROUTES = 4;
+
+/**
+ * Requests made for an unfinished episode-cast index before playing on with what it has
+ * The server builds long shows a few seasons per request
+ */
+export const EPISODE_CAST_MAX_REQUESTS = 5;
+
+/**
+ * Challenge difficulties the server can calibrate a random starting pair for
+ * Keep in sync with PAIR_DIFFICULTIES in server/app/api/utils/randomPairs.js
+ */
+export const CALIBRATED_PAIR_DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+/**
+ * Force-directed board layout (Auto-arrange)
+ * The top margin keeps cards below the board's overlays, like dragging does
+ */
+export const AUTO_LAYOUT = {
+  ITERATIONS: 300,
+  // Every step compares every pair of cards, so big boards get fewer steps: at most this
+  // many pair comparisons per layout, but never fewer than MIN_ITERATIONS steps
+  MAX_PAIR_STEPS: 1500000,
+  MIN_ITERATIONS: 20,
+  ANIMATION_MS: 600,
+  MARGIN: 20,
+  TOP_MARGIN: 60
+};
+
+/**
+ * Size of the largest board card, for when the cards can't be measured
+ */
+export const NODE_SIZE_FALLBACK = { WIDTH: 100, HEIGHT: 150 };
+
+/**
+ * Board size relative to the screen at 100% zoom; the minimap pans around the rest
+ */
+export const BOARD_WORLD_SCALE = 2;
+
+/**
+ * Rendering big boards: cards and lines more than CULLING_MARGIN board pixels off screen
+ * aren't drawn, and from CANVAS_LINES_MIN_CONNECTIONS connections the lines are drawn on
+ * a canvas rather than as SVG elements
+ */
+export const BOARD_RENDERING = {
+  CULLING_MARGIN: 300,
+  CANVAS_LINES_MIN_CONNECTIONS: 200
+};
+
+/**
+ * Delay (ms) between steps of the winning route lighting up on the board; the victory
+ * modal opens once the whole route is lit
+ */
+export const VICTORY_REVEAL_STEP_MS = 400;
+
+/**
+ * Board image export: space around the cards, the narrowest image (so the footer fits),
+ * the result footer's height, the largest PNG (in pixels) browsers reliably draw, and the
+ * size of the shareable result card
+ */
+export const BOARD_EXPORT = {
+  PADDING: 40,
+  MIN_WIDTH: 640,
+  FOOTER_HEIGHT: 56,
+  MAX_PNG_PIXELS: 16000000,
+  RESULT_CARD: { WIDTH: 1200, HEIGHT: 630 }
+};
+
+/**
+ * Credits the connections panel shows at first and adds each time the list is scrolled to
+ * its end; long TV casts run into the thousands
+ */
+export const FILMOGRAPHY_PAGE_SIZE = 30;
@@ -267,11 +267,12 @@ export const processPersonDetails = async (personId) => {
  * @param {Object} person - Person object with complete details
  * @param {Array} nodes - Existing nodes on the board
  * @param {string} personNodeId - ID of the person node
+ * @param {boolean} includeCrew - Crew credits also count as connections
  * @returns {Array} - Array of connections
  */
-export const findPersonConnections = (person, nodes, personNodeId) => {
+export const findPersonConnections = (person, nodes, personNodeId, includeCrew = false) => {
   const connectionIndex = createConnectionIndex(nodes);
-  return findPersonConnectionsOptimized(person, connectionIndex, personNodeId);
+  return findPersonConnectionsOptimized(person, connectionIndex, personNodeId, includeCrew);
 };
 
 /**
@@ -280,11 +281,12 @@ export const findPersonConnections = (person, nodes, personNodeId) => {
  * @param {Object} movie - Movie object with complete details
  * @param {Array} nodes - Existing nodes on the board
  * @param {string} movieNodeId - ID of the movie node
+ * @param {boolean} includeCrew - Crew credits also count as connections
  * @returns {Array} - Array of connections
  */
-export const findMovieConnections = (movie, nodes, movieNodeId) => {
+export const findMovieConnections = (movie, nodes, movieNodeId, includeCrew = false) => {
   const connectionIndex = createConnectionIndex(nodes);
-  return findMovieConnectionsOptimized(movie, connectionIndex, movieNodeId);
+  return findMovieConnectionsOptimized(movie, connectionIndex, movieNodeId, includeCrew);
 };
 
 /**
@@ -293,11 +295,12 @@ export const findMovieConnections = (movie, nodes, movieNodeId) => {
  * @param {Object} tvShow - TV show object with complete details
  * @param {Array} nodes - Existing nodes on the board
  * @param {string} tvNodeId - ID of the TV show node
+ * @param {boolean} includeCrew - Crew credits also count as connections
  * @returns {Array} - Array of connections
  */
-export const findTvShowConnections = (tvShow, nodes, tvNodeId) => {
+export const findTvShowConnections = (tvShow, nodes, tvNodeId, includeCrew = false) => {
   const connectionIndex = createConnectionIndex(nodes);
-  return findTvShowConnectionsOptimized(tvShow, connectionIndex, tvNodeId);
+  return findTvShowConnectionsOptimized(tvShow, connectionIndex, tvNodeId, includeCrew);
 };
 
 /**
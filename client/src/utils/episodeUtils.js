@@ -0,0 +1,60 @@
+/**
+ * Episode games
+ * A TV show only links two people who were credited in the same episode. Person-show
+ * connections carry the episodes the person appeared in (from the server's episode-cast
+ * index), and the board graph routes through one node per episode instead of the show,
+ * so a path through a show always passes two people who shared an episode.
+ */
+import { getTvEpisodeCast } from '../services/tmdbService';
+import { logger } from './loggerUtils';
+
+const EPISODE_NODE_SEPARATOR = '@';
+
+/**
+ * Get the board graph node that stands for one episode of a show
+ * @param {string} tvNodeId - Board node ID of the show (e.g. 'tv-1399')
+ * @param {string} episodeCode - Episode code (e.g. 'S2E14')
+ * @returns {string} - Graph node ID, e.g. 'tv-1399@S2E14'
+ */
+export const getEpisodeNodeId = (tvNodeId, episodeCode) => `${tvNodeId}${EPISODE_NODE_SEPARATOR}${episodeCode}`;
+
+/**
+ * Map a board graph node back to the board node it belongs to
+ * @param {string} graphNodeId - Graph node ID (an episode node or a regular board node)
+ * @returns {string} - Board node ID
+ */
+export const toBoardNodeId = (graphNodeId) => graphNodeId.split(EPISODE_NODE_SEPARATOR)[0];
+
+/**
+ * Check if a graph node is one episode of a show
+ * @param {string} graphNodeId - Graph node ID
+ * @returns {boolean} - True for episode nodes
+ */
+export const isEpisodeNodeId = (graphNodeId) => graphNodeId.includes(EPISODE_NODE_SEPARATOR);
+
+/**
+ * Add the episodes each person appeared in to their connections with TV shows
+ * Shows whose index can't be loaded get no episodes, so they link nobody.
+ *
+ * @param {Array} connections - New board connections
+ * @returns {Promise<Array>} - The connections, person-show ones with `episodes`
+ */
+export const addEpisodesToConnections = async (connections) => {
+  const tvNodeIds = [...new Set(connections.flatMap(conn => [conn.source, conn.target]).filter(id => id.startsWith('tv-')))];
+  if (tvNodeIds.length === 0) return connections;
+
+  const indexes = new Map(await Promise.all(tvNodeIds.map(async tvNodeId => {
+    const index = await getTvEpisodeCast(tvNodeId.replace('tv-', ''));
+    if (!index) logger.warn(`📺 No episode index for ${tvNodeId}; it won't link anyone`);
+    return [tvNodeId, index];
+  })));
+
+  return connections.map(conn => {
+    const tvNodeId = conn.source.startsWith('tv-') ? conn.source : conn.target.startsWith('tv-') ? conn.target : null;
+    if (!tvNodeId) return conn;
+
+    const personNodeId = tvNodeId === conn.source ? conn.target : conn.source;
+    const episodes = indexes.get(tvNodeId)?.cast?.[personNodeId.replace('person-', '')] || [];
+    return { ...conn, episodes };
+  });
+};
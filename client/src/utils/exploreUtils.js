@@ -0,0 +1,90 @@
+/**
+ * Explore mode
+ * Turns routes from the path solver into a read-only board: the two actors sit at either
+ * end and each route runs between them in its own lane, the shortest one in the middle.
+ */
+import { getStartNodeId, getStartNodeType } from './gameUtils';
+
+// Board layout (px)
+const EXPLORE_LEFT = 60;
+const EXPLORE_CENTER_Y = 260;
+const EXPLORE_STEP_X = 180;
+const EXPLORE_LANE_HEIGHT = 190;
+
+/**
+ * Turn a solver path entry into a board node
+ * @param {Object} detail - { id: 'movie-550', type, name, image } from the solver's pathDetails
+ * @returns {Object} Board node { id, type, data }
+ */
+const toBoardNode = (detail) => {
+  const id = Number(detail.id.slice(detail.id.lastIndexOf('-') + 1));
+  const data = detail.type === 'person'
+    ? { id, name: detail.name, profile_path: detail.image }
+    : { id, media_type: detail.type, poster_path: detail.image, ...(detail.type === 'movie' ? { title: detail.name } : { name: detail.name }) };
+  return { id: detail.id, type: detail.type, data };
+};
+
+/**
+ * Vertical offset of a route's lane: 0, then alternating above and below
+ */
+const getLaneOffset = (routeIndex) => {
+  const distance = Math.ceil(routeIndex / 2);
+  return routeIndex % 2 === 1 ? -distance : distance;
+};
+
+/**
+ * Get the nodes between the two actors on every route, so alternatives can avoid them
+ * @param {Array} routes - Solver results with pathDetails
+ * @returns {Array} Node IDs
+ */
+export const getRouteMiddleNodeIds = (routes) =>
+  routes.flatMap(route => route.pathDetails.slice(1, -1).map(detail => detail.id));
+
+/**
+ * Count the degrees of separation of a route between two actors (titles along the way)
+ * @param {Object} route - Solver result with pathLength
+ * @returns {number} Degrees, e.g. 2 for actor → movie → actor → movie → actor
+ */
+export const getDegreesOfSeparation = (route) => Math.ceil(route.pathLength / 2);
+
+/**
+ * Lay out routes between two actors as a board frame
+ * @param {Array} startActors - The two actors
+ * @param {Array} routes - Solver results, shortest first
+ * @returns {Object} { nodes, connections, nodePositions, startActors } for GameBoard's readOnlyFrame
+ */
+export const buildExploreFrame = (startActors, routes) => {
+  const [fromActor, toActor] = startActors;
+  const fromId = getStartNodeId(fromActor);
+  const toId = getStartNodeId(toActor);
+  const longest = Math.max(0, ...routes.map(route => route.pathDetails.length - 2));
+  const endX = EXPLORE_LEFT + (longest + 1) * EXPLORE_STEP_X;
+
+  const nodes = [
+    { id: fromId, type: getStartNodeType(fromActor), data: fromActor },
+    { id: toId, type: getStartNodeType(toActor), data: toActor }
+  ];
+  const nodePositions = {
+    [fromId]: { x: EXPLORE_LEFT, y: EXPLORE_CENTER_Y },
+    [toId]: { x: endX, y: EXPLORE_CENTER_Y }
+  };
+  const connections = [];
+
+  routes.forEach((route, routeIndex) => {
+    const middle = route.pathDetails.slice(1, -1);
+    const y = EXPLORE_CENTER_Y + getLaneOffset(routeIndex) * EXPLORE_LANE_HEIGHT;
+    const stepX = (endX - EXPLORE_LEFT) / (middle.length + 1);
+
+    middle.forEach((detail, index) => {
+      nodes.push(toBoardNode(detail));
+      nodePositions[detail.id] = { x: Math.round(EXPLORE_LEFT + (index + 1) * stepX), y };
+    });
+
+    const pathIds = [fromId, ...middle.map(detail => detail.id), toId];
+    for (let i = 1; i < pathIds.length; i++) {
+      connections.push({ id: `${pathIds[i - 1]}-${pathIds[i]}`, source: pathIds[i - 1], target: pathIds[i] });
+    }
+  });
+
+  return { nodes, connections, nodePositions, startActors };
+};
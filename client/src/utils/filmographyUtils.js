@@ -0,0 +1,152 @@
+/**
+ * Filmography browser for the connections panel
+ * Turns a card's credits into tabs of movies, TV shows and people that can be sorted and
+ * filtered, each credit flagged with what stops or changes adding it to the board.
+ */
+import { isEntityBlockedByChallenge } from './challengeUtils';
+
+// Tabs in display order; mediaType is the type of the credits listed
+export const FILMOGRAPHY_TABS = [
+  { id: 'movies', label: 'Movies', mediaType: 'movie' },
+  { id: 'tv', label: 'TV', mediaType: 'tv' },
+  { id: 'people', label: 'People', mediaType: 'person' }
+];
+
+export const FILMOGRAPHY_SORTS = {
+  year: 'Newest',
+  popularity: 'Popularity',
+  billing: 'Billing order'
+};
+
+/**
+ * Sorts that make sense for a tab; people have no year
+ * @param {string} mediaType - Type of the credits in the tab
+ * @returns {Array} - Sort keys, the default first
+ */
+export const getSortsForMediaType = (mediaType) => (
+  mediaType === 'person' ? ['billing', 'popularity'] : ['popularity', 'year', 'billing']
+);
+
+/**
+ * Check whether a credit is a guest appearance
+ * Aggregate TV credits list their roles; other credits name the character directly or
+ * carry a flag from the guest appearance lookup.
+ *
+ * @param {Object} credit - Cast credit
+ * @returns {boolean}
+ */
+export const isGuestCredit = (credit) => {
+  if (Array.isArray(credit.roles)) {
+    return credit.roles.some(role => role.character?.toLowerCase().includes('guest'));
+  }
+  if (typeof credit.character === 'string' && credit.character.toLowerCase().includes('guest')) {
+    return true;
+  }
+  return Boolean(credit.is_guest_appearance || credit.isGuestAppearance);
+};
+
+/**
+ * Merge cast and crew credits into one entry per title or person
+ * Someone both in the cast and on the crew is listed once, as cast; crew-only entries
+ * keep their jobs, e.g. "Director, Writer".
+ */
+const mergeCredits = (cast, crew) => {
+  const merged = new Map();
+  cast.forEach(credit => {
+    if (!merged.has(credit.id)) merged.set(credit.id, credit);
+  });
+  crew.forEach(credit => {
+    const job = credit.job || credit.jobs?.map(entry => entry.job).join(', ');
+    const existing = merged.get(credit.id);
+    if (!existing) {
+      merged.set(credit.id, { ...credit, job });
+    } else if (existing.job && job && !existing.job.split(', ').includes(job)) {
+      merged.set(credit.id, { ...existing, job: `${existing.job}, ${job}` });
+    }
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Collect a card's credits by tab
+ * TV shows use aggregate credits when they were fetched, which cover every season.
+ *
+ * @param {Object} node - Board node
+ * @param {boolean} includeCrew - Whether crew credits count as connections in this game
+ * @returns {Object} - { movies, tv, people } arrays of credits
+ */
+export const getFilmography = (node, includeCrew = false) => {
+  const data = node.data || {};
+  const withCrew = (credits) => mergeCredits(credits?.cast || [], includeCrew ? credits?.crew || [] : []);
+
+  if (node.type === 'person') {
+    return {
+      movies: withCrew(data.movie_credits),
+      tv: withCrew(data.tv_credits).map(show => ({ ...show, isGuestAppearance: isGuestCredit(show) })),
+      people: []
+    };
+  }
+
+  const credits = node.type === 'tv' && data.aggregate_credits?.cast?.length > 0
+    ? data.aggregate_credits
+    : data.credits;
+  return { movies: [], tv: [], people: withCrew(credits) };
+};
+
+const getYear = (credit) => Number((credit.release_date || credit.first_air_date || '').slice(0, 4)) || 0;
+
+// TMDB bills main cast from 0; credits without an order go last
+const getBilling = (credit) => (typeof credit.order === 'number' ? credit.order : Number.MAX_SAFE_INTEGER);
+
+/**
+ * Sort credits
+ * Billing ties (e.g. crew) fall back to episode count for TV casts, then popularity.
+ *
+ * @param {Array} credits - Credits from getFilmography
+ * @param {string} sortKey - One of FILMOGRAPHY_SORTS
+ * @returns {Array} - New sorted array
+ */
+export const sortCredits = (credits, sortKey) => {
+  const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+  const byEpisodes = (a, b) => (b.total_episode_count || b.episode_count || 0) - (a.total_episode_count || a.episode_count || 0);
+
+  const compare = {
+    year: (a, b) => getYear(b) - getYear(a) || byPopularity(a, b),
+    popularity: byPopularity,
+    billing: (a, b) => getBilling(a) - getBilling(b) || byEpisodes(a, b) || byPopularity(a, b)
+  }[sortKey] || byPopularity;
+
+  return [...credits].sort(compare);
+};
+
+/**
+ * Keep the credits whose title, name, character or job contains the filter text
+ *
+ * @param {Array} credits - Credits to filter
+ * @param {string} text - Filter text; empty keeps everything
+ * @returns {Array}
+ */
+export const filterCredits = (credits, text) => {
+  const query = text.trim().toLowerCase();
+  if (!query) return credits;
+
+  return credits.filter(credit => [
+    credit.title,
+    credit.name,
+    credit.character,
+    credit.job,
+    ...(credit.roles || []).map(role => role.character)
+  ].some(value => typeof value === 'string' && value.toLowerCase().includes(query)));
+};
+
+/**
+ * Check whether the current challenge keeps a title off the board
+ *
+ * @param {Object} credit - Movie or TV credit
+ * @param {string} mediaType - 'movie' or 'tv' (people are never blocked)
+ * @param {Object|null} challengeMode - Current challenge mode
+ * @returns {boolean}
+ */
+export const isCreditBlocked = (credit, mediaType, challengeMode) => (
+  mediaType !== 'person' && isEntityBlockedByChallenge({ ...credit, media_type: mediaType }, challengeMode?.id)
+);
@@ -0,0 +1,168 @@
+/**
+ * Saved Game Utilities
+ *
+ * Serializes an in-progress game so it can be resumed after a reload, or on another
+ * device for logged-in users. Only IDs, layout and game progress are stored; TMDB details
+ * are fetched again on resume, which keeps a save small enough for localStorage.
+ */
+import { getPersonDetails, getMovieDetails, getTvShowDetails } from '../services/tmdbService';
+import { logger } from './loggerUtils';
+import { DEFAULT_NODE_POSITION } from './constants';
+import { getStartNodeId } from './gameUtils';
+import { getItemTitle } from './entityUtils';
+
+const SAVED_GAME_KEY = 'savedGame';
+
+// Bump when the snapshot shape changes; saves with another version are discarded
+export const SAVED_GAME_VERSION = 1;
+
+const DETAIL_FETCHERS = {
+  person: getPersonDetails,
+  movie: getMovieDetails,
+  tv: getTvShowDetails
+};
+
+/**
+ * Build a snapshot of the current game
+ * @param {Object} state - { challengeMode, startActors, nodes, connections, nodePositions, gameStartTime,
+ *                           sessionId, sessionOptimalPathLength, optimalPath, hintsUsed, currentHint,
+ *                           hintTarget, replay }
+ * @returns {Object} Serializable snapshot
+ */
+export const createGameSnapshot = ({
+  challengeMode,
+  startActors,
+  nodes,
+  connections,
+  nodePositions,
+  gameStartTime,
+  sessionId,
+  sessionOptimalPathLength,
+  optimalPath,
+  hintsUsed,
+  currentHint,
+  hintTarget,
+  replay
+}) => ({
+  version: SAVED_GAME_VERSION,
+  savedAt: Date.now(),
+  challengeMode: challengeMode || null,
+  startActorIds: startActors.map(getStartNodeId),
+  startActorNames: startActors.map(getItemTitle),
+  nodes: nodes.map(({ id, type }) => ({ id, type })),
+  connections,
+  nodePositions,
+  gameStartTime,
+  sessionId: sessionId || null,
+  sessionOptimalPathLength: sessionOptimalPathLength ?? null,
+  optimalPath: optimalPath || null,
+  hintsUsed,
+  currentHint: currentHint || null,
+  hintTarget: hintTarget || null,
+  replay: replay || null
+});
+
+/**
+ * Fill in fields the server database drops (empty arrays and nulls) and reject unusable saves
+ * @param {Object|null} snapshot - Snapshot from localStorage or the server
+ * @returns {Object|null} Normalized snapshot, or null if it can't be resumed
+ */
+export const normalizeSnapshot = (snapshot) => {
+  if (!snapshot || snapshot.version !== SAVED_GAME_VERSION) return null;
+  if (!Array.isArray(snapshot.startActorIds) || snapshot.startActorIds.length < 2) return null;
+  if (!Array.isArray(snapshot.nodes) || !snapshot.gameStartTime) return null;
+
+  return {
+    ...snapshot,
+    challengeMode: snapshot.challengeMode || null,
+    startActorNames: snapshot.startActorNames || [],
+    connections: snapshot.connections || [],
+    nodePositions: snapshot.nodePositions || {},
+    sessionId: snapshot.sessionId || null,
+    sessionOptimalPathLength: snapshot.sessionOptimalPathLength ?? null,
+    optimalPath: snapshot.optimalPath || null,
+    hintsUsed: snapshot.hintsUsed || 0,
+    currentHint: snapshot.currentHint || null,
+    hintTarget: snapshot.hintTarget || null,
+    replay: snapshot.replay || null
+  };
+};
+
+/**
+ * Pick the most recently saved of several snapshots
+ * @param {...Object} snapshots - Candidate snapshots (null entries are ignored)
+ * @returns {Object|null} Newest usable snapshot
+ */
+export const pickLatestSnapshot = (...snapshots) =>
+  snapshots
+    .map(normalizeSnapshot)
+    .filter(Boolean)
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0))[0] || null;
+
+/**
+ * Save a snapshot to localStorage
+ * @param {Object} snapshot - Snapshot from createGameSnapshot
+ */
+export const saveLocalGame = (snapshot) => {
+  try {
+    localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    logger.error('Error saving game to localStorage:', error);
+  }
+};
+
+/**
+ * Load the snapshot saved in localStorage
+ * @returns {Object|null} Normalized snapshot or null if there is none
+ */
+export const loadLocalGame = () => {
+  try {
+    const savedGame = localStorage.getItem(SAVED_GAME_KEY);
+    return savedGame ? normalizeSnapshot(JSON.parse(savedGame)) : null;
+  } catch (error) {
+    logger.error('Error loading saved game:', error);
+    localStorage.removeItem(SAVED_GAME_KEY);
+    return null;
+  }
+};
+
+/**
+ * Remove the snapshot saved in localStorage
+ */
+export const clearLocalGame = () => {
+  localStorage.removeItem(SAVED_GAME_KEY);
+};
+
+/**
+ * Fetch the TMDB details for every node in a snapshot
+ * Starting actors come first, in the order they were played.
+ *
+ * @param {Object} snapshot - Normalized snapshot
+ * @returns {Promise<Object>} { startActors, nodes: [{ id, type, data, position }], connections }
+ */
+export const loadSnapshotDetails = async (snapshot) => {
+  const nodeIds = new Set(snapshot.nodes.map(node => node.id));
+  const savedNodes = [
+    ...snapshot.startActorIds.map(id => ({ id, type: id.split('-')[0] })),
+    ...snapshot.nodes.filter(node => !snapshot.startActorIds.includes(node.id))
+  ];
+  snapshot.startActorIds.forEach(id => nodeIds.add(id));
+
+  const nodes = await Promise.all(savedNodes.map(async ({ id, type }) => {
+    const fetchDetails = DETAIL_FETCHERS[type];
+    const data = fetchDetails ? await fetchDetails(Number(id.slice(type.length + 1))) : null;
+    if (!data?.id) {
+      throw new Error(`Failed to load details for ${id}`);
+    }
+    return { id, type, data, position: snapshot.nodePositions[id] || DEFAULT_NODE_POSITION };
+  }));
+
+  return {
+    // Starting titles keep their media type so they're placed as titles again
+    startActors: nodes.slice(0, snapshot.startActorIds.length)
+      .map(node => (node.type === 'person' ? node.data : { ...node.data, media_type: node.type })),
+    nodes,
+    // Drop connections to nodes that are no longer in the save
+    connections: snapshot.connections.filter(conn => nodeIds.has(conn.source) && nodeIds.has(conn.target))
+  };
+};
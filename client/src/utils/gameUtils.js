@@ -2,45 +2,59 @@
 import { logger } from './loggerUtils';
 
 /**
- * Validates if two actors can be used to start the game
- * @param {Object} actor1 - First actor object
- * @param {Object} actor2 - Second actor object
+ * Get the board node type of a starting entity
+ * Starting actors are people; reverse games start from titles, which carry their media_type.
+ * @param {Object} entity - Starting actor or title
+ * @returns {string} - 'person', 'movie' or 'tv'
+ */
+export const getStartNodeType = (entity) =>
+  (entity?.media_type === 'movie' || entity?.media_type === 'tv' ? entity.media_type : 'person');
+
+/**
+ * Get the board node ID of a starting entity
+ * @param {Object} entity - Starting actor or title
+ * @returns {string} - Node ID, e.g. 'person-287' or 'movie-597'
+ */
+export const getStartNodeId = (entity) => `${getStartNodeType(entity)}-${entity.id}`;
+
+/**
+ * Validates if the selected actors can be used to start the game
+ * @param {Array} startActors - Selected actors, one per starting slot (2, or 3 to 5 in chain mode)
+ * @param {string} noun - What the slots hold, for the error message ('actors' or 'titles')
  * @returns {Object} - { valid: boolean, error: string | null }
  */
-export const validateStartActors = (actor1, actor2) => {
-  if (!actor1 || !actor2) {
-    return { valid: false, error: "Please select two actors to start the game." };
+export const validateStartActors = (startActors, noun = 'actors') => {
+  const count = startActors.length;
+  if (count < 2 || startActors.some(actor => !actor)) {
+    return { valid: false, error: `Please select ${count === 2 ? 'two' : count} ${noun} to start the game.` };
   }
   
-  if (actor1.id === actor2.id) {
-    return { valid: false, error: "Cannot start with duplicate actors. Please select two different actors." };
+  if (new Set(startActors.map(getStartNodeId)).size !== count) {
+    return { valid: false, error: `Cannot start with duplicate ${noun}. Please select different ${noun}.` };
   }
   
   return { valid: true, error: null };
 };
 
 /**
- * Initializes the game board with starting actors
- * @param {Array} startActors - Array of two actor objects to start the game with
+ * Initializes the game board with starting actors (or titles, in reverse games)
+ * Two actors sit side by side; more are staggered over two rows so their cards don't overlap.
+ * @param {Array} startActors - Array of actor objects to start the game with
  * @returns {Object} - { nodes, nodePositions }
  */
 export const initializeGameBoard = (startActors) => {
-  if (!startActors[0] || !startActors[1]) {
+  if (startActors.length < 2 || startActors.some(actor => !actor)) {
     return { nodes: [], nodePositions: {} };
   }
   
-  const actor1Id = `person-${startActors[0].id}`;
-  const actor2Id = `person-${startActors[1].id}`;
+  const nodes = startActors.map(actor => ({ id: getStartNodeId(actor), type: getStartNodeType(actor), data: actor }));
   
-  const nodes = [
-    { id: actor1Id, type: 'person', data: startActors[0] },
-    { id: actor2Id, type: 'person', data: startActors[1] }
-  ];
-  
-  const nodePositions = {
-    [actor1Id]: { x: 100, y: 100 },
-    [actor2Id]: { x: 500, y: 100 }
-  };
+  const nodePositions = startActors.length === 2
+    ? { [nodes[0].id]: { x: 100, y: 100 }, [nodes[1].id]: { x: 500, y: 100 } }
+    : Object.fromEntries(nodes.map((node, index) => [
+      node.id,
+      { x: 100 + index * 180, y: 100 + (index % 2) * 220 }
+    ]));
   
   return { nodes, nodePositions };
 };
@@ -87,10 +101,21 @@ export const getInitialGameState = () => {
   };
 };
 
+/**
+ * Resize a per-slot array to a new number of starting slots
+ * Existing slots keep their values; new slots get a fresh empty value.
+ * @param {Array} values - Current per-slot values
+ * @param {number} count - New number of slots
+ * @param {Function} createEmpty - Returns the value for a new slot
+ * @returns {Array} - Resized array
+ */
+export const resizeActorSlots = (values, count, createEmpty) =>
+  Array.from({ length: count }, (_, index) => (index < values.length ? values[index] : createEmpty()));
+
 /**
  * Updates actor search state for a specific actor index
  * @param {string} term - Search term
- * @param {number} actorIndex - Index (0 or 1) of the actor position
+ * @param {number} actorIndex - Index of the actor position
  * @param {Array} currentTerms - Current search terms array
  * @returns {Array} - Updated search terms array
  */
@@ -102,7 +127,7 @@ export const updateActorSearchTerm = (term, actorIndex, currentTerms) => {
 
 /**
  * Clears actor search results for a specific index
- * @param {number} actorIndex - Index (0 or 1) of the actor position
+ * @param {number} actorIndex - Index of the actor position
  * @param {Array} currentResults - Current search results array
  * @returns {Array} - Updated search results array
  */
@@ -0,0 +1,148 @@
+/**
+ * Hint Utilities
+ *
+ * Picks a useful title to add next and words it as progressively stronger hints:
+ * 1. which starting actor's side to work from
+ * 2. the genre or year of the title
+ * 3. the title itself
+ *
+ * Candidates come from the cheat sheet (everything that can be added right now), so a
+ * hint never points at a title that's blocked by the challenge or missing an image.
+ */
+import { actorTreeManager } from './actorTreeUtils';
+import { TMDB_GENRES } from './constants';
+import { getStartNodeId } from './gameUtils';
+import { getItemTitle } from './entityUtils';
+
+/**
+ * Collect the title node IDs a person is credited in
+ * @param {Object} personData - Person details from the board node
+ * @returns {Array} Node IDs like 'movie-123' and 'tv-456'
+ */
+const getPersonTitleIds = (personData) => [
+  ...(personData?.movie_credits?.cast || []).map(movie => `movie-${movie.id}`),
+  ...(personData?.tv_credits?.cast || []).map(show => `tv-${show.id}`),
+  ...(personData?.guest_appearances || []).map(show => `tv-${show.id}`)
+];
+
+/**
+ * Sort titles so the best-known ones come first
+ */
+const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+
+/**
+ * Find the title a hint should point to
+ * Prefers a title that joins both starting actors' networks, then the next title on the
+ * server's optimal route, then the best-known title on the less explored side.
+ *
+ * @param {Object} params - { nodes, cheatSheetEntities, startActors, optimalPath }
+ * @returns {Object|null} { title, nodeId, actorId, isBridge } or null if nothing can be added
+ */
+export const findHintTarget = ({ nodes, cheatSheetEntities, startActors, optimalPath = null }) => {
+  const startActorIds = startActors.filter(Boolean).map(getStartNodeId);
+  if (startActorIds.length < 2) return null;
+
+  const candidates = new Map();
+  for (const entity of cheatSheetEntities || []) {
+    if (entity.media_type === 'movie' || entity.media_type === 'tv') {
+      candidates.set(`${entity.media_type}-${entity.id}`, entity);
+    }
+  }
+  if (candidates.size === 0) return null;
+
+  // Which starting actors' networks each candidate would join
+  const sides = new Map();
+  for (const node of nodes) {
+    if (node.type !== 'person') continue;
+    const reachingActors = actorTreeManager.getReachingActors(node.id);
+    for (const titleId of getPersonTitleIds(node.data)) {
+      if (!candidates.has(titleId)) continue;
+      if (!sides.has(titleId)) sides.set(titleId, new Set());
+      reachingActors.forEach(actorId => sides.get(titleId).add(actorId));
+    }
+  }
+
+  // The side with the smaller network is the one that needs work
+  const treeStats = actorTreeManager.getAllTreeStats();
+  const [smallerSide] = [...startActorIds].sort(
+    (a, b) => (treeStats[a]?.totalNodes || 0) - (treeStats[b]?.totalNodes || 0)
+  );
+
+  const toTarget = (nodeId, isBridge) => {
+    const titleSides = sides.get(nodeId) || new Set();
+    return {
+      title: candidates.get(nodeId),
+      nodeId,
+      actorId: titleSides.has(smallerSide) || titleSides.size === 0 ? smallerSide : [...titleSides][0],
+      isBridge
+    };
+  };
+
+  // 1. A title that connects both sides finishes the game
+  const bridges = [...sides.entries()]
+    .filter(([, actorIds]) => startActorIds.every(actorId => actorIds.has(actorId)))
+    .map(([nodeId]) => candidates.get(nodeId))
+    .sort(byPopularity);
+  if (bridges.length > 0) {
+    return toTarget(`${bridges[0].media_type}-${bridges[0].id}`, true);
+  }
+
+  // 2. The next addable title on the optimal route
+  const optimalTitle = (optimalPath?.pathDetails || [])
+    .find(entity => entity.type !== 'person' && candidates.has(entity.id));
+  if (optimalTitle) {
+    return toTarget(optimalTitle.id, false);
+  }
+
+  // 3. The best-known title reachable from the smaller side
+  const fallback = [...candidates.values()]
+    .filter(entity => sides.get(`${entity.media_type}-${entity.id}`)?.has(smallerSide))
+    .sort(byPopularity)[0] || [...candidates.values()].sort(byPopularity)[0];
+
+  return toTarget(`${fallback.media_type}-${fallback.id}`, false);
+};
+
+/**
+ * Check whether a hint target can still be used on the current board
+ * @param {Object} target - Target from findHintTarget
+ * @param {Array} cheatSheetEntities - Current cheat sheet
+ * @returns {boolean} True if the title is still addable
+ */
+export const isHintTargetAvailable = (target, cheatSheetEntities) =>
+  Boolean(target) && (cheatSheetEntities || []).some(
+    entity => `${entity.media_type}-${entity.id}` === target.nodeId
+  );
+
+/**
+ * Word a hint for a level
+ * @param {number} level - Hint level (1-3)
+ * @param {Object} target - Target from findHintTarget
+ * @param {Array} startActors - Starting actors
+ * @returns {string} Hint text
+ */
+export const getHintText = (level, target, startActors) => {
+  const { title } = target;
+  const mediaLabel = title.media_type === 'movie' ? 'movie' : 'TV show';
+
+  if (level === 1) {
+    const actor = startActors.find(candidate => candidate && getStartNodeId(candidate) === target.actorId);
+    return actor
+      ? `Work from ${getItemTitle(actor)}'s side of the board.`
+      : 'Work from the less explored side of the board.';
+  }
+
+  if (level === 2) {
+    const genre = (title.genre_ids || []).map(id => TMDB_GENRES[id]).find(Boolean);
+    const year = (title.release_date || title.first_air_date || '').slice(0, 4);
+    const description = [genre, mediaLabel].filter(Boolean).join(' ');
+    const article = /^[aeiou]/i.test(description) ? 'an' : 'a';
+    return year
+      ? `Look for ${article} ${description} from ${year}.`
+      : `Look for ${article} ${description}.`;
+  }
+
+  const name = title.title || title.name;
+  return target.isBridge
+    ? `Add "${name}" - it connects both sides!`
+    : `Try adding the ${mediaLabel} "${name}".`;
+};
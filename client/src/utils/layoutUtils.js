@@ -0,0 +1,205 @@
+/**
+ * Force-directed board layout
+ * Cards push each other apart and connections pull their ends together like springs
+ * (Fruchterman-Reingold). The starting actors are anchored around the edge of the board,
+ * the first on the left and the second opposite it, and cards the player has dragged
+ * stay where they were put; every other card settles between them.
+ *
+ * Positions are the cards' top-left corners, like everywhere else on the board.
+ */
+import { AUTO_LAYOUT, NODE_SIZE_FALLBACK } from './constants';
+
+/**
+ * Get the area of a viewport a card's top-left corner can be placed in
+ * @param {Object} viewport - { x, y, width, height } in board coordinates
+ * @param {Object} nodeSize - { width, height } of a card
+ * @returns {Object} - { minX, maxX, minY, maxY }
+ */
+export const getLayoutBounds = (viewport, nodeSize) => {
+  const minX = viewport.x + AUTO_LAYOUT.MARGIN;
+  const minY = viewport.y + AUTO_LAYOUT.TOP_MARGIN;
+  return {
+    minX,
+    minY,
+    maxX: Math.max(minX, viewport.x + viewport.width - nodeSize.width - AUTO_LAYOUT.MARGIN),
+    maxY: Math.max(minY, viewport.y + viewport.height - nodeSize.height - AUTO_LAYOUT.MARGIN)
+  };
+};
+
+/**
+ * Spread the starting actors around an ellipse filling the bounds
+ * Two actors end up on opposite sides, left and right; chain games go around the board.
+ *
+ * @param {Array} anchorIds - Starting actor node IDs, in order
+ * @param {Object} bounds - Layout bounds from getLayoutBounds
+ * @returns {Object} - Map of node ID to position
+ */
+export const getAnchorPositions = (anchorIds, bounds) => {
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerY = (bounds.minY + bounds.maxY) / 2;
+  const radiusX = (bounds.maxX - bounds.minX) / 2;
+  const radiusY = (bounds.maxY - bounds.minY) / 2;
+
+  return Object.fromEntries(anchorIds.map((nodeId, index) => {
+    const angle = Math.PI + (2 * Math.PI * index) / anchorIds.length;
+    return [nodeId, { x: centerX + radiusX * Math.cos(angle), y: centerY + radiusY * Math.sin(angle) }];
+  }));
+};
+
+/**
+ * Get how many simulation steps a board of a given size can afford
+ * Each step is quadratic in the number of cards, and the layout runs on the main thread,
+ * so the steps shrink as the board grows.
+ * @param {number} nodeCount - Cards on the board
+ * @returns {number} - Simulation steps
+ */
+export const getLayoutIterations = (nodeCount) => {
+  const pairs = (nodeCount * (nodeCount - 1)) / 2;
+  if (pairs <= 0) return AUTO_LAYOUT.ITERATIONS;
+  return Math.max(
+    AUTO_LAYOUT.MIN_ITERATIONS,
+    Math.min(AUTO_LAYOUT.ITERATIONS, Math.floor(AUTO_LAYOUT.MAX_PAIR_STEPS / pairs))
+  );
+};
+
+/**
+ * Compute a force-directed layout of the board
+ * The layout starts from the current positions, so arranging an arranged board barely
+ * moves it.
+ *
+ * @param {Object} options
+ * @param {Array} options.nodeIds - IDs of the cards on the board
+ * @param {Array} options.connections - Board connections ({ source, target })
+ * @param {Object} options.positions - Current positions by node ID
+ * @param {Array} options.anchorIds - Starting actor node IDs
+ * @param {Array} options.pinnedIds - Node IDs that keep their current position
+ * @param {Object} options.bounds - Layout bounds from getLayoutBounds
+ * @param {Object} options.nodeSize - { width, height } of a card
+ * @param {number} options.iterations - Simulation steps; fewer on big boards by default
+ * @returns {Object} - Map of node ID to new position
+ */
+export const computeForceLayout = ({
+  nodeIds,
+  connections,
+  positions,
+  anchorIds = [],
+  pinnedIds = [],
+  bounds,
+  nodeSize = { width: NODE_SIZE_FALLBACK.WIDTH, height: NODE_SIZE_FALLBACK.HEIGHT },
+  iterations = getLayoutIterations(nodeIds.length)
+}) => {
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+  const centerX = bounds.minX + width / 2;
+  const centerY = bounds.minY + height / 2;
+
+  // Pinned cards win over anchors, so a dragged starting actor stays where it was put
+  const pinned = new Set(pinnedIds.filter(nodeId => positions[nodeId]));
+  const anchors = getAnchorPositions(anchorIds.filter(nodeId => nodeIds.includes(nodeId)), bounds);
+  const isFixed = (nodeId) => pinned.has(nodeId) || Boolean(anchors[nodeId]);
+
+  const layout = new Map(nodeIds.map((nodeId, index) => {
+    const start = pinned.has(nodeId) ? positions[nodeId] : anchors[nodeId] || positions[nodeId];
+    // Cards without a position start near the middle, fanned out so they don't coincide
+    return [nodeId, start
+      ? { x: start.x, y: start.y }
+      : { x: centerX + Math.cos(index) * 10, y: centerY + Math.sin(index) * 10 }];
+  }));
+
+  const edges = [];
+  const seenEdges = new Set();
+  connections.forEach(({ source, target }) => {
+    const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+    if (source !== target && layout.has(source) && layout.has(target) && !seenEdges.has(key)) {
+      seenEdges.add(key);
+      edges.push([source, target]);
+    }
+  });
+
+  // Ideal distance between connected cards; never so short that neighbours overlap
+  const k = Math.max(
+    Math.sqrt((width * height) / Math.max(nodeIds.length, 1)) * 0.5,
+    Math.max(nodeSize.width, nodeSize.height)
+  );
+  const startTemperature = Math.max(width, height) / 10;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const displacement = new Map(nodeIds.map(nodeId => [nodeId, { x: 0, y: 0 }]));
+
+    // Every pair of cards repels
+    for (let i = 0; i < nodeIds.length; i++) {
+      for (let j = i + 1; j < nodeIds.length; j++) {
+        const a = layout.get(nodeIds[i]);
+        const b = layout.get(nodeIds[j]);
+        let dx = a.x - b.x;
+        let dy = a.y - b.y;
+        if (dx === 0 && dy === 0) {
+          // Nudge cards on the same spot apart in a direction that depends on the pair
+          dx = Math.cos(i + j);
+          dy = Math.sin(i + j);
+        }
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        const moveA = displacement.get(nodeIds[i]);
+        const moveB = displacement.get(nodeIds[j]);
+        moveA.x += (dx / distance) * force;
+        moveA.y += (dy / distance) * force;
+        moveB.x -= (dx / distance) * force;
+        moveB.y -= (dy / distance) * force;
+      }
+    }
+
+    // Connected cards attract
+    edges.forEach(([source, target]) => {
+      const a = layout.get(source);
+      const b = layout.get(target);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      const moveA = displacement.get(source);
+      const moveB = displacement.get(target);
+      moveA.x -= (dx / distance) * force;
+      moveA.y -= (dy / distance) * force;
+      moveB.x += (dx / distance) * force;
+      moveB.y += (dy / distance) * force;
+    });
+
+    // Cooling: steps shrink linearly so the layout settles
+    const temperature = startTemperature * (1 - iteration / iterations);
+    nodeIds.forEach(nodeId => {
+      if (isFixed(nodeId)) return;
+
+      const move = displacement.get(nodeId);
+      const length = Math.hypot(move.x, move.y);
+      if (length === 0) return;
+
+      const step = Math.min(length, temperature);
+      const position = layout.get(nodeId);
+      position.x = Math.min(bounds.maxX, Math.max(bounds.minX, position.x + (move.x / length) * step));
+      position.y = Math.min(bounds.maxY, Math.max(bounds.minY, position.y + (move.y / length) * step));
+    });
+  }
+
+  return Object.fromEntries(nodeIds.map(nodeId => {
+    const { x, y } = layout.get(nodeId);
+    return [nodeId, { x: Math.round(x), y: Math.round(y) }];
+  }));
+};
+
+/**
+ * Blend two sets of positions for an animation frame
+ * @param {Object} from - Positions at the start of the animation
+ * @param {Object} to - Positions at the end of the animation
+ * @param {number} progress - 0 to 1
+ * @returns {Object} - Positions at this point of the animation
+ */
+export const interpolatePositions = (from, to, progress) => {
+  // Ease in and out so cards glide instead of jumping off and stopping dead
+  const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+  return Object.fromEntries(Object.entries(to).map(([nodeId, end]) => {
+    const start = from[nodeId] || end;
+    return [nodeId, { x: start.x + (end.x - start.x) * eased, y: start.y + (end.y - start.y) * eased }];
+  }));
+};
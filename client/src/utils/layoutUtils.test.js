@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { computeForceLayout, getLayoutIterations, interpolatePositions } from './layoutUtils';
+import { AUTO_LAYOUT } from './constants';
+
+const bounds = { minX: 0, minY: 0, maxX: 1000, maxY: 600 };
+
+describe('getLayoutIterations', () => {
+  it('runs every step on small boards and fewer on big ones', () => {
+    expect(getLayoutIterations(0)).toBe(AUTO_LAYOUT.ITERATIONS);
+    expect(getLayoutIterations(20)).toBe(AUTO_LAYOUT.ITERATIONS);
+    expect(getLayoutIterations(300)).toBeLessThan(AUTO_LAYOUT.ITERATIONS);
+    expect(getLayoutIterations(5000)).toBe(AUTO_LAYOUT.MIN_ITERATIONS);
+  });
+
+  it('keeps the pair comparisons within budget until the minimum kicks in', () => {
+    for (const nodeCount of [100, 200, 300]) {
+      const pairs = (nodeCount * (nodeCount - 1)) / 2;
+      expect(getLayoutIterations(nodeCount) * pairs).toBeLessThanOrEqual(AUTO_LAYOUT.MAX_PAIR_STEPS);
+    }
+  });
+});
+
+describe('computeForceLayout', () => {
+  const nodeIds = ['person-1', 'movie-10', 'person-3', 'movie-20', 'person-2'];
+  const connections = [
+    { source: 'person-1', target: 'movie-10' },
+    { source: 'movie-10', target: 'person-3' },
+    { source: 'person-3', target: 'movie-20' },
+    { source: 'movie-20', target: 'person-2' }
+  ];
+
+  it('anchors the starting actors, keeps pinned cards and stays in bounds', () => {
+    const layout = computeForceLayout({
+      nodeIds,
+      connections,
+      positions: { 'movie-20': { x: 700, y: 100 } },
+      anchorIds: ['person-1', 'person-2'],
+      pinnedIds: ['movie-20'],
+      bounds
+    });
+
+    expect(layout['person-1']).toEqual({ x: 0, y: 300 });
+    expect(layout['person-2']).toEqual({ x: 1000, y: 300 });
+    expect(layout['movie-20']).toEqual({ x: 700, y: 100 });
+    Object.values(layout).forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(bounds.minX);
+      expect(x).toBeLessThanOrEqual(bounds.maxX);
+      expect(y).toBeGreaterThanOrEqual(bounds.minY);
+      expect(y).toBeLessThanOrEqual(bounds.maxY);
+    });
+  });
+
+  it('settles the chain between its anchors in order', () => {
+    const layout = computeForceLayout({ nodeIds, connections, positions: {}, anchorIds: ['person-1', 'person-2'], bounds });
+    const xs = nodeIds.map(nodeId => layout[nodeId].x);
+    expect([...xs].sort((a, b) => a - b)).toEqual(xs);
+  });
+});
+
+describe('interpolatePositions', () => {
+  it('eases from the start to the end positions', () => {
+    const from = { a: { x: 0, y: 0 } };
+    const to = { a: { x: 100, y: 50 }, b: { x: 10, y: 10 } };
+    expect(interpolatePositions(from, to, 0).a).toEqual({ x: 0, y: 0 });
+    expect(interpolatePositions(from, to, 0.5).a).toEqual({ x: 50, y: 25 });
+    expect(interpolatePositions(from, to, 1)).toEqual(to);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Positions of cards while they're moving
+ * A drag or an auto-arrange animation moves cards dozens of times a second. Going through
+ * React state would re-render the board each time, so the cards move themselves from here
+ * instead, and the connection lines subscribe and follow them. The board state gets the
+ * final positions when the move ends, and the cards are then removed from the store.
+ *
+ * @returns {Object} - { get(nodeId), set(nodeId, position), setMany(positions), delete(nodeId),
+ *   clear(), subscribe(listener), watch(nodeId, listener) }
+ */
+export const createLivePositionStore = () => {
+  const positions = new Map();
+  const listeners = new Set();
+  const nodeListeners = new Map();
+
+  const notify = (nodeIds) => {
+    nodeIds.forEach(nodeId => nodeListeners.get(nodeId)?.forEach(listener => listener(positions.get(nodeId))));
+    listeners.forEach(listener => listener(nodeIds));
+  };
+
+  return {
+    get: (nodeId) => positions.get(nodeId),
+
+    set: (nodeId, position) => {
+      positions.set(nodeId, position);
+      notify([nodeId]);
+    },
+
+    /**
+     * Move several cards at once, e.g. for a frame of an animation; listeners hear about it once
+     * @param {Object} moved - Map of node ID to position {x, y}
+     */
+    setMany: (moved) => {
+      Object.entries(moved).forEach(([nodeId, position]) => positions.set(nodeId, position));
+      notify(Object.keys(moved));
+    },
+
+    delete: (nodeId) => {
+      positions.delete(nodeId);
+    },
+
+    clear: () => {
+      positions.clear();
+    },
+
+    /**
+     * @param {Function} listener - Called with the IDs of the cards that moved
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * @param {string} nodeId - Card to follow
+     * @param {Function} listener - Called with the card's position whenever it moves
+     * @returns {Function} - Unsubscribe
+     */
+    watch: (nodeId, listener) => {
+      if (!nodeListeners.has(nodeId)) nodeListeners.set(nodeId, new Set());
+      nodeListeners.get(nodeId).add(listener);
+      return () => {
+        nodeListeners.get(nodeId)?.delete(listener);
+        if (nodeListeners.get(nodeId)?.size === 0) nodeListeners.delete(nodeId);
+      };
+    }
+  };
+};
@@ -0,0 +1,35 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLivePositionStore } from './livePositionStore';
+
+describe('createLivePositionStore', () => {
+  it('tells subscribers once per batch of moved cards', () => {
+    const store = createLivePositionStore();
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set('person-1', { x: 1, y: 2 });
+    store.setMany({ 'movie-10': { x: 3, y: 4 }, 'person-2': { x: 5, y: 6 } });
+
+    expect(listener.mock.calls).toEqual([[['person-1']], [['movie-10', 'person-2']]]);
+    expect(store.get('person-2')).toEqual({ x: 5, y: 6 });
+  });
+
+  it('tells a watched card its own position until it stops watching', () => {
+    const store = createLivePositionStore();
+    const watcher = vi.fn();
+    const unwatch = store.watch('movie-10', watcher);
+
+    store.setMany({ 'movie-10': { x: 3, y: 4 }, 'person-2': { x: 5, y: 6 } });
+    unwatch();
+    store.set('movie-10', { x: 7, y: 8 });
+
+    expect(watcher.mock.calls).toEqual([[{ x: 3, y: 4 }]]);
+  });
+
+  it('forgets every position on clear', () => {
+    const store = createLivePositionStore();
+    store.setMany({ a: { x: 0, y: 0 }, b: { x: 1, y: 1 } });
+    store.clear();
+    expect(store.get('a')).toBeUndefined();
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Game replays
+ * Records a timestamped log of what the player did during a game (placements, removals,
+ * moves, auto-layouts, searches and hints) and rebuilds the board at any point of that log for playback.
+ *
+ * Replay format:
+ * {
+ *   version,
+ *   duration,                       // ms from the start of the game to the last event
+ *   start: [{ node, position }],    // the starting actors
+ *   events: [{ t, type, ... }]      // t = ms since the start of the game
+ * }
+ */
+import { MAX_REPLAY_EVENTS } from './constants';
+
+export const REPLAY_VERSION = 1;
+
+// Events the server needs to check a result; keep in sync with server/app/api/utils/replays.js
+export const KEPT_REPLAY_EVENTS = ['add', 'remove', 'hint'];
+
+/**
+ * Reduce a board node to what playback needs to draw it
+ * @param {Object} node - Board node { id, type, data }
+ * @returns {Object} Node with trimmed data
+ */
+const summarizeNode = (node) => ({
+  id: node.id,
+  type: node.type,
+  data: {
+    id: node.data?.id ?? null,
+    name: node.data?.name ?? null,
+    title: node.data?.title ?? null,
+    profile_path: node.data?.profile_path ?? null,
+    poster_path: node.data?.poster_path ?? null
+  }
+});
+
+const copyPosition = (position) => ({
+  x: Math.round(position?.x || 0),
+  y: Math.round(position?.y || 0)
+});
+
+/**
+ * Records the replay of the game in progress
+ */
+class ReplayRecorder {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start recording a new game
+   * @param {number} startTime - Game start time (ms since epoch)
+   * @param {Array} startNodes - Starting actor nodes
+   * @param {Object} nodePositions - Positions of the starting actor nodes
+   */
+  start(startTime, startNodes, nodePositions) {
+    this.startTime = startTime;
+    this.startNodes = startNodes.map(node => ({
+      node: summarizeNode(node),
+      position: copyPosition(nodePositions[node.id])
+    }));
+    this.events = [];
+  }
+
+  /**
+   * Continue recording a resumed game
+   * @param {number} startTime - Original game start time
+   * @param {Object|null} log - Replay saved with the game
+   */
+  restore(startTime, log) {
+    this.startTime = startTime;
+    this.startNodes = Array.isArray(log?.start) ? log.start : [];
+    this.events = Array.isArray(log?.events) ? log.events : [];
+  }
+
+  /**
+   * Stop recording
+   */
+  reset() {
+    this.startTime = null;
+    this.startNodes = [];
+    this.events = [];
+  }
+
+  /**
+   * Append an event; ignored when no game is recording
+   * Once the log is full, the oldest event that doesn't change the board or the score
+   * (a move, layout or search) makes room. Adds, removals and hints are never dropped:
+   * the server checks results against them.
+   * @param {Object} event - { type, ... }
+   */
+  record(event) {
+    if (this.startTime === null) return;
+    this.events.push({ t: Math.max(0, Date.now() - this.startTime), ...event });
+
+    if (this.events.length > MAX_REPLAY_EVENTS) {
+      const droppable = this.events.findIndex(entry => !KEPT_REPLAY_EVENTS.includes(entry.type));
+      if (droppable !== -1) this.events.splice(droppable, 1);
+    }
+  }
+
+  /**
+   * Record the board change an undo/redo action makes
+   * Undoing an add is logged as a removal and so on, so playback only sees effective changes.
+   * @param {Object} action - Board action from the undo stack
+   * @param {boolean} reverse - True when the action is being undone
+   */
+  recordBoardAction(action, reverse = false) {
+    const isPlacement = (action.type === 'add') !== reverse;
+
+    switch (action.type) {
+      case 'add':
+      case 'remove':
+        if (isPlacement) {
+          this.record({
+            type: 'add',
+            node: summarizeNode(action.node),
+            position: copyPosition(action.position),
+            // Episodes are kept so the server can rebuild episode games' links when it counts the board
+            connections: action.connections.map(({ source, target, job, episodes }) => ({
+              source,
+              target,
+              ...(job ? { job } : {}),
+              ...(Array.isArray(episodes) ? { episodes } : {})
+            }))
+          });
+        } else {
+          this.record({ type: 'remove', nodeId: action.node.id });
+        }
+        break;
+      case 'move':
+        this.record({ type: 'move', nodeId: action.nodeId, to: copyPosition(reverse ? action.from : action.to) });
+        break;
+      case 'layout':
+        this.record({
+          type: 'layout',
+          positions: Object.fromEntries(Object.entries(reverse ? action.from : action.to)
+            .map(([nodeId, position]) => [nodeId, copyPosition(position)]))
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Get the replay recorded so far
+   * @returns {Object|null} Replay, or null when no game is recording
+   */
+  getReplay() {
+    if (this.startTime === null) return null;
+    return {
+      version: REPLAY_VERSION,
+      duration: this.events.length > 0 ? this.events[this.events.length - 1].t : 0,
+      start: this.startNodes,
+      events: [...this.events]
+    };
+  }
+}
+
+// Singleton recorder shared by the board, search and hint code
+export const replayRecorder = new ReplayRecorder();
+
+/**
+ * Rebuild the board at a point of a replay
+ * @param {Object} replay - Replay from the server
+ * @param {number} time - Playback time in ms
+ * @returns {Object} { nodes, connections, nodePositions, eventIndex } where eventIndex is
+ *   the index of the last event applied (-1 before the first one)
+ */
+export const buildReplayFrame = (replay, time) => {
+  const nodes = new Map();
+  const nodePositions = {};
+  let connections = [];
+
+  (replay?.start || []).forEach(({ node, position }) => {
+    nodes.set(node.id, node);
+    nodePositions[node.id] = position;
+  });
+
+  const events = replay?.events || [];
+  let eventIndex = -1;
+  for (let i = 0; i < events.length && events[i].t <= time; i++) {
+    const event = events[i];
+    eventIndex = i;
+
+    switch (event.type) {
+      case 'add':
+        nodes.set(event.node.id, event.node);
+        nodePositions[event.node.id] = event.position;
+        connections = [
+          ...connections,
+          ...(event.connections || [])
+            .filter(conn => nodes.has(conn.source) && nodes.has(conn.target))
+            .map(conn => ({ ...conn, id: `${conn.source}-${conn.target}` }))
+        ];
+        break;
+      case 'remove':
+        nodes.delete(event.nodeId);
+        delete nodePositions[event.nodeId];
+        connections = connections.filter(conn => conn.source !== event.nodeId && conn.target !== event.nodeId);
+        break;
+      case 'move':
+        if (nodes.has(event.nodeId)) {
+          nodePositions[event.nodeId] = event.to;
+        }
+        break;
+      case 'layout':
+        Object.entries(event.positions || {})
+          .filter(([nodeId]) => nodes.has(nodeId))
+          .forEach(([nodeId, position]) => {
+            nodePositions[nodeId] = position;
+          });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { nodes: [...nodes.values()], connections, nodePositions, eventIndex };
+};
+
+/**
+ * Describe a replay event for the playback caption
+ * @param {Object} event - Replay event
+ * @param {Object} replay - Replay the event belongs to, used to name moved nodes
+ * @returns {string} Caption
+ */
+export const describeReplayEvent = (event, replay) => {
+  if (!event) return 'Game start';
+
+  const nameOf = (nodeId) => {
+    const added = replay.events.find(candidate => candidate.type === 'add' && candidate.node.id === nodeId)?.node;
+    const node = added || replay.start.find(entry => entry.node.id === nodeId)?.node;
+    return node?.data?.name || node?.data?.title || 'a card';
+  };
+
+  switch (event.type) {
+    case 'add':
+      return `Placed ${event.node.data?.name || event.node.data?.title}`;
+    case 'remove':
+      return `Removed ${nameOf(event.nodeId)}`;
+    case 'move':
+      return `Moved ${nameOf(event.nodeId)}`;
+    case 'layout':
+      return 'Auto-arranged the board';
+    case 'search':
+      return `Searched "${event.term}" (${event.resultCount} results)`;
+    case 'hint':
+      return `Used hint ${event.level}`;
+    default:
+      return event.type;
+  }
+};
+
+/**
+ * Format a playback time as m:ss
+ * @param {number} ms - Time in ms
+ * @returns {string} Formatted time
+ */
+export const formatReplayTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
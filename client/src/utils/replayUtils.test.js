@@ -0,0 +1,26 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { replayRecorder } from './replayUtils';
+import { MAX_REPLAY_EVENTS } from './constants';
+
+afterEach(() => {
+  replayRecorder.reset();
+});
+
+describe('replayRecorder.record', () => {
+  it('makes room in a full log from the oldest moves, keeping board changes and hints', () => {
+    replayRecorder.restore(Date.now(), { start: [], events: [] });
+
+    replayRecorder.record({ type: 'add', nodeId: 'movie-10' });
+    replayRecorder.record({ type: 'hint' });
+    for (let i = 0; i < MAX_REPLAY_EVENTS; i++) {
+      replayRecorder.record({ type: 'move', nodeId: 'movie-10', to: { x: i, y: 0 } });
+    }
+    replayRecorder.record({ type: 'remove', nodeId: 'movie-10' });
+
+    const { events } = replayRecorder;
+    expect(events).toHaveLength(MAX_REPLAY_EVENTS);
+    expect(events.slice(0, 2).map(event => event.type)).toEqual(['add', 'hint']);
+    expect(events[2].to).toEqual({ x: 3, y: 0 });
+    expect(events[events.length - 1].type).toBe('remove');
+  });
+});
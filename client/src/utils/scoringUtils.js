@@ -0,0 +1,153 @@
+/**
+ * Scoring Engine
+ *
+ * Scores are built from a formula: an ordered list of steps (base score, par penalty,
+ * time bonus, hint penalty, difficulty multiplier). Each challenge declares which formula
+ * it uses, and every formula carries a version that is saved with the game so scores from
+ * different formulas are never ranked against each other.
+ *
+ * The server recomputes scores with the same registry in server/app/api/utils/scoring.js;
+ * any change here must be made there too, with a version bump. The server's scoring.test.js
+ * checks that both copies still agree.
+ */
+
+/**
+ * Score steps
+ * Each step receives the game stats, the score so far and its options, and returns the
+ * new score plus a human-readable description for the breakdown.
+ */
+const SCORE_STEPS = {
+  // Efficiency (path nodes / board nodes) times speed (100,000 / seconds)
+  base: ({ pathLength, totalNodes, timeTaken }) => {
+    if (!(totalNodes > 0) || !(timeTaken > 0)) {
+      return { score: 0, label: 'Base score', detail: 'No nodes or no time recorded' };
+    }
+    const ratio = Math.min(1, pathLength / totalNodes);
+    return {
+      score: ratio * (100000 / timeTaken),
+      label: 'Base score',
+      detail: `${pathLength}/${totalNodes} nodes × 100,000 / ${timeTaken}s`
+    };
+  },
+
+  // Scale by how close the path is to the solver's par (skipped when par is unknown)
+  parPenalty: ({ pathLength, optimalPathLength }, score) => {
+    if (!optimalPathLength || !(pathLength > 0)) {
+      return { score, label: 'Path length', detail: 'Par unavailable' };
+    }
+    const factor = Math.min(1, optimalPathLength / pathLength);
+    return { score: score * factor, label: 'Path length', detail: `Par ${optimalPathLength} / ${pathLength} = ×${factor.toFixed(2)}` };
+  },
+
+  // Flat bonus that shrinks linearly to zero at targetSeconds
+  timeBonus: ({ timeTaken }, score, { targetSeconds, maxBonus }) => {
+    const bonus = timeTaken > 0 ? Math.max(0, maxBonus * (1 - timeTaken / targetSeconds)) : 0;
+    return { score: score + bonus, label: 'Time bonus', detail: `Under ${targetSeconds}s: +${Math.round(bonus)}` };
+  },
+
+  // Each hint removes a share of the score, never below zero
+  hintPenalty: ({ hintsUsed = 0 }, score, { perHint }) => {
+    const factor = Math.max(0, 1 - perHint * hintsUsed);
+    return { score: score * factor, label: 'Hints', detail: `${hintsUsed} used = ×${factor.toFixed(2)}` };
+  },
+
+  difficulty: (stats, score, { multiplier }) => ({
+    score: score * multiplier,
+    label: 'Difficulty',
+    detail: `×${multiplier}`
+  })
+};
+
+const HINT_PENALTY = { step: 'hintPenalty', perHint: 0.1 };
+
+/**
+ * Scoring formulas by ID
+ * Bump `version` whenever a formula's steps or options change.
+ */
+export const SCORING_FORMULAS = {
+  standard: {
+    id: 'standard',
+    version: 2,
+    steps: [{ step: 'base' }, { step: 'parPenalty' }, HINT_PENALTY]
+  },
+  timed: {
+    id: 'timed',
+    version: 2,
+    steps: [{ step: 'base' }, { step: 'parPenalty' }, { step: 'timeBonus', targetSeconds: 120, maxBonus: 500 }, HINT_PENALTY]
+  },
+  medium: {
+    id: 'medium',
+    version: 2,
+    steps: [{ step: 'base' }, { step: 'parPenalty' }, HINT_PENALTY, { step: 'difficulty', multiplier: 1.25 }]
+  },
+  hard: {
+    id: 'hard',
+    version: 2,
+    steps: [{ step: 'base' }, { step: 'parPenalty' }, HINT_PENALTY, { step: 'difficulty', multiplier: 1.5 }]
+  },
+  expert: {
+    id: 'expert',
+    version: 2,
+    steps: [{ step: 'base' }, { step: 'parPenalty' }, HINT_PENALTY, { step: 'difficulty', multiplier: 2 }]
+  }
+};
+
+/**
+ * Formula used by each challenge; challenges not listed use 'standard'
+ */
+export const CHALLENGE_SCORING = {
+  'classic': 'timed',
+  'no-marvel': 'medium',
+  'no-dc': 'medium',
+  'movies-only': 'hard',
+  'tv-only': 'hard',
+  'no-disney': 'expert',
+  'Nathan': 'expert',
+  'chain': 'hard',
+  'reverse': 'medium',
+  'no-animation': 'medium',
+  'since-2000': 'hard',
+  'episodes': 'hard'
+};
+
+/**
+ * Get the scoring formula for a challenge
+ * @param {string|null} challengeId - Challenge ID (null for a regular game)
+ * @returns {Object} Scoring formula
+ */
+export function getScoringFormula(challengeId) {
+  return SCORING_FORMULAS[CHALLENGE_SCORING[challengeId]] || SCORING_FORMULAS.standard;
+}
+
+/**
+ * Get the version tag saved with games scored by a formula (e.g. "standard@2")
+ * @param {Object} formula - Scoring formula
+ * @returns {string} Version tag
+ */
+export function getScoringVersion(formula) {
+  return `${formula.id}@${formula.version}`;
+}
+
+/**
+ * Calculate a game score
+ * @param {Object} stats - { pathLength, totalNodes, timeTaken, optimalPathLength, hintsUsed }
+ * @param {string|null} challengeId - Challenge ID used to pick the formula
+ * @returns {Object} { score, scoringVersion, breakdown: [{ label, detail, delta }] }
+ */
+export function calculateScore(stats, challengeId = null) {
+  const formula = getScoringFormula(challengeId);
+  const breakdown = [];
+  let score = 0;
+
+  for (const { step, ...options } of formula.steps) {
+    const result = SCORE_STEPS[step](stats, score, options);
+    breakdown.push({ label: result.label, detail: result.detail, delta: Math.round(result.score) - Math.round(score) });
+    score = result.score;
+  }
+
+  return {
+    score: Math.round(score),
+    scoringVersion: getScoringVersion(formula),
+    breakdown
+  };
+}
@@ -86,6 +86,23 @@ export const getImageUrl = (path, type = 'poster') => {
   return `https://image.tmdb.org/t/p/${size}${path}`;
 };
 
+/**
+ * Gets a TMDB image URL served through our backend
+ * TMDB's own URLs can be shown in <img> but not read back from a canvas; these can,
+ * which board image exports need.
+ * 
+ * @param {string} path - The image path from TMDB API response
+ * @param {string} type - The image type (poster, profile, backdrop, etc.)
+ * @returns {string|null} - The backend image URL, or null when there's no image
+ */
+export const getProxiedImageUrl = (path, type = 'poster') => {
+  if (!path) return null;
+
+  const size = config.imageSizes[type] || 'w500';
+  const params = new URLSearchParams({ path, size });
+  return `${config.backend.baseUrl}${config.backend.endpoints.image}?${params}`;
+};
+
 
 /**
  * Creates batched promises with adaptive batch sizes and rate limiting
@@ -68,9 +68,10 @@ export async function GET(request, { params }) {
       }));
     }
 
-    // Validate challenge exists in company mappings
+    // Validate challenge exists in company mappings or challenge rules
+    let challengeConfig;
     try {
-      getChallengeConfig(challengeName);
+      challengeConfig = getChallengeConfig(challengeName);
     } catch (error) {
       return withCors(NextResponse.json(
         { error: `Unknown challenge: ${challengeName}` },
@@ -91,14 +92,19 @@ export async function GET(request, { params }) {
     const snapshot = await challengeRef.once('value');
     const data = snapshot.val();
 
+    // The client evaluates rules itself, so they're sent even before the lists are compiled
+    const rules = challengeConfig?.rules || data?.rules || null;
+    const type = rules ? 'rule-filtered' : 'company-filtered';
+
     if (!data) {
       // No data exists yet - return empty blacklists
       return withCors(NextResponse.json({
         challenge: challengeName,
         blockedMovies: {},
         blockedTvShows: {},
+        rules,
         lastUpdated: null,
-        type: 'company-filtered',
+        type,
         status: 'pending-generation'
       }));
     }
@@ -108,8 +114,9 @@ export async function GET(request, { params }) {
       challenge: challengeName,
       blockedMovies: data.blockedMovies || {},
       blockedTvShows: data.blockedTvShows || {},
+      rules,
       lastUpdated: data.lastUpdated,
-      type: 'company-filtered',
+      type,
       status: 'ready'
     }));
 
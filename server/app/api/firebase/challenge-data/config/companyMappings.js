@@ -1,3 +1,5 @@
+import { isCustomChallengeId } from '../../../utils/customChallenges.js';
+
 /**
  * TMDB Company ID mappings for efficient bulk fetching
  * Used to identify which movies/TV shows belong to specific companies
@@ -116,10 +118,24 @@ export const SPECIAL_CHALLENGES = {
   }
 };
 
+/**
+ * Rule-based challenges
+ * See utils/challengeRules.js for the rule format; keep the names in sync with FILTERABLE_CHALLENGES in
+ * client/src/utils/challengeUtils.js
+ */
+export const CHALLENGE_RULES = {
+  'no-animation': {
+    exclude: { genres: [16] } // Animation (same ID for movies and TV)
+  },
+  'since-2000': {
+    include: { mediaTypes: ['movie'], years: { from: 2000 } }
+  }
+};
+
 /**
  * Challenges that require no filtering (no blacklists needed)
  */
-export const NO_FILTER_CHALLENGES = ['for-fun', 'classic'];
+export const NO_FILTER_CHALLENGES = ['for-fun', 'classic', 'daily', 'race', 'chain', 'reverse', 'crew', 'episodes'];
 
 /**
  * Get company configuration for a challenge
@@ -134,6 +150,16 @@ export function getChallengeConfig(challengeName) {
   if (CHALLENGE_COMPANY_MAPPINGS[challengeName]) {
     return CHALLENGE_COMPANY_MAPPINGS[challengeName];
   }
+
+  // Rule-based challenges
+  if (CHALLENGE_RULES[challengeName]) {
+    return { rules: CHALLENGE_RULES[challengeName] };
+  }
+  
+  // User-made challenges keep their rules in the database
+  if (isCustomChallengeId(challengeName)) {
+    return { custom: true };
+  }
   
   // No filtering needed
   if (NO_FILTER_CHALLENGES.includes(challengeName)) {
@@ -1,12 +1,15 @@
 import { NextResponse } from 'next/server';
 import { initializeFirebase } from '../../utils/firebaseAdmin.js';
-import { CHALLENGE_COMPANY_MAPPINGS, NO_FILTER_CHALLENGES, SPECIAL_CHALLENGES } from '../config/companyMappings.js';
+import { CHALLENGE_COMPANY_MAPPINGS, CHALLENGE_RULES, NO_FILTER_CHALLENGES, SPECIAL_CHALLENGES } from '../config/companyMappings.js';
 
 // Configure maximum execution time for this endpoint (1 minute - Vercel free plan limit)
 export const config = {
   maxDuration: 60
 };
 
+// Challenges whose blacklists are generated and need refreshing
+const GENERATED_CHALLENGES = [...Object.keys(CHALLENGE_COMPANY_MAPPINGS), ...Object.keys(CHALLENGE_RULES)];
+
 // CORS utility functions
 function getCorsHeaders() {
   return {
@@ -85,8 +88,8 @@ export async function POST(request) {
     const snapshot = await blacklistsRef.once('value');
     const existingData = snapshot.val() || {};
 
-    // Check each company-based challenge
-    for (const challengeName of Object.keys(CHALLENGE_COMPANY_MAPPINGS)) {
+    // Check each company- and rule-based challenge
+    for (const challengeName of GENERATED_CHALLENGES) {
       try {
         results.checked.push(challengeName);
         
@@ -136,7 +139,7 @@ export async function POST(request) {
     }
 
     // Also check for new challenges that don't have data yet
-    for (const challengeName of Object.keys(CHALLENGE_COMPANY_MAPPINGS)) {
+    for (const challengeName of GENERATED_CHALLENGES) {
       if (!existingData[challengeName] && !results.checked.includes(challengeName)) {
         try {
           console.log(`Creating initial data for new challenge: ${challengeName}`);
@@ -213,14 +216,14 @@ export async function GET(request) {
     const status = {
       challenges: {},
       summary: {
-        total: Object.keys(CHALLENGE_COMPANY_MAPPINGS).length,
+        total: GENERATED_CHALLENGES.length,
         ready: 0,
         stale: 0,
         missing: 0
       }
     };
 
-    for (const challengeName of Object.keys(CHALLENGE_COMPANY_MAPPINGS)) {
+    for (const challengeName of GENERATED_CHALLENGES) {
       const challengeData = existingData[challengeName];
       const lastUpdated = challengeData?.lastUpdated;
       
@@ -2,6 +2,7 @@ import { NextResponse } from 'next/server';
 import { initializeFirebase } from '../../../utils/firebaseAdmin.js';
 import { getChallengeConfig, NO_FILTER_CHALLENGES, SPECIAL_CHALLENGES } from '../../config/companyMappings.js';
 import { generateChallengeBlacklist, validateTMDBConfig } from '../../../../utils/tmdbUtils.js';
+import { compileChallengeRules, validateChallengeRules } from '../../../../utils/challengeRules.js';
 
 // Configure maximum execution time for this endpoint (1 minute - Vercel free plan limit)
 export const config = {
@@ -35,6 +36,58 @@ export async function OPTIONS() {
   });
 }
 
+/**
+ * Compile and store the blacklists of a rule-based challenge
+ * @returns {Promise<NextResponse>} Response to send (without CORS headers)
+ */
+async function processRuleChallenge(challengeName, rules) {
+  const ruleErrors = validateChallengeRules(rules);
+  if (ruleErrors.length > 0) {
+    return NextResponse.json(
+      { error: 'Invalid challenge rules', details: ruleErrors },
+      { status: 400 }
+    );
+  }
+
+  try {
+    validateTMDBConfig();
+  } catch (error) {
+    return NextResponse.json(
+      { error: 'TMDB configuration error', details: error.message },
+      { status: 500 }
+    );
+  }
+
+  const { db } = initializeFirebase();
+  if (!db) {
+    return NextResponse.json(
+      { error: 'Database connection failed' },
+      { status: 500 }
+    );
+  }
+
+  const { stats, ...lists } = await compileChallengeRules(rules);
+  const dataToStore = {
+    ...lists,
+    rules,
+    lastUpdated: new Date().toISOString(),
+    generatedAt: new Date().toISOString(),
+    fetchMethod: 'rules',
+    stats
+  };
+
+  await db.ref(`challenge-blacklists/${challengeName}`).set(dataToStore);
+
+  return NextResponse.json({
+    message: 'Blacklist compiled from challenge rules',
+    challenge: challengeName,
+    fetchMethod: 'rules',
+    stats,
+    lastUpdated: dataToStore.lastUpdated,
+    status: 'completed'
+  });
+}
+
 /**
  * POST /api/firebase/challenge-data/process/[challengeName]
  * Triggers blacklist processing for a specific challenge
@@ -107,6 +160,24 @@ export async function POST(request, { params }) {
       ));
     }    
     
+    // Rule-based challenges are compiled with TMDB discover queries
+    if (config?.rules) {
+      return withCors(await processRuleChallenge(challengeName, config.rules));
+    }
+
+    // User-made challenges are recompiled from the rules stored with them
+    if (config?.custom) {
+      const { getCustomChallenge } = await import('../../../utils/firebaseLogic.js');
+      const customChallenge = await getCustomChallenge(challengeName);
+      if (!customChallenge) {
+        return withCors(NextResponse.json(
+          { error: `Unknown challenge: ${challengeName}` },
+          { status: 404 }
+        ));
+      }
+      return withCors(await processRuleChallenge(challengeName, customChallenge.rules));
+    }
+
     if (!config || !config.companyNames) {
       return withCors(NextResponse.json(
         { error: 'Invalid challenge configuration - missing company names' },
@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../../utils/cors.js';
+import { isFirebaseAvailable } from '../../utils/firebaseAdmin.js';
+import { validateTMDBConfig } from '../../../utils/tmdbUtils.js';
+import { isCustomChallengeId, sanitizeCustomChallenge } from '../../../utils/customChallenges.js';
+
+// Creating a challenge compiles its blacklists with TMDB discover queries
+export const config = {
+    maxDuration: 60
+};
+
+const ACTIONS = ['create', 'get', 'list'];
+
+/**
+ * API route for user-made challenges
+ * @description Body is { action: 'create' | 'get' | 'list', userId, challenge, challengeId } -
+ * create needs userId and challenge, get needs challengeId
+ */
+export async function POST(request) {
+    try {
+        if (!isFirebaseAvailable()) {
+            return withCors(NextResponse.json({
+                success: false,
+                message: 'Firebase service not available'
+            }, { status: 503 }));
+        }
+
+        const { createCustomChallenge, getCustomChallenge, listCustomChallenges } = await import('../../utils/firebaseLogic.js');
+
+        const { action, userId, challenge, challengeId } = await request.json();
+
+        if (!ACTIONS.includes(action)) {
+            return withCors(NextResponse.json({
+                success: false,
+                message: 'A valid action is required'
+            }, { status: 400 }));
+        }
+
+        if (action === 'list') {
+            const { featured, recent } = await listCustomChallenges();
+            return withCors(NextResponse.json({ success: true, featured, recent }));
+        }
+
+        if (action === 'get') {
+            if (!isCustomChallengeId(challengeId)) {
+                return withCors(NextResponse.json({
+                    success: false,
+                    message: 'A valid challenge ID is required'
+                }, { status: 400 }));
+            }
+
+            const stored = await getCustomChallenge(challengeId);
+            if (!stored) {
+                return withCors(NextResponse.json({
+                    success: false,
+                    message: 'Challenge not found'
+                }, { status: 404 }));
+            }
+            return withCors(NextResponse.json({ success: true, challenge: stored }));
+        }
+
+        if (!userId) {
+            return withCors(NextResponse.json({
+                success: false,
+                message: 'Log in to create a challenge'
+            }, { status: 401 }));
+        }
+
+        const { definition, error } = sanitizeCustomChallenge(challenge);
+        if (!definition) {
+            return withCors(NextResponse.json({
+                success: false,
+                message: error
+            }, { status: 400 }));
+        }
+
+        validateTMDBConfig();
+        const created = await createCustomChallenge(userId, definition);
+        return withCors(NextResponse.json({ success: true, challenge: created }));
+
+    } catch (error) {
+        console.error('Custom challenge error:', error.message);
+        return withCors(NextResponse.json({
+            success: false,
+            message: error.message || 'Failed to process custom challenge'
+        }, { status: 500 }));
+    }
+}
+
+export async function OPTIONS(request) {
+    return withCors(new Response(null, { status: 200 }));
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../../utils/cors.js';
+import { isFirebaseAvailable } from '../../utils/firebaseAdmin.js';
+
+/**
+ * API route to fetch a user's daily puzzle status
+ * @description Returns whether the user has already attempted today's puzzle and their daily streak
+ */
+export async function POST(request) {
+    try {
+        if (!isFirebaseAvailable()) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'Firebase service not available' 
+            }, { status: 503 }));
+        }
+
+        const { getDailyStatus } = await import('../../utils/firebaseLogic.js');
+
+        const { userId } = await request.json();
+
+        if (!userId) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'User ID is required' 
+            }, { status: 400 }));
+        }
+
+        const status = await getDailyStatus(userId);
+
+        return withCors(NextResponse.json({ 
+            success: true, 
+            ...status 
+        }));
+
+    } catch (error) {
+        console.error('Fetch daily status error:', error.message);
+        return withCors(NextResponse.json({ 
+            success: false, 
+            message: error.message || 'Failed to fetch daily status' 
+        }, { status: 500 }));
+    }
+}
+
+export async function OPTIONS(request) {
+    return withCors(new Response(null, { status: 200 }));
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { isFirebaseAvailable } from '../../utils/firebaseAdmin.js';
+import { MAX_START_ACTORS } from '../../../utils/gameVerification.js';
+
+// CORS utility functions for Vercel Functions
+function getCorsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': process.env.NODE_ENV === 'production'
+      ? process.env.ALLOWED_ORIGIN || '*'
+      : '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Max-Age': '86400',
+  };
+}
+
+function withCors(response) {
+  const corsHeaders = getCorsHeaders();
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    response.headers.set(key, value);
+  });
+  return response;
+}
+
+export async function OPTIONS() {
+  return new Response(null, {
+    status: 200,
+    headers: getCorsHeaders(),
+  });
+}
+
+/**
+ * POST /api/firebase/game-start
+ * Registers the start of a game so the submitted result can be timed by the server
+ */
+export async function POST(request) {
+  try {
+    if (!isFirebaseAvailable()) {
+      return withCors(NextResponse.json(
+        { error: 'Firebase service not available' }, 
+        { status: 503 }
+      ));
+    }
+
+    const { startGameSession } = await import('../../utils/firebaseLogic.js');
+
+    const { userId, gameMode, startActorIds, dailyDate, includeCrew } = await request.json();
+    if (!userId || !Array.isArray(startActorIds) || startActorIds.length < 2 || startActorIds.length > MAX_START_ACTORS ||
+        startActorIds.some(nodeId => typeof nodeId !== 'string')) {
+      return withCors(NextResponse.json({
+        success: false,
+        message: `userId and 2 to ${MAX_START_ACTORS} startActorIds are required`
+      }, { status: 400 }));
+    }
+
+    const { sessionId, scored, optimalPathLength } = await startGameSession(
+      userId, gameMode || 'for-fun', startActorIds, dailyDate || null, includeCrew === true
+    );
+    return withCors(NextResponse.json({ success: true, sessionId, scored, optimalPathLength }));
+  } catch (err) {
+    // Expired puzzles and mismatched starting actors are the client's to fix
+    if (err.status) {
+      return withCors(NextResponse.json({ success: false, message: err.message }, { status: err.status }));
+    }
+    console.error('Error starting game session:', err);
+    return withCors(NextResponse.json({ 
+      success: false, 
+      message: err.message 
+    }, { status: 500 }));
+  }
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { initializeFirebase } from '../utils/firebaseAdmin.js';
+import { getScoringFormula, getScoringVersion } from '../../utils/scoring.js';
 
 // CORS utility functions for Vercel Functions
 function getCorsHeaders() {
@@ -66,11 +67,17 @@ export async function GET(request) {
       if (!gameHistory) continue;
 
       for (const mode in gameHistory) {
-        // Initialize leaderboard for this challenge if it doesn't exist
-        if (!leaderboards[mode]) {
-          leaderboards[mode] = [];
-        }        // Process each game in this mode
+        // Only rank games scored with the challenge's current formula
+        const scoringVersion = getScoringVersion(getScoringFormula(mode));
         gameHistory[mode].forEach(entry => {
+          if (entry.scoringVersion !== scoringVersion) return;
+
+          // Each daily puzzle has its own leaderboard
+          const leaderboardId = mode === 'daily' ? `daily-${entry.dailyDate}` : mode;
+          if (!leaderboards[leaderboardId]) {
+            leaderboards[leaderboardId] = [];
+          }
+
           const leaderboardEntry = {
             rank: 0, // Will be set after sorting
             username,
@@ -79,11 +86,14 @@ export async function GET(request) {
             startingActor1: entry.startingActor1,
             startingActor2: entry.startingActor2,
             pathLength: entry.pathLength,
+            hintsUsed: entry.hintsUsed || 0,
+            scoringVersion: entry.scoringVersion,
             fullPath: entry.fullPath || [],
-            completedAt: entry.completedAt
+            completedAt: entry.completedAt,
+            replayId: entry.replayId || null
           };
           
-          leaderboards[mode].push(leaderboardEntry);
+          leaderboards[leaderboardId].push(leaderboardEntry);
         });
       }
     }    // Sort and rank each challenge leaderboard
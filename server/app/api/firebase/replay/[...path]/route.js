@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../../utils/cors.js';
+import { isFirebaseAvailable } from '../../utils/firebaseAdmin.js';
+
+// Replay IDs are database push keys
+const REPLAY_ID_PATTERN = /^[-\w]{1,64}$/;
+
+/**
+ * API route to fetch the replay of a finished game
+ * @description Body is { replayId } - IDs come from history and leaderboard entries
+ */
+export async function POST(request) {
+    try {
+        if (!isFirebaseAvailable()) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'Firebase service not available' 
+            }, { status: 503 }));
+        }
+
+        const { getReplay } = await import('../../utils/firebaseLogic.js');
+
+        const { replayId } = await request.json();
+
+        if (typeof replayId !== 'string' || !REPLAY_ID_PATTERN.test(replayId)) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'A valid replay ID is required' 
+            }, { status: 400 }));
+        }
+
+        const replay = await getReplay(replayId);
+        if (!replay) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'Replay not found' 
+            }, { status: 404 }));
+        }
+
+        return withCors(NextResponse.json({ success: true, replay }));
+
+    } catch (error) {
+        console.error('Replay error:', error.message);
+        return withCors(NextResponse.json({ 
+            success: false, 
+            message: error.message || 'Failed to load replay' 
+        }, { status: 500 }));
+    }
+}
+
+export async function OPTIONS(request) {
+    return withCors(new Response(null, { status: 200 }));
+}
@@ -39,12 +39,39 @@ export async function POST(request) {
     }
 
     // Dynamically import firebaseLogic only when Firebase is available
-    const { saveGameToUserHistory } = await import('../../utils/firebaseLogic.js');
+    const { saveGameToUserHistory, verifyGameResult } = await import('../../utils/firebaseLogic.js');
     
     const { userId, gameMode, gameData } = await request.json();
-    const gameId = await saveGameToUserHistory(userId, gameMode, gameData);
+
+    // Re-verify the result before anything is stored
+    const verification = await verifyGameResult(userId, gameMode, gameData);
+    if (verification.status === 'rejected') {
+      console.warn(`Rejected game result from ${userId}:`, verification.reasons);
+      return withCors(NextResponse.json({
+        success: false,
+        message: 'Game result failed verification',
+        verification
+      }, { status: 422 }));
+    }
+
+    const gameId = await saveGameToUserHistory(userId, gameMode, {
+      ...gameData,
+      score: verification.score,
+      scoringVersion: verification.scoringVersion,
+      scoreBreakdown: verification.scoreBreakdown,
+      timeTaken: verification.timeTaken,
+      optimalPathLength: verification.optimalPathLength,
+      hintsUsed: verification.hintsUsed,
+      dailyDate: verification.dailyDate,
+      dailyScored: verification.dailyScored,
+      verification: {
+        status: verification.status,
+        reasons: verification.reasons,
+        verifiedAt: new Date().toISOString()
+      }
+    });
     
-    return withCors(NextResponse.json({ success: true, gameId }));
+    return withCors(NextResponse.json({ success: true, gameId, verification }));
   } catch (err) {
     console.error('Error saving game to history:', err);
     return withCors(NextResponse.json({ 
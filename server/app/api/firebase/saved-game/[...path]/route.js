@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../../utils/cors.js';
+import { isFirebaseAvailable } from '../../utils/firebaseAdmin.js';
+
+// Largest snapshot accepted, in characters of JSON (snapshots carry the replay recorded so far)
+const MAX_SAVED_GAME_SIZE = 600 * 1024;
+
+const ACTIONS = ['save', 'load', 'clear'];
+
+/**
+ * API route to save, load or clear a user's in-progress game
+ * @description Body is { userId, action: 'save' | 'load' | 'clear', savedGame } - savedGame is only used to save
+ */
+export async function POST(request) {
+    try {
+        if (!isFirebaseAvailable()) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'Firebase service not available' 
+            }, { status: 503 }));
+        }
+
+        const { saveInProgressGame, getInProgressGame, clearInProgressGame } = await import('../../utils/firebaseLogic.js');
+
+        const { userId, action, savedGame } = await request.json();
+
+        if (!userId || !ACTIONS.includes(action)) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'User ID and a valid action are required' 
+            }, { status: 400 }));
+        }
+
+        if (action === 'load') {
+            const stored = await getInProgressGame(userId);
+            return withCors(NextResponse.json({ success: true, savedGame: stored }));
+        }
+
+        if (action === 'clear') {
+            await clearInProgressGame(userId);
+            return withCors(NextResponse.json({ success: true }));
+        }
+
+        if (!savedGame || typeof savedGame !== 'object' || !Array.isArray(savedGame.startActorIds)) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'A saved game with starting actors is required' 
+            }, { status: 400 }));
+        }
+        if (JSON.stringify(savedGame).length > MAX_SAVED_GAME_SIZE) {
+            return withCors(NextResponse.json({ 
+                success: false, 
+                message: 'Saved game is too large' 
+            }, { status: 413 }));
+        }
+
+        await saveInProgressGame(userId, savedGame);
+        return withCors(NextResponse.json({ success: true }));
+
+    } catch (error) {
+        console.error('Saved game error:', error.message);
+        return withCors(NextResponse.json({ 
+            success: false, 
+            message: error.message || 'Failed to process saved game' 
+        }, { status: 500 }));
+    }
+}
+
+export async function OPTIONS(request) {
+    return withCors(new Response(null, { status: 200 }));
+}
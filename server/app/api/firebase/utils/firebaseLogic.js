@@ -1,6 +1,21 @@
 import { getDatabase, ref, push, set, get } from 'firebase-admin/database';
 import { initializeFirebase, getDatabaseReference } from './firebaseAdmin.js';
 import { sendPasswordResetEmail } from '../../utils/emailService.js';
+import { getChallengeConfig, NO_FILTER_CHALLENGES, SPECIAL_CHALLENGES } from '../challenge-data/config/companyMappings.js';
+import { verifyPathHops, verifyTreeHops, SCORE_TOLERANCE, TIME_GRACE_SECONDS } from '../../utils/gameVerification.js';
+import { calculateScore } from '../../utils/scoring.js';
+import { getOptimalPathKey } from '../../utils/pathSolver.js';
+import { getDailyDate, getPreviousDailyDate } from '../../utils/dailyPuzzle.js';
+import { sanitizeReplay, measureReplayBoard } from '../../utils/replays.js';
+import { compileChallengeRules } from '../../utils/challengeRules.js';
+import { createCustomChallengeId, isCustomChallengeId } from '../../utils/customChallenges.js';
+
+// Discover pages fetched per query when a custom challenge is created, to fit the request time limit
+const CUSTOM_CHALLENGE_DISCOVER_PAGES = 20;
+
+// Community challenges listed on the challenge screen
+const RECENT_CUSTOM_CHALLENGES = 20;
+const FEATURED_CUSTOM_CHALLENGES = 10;
 
 /**
  * Generates a random password with at least one uppercase letter and one number.
@@ -265,7 +280,10 @@ export async function saveGameToUserHistory(userId, gameMode, gameData) {
     }
 
     console.log('Saving game to history for user:', userId, 'gameMode:', gameMode);
-    console.log('Server - received gameData:', JSON.stringify(gameData, null, 2));
+    console.log('Server - received gameData:', JSON.stringify({
+        ...gameData,
+        replay: gameData.replay ? `${gameData.replay.events?.length || 0} events` : null
+    }, null, 2));
     console.log('Server - gameData keys:', Object.keys(gameData));
 
     // Get user reference
@@ -285,15 +303,26 @@ export async function saveGameToUserHistory(userId, gameMode, gameData) {
         gameHistory[gameMode] = [];
     }
 
+    const replayId = await saveReplay(db, userId, gameMode, gameData);
+
     // Add new game to the beginning of the array and keep only the last 10
     const newGameEntry = {
         startingActor1: gameData.startingActor1,
         startingActor2: gameData.startingActor2,
+        startingActorNames: gameData.startingActorNames || null,
+        includeCrew: gameData.includeCrew === true,
         pathLength: gameData.pathLength,
         fullPath: gameData.fullPath,
         timeTaken: gameData.timeTaken,
         score: gameData.score,
-        completedAt: gameData.completedAt
+        optimalPathLength: gameData.optimalPathLength ?? null,
+        hintsUsed: gameData.hintsUsed || 0,
+        scoringVersion: gameData.scoringVersion || null,
+        scoreBreakdown: gameData.scoreBreakdown || null,
+        dailyDate: gameData.dailyDate || null,
+        completedAt: gameData.completedAt,
+        verification: gameData.verification || { status: 'unverified', reasons: [] },
+        replayId
     };
 
     console.log('Server - newGameEntry being saved:', JSON.stringify(newGameEntry, null, 2));
@@ -318,8 +347,18 @@ export async function saveGameToUserHistory(userId, gameMode, gameData) {
         await userRef.update({ gamehistory: gameHistory });
     }
 
-    // Update challenge-specific leaderboard if this is a top 10 score
-    await updateChallengeLeaderboard(db, gameMode, userId, newGameEntry);
+    // Only the first attempt at a daily puzzle counts towards the streak
+    if (gameMode === 'daily' && gameData.dailyScored) {
+        await updateDailyStreak(db, userId, gameData.dailyDate);
+    }
+
+    // Only verified results can reach the leaderboard; each daily puzzle gets its own board
+    if (newGameEntry.verification.status === 'verified') {
+        const leaderboardId = gameMode === 'daily' ? `daily-${newGameEntry.dailyDate}` : gameMode;
+        await updateChallengeLeaderboard(db, leaderboardId, userId, newGameEntry);
+    } else {
+        console.log(`Skipping leaderboard for ${userId}: result is ${newGameEntry.verification.status}`);
+    }
 
     // Generate a unique game ID for this save
     const gameId = `${userId}_${gameMode}_${Date.now()}`;
@@ -328,6 +367,51 @@ export async function saveGameToUserHistory(userId, gameMode, gameData) {
     return gameId;
 }
 
+/**
+ * Store the replay submitted with a finished game
+ * Replays live under replays/ rather than in the history entry so history and
+ * leaderboard reads stay small.
+ * @returns {Promise<string|null>} Replay ID, or null if the game has no usable replay
+ */
+async function saveReplay(db, userId, gameMode, gameData) {
+    const replay = sanitizeReplay(gameData.replay);
+    if (!replay) {
+        return null;
+    }
+
+    try {
+        const replayRef = db.ref('replays').push();
+        await replayRef.set({
+            ...replay,
+            userId,
+            gameMode,
+            startingActor1: gameData.startingActor1,
+            startingActor2: gameData.startingActor2,
+            completedAt: gameData.completedAt
+        });
+        return replayRef.key;
+    } catch (error) {
+        // A lost replay shouldn't lose the game itself
+        console.error('Error saving replay:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets a stored game replay
+ * @param {string} replayId - Replay ID from a history or leaderboard entry
+ * @returns {Promise<Object|null>} The replay, or null if there is none
+ */
+export async function getReplay(replayId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`replays/${replayId}`).once('value');
+    return snapshot.val();
+}
+
 /**
  * Update the leaderboard for a specific challenge
  * Maintains top 10 scores per challenge
@@ -342,6 +426,20 @@ async function updateChallengeLeaderboard(db, gameMode, userId, gameEntry) {
         // Convert to array if it's an object (legacy compatibility)
         if (!Array.isArray(leaderboard)) {
             leaderboard = Object.values(leaderboard);
+        }
+
+        // Scores from another formula aren't comparable: archive them and start a fresh board
+        // Entries get push keys so archiving the same version again adds to it instead of replacing it
+        const staleEntries = leaderboard.filter(entry => entry.scoringVersion !== gameEntry.scoringVersion);
+        if (staleEntries.length > 0) {
+            const archiveRef = db.ref(`leaderboard-archive/${gameMode}`);
+            const archived = {};
+            staleEntries.forEach(entry => {
+                archived[`${entry.scoringVersion || 'legacy'}/${archiveRef.push().key}`] = entry;
+            });
+            await archiveRef.update(archived);
+            console.log(`Archived ${staleEntries.length} entries scored with older formulas from the ${gameMode} leaderboard`);
+            leaderboard = leaderboard.filter(entry => entry.scoringVersion === gameEntry.scoringVersion);
         }        // Create new leaderboard entry
         const newEntry = {
             username: userId,
@@ -350,8 +448,12 @@ async function updateChallengeLeaderboard(db, gameMode, userId, gameEntry) {
             startingActor1: gameEntry.startingActor1,
             startingActor2: gameEntry.startingActor2,
             pathLength: gameEntry.pathLength,
+            optimalPathLength: gameEntry.optimalPathLength,
+            hintsUsed: gameEntry.hintsUsed,
+            scoringVersion: gameEntry.scoringVersion,
             fullPath: gameEntry.fullPath,
             completedAt: gameEntry.completedAt,
+            replayId: gameEntry.replayId || null,
             gameId: `${userId}_${gameMode}_${Date.now()}`
         };
 
@@ -435,4 +537,566 @@ export async function getUserGameHistory(userId) {
     }
     
     return cleanedHistory;
-}
\ No newline at end of file
+}
+
+/**
+ * Resolves the blacklist that applies to a challenge, mirroring the
+ * challenge-data route so server-side checks filter exactly like the client
+ * @param {string} challengeName - The challenge mode (e.g. 'no-marvel')
+ * @returns {Promise<Object>} { blockedMovies, blockedTvShows, rules } where either list may be '*'
+ */
+export async function getChallengeBlacklist(challengeName) {
+    if (!challengeName || NO_FILTER_CHALLENGES.includes(challengeName)) {
+        return { blockedMovies: {}, blockedTvShows: {} };
+    }
+
+    if (SPECIAL_CHALLENGES[challengeName]) {
+        const config = SPECIAL_CHALLENGES[challengeName];
+        return {
+            blockedMovies: config.blockedMovies === '*' ? '*' : {},
+            blockedTvShows: config.blockedTvShows === '*' ? '*' : {}
+        };
+    }
+
+    // Throws for unknown challenges
+    const challengeConfig = getChallengeConfig(challengeName);
+
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`challenge-blacklists/${challengeName}`).once('value');
+    const data = snapshot.val() || {};
+
+    return {
+        blockedMovies: data.blockedMovies || {},
+        blockedTvShows: data.blockedTvShows || {},
+        // Rule-based challenges are also checked title by title
+        rules: challengeConfig?.rules || data.rules || null
+    };
+}
+
+/**
+ * Create an error carrying the HTTP status the route should answer with
+ */
+function clientError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Registers the start of a game so the server can time it
+ * Daily puzzle sessions must use that day's pair; only a user's first session for a day is scored.
+ * The par already solved for the pair is fixed in the session, and the result is scored against
+ * it even if a par is solved later in the game.
+ * @param {string} userId - The user starting the game
+ * @param {string} gameMode - The challenge mode
+ * @param {Array} startActorIds - Board node IDs of the starting actors (more than two in chain games)
+ * @param {string|null} dailyDate - Puzzle date for daily games
+ * @param {boolean} includeCrew - Whether crew credits link in this game, which picks the stored par
+ * @returns {Promise<Object>} { sessionId, scored, optimalPathLength } - send sessionId back with the result
+ *   and score against optimalPathLength; errors caused by the request carry a `status`
+ */
+export async function startGameSession(userId, gameMode, startActorIds, dailyDate = null, includeCrew = false) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    if (gameMode === 'daily') {
+        // Yesterday's puzzle is still accepted for games started just before midnight UTC
+        const today = getDailyDate();
+        if (dailyDate !== today && dailyDate !== getPreviousDailyDate(today)) {
+            throw clientError('Daily puzzle has expired', 409);
+        }
+
+        const puzzle = await getDailyPuzzle(dailyDate);
+        const puzzleActorIds = (puzzle?.actors || []).map(actor => `person-${actor.id}`);
+        if (puzzleActorIds[0] !== startActorIds[0] || puzzleActorIds[1] !== startActorIds[1]) {
+            throw clientError("Starting actors don't match the daily puzzle", 400);
+        }
+    }
+
+    // Custom challenges may fix the starting pair
+    if (isCustomChallengeId(gameMode)) {
+        const fixedSnapshot = await db.ref(`custom-challenges/${gameMode}/startActors`).once('value');
+        const fixedActorIds = (fixedSnapshot.val() || []).map(actor => `person-${actor.id}`);
+        if (fixedActorIds.length > 0 && (fixedActorIds[0] !== startActorIds[0] || fixedActorIds[1] !== startActorIds[1])) {
+            throw clientError("Starting actors don't match this challenge", 400);
+        }
+    }
+
+    // The solver only handles pairs, so chain games have no par
+    let optimalPathLength = null;
+    if (startActorIds.length === 2) {
+        const parKey = getOptimalPathKey(startActorIds[0], startActorIds[1], includeCrew ? 'crew' : gameMode);
+        const parRecord = (await db.ref(`optimal-paths/${parKey}`).once('value')).val();
+        optimalPathLength = parRecord?.found ? parRecord.pathLength : null;
+    }
+
+    const sessionRef = db.ref('activeGames').push();
+    let scored = true;
+
+    if (gameMode === 'daily') {
+        const attempt = await db.ref(`daily-attempts/${dailyDate}/${userId}`)
+            .transaction(current => current || sessionRef.key);
+        scored = attempt.snapshot.val() === sessionRef.key;
+    }
+
+    await sessionRef.set({
+        userId,
+        gameMode,
+        startActor1: startActorIds[0],
+        startActor2: startActorIds[1],
+        startActors: startActorIds,
+        dailyDate: gameMode === 'daily' ? dailyDate : null,
+        scored,
+        optimalPathLength,
+        createdAt: Date.now()
+    });
+
+    return { sessionId: sessionRef.key, scored, optimalPathLength };
+}
+
+/**
+ * Advances a user's daily streak after they finish a daily puzzle
+ * Playing on consecutive days extends the streak; missing a day restarts it at 1
+ */
+async function updateDailyStreak(db, userId, dailyDate) {
+    const streakRef = db.ref(`users/${userId}/dailyStreak`);
+    const snapshot = await streakRef.once('value');
+    const streak = snapshot.val() || { current: 0, best: 0, lastDate: null };
+
+    if (streak.lastDate === dailyDate) {
+        return;
+    }
+
+    const current = streak.lastDate === getPreviousDailyDate(dailyDate) ? streak.current + 1 : 1;
+    await streakRef.set({
+        current,
+        best: Math.max(streak.best || 0, current),
+        lastDate: dailyDate
+    });
+}
+
+/**
+ * Gets the stored daily puzzle for a date
+ * @param {string} dailyDate - Date as YYYY-MM-DD
+ * @returns {Promise<Object|null>} { date, actors } or null if it hasn't been picked yet
+ */
+export async function getDailyPuzzle(dailyDate) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`daily-puzzles/${dailyDate}`).once('value');
+    return snapshot.val();
+}
+
+/**
+ * Stores the daily puzzle for a date unless one already exists
+ * @param {Object} puzzle - { date, actors }
+ * @returns {Promise<Object>} The puzzle that is stored for the date
+ */
+export async function saveDailyPuzzle(puzzle) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    // First writer wins so concurrent requests can't store different pairs
+    const result = await db.ref(`daily-puzzles/${puzzle.date}`).transaction(current => current || puzzle);
+    return result.snapshot.val();
+}
+
+/**
+ * Gets a user's daily puzzle status
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { date, attemptedToday, streak: { current, best, lastDate } }
+ */
+export async function getDailyStatus(userId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const today = getDailyDate();
+    const [attemptSnapshot, streakSnapshot] = await Promise.all([
+        db.ref(`daily-attempts/${today}/${userId}`).once('value'),
+        db.ref(`users/${userId}/dailyStreak`).once('value')
+    ]);
+    const streak = streakSnapshot.val() || { current: 0, best: 0, lastDate: null };
+
+    // A streak is still alive if the last puzzle was today's or yesterday's
+    const isAlive = streak.lastDate === today || streak.lastDate === getPreviousDailyDate(today);
+
+    return {
+        date: today,
+        attemptedToday: attemptSnapshot.exists(),
+        streak: { ...streak, current: isAlive ? streak.current : 0 }
+    };
+}
+
+/**
+ * Stores a user's in-progress game, replacing any earlier save
+ * The snapshot is opaque to the server; results are still verified when the game is submitted.
+ * @param {string} userId - The user ID
+ * @param {Object} savedGame - Snapshot built by the client
+ */
+export async function saveInProgressGame(userId, savedGame) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    await db.ref(`saved-games/${userId}`).set({ ...savedGame, storedAt: Date.now() });
+}
+
+/**
+ * Gets a user's in-progress game
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The saved snapshot, or null if there is none
+ */
+export async function getInProgressGame(userId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`saved-games/${userId}`).once('value');
+    return snapshot.val();
+}
+
+/**
+ * Deletes a user's in-progress game
+ * @param {string} userId - The user ID
+ */
+export async function clearInProgressGame(userId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    await db.ref(`saved-games/${userId}`).remove();
+}
+
+/**
+ * Creates a user-made challenge and compiles its blacklists
+ * The blacklists are stored like any rule-based challenge, so verification, par and the
+ * client's filtering treat the challenge ID like a built-in one.
+ * @param {string} userId - The user creating the challenge
+ * @param {Object} definition - Definition checked by sanitizeCustomChallenge
+ * @returns {Promise<Object>} The stored challenge
+ */
+export async function createCustomChallenge(userId, definition) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const userSnapshot = await db.ref(`users/${userId}`).once('value');
+    if (!userSnapshot.exists()) {
+        throw new Error('User not found');
+    }
+
+    let id;
+    do {
+        id = createCustomChallengeId();
+    } while ((await db.ref(`custom-challenges/${id}`).once('value')).exists());
+
+    const { stats, ...lists } = await compileChallengeRules(definition.rules, { maxPages: CUSTOM_CHALLENGE_DISCOVER_PAGES });
+    const generatedAt = new Date().toISOString();
+    await db.ref(`challenge-blacklists/${id}`).set({
+        ...lists,
+        rules: definition.rules,
+        lastUpdated: generatedAt,
+        generatedAt,
+        fetchMethod: 'rules',
+        stats
+    });
+
+    // featured is only ever set by hand in the database
+    const challenge = {
+        ...definition,
+        id,
+        createdBy: userId,
+        createdAt: Date.now(),
+        featured: false
+    };
+    await db.ref(`custom-challenges/${id}`).set(challenge);
+
+    console.log(`Created custom challenge ${id} for ${userId}: ${stats.discoverQueries} discover queries`);
+    return challenge;
+}
+
+/**
+ * Gets a user-made challenge
+ * @param {string} challengeId - Custom challenge ID
+ * @returns {Promise<Object|null>} The challenge, or null if there is none
+ */
+export async function getCustomChallenge(challengeId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`custom-challenges/${challengeId}`).once('value');
+    return snapshot.val();
+}
+
+/**
+ * Lists featured and recently created user-made challenges
+ * @returns {Promise<Object>} { featured, recent } - newest first
+ */
+export async function listCustomChallenges() {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const challengesRef = db.ref('custom-challenges');
+    const [featuredSnapshot, recentSnapshot] = await Promise.all([
+        challengesRef.orderByChild('featured').equalTo(true).limitToLast(FEATURED_CUSTOM_CHALLENGES).once('value'),
+        challengesRef.orderByChild('createdAt').limitToLast(RECENT_CUSTOM_CHALLENGES).once('value')
+    ]);
+    const newestFirst = (snapshot) => Object.values(snapshot.val() || {}).sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+        featured: newestFirst(featuredSnapshot),
+        recent: newestFirst(recentSnapshot)
+    };
+}
+
+/**
+ * Stores a solved optimal path so results can be scored against a trusted par
+ * A stored path is never replaced by a miss (a budget-limited search that found nothing)
+ * or by a path that isn't proven optimal when the stored one is.
+ * @param {string} fromNodeId - First starting actor node ID
+ * @param {string} toNodeId - Second starting actor node ID
+ * @param {string|null} challengeName - Challenge mode
+ * @param {Object} result - Solver result
+ */
+export async function saveOptimalPathResult(fromNodeId, toNodeId, challengeName, result) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const record = {
+        found: result.found,
+        optimal: result.optimal,
+        pathLength: result.found ? result.pathLength : null,
+        solvedAt: new Date().toISOString()
+    };
+    await db.ref(`optimal-paths/${getOptimalPathKey(fromNodeId, toNodeId, challengeName)}`)
+        .transaction(current => {
+            if (!current?.found) return record;
+            if (!result.found || (current.optimal && !result.optimal)) return undefined;
+            return record;
+        });
+}
+
+/**
+ * Gets the stored episode-cast index of a TV show
+ * @param {number} tvId - TMDB TV show ID
+ * @returns {Promise<Object|null>} Index in the utils/episodeCast.js format, possibly unfinished
+ */
+export async function getStoredEpisodeCast(tvId) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const snapshot = await db.ref(`episode-casts/${tvId}`).once('value');
+    return snapshot.val();
+}
+
+/**
+ * Stores an episode-cast index so other server instances can pick it up
+ * @param {Object} index - Index in the utils/episodeCast.js format
+ */
+export async function saveEpisodeCast(index) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    await db.ref(`episode-casts/${index.tvId}`).set(index);
+}
+
+/**
+ * Verifies a submitted game result before it is saved
+ * Hard failures (tampered or impossible paths) reject the result. Results that can't be
+ * fully trusted (timing, par, board size, hint or score mismatches, TMDB outages) are flagged: they are kept
+ * in the user's history with the server's score but never reach the leaderboard.
+ * Chain games submit the connecting tree as treeEdges; fullPath then lists the tree's nodes.
+ *
+ * @param {string} userId - The submitting user
+ * @param {string} gameMode - The challenge mode
+ * @param {Object} gameData - The submitted game data
+ * @returns {Promise<Object>} { status: 'verified'|'flagged'|'rejected', reasons, score, scoringVersion, scoreBreakdown, timeTaken, optimalPathLength, hintsUsed, dailyDate, dailyScored }
+ */
+export async function verifyGameResult(userId, gameMode, gameData) {
+    const { db } = initializeFirebase();
+    if (!db) {
+        throw new Error('Firebase database not available');
+    }
+
+    const reasons = [];
+    const fullPath = gameData.fullPath;
+    const reject = (reason) => ({ status: 'rejected', reasons: [reason], score: 0, scoringVersion: null, scoreBreakdown: null, timeTaken: null, optimalPathLength: null, hintsUsed: null, dailyDate: null, dailyScored: false });
+
+    if (!Array.isArray(fullPath) || fullPath.length < 3) {
+        return reject('Missing or invalid fullPath');
+    }
+
+    const isChain = gameMode === 'chain';
+    const startActors = isChain ? gameData.startActorIds : [fullPath[0], fullPath[fullPath.length - 1]];
+    if (isChain) {
+        if (!Array.isArray(startActors) || startActors.length < 3 || new Set(startActors).size !== startActors.length) {
+            return reject('Missing or invalid startActorIds');
+        }
+        const treeNodes = new Set(Array.isArray(gameData.treeEdges) ? gameData.treeEdges.flat() : []);
+        if (fullPath.length !== treeNodes.size || fullPath.some(nodeId => !treeNodes.has(nodeId))) {
+            return reject('fullPath does not match treeEdges');
+        }
+    }
+    if (gameData.pathLength !== fullPath.length - startActors.length) {
+        return reject('pathLength does not match fullPath');
+    }
+    const reportedTotalNodes = Number(gameData.totalNodes);
+    if (!Number.isInteger(reportedTotalNodes) || reportedTotalNodes < gameData.pathLength) {
+        return reject('Invalid totalNodes');
+    }
+    const reportedHints = Number(gameData.hintsUsed ?? 0);
+    if (!Number.isInteger(reportedHints) || reportedHints < 0) {
+        return reject('Invalid hintsUsed');
+    }
+
+    let blacklist;
+    try {
+        blacklist = await getChallengeBlacklist(gameMode);
+    } catch (error) {
+        return reject(error.message);
+    }
+
+    // Crew games, and For Fun games with crew credits turned on, also link through crew credits
+    const includeCrew = gameMode === 'crew' || gameData.includeCrew === true;
+
+    const hopCheck = isChain
+        ? await verifyTreeHops(gameData.treeEdges, {
+            blacklist,
+            startActorIds: startActors,
+            startActorNames: Array.isArray(gameData.startingActorNames) ? gameData.startingActorNames : [],
+            includeCrew
+        })
+        : await verifyPathHops(fullPath, {
+            blacklist,
+            startActorNames: [gameData.startingActor1, gameData.startingActor2],
+            startsFromTitles: gameMode === 'reverse',
+            includeCrew,
+            sharedEpisodes: gameMode === 'episodes',
+            episodeCastStore: { load: getStoredEpisodeCast, save: saveEpisodeCast }
+        });
+    if (!hopCheck.valid && !hopCheck.unavailable) {
+        return { ...reject(hopCheck.reasons[0]), reasons: hopCheck.reasons };
+    }
+    if (hopCheck.unavailable) {
+        reasons.push(...hopCheck.reasons);
+    }
+
+    // Time: trust the client's timer only if it agrees with the server session clock
+    let timeTaken = Number(gameData.timeTaken);
+    const sessionSnapshot = gameData.sessionId
+        ? await db.ref(`activeGames/${gameData.sessionId}`).once('value')
+        : null;
+    const session = sessionSnapshot?.val();
+    const sessionActors = session?.startActors || [session?.startActor1, session?.startActor2];
+    let hasValidSession = Boolean(session) && session.userId === userId && !session.completedAt &&
+        sessionActors.length === startActors.length && sessionActors.every((nodeId, index) => nodeId === startActors[index]);
+
+    if (hasValidSession) {
+        // Claim the session atomically so two submissions of the same game can't both use it
+        const claim = await db.ref(`activeGames/${gameData.sessionId}/completedAt`)
+            .transaction(current => (current ? undefined : Date.now()));
+        hasValidSession = claim.committed;
+    }
+
+    if (!hasValidSession) {
+        reasons.push('No valid game session for this result');
+    } else {
+        const serverElapsed = Math.floor((Date.now() - session.createdAt) / 1000);
+        if (!(timeTaken > 0) || timeTaken < serverElapsed - TIME_GRACE_SECONDS) {
+            reasons.push(`Reported time ${gameData.timeTaken}s doesn't match session time ${serverElapsed}s`);
+            timeTaken = serverElapsed;
+        }
+    }
+
+    // Only a valid first-attempt session counts towards the streak and the daily leaderboard
+    const dailyScored = gameMode === 'daily' && hasValidSession && session.scored === true;
+    if (gameMode === 'daily' && hasValidSession && !session.scored) {
+        reasons.push('Only the first attempt at a daily puzzle is scored');
+    }
+
+    // Par: the one fixed in the session at game start, which the client scored against too
+    const optimalPathLength = hasValidSession ? session.optimalPathLength ?? null : null;
+    if (hasValidSession && (gameData.optimalPathLength ?? null) !== optimalPathLength) {
+        reasons.push(`Reported par ${gameData.optimalPathLength} doesn't match session par ${optimalPathLength}`);
+    }
+
+    // Board size: counted on the board the replay ends on rather than taken from the client
+    let totalNodes = reportedTotalNodes;
+    const replay = sanitizeReplay(gameData.replay);
+    const board = replay ? measureReplayBoard(replay) : null;
+    const replayStartIds = replay ? replay.start.map(entry => entry.node.id) : [];
+    if (!board) {
+        reasons.push('Board size could not be verified without a replay');
+    } else if (startActors.some(nodeId => !replayStartIds.includes(nodeId)) ||
+        fullPath.some(nodeId => !board.nodeIds.has(nodeId)) || board.totalNodes < gameData.pathLength) {
+        reasons.push("Replay doesn't end on the submitted path");
+    } else {
+        totalNodes = board.totalNodes;
+        if (totalNodes !== reportedTotalNodes) {
+            reasons.push(`Reported board size ${reportedTotalNodes} doesn't match replay board size ${totalNodes}`);
+        }
+    }
+
+    // Hints: counted from the replay's hint events; without a replay the result is already flagged
+    let hintsUsed = reportedHints;
+    if (replay) {
+        hintsUsed = replay.events.filter(event => event.type === 'hint').length;
+        if (hintsUsed !== reportedHints) {
+            reasons.push(`Reported ${reportedHints} hints but the replay shows ${hintsUsed}`);
+        }
+    }
+
+    const { score, scoringVersion, breakdown } = calculateScore({
+        pathLength: gameData.pathLength,
+        totalNodes,
+        timeTaken,
+        optimalPathLength,
+        hintsUsed
+    }, gameMode);
+    if (gameData.scoringVersion !== scoringVersion) {
+        reasons.push(`Scored with ${gameData.scoringVersion || 'an unversioned formula'} instead of ${scoringVersion}`);
+    }
+    if (Math.abs(score - Number(gameData.score)) > SCORE_TOLERANCE) {
+        reasons.push(`Reported score ${gameData.score} doesn't match recomputed score ${score}`);
+    }
+
+    return {
+        status: reasons.length === 0 ? 'verified' : 'flagged',
+        reasons,
+        score,
+        scoringVersion,
+        scoreBreakdown: breakdown,
+        timeTaken,
+        optimalPathLength,
+        hintsUsed,
+        dailyDate: hasValidSession ? session.dailyDate || null : null,
+        dailyScored
+    };
+}
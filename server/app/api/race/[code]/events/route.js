@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { getCorsHeaders, withCors } from '../../../utils/cors.js';
+import { getRoomState, subscribeToRoom } from '../../../utils/raceRooms.js';
+
+// Streams must never be cached or prerendered
+export const dynamic = 'force-dynamic';
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_MS = 15000;
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * GET /api/race/ABCDE/events
+ * Server-sent events: the room state is sent on connect and after every change
+ */
+export async function GET(request, { params }) {
+  const { code } = await params;
+
+  let initialState;
+  try {
+    initialState = getRoomState(code);
+  } catch (error) {
+    return withCors(NextResponse.json({ error: error.message }, { status: error.status || 500 }));
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch {
+          cleanup();
+        }
+      };
+      const sendState = (state) => write(`data: ${JSON.stringify(state)}\n\n`);
+
+      const unsubscribe = subscribeToRoom(code, sendState);
+      const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the client
+        }
+      });
+
+      sendState(initialState);
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      ...getCorsHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../utils/cors.js';
+import { validateTMDBConfig } from '../../utils/tmdbUtils.js';
+import { pickSeededActorPair } from '../../utils/dailyPuzzle.js';
+import {
+  assertCanStart,
+  finishRace,
+  getRoomState,
+  joinRoom,
+  leaveRoom,
+  startRoom,
+  updateProgress
+} from '../../utils/raceRooms.js';
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * Answer with a race error's own status (400, 403, 404, 409, 422) or a 500
+ */
+function errorResponse(error, fallbackMessage) {
+  if (error.status) {
+    return withCors(NextResponse.json({ error: error.message }, { status: error.status }));
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return withCors(NextResponse.json({ error: fallbackMessage, message: error.message }, { status: 500 }));
+}
+
+/**
+ * GET /api/race/ABCDE
+ * Returns the current state of a race room
+ */
+export async function GET(request, { params }) {
+  try {
+    const { code } = await params;
+    return withCors(NextResponse.json({ room: getRoomState(code) }));
+  } catch (error) {
+    return errorResponse(error, 'Failed to load race');
+  }
+}
+
+/**
+ * POST /api/race/ABCDE { action, token, ... }
+ * - join: { name } - returns the room and the new player's token
+ * - start: host only, picks a random starting pair for both players
+ * - progress: { nodeCount, pathLength }
+ * - finish: { nodeCount, pathLength, score, path }
+ * - leave
+ */
+export async function POST(request, { params }) {
+  try {
+    const { code } = await params;
+    const { action, token, ...body } = await request.json();
+
+    switch (action) {
+      case 'join':
+        return withCors(NextResponse.json(joinRoom(code, body.name)));
+
+      case 'start': {
+        validateTMDBConfig();
+        assertCanStart(code, token);
+        const actors = await pickSeededActorPair(`silversync-race-${code}-${Date.now()}`);
+        const room = startRoom(code, token, actors);
+        console.log(`Race ${code} started: ${actors.map(actor => actor.name).join(' & ')}`);
+        return withCors(NextResponse.json({ room }));
+      }
+
+      case 'progress':
+        return withCors(NextResponse.json({ room: updateProgress(code, token, body) }));
+
+      case 'finish':
+        return withCors(NextResponse.json({ room: await finishRace(code, token, body) }));
+
+      case 'leave':
+        return withCors(NextResponse.json({ room: leaveRoom(code, token) }));
+
+      default:
+        return withCors(NextResponse.json(
+          { error: 'Action must be one of join, start, progress, finish, leave' },
+          { status: 400 }
+        ));
+    }
+  } catch (error) {
+    return errorResponse(error, 'Failed to update race');
+  }
+}
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../utils/cors.js';
+import { createRoom } from '../utils/raceRooms.js';
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * POST /api/race { name }
+ * Opens a head-to-head race room; returns the room and the host's player token
+ */
+export async function POST(request) {
+  try {
+    const { name } = await request.json();
+    const result = createRoom(name);
+    console.log(`Race ${result.room.code} created`);
+    return withCors(NextResponse.json(result));
+  } catch (error) {
+    console.error('Error creating race:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to create race', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
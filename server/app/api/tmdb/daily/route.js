@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import NodeCache from 'node-cache';
+import { withCors } from '../../utils/cors.js';
+import { validateTMDBConfig } from '../../utils/tmdbUtils.js';
+import { getDailyDate, isValidDailyDate, pickDailyPair } from '../../utils/dailyPuzzle.js';
+import { isFirebaseAvailable } from '../../firebase/utils/firebaseAdmin.js';
+
+// A day's puzzle never changes once picked
+const puzzleCache = new NodeCache({ stdTTL: 48 * 60 * 60, useClones: false });
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * Load the stored puzzle for a date, picking and storing it on first request
+ */
+async function resolveDailyPuzzle(dailyDate) {
+  if (!isFirebaseAvailable()) {
+    return pickDailyPair(dailyDate);
+  }
+
+  const { getDailyPuzzle, saveDailyPuzzle } = await import('../../firebase/utils/firebaseLogic.js');
+  const stored = await getDailyPuzzle(dailyDate);
+  if (stored) {
+    return stored;
+  }
+
+  return saveDailyPuzzle(await pickDailyPair(dailyDate));
+}
+
+/**
+ * GET /api/tmdb/daily?date=2025-01-31
+ * Returns the shared starting actors for a day (today in UTC by default)
+ */
+export async function GET(request) {
+  try {
+    validateTMDBConfig();
+
+    const { searchParams } = new URL(request.url);
+    const today = getDailyDate();
+    const dailyDate = searchParams.get('date') || today;
+
+    if (!isValidDailyDate(dailyDate) || dailyDate > today) {
+      return withCors(NextResponse.json(
+        { error: 'Query parameter "date" must be a past or current date (YYYY-MM-DD)' },
+        { status: 400 }
+      ));
+    }
+
+    const cached = puzzleCache.get(dailyDate);
+    if (cached) {
+      return withCors(NextResponse.json(cached));
+    }
+
+    const puzzle = await resolveDailyPuzzle(dailyDate);
+    puzzleCache.set(dailyDate, puzzle);
+
+    return withCors(NextResponse.json(puzzle));
+
+  } catch (error) {
+    console.error('Error loading daily puzzle:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to load daily puzzle', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
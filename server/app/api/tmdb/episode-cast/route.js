@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../utils/cors.js';
+import { validateTMDBConfig } from '../../utils/tmdbUtils.js';
+import { getEpisodeCastIndex } from '../../utils/episodeCast.js';
+import { isFirebaseAvailable } from '../../firebase/utils/firebaseAdmin.js';
+
+export const config = {
+  maxDuration: 60
+};
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * Keep built indexes in Firebase when it's configured
+ */
+async function getEpisodeCastStore() {
+  if (!isFirebaseAvailable()) {
+    return null;
+  }
+
+  const { getStoredEpisodeCast, saveEpisodeCast } = await import('../../firebase/utils/firebaseLogic.js');
+  return { load: getStoredEpisodeCast, save: saveEpisodeCast };
+}
+
+/**
+ * GET /api/tmdb/episode-cast?tv=1399
+ * Returns which episodes each person is credited in, for episode games.
+ * Long shows come back with complete: false; requesting again continues the index.
+ */
+export async function GET(request) {
+  try {
+    validateTMDBConfig();
+
+    const { searchParams } = new URL(request.url);
+    const tvId = Number(searchParams.get('tv'));
+
+    if (!Number.isInteger(tvId) || tvId <= 0) {
+      return withCors(NextResponse.json(
+        { error: 'Query parameter "tv" must be a TMDB TV show ID' },
+        { status: 400 }
+      ));
+    }
+
+    const index = await getEpisodeCastIndex(tvId, { store: await getEpisodeCastStore() });
+    return withCors(NextResponse.json(index));
+
+  } catch (error) {
+    console.error('Error building episode index:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to build episode index', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../utils/cors.js';
+
+const TMDB_IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+
+// Sizes the client asks TMDB for (see imageSizes in the client's api.config.js)
+const ALLOWED_SIZES = new Set(['w92', 'w154', 'w185', 'w342', 'w500', 'w780']);
+
+// TMDB image paths look like "/kU3B75TyRiCgE270EyZnHjfivoq.jpg"
+const IMAGE_PATH_PATTERN = /^\/[A-Za-z0-9_-]+\.(jpg|jpeg|png)$/;
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * GET /api/tmdb/image?path=/abc.jpg&size=w185
+ * Serves a TMDB poster or headshot from our origin with CORS headers, so the client can
+ * draw it on a canvas (board image export) without the canvas being tainted.
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const path = searchParams.get('path') || '';
+    const size = searchParams.get('size') || 'w185';
+
+    if (!IMAGE_PATH_PATTERN.test(path) || !ALLOWED_SIZES.has(size)) {
+      return withCors(NextResponse.json(
+        { error: 'Query parameters "path" and "size" must name a TMDB image' },
+        { status: 400 }
+      ));
+    }
+
+    const response = await fetch(`${TMDB_IMAGE_BASE_URL}/${size}${path}`);
+    if (!response.ok) {
+      return withCors(NextResponse.json(
+        { error: 'Image not found' },
+        { status: response.status }
+      ));
+    }
+
+    // TMDB images never change once published, so browsers and the CDN can keep them
+    return withCors(new Response(await response.arrayBuffer(), {
+      status: 200,
+      headers: {
+        'Content-Type': response.headers.get('content-type') || 'image/jpeg',
+        'Cache-Control': 'public, max-age=604800, immutable'
+      }
+    }));
+
+  } catch (error) {
+    console.error('Error fetching TMDB image:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to fetch image', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
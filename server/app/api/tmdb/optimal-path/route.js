@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import NodeCache from 'node-cache';
+import { withCors } from '../../utils/cors.js';
+import { validateTMDBConfig } from '../../utils/tmdbUtils.js';
+import { parseNodeId, solveOptimalPath, getOptimalPathKey } from '../../utils/pathSolver.js';
+import { resolveSolverBlacklist } from '../../utils/solverBlacklist.js';
+import { isFirebaseAvailable } from '../../firebase/utils/firebaseAdmin.js';
+
+export const config = {
+  maxDuration: 60
+};
+
+// Most nodes an alternative-route request may exclude
+const MAX_AVOID_NODES = 40;
+
+// Solved pairs are cached per challenge for a day
+const solutionCache = new NodeCache({ stdTTL: 24 * 60 * 60, useClones: false });
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * GET /api/tmdb/optimal-path?from=person-1&to=person-2&challenge=no-marvel
+ * Computes the optimal connection between two entities for use as "par"
+ *
+ * Explore mode adds avoid=movie-550,person-819 to find alternative routes that skip the
+ * nodes of routes already shown. Those results aren't a par and aren't stored.
+ */
+export async function GET(request) {
+  try {
+    validateTMDBConfig();
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const challenge = searchParams.get('challenge') || null;
+    const avoidNodes = (searchParams.get('avoid') || '').split(',').filter(Boolean);
+
+    if (!parseNodeId(from) || !parseNodeId(to) || from === to) {
+      return withCors(NextResponse.json(
+        { error: 'Query parameters "from" and "to" must be two different node IDs (e.g. person-287)' },
+        { status: 400 }
+      ));
+    }
+
+    if (avoidNodes.length > MAX_AVOID_NODES || avoidNodes.some(nodeId => !parseNodeId(nodeId) || nodeId === from || nodeId === to)) {
+      return withCors(NextResponse.json(
+        { error: `"avoid" must list at most ${MAX_AVOID_NODES} node IDs other than "from" and "to"` },
+        { status: 400 }
+      ));
+    }
+
+    const cacheKey = avoidNodes.length > 0
+      ? `${getOptimalPathKey(from, to, challenge)}|avoid:${[...avoidNodes].sort().join(',')}`
+      : getOptimalPathKey(from, to, challenge);
+    const cached = solutionCache.get(cacheKey);
+    if (cached) {
+      return withCors(NextResponse.json({ ...cached, cached: true }));
+    }
+
+    let blacklist;
+    try {
+      // Episode games get the best movies-only route as par, which is never shorter than
+      // their true optimum
+      blacklist = await resolveSolverBlacklist(challenge);
+    } catch (error) {
+      const isUnknown = error.message.startsWith('Unknown challenge');
+      return withCors(NextResponse.json(
+        { error: isUnknown ? error.message : 'Failed to load challenge blacklist' },
+        { status: isUnknown ? 404 : 500 }
+      ));
+    }
+
+    console.log(`Solving optimal path ${from} -> ${to} (challenge: ${challenge || 'none'})`);
+    // Crew games also connect through directing, writing and music credits
+    const result = await solveOptimalPath(from, to, { blacklist, includeCrew: challenge === 'crew', avoidNodes });
+    console.log(`Optimal path solver finished in ${result.stats.durationMs}ms using ${result.stats.requests} requests`);
+
+    const response = { from, to, challenge, ...result };
+
+    // Budget-limited misses may succeed later with a warm credits cache, so don't pin them
+    if (result.optimal) {
+      solutionCache.set(cacheKey, response);
+    }
+
+    // Persist the par so submitted results can be scored against it
+    if (isFirebaseAvailable() && avoidNodes.length === 0) {
+      try {
+        const { saveOptimalPathResult } = await import('../../firebase/utils/firebaseLogic.js');
+        await saveOptimalPathResult(from, to, challenge, result);
+      } catch (error) {
+        console.error('Failed to store optimal path result:', error);
+      }
+    }
+
+    return withCors(NextResponse.json(response));
+
+  } catch (error) {
+    console.error('Error solving optimal path:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to compute optimal path', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import { withCors } from '../../utils/cors.js';
+import { validateTMDBConfig } from '../../utils/tmdbUtils.js';
+import { generateCalibratedPair, PAIR_DIFFICULTIES } from '../../utils/randomPairs.js';
+import { resolveSolverBlacklist } from '../../utils/solverBlacklist.js';
+import { isFirebaseAvailable } from '../../firebase/utils/firebaseAdmin.js';
+
+export const config = {
+  maxDuration: 60
+};
+
+export async function OPTIONS() {
+  return withCors(new Response(null, { status: 200 }));
+}
+
+/**
+ * GET /api/tmdb/random-pair?difficulty=Hard&challenge=no-marvel
+ * Picks two starting actors whose separation fits the difficulty under the challenge's
+ * blacklist. calibrated is false when only a pair outside the range turned up in time.
+ */
+export async function GET(request) {
+  try {
+    validateTMDBConfig();
+
+    const { searchParams } = new URL(request.url);
+    const difficulty = searchParams.get('difficulty') || null;
+    const challenge = searchParams.get('challenge') || null;
+
+    if (difficulty && !PAIR_DIFFICULTIES[difficulty]) {
+      return withCors(NextResponse.json(
+        { error: `Query parameter "difficulty" must be one of ${Object.keys(PAIR_DIFFICULTIES).join(', ')}` },
+        { status: 400 }
+      ));
+    }
+
+    let blacklist;
+    try {
+      blacklist = await resolveSolverBlacklist(challenge);
+    } catch (error) {
+      const isUnknown = error.message.startsWith('Unknown challenge');
+      return withCors(NextResponse.json(
+        { error: isUnknown ? error.message : 'Failed to load challenge blacklist' },
+        { status: isUnknown ? 404 : 500 }
+      ));
+    }
+
+    const startTime = Date.now();
+    const pair = await generateCalibratedPair(difficulty, { blacklist, includeCrew: challenge === 'crew' });
+    const durationMs = Date.now() - startTime;
+
+    if (!pair) {
+      console.log(`No starting pair found for ${difficulty || 'default'} difficulty (challenge: ${challenge || 'none'}) in ${durationMs}ms`);
+      return withCors(NextResponse.json(
+        { error: 'No solvable pair found within the time budget' },
+        { status: 404 }
+      ));
+    }
+    console.log(`Picked a ${pair.hops}-hop pair for ${difficulty || 'default'} difficulty after ${pair.attempts} attempt(s) in ${durationMs}ms`);
+
+    // The measurement is the pair's par, so store it like a solved optimal path
+    const [from, to] = pair.actors.map(actor => `person-${actor.id}`);
+    if (isFirebaseAvailable()) {
+      try {
+        const { saveOptimalPathResult } = await import('../../firebase/utils/firebaseLogic.js');
+        await saveOptimalPathResult(from, to, challenge, pair.solution);
+      } catch (error) {
+        console.error('Failed to store optimal path result:', error);
+      }
+    }
+
+    return withCors(NextResponse.json({
+      difficulty,
+      challenge,
+      actors: pair.actors,
+      hops: pair.hops,
+      pathLength: pair.solution.pathLength,
+      calibrated: pair.calibrated,
+      attempts: pair.attempts,
+      durationMs
+    }));
+
+  } catch (error) {
+    console.error('Error generating starting pair:', error);
+    return withCors(NextResponse.json(
+      { error: 'Failed to generate starting pair', message: error.message },
+      { status: 500 }
+    ));
+  }
+}
@@ -0,0 +1,261 @@
+/**
+ * Declarative challenge rules
+ * A rule set limits which movies and TV shows a challenge allows:
+ *
+ * {
+ *   include: { ...criteria },  // a title must match every criterion given here
+ *   exclude: { ...criteria }   // a title matching any criterion given here is blocked
+ * }
+ *
+ * Criteria (list criteria match if any entry matches):
+ *   mediaTypes: ['movie', 'tv']
+ *   companies: [TMDB company IDs]
+ *   genres: [TMDB genre IDs]
+ *   years: { from, to }           // release year (first air year for TV), either end optional
+ *   languages: ['en', 'ko']       // original language
+ *   runtime: { min, max }         // minutes (episode runtime for TV)
+ *   certifications: ['PG', 'PG-13'] // US certification, movies only
+ *
+ * Rules are enforced per title with isBlockedByRules, on the title details fetched for each
+ * check. Exclude criteria are also compiled into the usual blacklist format with TMDB discover
+ * queries, so titles are blocked in lists that carry fewer fields. Include criteria can't be
+ * listed exhaustively and are only compiled for mediaTypes. The client evaluates the same
+ * rules in client/src/utils/challengeUtils.js.
+ */
+import { tmdbRateLimiter, fetchTMDB } from './tmdbUtils.js';
+
+export const RULE_MEDIA_TYPES = ['movie', 'tv'];
+
+// Most discover pages fetched per query (20 titles each)
+export const MAX_RULE_DISCOVER_PAGES = 50;
+
+const LIST_CRITERIA = ['mediaTypes', 'companies', 'genres', 'languages', 'certifications'];
+const RANGE_CRITERIA = { years: ['from', 'to'], runtime: ['min', 'max'] };
+
+/**
+ * Check the criteria of one side of a rule set
+ */
+function getCriteriaErrors(criteria, side) {
+  if (criteria === undefined) return [];
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return [`${side} must be an object`];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(criteria)) {
+    if (LIST_CRITERIA.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${side}.${key} must be a non-empty list`);
+      } else if (key === 'mediaTypes' && value.some(type => !RULE_MEDIA_TYPES.includes(type))) {
+        errors.push(`${side}.mediaTypes may only contain ${RULE_MEDIA_TYPES.join(', ')}`);
+      } else if ((key === 'companies' || key === 'genres') && value.some(id => !Number.isInteger(id))) {
+        errors.push(`${side}.${key} must contain TMDB IDs`);
+      } else if ((key === 'languages' || key === 'certifications') && value.some(entry => typeof entry !== 'string')) {
+        errors.push(`${side}.${key} must contain strings`);
+      }
+    } else if (RANGE_CRITERIA[key]) {
+      const bounds = RANGE_CRITERIA[key];
+      const given = bounds.filter(bound => value?.[bound] !== undefined);
+      if (given.length === 0 || given.some(bound => !Number.isFinite(value[bound]))) {
+        errors.push(`${side}.${key} needs a numeric ${bounds.join(' and/or ')}`);
+      } else if (given.length === 2 && value[bounds[0]] > value[bounds[1]]) {
+        errors.push(`${side}.${key}.${bounds[0]} is greater than ${bounds[1]}`);
+      }
+    } else {
+      errors.push(`Unknown criterion ${side}.${key}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a rule set
+ * @param {Object} rules - { include, exclude }
+ * @returns {Array} Problems found; empty if the rules are valid
+ */
+export function validateChallengeRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Rules must be an object'];
+  }
+  const unknownSides = Object.keys(rules).filter(side => side !== 'include' && side !== 'exclude');
+  if (unknownSides.length > 0) {
+    return [`Unknown rule section: ${unknownSides.join(', ')}`];
+  }
+  if (!rules.include && !rules.exclude) {
+    return ['Rules need an include or exclude section'];
+  }
+  return [...getCriteriaErrors(rules.include, 'include'), ...getCriteriaErrors(rules.exclude, 'exclude')];
+}
+
+/**
+ * Build discover query parameters for criteria
+ * Criteria discover can't filter on for this media type are left out.
+ * @param {string} type - 'movie' or 'tv'
+ * @param {Object} criteria - Criteria without mediaTypes
+ * @returns {Object|null} Query parameters, or null if none of the criteria apply
+ */
+export function buildDiscoverParams(type, criteria) {
+  const params = {};
+  const dateKey = type === 'movie' ? 'primary_release_date' : 'first_air_date';
+
+  if (criteria.companies) params.with_companies = criteria.companies.join('|');
+  if (criteria.genres) params.with_genres = criteria.genres.join('|');
+  if (criteria.languages) params.with_original_language = criteria.languages.join('|');
+  if (criteria.years?.from !== undefined) params[`${dateKey}.gte`] = `${criteria.years.from}-01-01`;
+  if (criteria.years?.to !== undefined) params[`${dateKey}.lte`] = `${criteria.years.to}-12-31`;
+  if (criteria.runtime?.min !== undefined) params['with_runtime.gte'] = String(criteria.runtime.min);
+  if (criteria.runtime?.max !== undefined) params['with_runtime.lte'] = String(criteria.runtime.max);
+  if (criteria.certifications && type === 'movie') {
+    params.certification_country = 'US';
+    params.certification = criteria.certifications.join('|');
+  }
+
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+/**
+ * Fetch every title a discover query returns, up to the page limit
+ * @returns {Promise<Object>} Titles keyed by ID in the blacklist's { id, title|name } format
+ */
+async function fetchDiscoverTitles(type, params, rateLimiter, maxPages) {
+  const titles = {};
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const query = new URLSearchParams({
+      ...params,
+      page: String(page),
+      sort_by: 'popularity.desc',
+      include_adult: 'false'
+    });
+    const data = await fetchTMDB(`/discover/${type}?${query}`, rateLimiter);
+    totalPages = Math.min(data.total_pages || 0, maxPages);
+
+    (data.results || []).forEach(item => {
+      titles[item.id] = type === 'movie'
+        ? { id: item.id, title: item.title }
+        : { id: item.id, name: item.name };
+    });
+    page++;
+  } while (page <= totalPages);
+
+  return titles;
+}
+
+/**
+ * Read the values a rule criterion compares against from a TMDB title
+ * Credit lists carry fewer fields than full details, so some criteria can't be checked on them.
+ * @returns {Array|number|null} Value(s) for the criterion, or null if the title doesn't have them
+ */
+function getRuleValue(entity, mediaType, criterion) {
+  switch (criterion) {
+    case 'mediaTypes':
+      return [mediaType];
+    case 'genres':
+      return entity.genre_ids || entity.genres?.map(genre => genre.id) || null;
+    case 'companies':
+      return entity.production_companies?.map(company => company.id) || null;
+    case 'languages':
+      return entity.original_language ? [entity.original_language] : null;
+    case 'years': {
+      const year = parseInt((entity.release_date || entity.first_air_date || '').slice(0, 4), 10);
+      return Number.isFinite(year) ? year : null;
+    }
+    case 'runtime': {
+      const runtime = mediaType === 'movie' ? entity.runtime : entity.episode_run_time?.[0];
+      return runtime > 0 ? runtime : null;
+    }
+    case 'certifications': {
+      // Certifications are only checked for movies, matching the discover queries
+      const usRelease = mediaType === 'movie'
+        ? entity.release_dates?.results?.find(result => result.iso_3166_1 === 'US')
+        : null;
+      const certifications = (usRelease?.release_dates || []).map(release => release.certification).filter(Boolean);
+      return certifications.length > 0 ? certifications : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a title against one rule criterion
+ * @returns {boolean|null} Whether it matches, or null if the title doesn't say
+ */
+function matchesRuleCriterion(entity, mediaType, criterion, expected) {
+  const value = getRuleValue(entity, mediaType, criterion);
+  if (value === null) return null;
+
+  if (criterion === 'years') {
+    return (expected.from === undefined || value >= expected.from) && (expected.to === undefined || value <= expected.to);
+  }
+  if (criterion === 'runtime') {
+    return (expected.min === undefined || value >= expected.min) && (expected.max === undefined || value <= expected.max);
+  }
+  return value.some(entry => expected.includes(entry));
+}
+
+/**
+ * Evaluate a rule set against a title
+ * A title must match every include criterion and no exclude criterion. Criteria the title
+ * has no data for don't block it, so checks on credit summaries only rule out titles early;
+ * pass full details (with release_dates for certifications) for the final say.
+ * @param {Object} entity - TMDB movie or TV show, full details or a credit summary
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {Object|null} rules - { include, exclude }
+ * @returns {boolean} True if the rules block the title
+ */
+export function isBlockedByRules(entity, mediaType, rules) {
+  if (!rules || !entity) return false;
+
+  const failsInclude = Object.entries(rules.include || {})
+    .some(([criterion, expected]) => matchesRuleCriterion(entity, mediaType, criterion, expected) === false);
+  const matchesExclude = Object.entries(rules.exclude || {})
+    .some(([criterion, expected]) => matchesRuleCriterion(entity, mediaType, criterion, expected) === true);
+
+  return failsInclude || matchesExclude;
+}
+
+/**
+ * Compile a rule set into blacklists
+ * Each exclude criterion is its own discover query, since matching any one blocks a title.
+ * The lists are a head start for the most popular titles; isBlockedByRules has the final say.
+ *
+ * @param {Object} rules - Validated rule set
+ * @param {Object} options - { maxPages }
+ * @returns {Promise<Object>} { blockedMovies, blockedTvShows, stats } - blocked lists may be '*'
+ */
+export async function compileChallengeRules(rules, options = {}) {
+  const maxPages = options.maxPages || MAX_RULE_DISCOVER_PAGES;
+  const rateLimiter = tmdbRateLimiter;
+  const includeTypes = rules.include?.mediaTypes;
+  const { mediaTypes: excludeTypes, ...exclude } = rules.exclude || {};
+  const result = { stats: { discoverQueries: 0 } };
+
+  for (const type of RULE_MEDIA_TYPES) {
+    const blockedKey = type === 'movie' ? 'blockedMovies' : 'blockedTvShows';
+
+    if ((includeTypes && !includeTypes.includes(type)) || excludeTypes?.includes(type)) {
+      result[blockedKey] = '*';
+      continue;
+    }
+
+    const blocked = {};
+    for (const [key, value] of Object.entries(exclude)) {
+      const params = buildDiscoverParams(type, { [key]: value });
+      if (!params) continue;
+      Object.assign(blocked, await fetchDiscoverTitles(type, params, rateLimiter, maxPages));
+      result.stats.discoverQueries++;
+    }
+    result[blockedKey] = blocked;
+  }
+
+  const count = (list) => (list === '*' ? 'ALL' : Object.keys(list || {}).length);
+  result.stats.totalMovies = count(result.blockedMovies);
+  result.stats.totalTvShows = count(result.blockedTvShows);
+
+  console.log(`Compiled challenge rules with ${result.stats.discoverQueries} discover queries: ` +
+    `${result.stats.totalMovies} movies and ${result.stats.totalTvShows} TV shows blocked`);
+  return result;
+}
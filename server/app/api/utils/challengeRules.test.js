@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fetchTMDB } from './tmdbUtils.js';
+import {
+  validateChallengeRules,
+  buildDiscoverParams,
+  isBlockedByRules,
+  compileChallengeRules
+} from './challengeRules.js';
+
+vi.mock('./tmdbUtils.js', () => ({
+  tmdbRateLimiter: null,
+  fetchTMDB: vi.fn()
+}));
+
+beforeEach(() => {
+  fetchTMDB.mockReset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('validateChallengeRules', () => {
+  it('accepts well-formed rules', () => {
+    expect(validateChallengeRules({ include: { mediaTypes: ['movie'], years: { from: 2000 } } })).toEqual([]);
+    expect(validateChallengeRules({ exclude: { genres: [16], runtime: { max: 90 } } })).toEqual([]);
+  });
+
+  it('reports every problem it finds', () => {
+    expect(validateChallengeRules(null)).toEqual(['Rules must be an object']);
+    expect(validateChallengeRules({})).toEqual(['Rules need an include or exclude section']);
+    expect(validateChallengeRules({ only: {} })).toEqual(['Unknown rule section: only']);
+    expect(validateChallengeRules({
+      include: { mediaTypes: ['film'], genres: ['drama'], years: { from: 2010, to: 2000 } },
+      exclude: { studios: [1] }
+    })).toEqual([
+      'include.mediaTypes may only contain movie, tv',
+      'include.genres must contain TMDB IDs',
+      'include.years.from is greater than to',
+      'Unknown criterion exclude.studios'
+    ]);
+  });
+});
+
+describe('buildDiscoverParams', () => {
+  it('maps criteria to discover filters for the media type', () => {
+    expect(buildDiscoverParams('movie', { genres: [16, 10751], years: { from: 2000 }, certifications: ['PG'] })).toEqual({
+      with_genres: '16|10751',
+      'primary_release_date.gte': '2000-01-01',
+      certification_country: 'US',
+      certification: 'PG'
+    });
+    expect(buildDiscoverParams('tv', { years: { to: 1999 } })).toEqual({ 'first_air_date.lte': '1999-12-31' });
+  });
+
+  it('returns null when discover cannot filter on the criteria', () => {
+    expect(buildDiscoverParams('tv', { certifications: ['PG'] })).toBeNull();
+  });
+});
+
+describe('isBlockedByRules', () => {
+  const details = {
+    genres: [{ id: 18 }],
+    release_date: '1994-09-23',
+    original_language: 'en',
+    runtime: 142,
+    production_companies: [{ id: 97 }]
+  };
+
+  it('blocks titles that miss an include criterion', () => {
+    expect(isBlockedByRules(details, 'movie', { include: { years: { from: 2000 } } })).toBe(true);
+    expect(isBlockedByRules(details, 'movie', { include: { years: { to: 1999 }, languages: ['en'] } })).toBe(false);
+    expect(isBlockedByRules(details, 'movie', { include: { mediaTypes: ['tv'] } })).toBe(true);
+  });
+
+  it('blocks titles that match any exclude criterion', () => {
+    expect(isBlockedByRules(details, 'movie', { exclude: { genres: [16], companies: [97] } })).toBe(true);
+    expect(isBlockedByRules(details, 'movie', { exclude: { runtime: { max: 90 } } })).toBe(false);
+  });
+
+  it('leaves criteria the title has no data for to a later check', () => {
+    const credit = { genre_ids: [18], release_date: '2004-01-01' };
+    expect(isBlockedByRules(credit, 'movie', { include: { runtime: { max: 90 }, companies: [1] } })).toBe(false);
+    expect(isBlockedByRules(credit, 'movie', { include: { years: { from: 2000 } }, exclude: { genres: [16] } })).toBe(false);
+  });
+
+  it('reads certifications from US release dates of movies', () => {
+    const rated = { release_dates: { results: [{ iso_3166_1: 'US', release_dates: [{ certification: 'R' }] }] } };
+    expect(isBlockedByRules(rated, 'movie', { include: { certifications: ['PG', 'PG-13'] } })).toBe(true);
+    expect(isBlockedByRules(rated, 'tv', { include: { certifications: ['PG'] } })).toBe(false);
+  });
+});
+
+describe('compileChallengeRules', () => {
+  // Each discover query has three pages of two titles
+  const serveDiscover = (path) => {
+    const page = Number(new URLSearchParams(path.split('?')[1]).get('page'));
+    const results = [1, 2].map(n => ({ id: page * 10 + n, title: `Movie ${page}${n}`, name: `Show ${page}${n}` }));
+    return { total_pages: 3, results };
+  };
+
+  it('blocks media types the rules leave out without compiling other include criteria', async () => {
+    const result = await compileChallengeRules({ include: { mediaTypes: ['movie'], years: { from: 2000 } } });
+
+    expect(result).toMatchObject({ blockedMovies: {}, blockedTvShows: '*' });
+    expect(result).not.toHaveProperty('allowedMovies');
+    expect(fetchTMDB).not.toHaveBeenCalled();
+  });
+
+  it('lists exclude matches up to the page limit', async () => {
+    fetchTMDB.mockImplementation(async (path) => serveDiscover(path));
+    const result = await compileChallengeRules({ exclude: { genres: [16] } }, { maxPages: 2 });
+
+    expect(Object.keys(result.blockedMovies)).toEqual(['11', '12', '21', '22']);
+    expect(result.blockedMovies[11]).toEqual({ id: 11, title: 'Movie 11' });
+    expect(result.blockedTvShows[21]).toEqual({ id: 21, name: 'Show 21' });
+    expect(result.stats).toMatchObject({ discoverQueries: 2, totalMovies: 4, totalTvShows: 4 });
+    expect(fetchTMDB.mock.calls[0][0]).toContain('/discover/movie?with_genres=16&page=1');
+  });
+});
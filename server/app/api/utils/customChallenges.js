@@ -0,0 +1,135 @@
+/**
+ * User-created challenges
+ * Checks the challenge definition a player builds in the editor and turns it into
+ * challenge rules (see challengeRules.js). The definition is written by
+ * client/src/components/ChallengeEditor.jsx.
+ */
+import { randomInt } from 'crypto';
+import { validateChallengeRules } from './challengeRules.js';
+
+export const CUSTOM_CHALLENGE_PREFIX = 'custom-';
+
+const ID_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const ID_LENGTH = 8;
+const CUSTOM_CHALLENGE_ID_PATTERN = new RegExp(`^${CUSTOM_CHALLENGE_PREFIX}[${ID_ALPHABET}]{${ID_LENGTH}}$`);
+
+export const MAX_TITLE_LENGTH = 40;
+export const MAX_DESCRIPTION_LENGTH = 160;
+export const MAX_EXCLUDED_COMPANIES = 20;
+
+const MEDIA_TYPES = ['all', 'movie', 'tv'];
+const FIRST_YEAR = 1900;
+
+/**
+ * Generate a new custom challenge ID
+ * @returns {string} e.g. "custom-k3v9x2ma"
+ */
+export function createCustomChallengeId() {
+  const code = Array.from({ length: ID_LENGTH }, () => ID_ALPHABET[randomInt(ID_ALPHABET.length)]).join('');
+  return `${CUSTOM_CHALLENGE_PREFIX}${code}`;
+}
+
+/**
+ * Check whether a challenge name is a custom challenge ID
+ */
+export function isCustomChallengeId(challengeName) {
+  return typeof challengeName === 'string' && CUSTOM_CHALLENGE_ID_PATTERN.test(challengeName);
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * Build the challenge rules a definition stands for
+ * @param {Object} definition - Sanitized definition
+ * @returns {Object} Rules in the challengeRules.js format
+ */
+export function buildCustomChallengeRules(definition) {
+  const rules = {};
+  const include = {};
+
+  if (definition.mediaType !== 'all') {
+    include.mediaTypes = [definition.mediaType];
+  }
+  if (definition.era) {
+    include.years = definition.era;
+  }
+  if (Object.keys(include).length > 0) {
+    rules.include = include;
+  }
+  if (definition.excludedCompanies.length > 0) {
+    rules.exclude = { companies: definition.excludedCompanies.map(company => company.id) };
+  }
+  return rules;
+}
+
+/**
+ * Validate a challenge definition from the editor
+ * @param {Object} input - { title, description, excludedCompanies: [{ id, name }], mediaType,
+ *   era: { from, to } | null, startActors: [{ id, name, profile_path }] | null }
+ * @returns {Object} { definition, error } - definition is null when the input is invalid
+ */
+export function sanitizeCustomChallenge(input) {
+  const fail = (error) => ({ definition: null, error });
+
+  const title = cleanText(input?.title, MAX_TITLE_LENGTH);
+  if (!title) {
+    return fail('A title is required');
+  }
+
+  const mediaType = input.mediaType || 'all';
+  if (!MEDIA_TYPES.includes(mediaType)) {
+    return fail('Media type must be all, movie or tv');
+  }
+
+  const companies = Array.isArray(input.excludedCompanies) ? input.excludedCompanies : [];
+  if (companies.length > MAX_EXCLUDED_COMPANIES || companies.some(company => !Number.isInteger(company?.id))) {
+    return fail(`Pick up to ${MAX_EXCLUDED_COMPANIES} studios`);
+  }
+
+  let era = null;
+  if (input.era) {
+    const currentYear = new Date().getUTCFullYear();
+    const isYear = (year) => year === undefined || (Number.isInteger(year) && year >= FIRST_YEAR && year <= currentYear);
+    const { from, to } = input.era;
+    if ((from === undefined && to === undefined) || !isYear(from) || !isYear(to)) {
+      return fail(`Era years must be between ${FIRST_YEAR} and ${currentYear}`);
+    }
+    era = { ...(from !== undefined && { from }), ...(to !== undefined && { to }) };
+  }
+
+  let startActors = null;
+  if (input.startActors) {
+    if (!Array.isArray(input.startActors) || input.startActors.length !== 2 ||
+        input.startActors.some(actor => !Number.isInteger(actor?.id)) ||
+        input.startActors[0].id === input.startActors[1].id) {
+      return fail('Fixed starting actors must be two different people');
+    }
+    startActors = input.startActors.map(actor => ({
+      id: actor.id,
+      name: cleanText(actor.name, 100),
+      profile_path: typeof actor.profile_path === 'string' ? actor.profile_path : null
+    }));
+  }
+
+  const definition = {
+    title,
+    description: cleanText(input.description, MAX_DESCRIPTION_LENGTH),
+    excludedCompanies: companies.map(company => ({ id: company.id, name: cleanText(company.name, 100) })),
+    mediaType,
+    era,
+    startActors
+  };
+
+  const rules = buildCustomChallengeRules(definition);
+  if (!rules.include && !rules.exclude) {
+    return fail('Exclude a studio, pick a media type or set an era');
+  }
+  const ruleErrors = validateChallengeRules(rules);
+  if (ruleErrors.length > 0) {
+    return fail(ruleErrors[0]);
+  }
+
+  return { definition: { ...definition, rules }, error: null };
+}
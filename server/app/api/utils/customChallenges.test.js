@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createCustomChallengeId,
+  isCustomChallengeId,
+  sanitizeCustomChallenge,
+  MAX_TITLE_LENGTH,
+  MAX_EXCLUDED_COMPANIES
+} from './customChallenges.js';
+
+const studio = (id) => ({ id, name: `Studio ${id}` });
+
+describe('custom challenge IDs', () => {
+  it('recognises only IDs in the generated format', () => {
+    const id = createCustomChallengeId();
+    expect(id).toMatch(/^custom-[a-z2-9]{8}$/);
+    expect(isCustomChallengeId(id)).toBe(true);
+    expect(isCustomChallengeId('custom-short')).toBe(false);
+    expect(isCustomChallengeId('custom-ABCDEFGH')).toBe(false);
+    expect(isCustomChallengeId('no-disney')).toBe(false);
+    expect(isCustomChallengeId(null)).toBe(false);
+  });
+});
+
+describe('sanitizeCustomChallenge', () => {
+  it('cleans a valid definition and builds its rules', () => {
+    const { definition, error } = sanitizeCustomChallenge({
+      title: `  ${'T'.repeat(60)}  `,
+      description: ' Old films only ',
+      excludedCompanies: [{ id: 2, name: ' Disney ', logo: '/x.png' }],
+      mediaType: 'movie',
+      era: { to: 1999 },
+      startActors: [{ id: 1, name: 'One', profile_path: '/1.jpg' }, { id: 2, name: 'Two' }]
+    });
+
+    expect(error).toBeNull();
+    expect(definition).toEqual({
+      title: 'T'.repeat(MAX_TITLE_LENGTH),
+      description: 'Old films only',
+      excludedCompanies: [{ id: 2, name: 'Disney' }],
+      mediaType: 'movie',
+      era: { to: 1999 },
+      startActors: [{ id: 1, name: 'One', profile_path: '/1.jpg' }, { id: 2, name: 'Two', profile_path: null }],
+      rules: { include: { mediaTypes: ['movie'], years: { to: 1999 } }, exclude: { companies: [2] } }
+    });
+  });
+
+  it('leaves media types out of the rules when all are allowed', () => {
+    const { definition } = sanitizeCustomChallenge({ title: 'No studio', excludedCompanies: [studio(7)] });
+    expect(definition).toMatchObject({ mediaType: 'all', era: null, startActors: null });
+    expect(definition.rules).toEqual({ exclude: { companies: [7] } });
+  });
+
+  it('rejects definitions with nothing to check or invalid fields', () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    const cases = [
+      [null, 'A title is required'],
+      [{ title: '   ', mediaType: 'movie' }, 'A title is required'],
+      [{ title: 'Plain' }, 'Exclude a studio, pick a media type or set an era'],
+      [{ title: 'Films', mediaType: 'film' }, 'Media type must be all, movie or tv'],
+      [{ title: 'Many', excludedCompanies: Array.from({ length: MAX_EXCLUDED_COMPANIES + 1 }, (_, i) => studio(i)) }, `Pick up to ${MAX_EXCLUDED_COMPANIES} studios`],
+      [{ title: 'Named', excludedCompanies: [{ id: '2' }] }, `Pick up to ${MAX_EXCLUDED_COMPANIES} studios`],
+      [{ title: 'Empty era', era: {} }, 'Era years must be between 1900'],
+      [{ title: 'Future', era: { from: nextYear } }, 'Era years must be between 1900'],
+      [{ title: 'Backwards', era: { from: 2000, to: 1990 } }, 'include.years.from is greater than to'],
+      [{ title: 'Alone', mediaType: 'tv', startActors: [{ id: 1 }] }, 'Fixed starting actors must be two different people'],
+      [{ title: 'Twice', mediaType: 'tv', startActors: [{ id: 1 }, { id: 1 }] }, 'Fixed starting actors must be two different people']
+    ];
+
+    cases.forEach(([input, message]) => {
+      const { definition, error } = sanitizeCustomChallenge(input);
+      expect(definition).toBeNull();
+      expect(error).toContain(message);
+    });
+  });
+});
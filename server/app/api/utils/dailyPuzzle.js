@@ -0,0 +1,105 @@
+/**
+ * Daily puzzle
+ * Every player gets the same two starting actors for a calendar day (UTC).
+ * The pair is derived from a seed built from the date, so any server picks the same
+ * actors from the same popular list; the first pick is persisted so later changes
+ * to TMDB's popularity ranking can't change a day's puzzle.
+ */
+import { fetchTMDB } from './tmdbUtils.js';
+
+// Popular-people pages a pair is drawn from
+const DAILY_PAGE_COUNT = 5;
+
+/**
+ * Get the puzzle date for a moment in time
+ * @param {Date} date - Moment to convert (defaults to now)
+ * @returns {string} UTC date as YYYY-MM-DD
+ */
+export function getDailyDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the puzzle date of the day before
+ * @param {string} dailyDate - Date as YYYY-MM-DD
+ * @returns {string} Previous UTC date as YYYY-MM-DD
+ */
+export function getPreviousDailyDate(dailyDate) {
+  const date = new Date(`${dailyDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return getDailyDate(date);
+}
+
+/**
+ * Check that a string is a valid puzzle date
+ * @param {string} dailyDate - Candidate date
+ * @returns {boolean} True for a real YYYY-MM-DD date
+ */
+export function isValidDailyDate(dailyDate) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dailyDate || '') &&
+    !Number.isNaN(Date.parse(`${dailyDate}T00:00:00Z`)) &&
+    getDailyDate(new Date(`${dailyDate}T00:00:00Z`)) === dailyDate;
+}
+
+/**
+ * Create a deterministic random number generator (mulberry32) seeded from a string
+ * @param {string} seedText - Seed, e.g. the puzzle date
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createSeededRandom(seedText) {
+  // FNV-1a hash of the seed text
+  let seed = 2166136261;
+  for (let i = 0; i < seedText.length; i++) {
+    seed ^= seedText.charCodeAt(i);
+    seed = Math.imul(seed, 16777619);
+  }
+
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick two different actors from TMDB's popular list using a seed
+ * The same seed always yields the same pair while the popular list is unchanged.
+ * @param {string} seedText - Seed for the pick
+ * @returns {Promise<Array>} [{ id, name, profile_path }, { id, name, profile_path }]
+ */
+export async function pickSeededActorPair(seedText) {
+  const random = createSeededRandom(seedText);
+  const page = Math.floor(random() * DAILY_PAGE_COUNT) + 1;
+  const data = await fetchTMDB(`/person/popular?page=${page}`);
+
+  // Actors with a photo only, in TMDB's order so the seed decides the pick
+  const candidates = (data.results || []).filter(person =>
+    person.profile_path && !person.adult && person.known_for_department === 'Acting'
+  );
+  if (candidates.length < 2) {
+    throw new Error(`Not enough actors on popular page ${page} for seed ${seedText}`);
+  }
+
+  const firstIndex = Math.floor(random() * candidates.length);
+  let secondIndex = Math.floor(random() * (candidates.length - 1));
+  if (secondIndex >= firstIndex) secondIndex++;
+
+  return [candidates[firstIndex], candidates[secondIndex]].map(person => ({
+    id: person.id,
+    name: person.name,
+    profile_path: person.profile_path
+  }));
+}
+
+/**
+ * Pick the two starting actors for a date
+ * @param {string} dailyDate - Date as YYYY-MM-DD
+ * @returns {Promise<Object>} { date, actors: [{ id, name, profile_path }, ...] }
+ */
+export async function pickDailyPair(dailyDate) {
+  return {
+    date: dailyDate,
+    actors: await pickSeededActorPair(`silversync-daily-${dailyDate}`)
+  };
+}
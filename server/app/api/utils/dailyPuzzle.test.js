@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fetchTMDB } from './tmdbUtils.js';
+import {
+  getDailyDate,
+  getPreviousDailyDate,
+  isValidDailyDate,
+  createSeededRandom,
+  pickDailyPair
+} from './dailyPuzzle.js';
+
+vi.mock('./tmdbUtils.js', () => ({
+  tmdbRateLimiter: null,
+  fetchTMDB: vi.fn()
+}));
+
+// Twenty actors per popular page, plus people who can't start a puzzle
+const servePopular = async (path) => {
+  const page = Number(new URLSearchParams(path.split('?')[1]).get('page'));
+  const actors = Array.from({ length: 20 }, (_, i) => ({
+    id: page * 100 + i,
+    name: `Actor ${page}-${i}`,
+    profile_path: `/${page}-${i}.jpg`,
+    known_for_department: 'Acting'
+  }));
+  return {
+    results: [
+      ...actors,
+      { id: page * 100 + 50, name: 'Director', profile_path: '/d.jpg', known_for_department: 'Directing' },
+      { id: page * 100 + 51, name: 'No Photo', profile_path: null, known_for_department: 'Acting' }
+    ]
+  };
+};
+
+beforeEach(() => {
+  fetchTMDB.mockReset();
+  fetchTMDB.mockImplementation(servePopular);
+});
+
+describe('daily dates', () => {
+  it('uses the UTC calendar day', () => {
+    expect(getDailyDate(new Date('2024-03-01T23:30:00-05:00'))).toBe('2024-03-02');
+    expect(getPreviousDailyDate('2024-03-01')).toBe('2024-02-29');
+    expect(getPreviousDailyDate('2025-01-01')).toBe('2024-12-31');
+  });
+
+  it('accepts only real YYYY-MM-DD dates', () => {
+    expect(isValidDailyDate('2024-02-29')).toBe(true);
+    expect(isValidDailyDate('2023-02-29')).toBe(false);
+    expect(isValidDailyDate('2024-2-1')).toBe(false);
+    expect(isValidDailyDate(null)).toBe(false);
+  });
+});
+
+describe('createSeededRandom', () => {
+  it('repeats its sequence for the same seed', () => {
+    const first = createSeededRandom('seed');
+    const second = createSeededRandom('seed');
+    const other = createSeededRandom('other seed');
+    const draw = (random) => Array.from({ length: 5 }, () => random());
+
+    const sequence = draw(first);
+    expect(draw(second)).toEqual(sequence);
+    expect(draw(other)).not.toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+});
+
+describe('pickDailyPair', () => {
+  it('gives every request on the same date the same two actors', async () => {
+    const first = await pickDailyPair('2024-06-01');
+    const second = await pickDailyPair('2024-06-01');
+
+    expect(second).toEqual(first);
+    expect(first.date).toBe('2024-06-01');
+    expect(first.actors).toHaveLength(2);
+    expect(first.actors[0].id).not.toBe(first.actors[1].id);
+    expect(first.actors[0]).toEqual({ id: expect.any(Number), name: expect.any(String), profile_path: expect.any(String) });
+  });
+
+  it('spreads different dates over different actors', async () => {
+    const pairs = [];
+    for (let day = 1; day <= 30; day++) {
+      const { actors } = await pickDailyPair(`2024-07-${String(day).padStart(2, '0')}`);
+      pairs.push(actors.map(actor => actor.id).join('-'));
+    }
+
+    expect(new Set(pairs).size).toBeGreaterThan(25);
+    expect(new Set(fetchTMDB.mock.calls.map(([path]) => path)).size).toBeGreaterThan(1);
+    expect(pairs.every(pair => pair.split('-').every(id => Number(id) % 100 < 20))).toBe(true);
+  });
+
+  it('fails when a page has fewer than two usable actors', async () => {
+    fetchTMDB.mockResolvedValue({ results: [{ id: 1, profile_path: '/a.jpg', known_for_department: 'Acting' }] });
+    await expect(pickDailyPair('2024-06-01')).rejects.toThrow('Not enough actors');
+  });
+});
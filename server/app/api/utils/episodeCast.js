@@ -0,0 +1,168 @@
+/**
+ * Episode-cast index
+ * Records which episodes of a TV show each person is credited in, so episode games can
+ * tell whether two actors actually shared an episode rather than just the same show.
+ *
+ * Index format:
+ * {
+ *   tvId, name,
+ *   seasons: [1, 2, ...],        // season numbers to index (specials are left out)
+ *   indexedSeasons: [1, ...],    // seasons already read
+ *   partialSeason,               // { seasonNumber, episodesRead } of a season the budget cut short
+ *   cast: { [personId]: ['S1E3', ...] },
+ *   complete, updatedAt
+ * }
+ *
+ * Long-running shows take thousands of episode requests, so an index is built a few
+ * batches of episodes at a time within a time budget and picked up again by the next request.
+ */
+import NodeCache from 'node-cache';
+import { tmdbRateLimiter, fetchTMDB } from './tmdbUtils.js';
+
+// Finished indexes only change when new episodes air
+const indexCache = new NodeCache({ stdTTL: 24 * 60 * 60, useClones: false });
+
+export const EPISODE_INDEX_LIMITS = {
+  timeBudgetMs: 40000,
+  batchSize: 20
+};
+
+/**
+ * Format an episode code (e.g. "S2E14")
+ */
+export function getEpisodeCode(seasonNumber, episodeNumber) {
+  return `S${seasonNumber}E${episodeNumber}`;
+}
+
+/**
+ * Start an empty index for a show
+ */
+async function createIndex(tvId, rateLimiter) {
+  const show = await fetchTMDB(`/tv/${tvId}`, rateLimiter);
+  return {
+    tvId,
+    name: show.name,
+    seasons: (show.seasons || [])
+      .filter(season => season.season_number > 0 && season.episode_count > 0)
+      .map(season => season.season_number),
+    indexedSeasons: [],
+    partialSeason: null,
+    cast: {},
+    complete: false,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Read the episodes of a season into the index, from where an earlier request left off
+ * Episode credits list the season's regulars as well as that episode's guest stars.
+ * @returns {Promise<boolean>} False if the deadline passed first; partialSeason then records how far it got
+ */
+async function indexSeason(index, seasonNumber, rateLimiter, batchSize, deadline) {
+  const season = await fetchTMDB(`/tv/${index.tvId}/season/${seasonNumber}`, rateLimiter);
+  const episodes = season.episodes || [];
+  const resumeAt = index.partialSeason?.seasonNumber === seasonNumber ? index.partialSeason.episodesRead : 0;
+
+  for (let i = resumeAt; i < episodes.length; i += batchSize) {
+    if (Date.now() > deadline) return false;
+
+    const batch = episodes.slice(i, i + batchSize);
+    const results = await Promise.all(batch.map(episode =>
+      fetchTMDB(`/tv/${index.tvId}/season/${seasonNumber}/episode/${episode.episode_number}/credits`, rateLimiter)
+        .then(credits => ({ episode, credits }))
+    ));
+
+    results.forEach(({ episode, credits }) => {
+      const code = getEpisodeCode(seasonNumber, episode.episode_number);
+      const people = [...(credits.cast || []), ...(credits.guest_stars || []), ...(episode.guest_stars || [])];
+      new Set(people.map(person => person.id)).forEach(personId => {
+        if (!index.cast[personId]) index.cast[personId] = [];
+        if (!index.cast[personId].includes(code)) index.cast[personId].push(code);
+      });
+    });
+    index.partialSeason = { seasonNumber, episodesRead: i + batch.length };
+  }
+
+  index.partialSeason = null;
+  return true;
+}
+
+/**
+ * Get the episode-cast index for a show, extending it within the time budget if unfinished
+ *
+ * @param {number} tvId - TMDB TV show ID
+ * @param {Object} options - { limits, rateLimiter, store } - store is { load(tvId), save(index) } for
+ *   persisting indexes between server instances
+ * @returns {Promise<Object>} The index; check `complete` before treating a missing episode as absent
+ */
+export async function getEpisodeCastIndex(tvId, options = {}) {
+  const limits = { ...EPISODE_INDEX_LIMITS, ...(options.limits || {}) };
+  const rateLimiter = options.rateLimiter || tmdbRateLimiter;
+  const store = options.store || null;
+  const startTime = Date.now();
+
+  let index = indexCache.get(tvId);
+  if (!index && store) {
+    try {
+      const stored = await store.load(tvId);
+      // The database drops empty objects and arrays
+      if (stored) {
+        index = {
+          ...stored,
+          cast: stored.cast || {},
+          indexedSeasons: stored.indexedSeasons || [],
+          partialSeason: stored.partialSeason || null,
+          seasons: stored.seasons || []
+        };
+      }
+    } catch (error) {
+      console.error(`Failed to load episode index for tv-${tvId}:`, error.message);
+    }
+  }
+  if (index?.complete) {
+    indexCache.set(tvId, index);
+    return index;
+  }
+
+  index = index || await createIndex(tvId, rateLimiter);
+  const deadline = startTime + limits.timeBudgetMs;
+  let changed = false;
+
+  // Whatever was read is kept, even when a TMDB request fails partway
+  try {
+    for (const seasonNumber of index.seasons) {
+      if (index.indexedSeasons.includes(seasonNumber)) continue;
+      if (Date.now() > deadline) break;
+
+      changed = true;
+      const finished = await indexSeason(index, seasonNumber, rateLimiter, limits.batchSize, deadline);
+      if (!finished) break;
+      index.indexedSeasons.push(seasonNumber);
+    }
+  } finally {
+    index.complete = index.seasons.every(seasonNumber => index.indexedSeasons.includes(seasonNumber));
+    index.updatedAt = Date.now();
+    indexCache.set(tvId, index);
+    console.log(`Episode index for tv-${tvId}: ${index.indexedSeasons.length}/${index.seasons.length} seasons in ${Date.now() - startTime}ms`);
+
+    if (store && changed) {
+      try {
+        await store.save(index);
+      } catch (error) {
+        console.error(`Failed to store episode index for tv-${tvId}:`, error.message);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * List the episodes two people were both credited in
+ * @param {Object} index - Episode-cast index
+ * @returns {Array} Shared episode codes
+ */
+export function findSharedEpisodes(index, personIdA, personIdB) {
+  const episodesB = new Set(index?.cast?.[personIdB] || []);
+  return (index?.cast?.[personIdA] || []).filter(code => episodesB.has(code));
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { fetchTMDB } from './tmdbUtils.js';
+import { getEpisodeCastIndex } from './episodeCast.js';
+
+vi.mock('./tmdbUtils.js', () => ({
+  tmdbRateLimiter: null,
+  fetchTMDB: vi.fn()
+}));
+
+// A two-season show of four episodes each; episode N of a season credits person N
+let clock = 0;
+const serveShow = async (path) => {
+  if (/^\/tv\/\d+$/.test(path)) {
+    return { name: 'Show', seasons: [{ season_number: 1, episode_count: 4 }, { season_number: 2, episode_count: 4 }] };
+  }
+  const credits = path.match(/episode\/(\d+)\/credits$/);
+  if (credits) {
+    clock += 1000;
+    return { cast: [{ id: Number(credits[1]) }] };
+  }
+  return { episodes: [1, 2, 3, 4].map(n => ({ episode_number: n })) };
+};
+
+beforeEach(() => {
+  clock = 0;
+  fetchTMDB.mockReset();
+  fetchTMDB.mockImplementation(serveShow);
+  vi.spyOn(Date, 'now').mockImplementation(() => clock);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('getEpisodeCastIndex', () => {
+  it('stops between episode batches at the deadline and saves the partly read season', async () => {
+    const store = { load: vi.fn().mockResolvedValue(null), save: vi.fn().mockResolvedValue() };
+    const index = await getEpisodeCastIndex(101, { store, limits: { timeBudgetMs: 1500, batchSize: 2 } });
+
+    expect(index).toMatchObject({ complete: false, indexedSeasons: [], partialSeason: { seasonNumber: 1, episodesRead: 2 } });
+    expect(index.cast).toEqual({ 1: ['S1E1'], 2: ['S1E2'] });
+    expect(store.save).toHaveBeenCalledWith(index);
+  });
+
+  it('picks a stored index up from the episode it stopped at', async () => {
+    const stored = {
+      tvId: 102,
+      name: 'Show',
+      seasons: [1, 2],
+      indexedSeasons: [1],
+      partialSeason: { seasonNumber: 2, episodesRead: 2 },
+      cast: { 1: ['S1E1', 'S2E1'] },
+      complete: false
+    };
+    const store = { load: vi.fn().mockResolvedValue(stored), save: vi.fn().mockResolvedValue() };
+    const index = await getEpisodeCastIndex(102, { store });
+
+    expect(index).toMatchObject({ complete: true, indexedSeasons: [1, 2], partialSeason: null });
+    expect(index.cast[3]).toEqual(['S2E3']);
+    expect(fetchTMDB.mock.calls.filter(([path]) => path.endsWith('/credits'))).toHaveLength(2);
+  });
+
+  it('saves what was read when a request fails partway', async () => {
+    fetchTMDB.mockImplementation(async (path) => {
+      if (path.includes('/season/1/episode/3/')) throw new Error('TMDB API error: 500');
+      return serveShow(path);
+    });
+    const store = { load: vi.fn().mockResolvedValue(null), save: vi.fn().mockResolvedValue() };
+
+    await expect(getEpisodeCastIndex(103, { store, limits: { batchSize: 2 } })).rejects.toThrow('500');
+    expect(store.save.mock.calls[0][0]).toMatchObject({ partialSeason: { seasonNumber: 1, episodesRead: 2 } });
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Game result verification
+ * Re-checks a submitted connection path (or, for chain games, connection tree) against
+ * TMDB credits and the challenge blacklist. Scores are recomputed with the shared
+ * formulas in scoring.js.
+ */
+import { tmdbRateLimiter, fetchTMDB } from './tmdbUtils.js';
+import { parseNodeId, isTitleBlocked, isConnectingCrewCredit } from './pathSolver.js';
+import { getEpisodeCastIndex, findSharedEpisodes } from './episodeCast.js';
+import { isBlockedByRules } from './challengeRules.js';
+
+// Allowed difference between the client's and the server's rounded score
+export const SCORE_TOLERANCE = 1;
+
+// Allowed difference (seconds) between the client's timer and the server session clock
+export const TIME_GRACE_SECONDS = 15;
+
+// Most starting actors a game can have; keep in sync with CHAIN_MAX_ACTORS in client/src/utils/constants.js
+export const MAX_START_ACTORS = 5;
+
+// Time spent extending an unfinished episode index while verifying (ms); the game itself
+// requested the index for every show that was placed, so it is usually finished already
+const EPISODE_INDEX_VERIFY_BUDGET_MS = 10000;
+
+/**
+ * Pick the credits that count as links: the cast, plus connecting crew in crew games
+ */
+function getLinkingCredits(credits, includeCrew) {
+  return [
+    ...(credits?.cast || []),
+    ...(includeCrew ? (credits?.crew || []).filter(isConnectingCrewCredit) : [])
+  ];
+}
+
+/**
+ * Collect the cast IDs of a movie or TV show
+ */
+function getCastIds(type, data, includeCrew) {
+  const cast = type === 'movie'
+    ? getLinkingCredits(data.credits, includeCrew)
+    : [...getLinkingCredits(data.aggregate_credits, includeCrew), ...getLinkingCredits(data.credits, includeCrew)];
+  return new Set(cast.map(person => person.id));
+}
+
+/**
+ * Collect the movie and TV IDs a person is credited in
+ */
+function getCreditIds(data, includeCrew) {
+  return {
+    movie: new Set(getLinkingCredits(data.movie_credits, includeCrew).map(movie => movie.id)),
+    tv: new Set(getLinkingCredits(data.tv_credits, includeCrew).map(show => show.id))
+  };
+}
+
+/**
+ * Check submitted person-title links against TMDB
+ * A link is valid if either side lists the other in its credits, which also covers
+ * TV guest appearances that only appear on the person's credits. Linked titles are also
+ * checked against the challenge's rules on their details.
+ *
+ * @param {Array} links - [personNodeId, titleNodeId] pairs
+ * @param {Array} startActors - [{ nodeId, name }] starting actors whose submitted names must match
+ * @param {boolean} includeCrew - Whether directing, writing and music credits also link
+ * @param {Object|null} rules - Challenge rules, from the blacklist
+ * @returns {Promise<Array>} Reasons the links failed; throws if TMDB can't be reached
+ */
+async function verifyCreditLinks(links, startActors, includeCrew = false, rules = null) {
+  const rateLimiter = tmdbRateLimiter;
+  const personCache = new Map();
+  const getPerson = async (id) => {
+    if (!personCache.has(id)) {
+      personCache.set(id, fetchTMDB(`/person/${id}?append_to_response=movie_credits,tv_credits`, rateLimiter));
+    }
+    return personCache.get(id);
+  };
+  const titleCache = new Map();
+  const getTitle = async ({ type, id }) => {
+    const key = `${type}-${id}`;
+    if (!titleCache.has(key)) {
+      const creditsKey = type === 'movie' ? 'credits,release_dates' : 'aggregate_credits,credits';
+      titleCache.set(key, fetchTMDB(`/${type}/${id}?append_to_response=${creditsKey}`, rateLimiter));
+    }
+    return titleCache.get(key);
+  };
+  const reasons = [];
+
+  // Starting actor (or, in reverse games, title) names must match the submitted names
+  const startData = await Promise.all(startActors.map(actor => {
+    const node = parseNodeId(actor.nodeId);
+    return node.type === 'person' ? getPerson(node.id) : getTitle(node);
+  }));
+  startActors.forEach((actor, index) => {
+    if (actor.name && (startData[index].name || startData[index].title) !== actor.name) {
+      reasons.push(`Starting actor mismatch: ${actor.name}`);
+    }
+  });
+
+  // Each title is fetched once and checked against every person linked to it
+  const linksByTitle = new Map();
+  links.forEach(([personNodeId, titleNodeId]) => {
+    if (!linksByTitle.has(titleNodeId)) {
+      linksByTitle.set(titleNodeId, []);
+    }
+    linksByTitle.get(titleNodeId).push(personNodeId);
+  });
+
+  const linkResults = await Promise.all([...linksByTitle].map(async ([titleNodeId, personNodeIds]) => {
+    const title = parseNodeId(titleNodeId);
+    const titleData = await getTitle(title);
+    const castIds = getCastIds(title.type, titleData, includeCrew);
+
+    const linkErrors = [];
+    const isStart = startActors.some(actor => actor.nodeId === titleNodeId);
+    if (!isStart && isBlockedByRules(titleData, title.type, rules)) {
+      linkErrors.push(`${titleNodeId} is not allowed in this challenge`);
+    }
+    for (const personNodeId of personNodeIds) {
+      const person = parseNodeId(personNodeId);
+      if (castIds.has(person.id)) continue;
+
+      const personData = await getPerson(person.id);
+      if (!getCreditIds(personData, includeCrew)[title.type].has(title.id)) {
+        linkErrors.push(`No credit links ${personNodeId} and ${titleNodeId}`);
+      }
+    }
+    return linkErrors;
+  }));
+
+  reasons.push(...linkResults.flat());
+  return reasons;
+}
+
+/**
+ * Check that the actors either side of each TV show in a path shared an episode
+ * @param {Array} fullPath - Node IDs of the path
+ * @param {Object|null} store - Persistent index store passed to getEpisodeCastIndex
+ * @returns {Promise<Object>} { reasons, pending } - pending lists shows whose index isn't finished yet
+ */
+async function verifySharedEpisodes(fullPath, store) {
+  const reasons = [];
+  const pending = [];
+
+  for (let i = 1; i < fullPath.length - 1; i++) {
+    const title = parseNodeId(fullPath[i]);
+    if (title.type !== 'tv') continue;
+
+    const index = await getEpisodeCastIndex(title.id, { store, limits: { timeBudgetMs: EPISODE_INDEX_VERIFY_BUDGET_MS } });
+    const before = parseNodeId(fullPath[i - 1]).id;
+    const after = parseNodeId(fullPath[i + 1]).id;
+    if (findSharedEpisodes(index, before, after).length > 0) continue;
+
+    // An unfinished index may still hold the shared episode
+    if (index.complete) {
+      reasons.push(`${fullPath[i - 1]} and ${fullPath[i + 1]} share no episode of ${fullPath[i]}`);
+    } else {
+      pending.push(fullPath[i]);
+    }
+  }
+
+  return { reasons, pending };
+}
+
+/**
+ * Collect the reasons any of the given titles are blocked by the challenge
+ */
+function getBlockedTitleReasons(nodeIds, blacklist) {
+  return nodeIds
+    .filter(nodeId => {
+      const node = parseNodeId(nodeId);
+      return node.type !== 'person' && isTitleBlocked(node.type, node.id, blacklist);
+    })
+    .map(nodeId => `${nodeId} is not allowed in this challenge`);
+}
+
+/**
+ * Verify every hop of a submitted path
+ *
+ * @param {Array} fullPath - Node IDs from the first to the second starting actor
+ * @param {Object} options - { blacklist, startActorNames: [name1, name2], startsFromTitles, includeCrew,
+ *   sharedEpisodes, episodeCastStore } - startsFromTitles is set for reverse games, whose path runs
+ *   between two titles, includeCrew for games where crew credits count, and sharedEpisodes for
+ *   episode games, where actors only link through a TV show they shared an episode of
+ * @returns {Promise<Object>} { valid, reasons, unavailable } - unavailable is true if TMDB couldn't be reached
+ *   or an episode index isn't finished
+ */
+export async function verifyPathHops(fullPath, options = {}) {
+  const {
+    blacklist = null,
+    startActorNames = [],
+    startsFromTitles = false,
+    includeCrew = false,
+    sharedEpisodes = false,
+    episodeCastStore = null
+  } = options;
+
+  if (!Array.isArray(fullPath) || fullPath.length < 3) {
+    return { valid: false, reasons: ['Path must contain both starting actors and at least one connection'], unavailable: false };
+  }
+
+  const parsed = fullPath.map(parseNodeId);
+  if (parsed.some(node => !node)) {
+    return { valid: false, reasons: ['Path contains invalid node IDs'], unavailable: false };
+  }
+  // Episode routes may pass through a show twice, via different episodes
+  const uniqueNodes = sharedEpisodes ? fullPath.filter((nodeId, i) => parsed[i].type !== 'tv') : fullPath;
+  if (new Set(uniqueNodes).size !== uniqueNodes.length) {
+    return { valid: false, reasons: ['Path visits the same node twice'], unavailable: false };
+  }
+  const isStartType = node => (node.type !== 'person') === startsFromTitles;
+  if (!isStartType(parsed[0]) || !isStartType(parsed[parsed.length - 1])) {
+    return {
+      valid: false,
+      reasons: [`Path must start and end with the starting ${startsFromTitles ? 'titles' : 'actors'}`],
+      unavailable: false
+    };
+  }
+  for (let i = 1; i < parsed.length; i++) {
+    if ((parsed[i - 1].type === 'person') === (parsed[i].type === 'person')) {
+      return { valid: false, reasons: [`Invalid hop ${fullPath[i - 1]} -> ${fullPath[i]}`], unavailable: false };
+    }
+  }
+
+  const blocked = getBlockedTitleReasons(fullPath, blacklist);
+  if (blocked.length > 0) {
+    return { valid: false, reasons: blocked, unavailable: false };
+  }
+
+  // Each title is checked against its neighbours in the path
+  const links = [];
+  for (let i = 1; i < fullPath.length; i++) {
+    links.push(parsed[i].type === 'person' ? [fullPath[i], fullPath[i - 1]] : [fullPath[i - 1], fullPath[i]]);
+  }
+
+  try {
+    const reasons = await verifyCreditLinks(links, [
+      { nodeId: fullPath[0], name: startActorNames[0] },
+      { nodeId: fullPath[fullPath.length - 1], name: startActorNames[1] }
+    ], includeCrew, blacklist?.rules);
+
+    if (sharedEpisodes && reasons.length === 0) {
+      const episodeCheck = await verifySharedEpisodes(fullPath, episodeCastStore);
+      if (episodeCheck.reasons.length === 0 && episodeCheck.pending.length > 0) {
+        return {
+          valid: false,
+          reasons: episodeCheck.pending.map(nodeId => `Episode index for ${nodeId} is still being built`),
+          unavailable: true
+        };
+      }
+      reasons.push(...episodeCheck.reasons);
+    }
+    return { valid: reasons.length === 0, reasons, unavailable: false };
+  } catch (error) {
+    console.error('Error verifying path against TMDB:', error);
+    return { valid: false, reasons: ['TMDB unavailable during verification'], unavailable: true };
+  }
+}
+
+/**
+ * Verify the tree submitted for a chain game
+ * The edges must form a single tree of person-title links that contains every starting actor.
+ *
+ * @param {Array} treeEdges - [nodeIdA, nodeIdB] pairs
+ * @param {Object} options - { blacklist, startActorIds, startActorNames, includeCrew } - names in the same order as the IDs
+ * @returns {Promise<Object>} { valid, reasons, unavailable } - unavailable is true if TMDB couldn't be reached
+ */
+export async function verifyTreeHops(treeEdges, options = {}) {
+  const { blacklist = null, startActorIds = [], startActorNames = [], includeCrew = false } = options;
+  const fail = (reason) => ({ valid: false, reasons: [reason], unavailable: false });
+
+  if (!Array.isArray(treeEdges) || treeEdges.length === 0) {
+    return fail('Tree must contain at least one connection');
+  }
+  if (treeEdges.some(edge => !Array.isArray(edge) || edge.length !== 2 || !parseNodeId(edge[0]) || !parseNodeId(edge[1]))) {
+    return fail('Tree contains invalid node IDs');
+  }
+
+  // Orient every edge as person -> title
+  const links = [];
+  for (const [a, b] of treeEdges) {
+    const aIsPerson = parseNodeId(a).type === 'person';
+    if (aIsPerson === (parseNodeId(b).type === 'person')) {
+      return fail(`Invalid hop ${a} -> ${b}`);
+    }
+    links.push(aIsPerson ? [a, b] : [b, a]);
+  }
+  if (new Set(links.map(link => link.join())).size !== links.length) {
+    return fail('Tree repeats a connection');
+  }
+
+  // A connected graph with one edge fewer than its nodes is a tree
+  const adjacency = new Map();
+  links.forEach(([person, title]) => {
+    adjacency.set(person, [...(adjacency.get(person) || []), title]);
+    adjacency.set(title, [...(adjacency.get(title) || []), person]);
+  });
+  const reached = new Set([links[0][0]]);
+  const queue = [links[0][0]];
+  while (queue.length > 0) {
+    for (const next of adjacency.get(queue.shift())) {
+      if (!reached.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    }
+  }
+  if (reached.size !== adjacency.size || links.length !== adjacency.size - 1) {
+    return fail('Connections do not form a single tree');
+  }
+
+  const missing = startActorIds.find(nodeId => !adjacency.has(nodeId) || parseNodeId(nodeId)?.type !== 'person');
+  if (missing) {
+    return fail(`Tree does not reach starting actor ${missing}`);
+  }
+
+  const blocked = getBlockedTitleReasons([...adjacency.keys()], blacklist);
+  if (blocked.length > 0) {
+    return { valid: false, reasons: blocked, unavailable: false };
+  }
+
+  try {
+    const reasons = await verifyCreditLinks(
+      links,
+      startActorIds.map((nodeId, index) => ({ nodeId, name: startActorNames[index] })),
+      includeCrew,
+      blacklist?.rules
+    );
+    return { valid: reasons.length === 0, reasons, unavailable: false };
+  } catch (error) {
+    console.error('Error verifying tree against TMDB:', error);
+    return { valid: false, reasons: ['TMDB unavailable during verification'], unavailable: true };
+  }
+}
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fetchTMDB } from './tmdbUtils.js';
+import { verifyPathHops, verifyTreeHops } from './gameVerification.js';
+
+vi.mock('./tmdbUtils.js', () => ({
+  tmdbRateLimiter: null,
+  fetchTMDB: vi.fn()
+}));
+
+// Cast lists by title; people are credited in exactly the titles that list them
+const CAST = {
+  'movie-10': [1, 2],
+  'movie-20': [2, 3],
+  'movie-30': [2, 4],
+  'tv-40': [1, 5]
+};
+
+function serveTMDB(path) {
+  const [, type, rawId] = /^\/(person|movie|tv)\/(\d+)/.exec(path);
+  const id = Number(rawId);
+
+  if (type === 'person') {
+    const titles = Object.keys(CAST).filter(nodeId => CAST[nodeId].includes(id));
+    const creditsOf = (prefix) => ({
+      cast: titles.filter(nodeId => nodeId.startsWith(prefix)).map(nodeId => ({ id: Number(nodeId.split('-')[1]) })),
+      crew: []
+    });
+    return { id, name: `Person ${id}`, movie_credits: creditsOf('movie-'), tv_credits: creditsOf('tv-') };
+  }
+
+  const cast = (CAST[`${type}-${id}`] || []).map(personId => ({ id: personId }));
+  return type === 'movie'
+    ? { id, title: `Movie ${id}`, runtime: id * 5, credits: { cast, crew: [] } }
+    : { id, name: `Show ${id}`, aggregate_credits: { cast, crew: [] } };
+}
+
+beforeEach(() => {
+  fetchTMDB.mockReset();
+  fetchTMDB.mockImplementation(async (path) => serveTMDB(path));
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('verifyPathHops', () => {
+  const names = ['Person 1', 'Person 3'];
+
+  it('accepts a path whose every hop is a credit', async () => {
+    const result = await verifyPathHops(['person-1', 'movie-10', 'person-2', 'movie-20', 'person-3'], { startActorNames: names });
+    expect(result).toEqual({ valid: true, reasons: [], unavailable: false });
+  });
+
+  it('rejects a hop without a credit', async () => {
+    const result = await verifyPathHops(['person-1', 'movie-20', 'person-3'], { startActorNames: names });
+    expect(result.valid).toBe(false);
+    expect(result.reasons).toContain('No credit links person-1 and movie-20');
+  });
+
+  it('rejects malformed paths before asking TMDB', async () => {
+    const cases = [
+      [['person-1', 'person-3'], 'at least one connection'],
+      [['person-1', 'movie-10', 'movie-20', 'person-3'], 'Invalid hop'],
+      [['person-1', 'movie-10', 'person-1', 'movie-10', 'person-3'], 'same node twice'],
+      [['movie-10', 'person-2', 'movie-20'], 'starting actors']
+    ];
+
+    for (const [path, reason] of cases) {
+      const result = await verifyPathHops(path, { startActorNames: names });
+      expect(result.valid).toBe(false);
+      expect(result.reasons[0]).toContain(reason);
+    }
+    expect(fetchTMDB).not.toHaveBeenCalled();
+  });
+
+  it('rejects titles the challenge blocks', async () => {
+    const result = await verifyPathHops(['person-1', 'movie-10', 'person-2', 'movie-20', 'person-3'], {
+      startActorNames: names,
+      blacklist: { blockedMovies: { 20: true }, blockedTvShows: {} }
+    });
+    expect(result.reasons).toEqual(['movie-20 is not allowed in this challenge']);
+  });
+
+  it('checks rule challenges on the details of each title', async () => {
+    const result = await verifyPathHops(['person-1', 'movie-10', 'person-2', 'movie-20', 'person-3'], {
+      startActorNames: names,
+      blacklist: { blockedMovies: {}, blockedTvShows: {}, rules: { include: { runtime: { max: 60 } } } }
+    });
+    expect(result.reasons).toEqual(['movie-20 is not allowed in this challenge']);
+  });
+
+  it('checks the submitted starting actor names', async () => {
+    const result = await verifyPathHops(['person-1', 'movie-10', 'person-2'], { startActorNames: ['Someone Else', 'Person 2'] });
+    expect(result.reasons).toContain('Starting actor mismatch: Someone Else');
+  });
+
+  it('accepts paths between titles in reverse games', async () => {
+    const result = await verifyPathHops(['movie-10', 'person-2', 'movie-20'], { startsFromTitles: true });
+    expect(result.valid).toBe(true);
+  });
+
+  it('reports TMDB outages as unavailable rather than invalid', async () => {
+    fetchTMDB.mockRejectedValue(new Error('TMDB API error: 503'));
+    const result = await verifyPathHops(['person-1', 'movie-10', 'person-2'], { startActorNames: names });
+    expect(result).toMatchObject({ valid: false, unavailable: true });
+  });
+});
+
+describe('verifyTreeHops', () => {
+  const startActorIds = ['person-1', 'person-3', 'person-4'];
+
+  it('accepts a tree joining every starting actor', async () => {
+    const result = await verifyTreeHops([
+      ['person-1', 'movie-10'], ['movie-10', 'person-2'],
+      ['person-2', 'movie-20'], ['movie-20', 'person-3'],
+      ['person-2', 'movie-30'], ['movie-30', 'person-4']
+    ], { startActorIds });
+    expect(result.valid).toBe(true);
+  });
+
+  it('rejects edges that form a cycle or leave pieces apart', async () => {
+    const cycle = await verifyTreeHops([
+      ['person-1', 'movie-10'], ['movie-10', 'person-2'],
+      ['person-2', 'tv-40'], ['tv-40', 'person-1']
+    ], { startActorIds: ['person-1', 'person-2'] });
+    expect(cycle.reasons).toEqual(['Connections do not form a single tree']);
+
+    const apart = await verifyTreeHops([
+      ['person-1', 'movie-10'], ['person-3', 'movie-20']
+    ], { startActorIds: ['person-1', 'person-3'] });
+    expect(apart.reasons).toEqual(['Connections do not form a single tree']);
+  });
+
+  it('rejects a tree that misses a starting actor', async () => {
+    const result = await verifyTreeHops([
+      ['person-1', 'movie-10'], ['movie-10', 'person-2'],
+      ['person-2', 'movie-20'], ['movie-20', 'person-3']
+    ], { startActorIds });
+    expect(result.reasons).toEqual(['Tree does not reach starting actor person-4']);
+  });
+});
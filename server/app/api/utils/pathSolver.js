@@ -0,0 +1,360 @@
+/**
+ * Optimal path solver
+ * Finds the minimum number of hops between two entities using a bidirectional
+ * breadth-first search over TMDB credits. The credit graph is bipartite
+ * (people <-> movies/TV shows), so the search alternates entity types per layer.
+ */
+import NodeCache from 'node-cache';
+import { tmdbRateLimiter, fetchTMDB } from './tmdbUtils.js';
+import { isBlockedByRules } from './challengeRules.js';
+
+// Credits rarely change, so cache them across requests for six hours
+const creditsCache = new NodeCache({ stdTTL: 6 * 60 * 60, useClones: false });
+
+/**
+ * Default search budgets
+ * A single layer of popular titles can fan out to thousands of people, so the search
+ * stops once the next layer would exceed these limits, or partway through a layer once
+ * time runs out. Sized for the shared limiter (35 requests per 10 s) to finish well
+ * inside a route's 60 s.
+ */
+export const SOLVER_LIMITS = {
+  maxRequests: 150,
+  timeBudgetMs: 40000,
+  maxPathLength: 7, // Intermediate nodes, same semantics as the client's pathLength
+  batchSize: 20
+};
+
+// Crew jobs that count as connections in crew games
+// Keep in sync with CREW_CONNECTION_JOBS in client/src/utils/constants.js
+export const CREW_CONNECTION_JOBS = [
+  'Director',
+  'Co-Director',
+  'Writer',
+  'Screenplay',
+  'Story',
+  'Teleplay',
+  'Novel',
+  'Original Music Composer',
+  'Composer',
+  'Music'
+];
+
+/**
+ * Check whether a crew credit counts as a connection
+ * TV aggregate credits list their jobs in a `jobs` array instead of a single `job`
+ * @param {Object} credit - TMDB crew credit
+ * @returns {boolean} True if any of the credit's jobs connects
+ */
+export function isConnectingCrewCredit(credit) {
+  const jobs = Array.isArray(credit?.jobs) ? credit.jobs.map(entry => entry.job) : [credit?.job];
+  return jobs.some(job => CREW_CONNECTION_JOBS.includes(job));
+}
+
+/**
+ * Parse a board node ID ("person-123", "movie-456", "tv-789")
+ * @param {string} nodeId - Node ID in the client's format
+ * @returns {Object|null} { type, id } or null if the format is invalid
+ */
+export function parseNodeId(nodeId) {
+  const match = /^(person|movie|tv)-(\d+)$/.exec(nodeId || '');
+  if (!match) {
+    return null;
+  }
+  return { type: match[1], id: parseInt(match[2], 10) };
+}
+
+/**
+ * Build the storage key for a solved pair
+ * Challenge-less games are stored under 'for-fun', matching the saved game mode
+ * @param {string} fromNodeId - Start node
+ * @param {string} toNodeId - Target node
+ * @param {string|null} challengeName - Challenge mode
+ * @returns {string} Key safe for use as a Firebase path segment
+ */
+export function getOptimalPathKey(fromNodeId, toNodeId, challengeName) {
+  return `${fromNodeId}_${toNodeId}_${challengeName || 'for-fun'}`;
+}
+
+/**
+ * Check whether a movie or TV show is excluded by a challenge blacklist
+ * Rule-based challenges also check each title's details with isBlockedByRules.
+ * @param {string} type - 'movie' or 'tv'
+ * @param {number} id - TMDB ID
+ * @param {Object} blacklist - { blockedMovies, blockedTvShows } - either may be '*'
+ * @returns {boolean} True if the title is blocked
+ */
+export function isTitleBlocked(type, id, blacklist) {
+  if (!blacklist) return false;
+
+  const blocked = type === 'movie' ? blacklist.blockedMovies : blacklist.blockedTvShows;
+  if (blocked === '*') return true;
+
+  return Boolean(blocked && blocked[id.toString()]);
+}
+
+// Title fields challenge rules are evaluated on
+const RULE_FIELDS = [
+  'genre_ids', 'genres', 'production_companies', 'original_language',
+  'release_date', 'first_air_date', 'runtime', 'episode_run_time', 'release_dates'
+];
+
+/**
+ * Keep the fields of a TMDB title that challenge rules look at
+ */
+function pickRuleFields(data) {
+  return Object.fromEntries(RULE_FIELDS.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+}
+
+/**
+ * Fetch an entity and its neighbours in the credit graph
+ * Neighbours without an image are skipped to match the client's global image filter
+ * @returns {Promise<Object>} { summary, fields, neighbors: [{ nodeId, summary, fields }] } - fields
+ *   holds a title's rule fields: full details for the entity, the credit's subset for neighbours
+ */
+async function fetchEntityNeighbors(nodeId, rateLimiter, includeCrew = false) {
+  const cacheKey = includeCrew ? `${nodeId}:crew` : nodeId;
+  const cached = creditsCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const { type, id } = parseNodeId(nodeId);
+  const neighbors = [];
+  let summary;
+  let fields = null;
+
+  if (type === 'person') {
+    const data = await fetchTMDB(`/person/${id}?append_to_response=movie_credits,tv_credits`, rateLimiter);
+    summary = { id: nodeId, type, name: data.name, image: data.profile_path || null };
+
+    const movieCredits = [
+      ...(data.movie_credits?.cast || []),
+      ...(includeCrew ? (data.movie_credits?.crew || []).filter(isConnectingCrewCredit) : [])
+    ];
+    const tvCredits = [
+      ...(data.tv_credits?.cast || []),
+      ...(includeCrew ? (data.tv_credits?.crew || []).filter(isConnectingCrewCredit) : [])
+    ];
+
+    movieCredits.forEach(movie => {
+      if (!movie.id || !movie.title || !movie.poster_path) return;
+      neighbors.push({
+        nodeId: `movie-${movie.id}`,
+        summary: { id: `movie-${movie.id}`, type: 'movie', name: movie.title, image: movie.poster_path },
+        fields: pickRuleFields(movie)
+      });
+    });
+
+    tvCredits.forEach(show => {
+      if (!show.id || !show.name || !show.poster_path) return;
+      neighbors.push({
+        nodeId: `tv-${show.id}`,
+        summary: { id: `tv-${show.id}`, type: 'tv', name: show.name, image: show.poster_path },
+        fields: pickRuleFields(show)
+      });
+    });
+  } else {
+    const creditsKey = type === 'movie' ? 'credits' : 'aggregate_credits';
+    const append = type === 'movie' ? 'credits,release_dates' : creditsKey;
+    const data = await fetchTMDB(`/${type}/${id}?append_to_response=${append}`, rateLimiter);
+    summary = { id: nodeId, type, name: data.title || data.name, image: data.poster_path || null };
+    fields = pickRuleFields(data);
+
+    const people = [
+      ...(data[creditsKey]?.cast || []),
+      ...(includeCrew ? (data[creditsKey]?.crew || []).filter(isConnectingCrewCredit) : [])
+    ];
+
+    people.forEach(person => {
+      if (!person.id || !person.name || !person.profile_path) return;
+      neighbors.push({
+        nodeId: `person-${person.id}`,
+        summary: { id: `person-${person.id}`, type: 'person', name: person.name, image: person.profile_path }
+      });
+    });
+  }
+
+  const result = { summary, fields, neighbors };
+  creditsCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Walk parent pointers from a node back to the root of its search side
+ */
+function tracePath(parents, nodeId) {
+  const path = [];
+  let current = nodeId;
+  while (current) {
+    path.push(current);
+    current = parents.get(current);
+  }
+  return path;
+}
+
+/**
+ * Find the optimal path between two board nodes
+ * Always expands the smaller frontier by one full layer; the first layer that
+ * meets the other side therefore yields a shortest path.
+ *
+ * @param {string} fromNodeId - Start node (e.g. "person-287")
+ * @param {string} toNodeId - Target node (e.g. "person-1136406")
+ * @param {Object} options - { blacklist, limits, includeCrew, avoidNodes } - includeCrew also follows
+ *   directing, writing and music credits; avoidNodes lists node IDs the path may not pass through
+ * @returns {Promise<Object>} Result with found/optimal flags, pathLength, fullPath and pathDetails
+ */
+export async function solveOptimalPath(fromNodeId, toNodeId, options = {}) {
+  const limits = { ...SOLVER_LIMITS, ...(options.limits || {}) };
+  const blacklist = options.blacklist || null;
+  const includeCrew = options.includeCrew === true;
+  const avoidNodes = new Set(options.avoidNodes || []);
+  const rateLimiter = options.rateLimiter || tmdbRateLimiter;
+  const rules = blacklist?.rules || null;
+  const startTime = Date.now();
+
+  if (!parseNodeId(fromNodeId) || !parseNodeId(toNodeId)) {
+    throw new Error('Invalid node IDs');
+  }
+  if (fromNodeId === toNodeId) {
+    throw new Error('Start and target must be different');
+  }
+
+  const roots = new Set([fromNodeId, toNodeId]);
+
+  const summaries = new Map();
+  const sides = [fromNodeId, toNodeId].map(root => ({
+    parents: new Map([[root, null]]),
+    frontier: [root],
+    depth: 0
+  }));
+
+  let requests = 0;
+  let meetingNode = null;
+  let budgetExhausted = false;
+
+  // Credit summaries lack some rule criteria, so titles on the path are checked again on their
+  // details: expanded titles when they're expanded, and the title the sides meet at here
+  const isMeetingTitleAllowed = async (nodeId) => {
+    try {
+      requests++;
+      const { fields } = await fetchEntityNeighbors(nodeId, rateLimiter, includeCrew);
+      return !isBlockedByRules(fields, parseNodeId(nodeId).type, rules);
+    } catch (error) {
+      console.error(`Path solver failed to check ${nodeId}:`, error.message);
+      return false;
+    }
+  };
+
+  while (!meetingNode && sides[0].frontier.length > 0 && sides[1].frontier.length > 0) {
+    const sideIndex = sides[0].frontier.length <= sides[1].frontier.length ? 0 : 1;
+    const side = sides[sideIndex];
+    const otherSide = sides[1 - sideIndex];
+
+    // Any path found by this layer has depth + depth + 1 edges
+    if (side.depth + otherSide.depth + 1 > limits.maxPathLength + 1) {
+      budgetExhausted = true;
+      break;
+    }
+    if (requests + side.frontier.length > limits.maxRequests ||
+        Date.now() - startTime > limits.timeBudgetMs) {
+      budgetExhausted = true;
+      break;
+    }
+
+    const nextFrontier = [];
+    let layerCut = false;
+
+    for (let i = 0; i < side.frontier.length && !meetingNode; i += limits.batchSize) {
+      // A wide layer can outlast the time budget by itself
+      if (Date.now() - startTime > limits.timeBudgetMs) {
+        layerCut = true;
+        break;
+      }
+      const batch = side.frontier.slice(i, i + limits.batchSize);
+      const results = await Promise.all(batch.map(async nodeId => {
+        try {
+          return { nodeId, ...(await fetchEntityNeighbors(nodeId, rateLimiter, includeCrew)) };
+        } catch (error) {
+          console.error(`Path solver failed to expand ${nodeId}:`, error.message);
+          return null;
+        }
+      }));
+      requests += batch.length;
+
+      for (const result of results) {
+        if (!result) continue;
+        summaries.set(result.nodeId, result.summary);
+
+        // A title the rules block is a dead end
+        const resultType = parseNodeId(result.nodeId).type;
+        if (resultType !== 'person' && !roots.has(result.nodeId) && isBlockedByRules(result.fields, resultType, rules)) continue;
+
+        for (const neighbor of result.neighbors) {
+          const { type, id } = parseNodeId(neighbor.nodeId);
+          if (type !== 'person' && (isTitleBlocked(type, id, blacklist) || isBlockedByRules(neighbor.fields, type, rules))) continue;
+          if (avoidNodes.has(neighbor.nodeId)) continue;
+          if (side.parents.has(neighbor.nodeId)) continue;
+
+          side.parents.set(neighbor.nodeId, result.nodeId);
+          if (!summaries.has(neighbor.nodeId)) {
+            summaries.set(neighbor.nodeId, neighbor.summary);
+          }
+          nextFrontier.push(neighbor.nodeId);
+
+          if (!meetingNode && otherSide.parents.has(neighbor.nodeId)) {
+            const needsCheck = type !== 'person' && rules && !roots.has(neighbor.nodeId);
+            if (!needsCheck || await isMeetingTitleAllowed(neighbor.nodeId)) {
+              meetingNode = neighbor.nodeId;
+            }
+          }
+        }
+      }
+    }
+
+    // An unfinished layer proves nothing about its depth
+    if (layerCut && !meetingNode) {
+      budgetExhausted = true;
+      break;
+    }
+
+    side.frontier = nextFrontier;
+    side.depth++;
+  }
+
+  const stats = {
+    requests,
+    durationMs: Date.now() - startTime,
+    depths: [sides[0].depth, sides[1].depth]
+  };
+
+  if (!meetingNode) {
+    // The graph is bipartite: same-type endpoints need an even number of edges
+    const fromIsPerson = parseNodeId(fromNodeId).type === 'person';
+    const sameType = fromIsPerson === (parseNodeId(toNodeId).type === 'person');
+    let minEdges = sides[0].depth + sides[1].depth + 1;
+    if ((minEdges % 2 === 0) !== sameType) minEdges++;
+
+    return {
+      found: false,
+      // An exhausted frontier proves there is no path; a budget stop only gives a lower bound
+      optimal: !budgetExhausted,
+      minimumPathLength: budgetExhausted ? minEdges - 1 : null,
+      stats
+    };
+  }
+
+  const fullPath = [
+    ...tracePath(sides[0].parents, meetingNode).reverse(),
+    ...tracePath(sides[1].parents, meetingNode).slice(1)
+  ];
+
+  return {
+    found: true,
+    optimal: true,
+    pathLength: fullPath.length - 2,
+    fullPath,
+    pathDetails: fullPath.map(nodeId => summaries.get(nodeId) || { id: nodeId }),
+    stats
+  };
+}
@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fetchTMDB } from './tmdbUtils.js';
+import {
+  solveOptimalPath,
+  parseNodeId,
+  getOptimalPathKey,
+  isTitleBlocked,
+  isConnectingCrewCredit
+} from './pathSolver.js';
+
+vi.mock('./tmdbUtils.js', () => ({
+  tmdbRateLimiter: null,
+  fetchTMDB: vi.fn()
+}));
+
+// Small credit graph served in place of TMDB: [personId, nodeId] cast links and
+// [personId, nodeId, job] crew links
+const CAST = [
+  [1, 'movie-10'], [2, 'movie-10'],
+  [2, 'movie-20'], [3, 'movie-20'],
+  [1, 'tv-30'], [4, 'tv-30'],
+  [4, 'movie-40'], [3, 'movie-40'],
+  [7, 'movie-60'], [8, 'movie-60']
+];
+const CREW = [
+  [6, 'movie-50', 'Director'], [1, 'movie-50', null],
+  [6, 'movie-20', 'Best Boy Grip']
+];
+
+// Person credits carry release dates; runtimes are only on the title details
+const RELEASES = { 'movie-10': '1999-05-01', 'movie-20': '2005-01-01', 'movie-40': '2010-01-01', 'movie-50': '2001-01-01', 'movie-60': '2002-01-01' };
+const RUNTIMES = { 'movie-10': 100, 'movie-20': 200, 'movie-40': 90, 'movie-50': 95, 'movie-60': 95 };
+
+function serveTMDB(path) {
+  const [, type, rawId] = /^\/(person|movie|tv)\/(\d+)/.exec(path);
+  const id = Number(rawId);
+
+  if (type === 'person') {
+    const credits = { movie_credits: { cast: [], crew: [] }, tv_credits: { cast: [], crew: [] } };
+    const add = (nodeId, job) => {
+      const title = parseNodeId(nodeId);
+      const bucket = credits[title.type === 'movie' ? 'movie_credits' : 'tv_credits'];
+      const entry = { id: title.id, poster_path: `/${nodeId}.jpg`, [title.type === 'movie' ? 'title' : 'name']: nodeId };
+      if (title.type === 'movie') entry.release_date = RELEASES[nodeId];
+      if (job) bucket.crew.push({ ...entry, job });
+      else bucket.cast.push(entry);
+    };
+    CAST.filter(([personId]) => personId === id).forEach(([, nodeId]) => add(nodeId, null));
+    CREW.filter(([personId]) => personId === id).forEach(([, nodeId, job]) => add(nodeId, job));
+    return { id, name: `Person ${id}`, profile_path: `/person-${id}.jpg`, ...credits };
+  }
+
+  const nodeId = `${type}-${id}`;
+  const person = (personId) => ({ id: personId, name: `Person ${personId}`, profile_path: `/person-${personId}.jpg` });
+  const creditsKey = type === 'movie' ? 'credits' : 'aggregate_credits';
+  return {
+    id,
+    [type === 'movie' ? 'title' : 'name']: nodeId,
+    poster_path: `/${nodeId}.jpg`,
+    ...(type === 'movie' && { release_date: RELEASES[nodeId], runtime: RUNTIMES[nodeId] }),
+    [creditsKey]: {
+      cast: [...CAST, ...CREW.filter(([, , job]) => !job)]
+        .filter(([, titleId]) => titleId === nodeId)
+        .map(([personId]) => person(personId)),
+      crew: CREW.filter(([, titleId, job]) => titleId === nodeId && job)
+        .map(([personId, , job]) => ({ ...person(personId), job }))
+    }
+  };
+}
+
+beforeEach(() => {
+  fetchTMDB.mockReset();
+  fetchTMDB.mockImplementation(async (path) => serveTMDB(path));
+});
+
+describe('parseNodeId', () => {
+  it('parses person, movie and tv node IDs', () => {
+    expect(parseNodeId('person-287')).toEqual({ type: 'person', id: 287 });
+    expect(parseNodeId('movie-550')).toEqual({ type: 'movie', id: 550 });
+    expect(parseNodeId('tv-1399')).toEqual({ type: 'tv', id: 1399 });
+  });
+
+  it('rejects anything else', () => {
+    expect(parseNodeId('episode-1')).toBeNull();
+    expect(parseNodeId('person-')).toBeNull();
+    expect(parseNodeId(undefined)).toBeNull();
+  });
+});
+
+describe('getOptimalPathKey', () => {
+  it('stores challenge-less games under for-fun', () => {
+    expect(getOptimalPathKey('person-1', 'person-2', null)).toBe('person-1_person-2_for-fun');
+    expect(getOptimalPathKey('person-1', 'person-2', 'no-marvel')).toBe('person-1_person-2_no-marvel');
+  });
+});
+
+describe('isTitleBlocked', () => {
+  it('blocks listed titles and wildcard types', () => {
+    const blacklist = { blockedMovies: { 10: { id: 10 } }, blockedTvShows: '*' };
+    expect(isTitleBlocked('movie', 10, blacklist)).toBe(true);
+    expect(isTitleBlocked('movie', 11, blacklist)).toBe(false);
+    expect(isTitleBlocked('tv', 30, blacklist)).toBe(true);
+    expect(isTitleBlocked('movie', 10, null)).toBe(false);
+  });
+
+});
+
+describe('isConnectingCrewCredit', () => {
+  it('matches single jobs and TV aggregate job lists', () => {
+    expect(isConnectingCrewCredit({ job: 'Director' })).toBe(true);
+    expect(isConnectingCrewCredit({ job: 'Best Boy Grip' })).toBe(false);
+    expect(isConnectingCrewCredit({ jobs: [{ job: 'Gaffer' }, { job: 'Writer' }] })).toBe(true);
+  });
+});
+
+describe('solveOptimalPath', () => {
+  // First in the block, while the solver's credits cache is still empty
+  it('stops partway through a layer once the time budget runs out', async () => {
+    // Every TMDB request takes a second: the third layer (movie-10, tv-30) is cut after its first batch
+    let clock = 0;
+    const now = vi.spyOn(Date, 'now').mockImplementation(() => clock);
+    fetchTMDB.mockImplementation(async (path) => {
+      clock += 1000;
+      return serveTMDB(path);
+    });
+
+    const result = await solveOptimalPath('person-1', 'person-3', { limits: { timeBudgetMs: 2500, batchSize: 1 } });
+    now.mockRestore();
+
+    expect(result).toMatchObject({ found: false, optimal: false });
+    expect(result.stats.requests).toBe(3);
+    expect(result.stats.depths).toEqual([1, 1]);
+  });
+
+  it('finds a shortest path through the credit graph', async () => {
+    const result = await solveOptimalPath('person-1', 'person-3');
+
+    expect(result.found).toBe(true);
+    expect(result.optimal).toBe(true);
+    expect(result.pathLength).toBe(3);
+    expect(result.fullPath[0]).toBe('person-1');
+    expect(result.fullPath[result.fullPath.length - 1]).toBe('person-3');
+    expect(result.pathDetails[0]).toMatchObject({ id: 'person-1', name: 'Person 1' });
+  });
+
+  it('returns a direct co-star link as a single intermediate', async () => {
+    const result = await solveOptimalPath('person-2', 'person-3');
+    expect(result.fullPath).toEqual(['person-2', 'movie-20', 'person-3']);
+    expect(result.pathLength).toBe(1);
+  });
+
+  it('routes around blocked titles and avoided nodes', async () => {
+    const blocked = await solveOptimalPath('person-1', 'person-3', {
+      blacklist: { blockedMovies: { 10: true }, blockedTvShows: {} }
+    });
+    expect(blocked.fullPath).toEqual(['person-1', 'tv-30', 'person-4', 'movie-40', 'person-3']);
+
+    const avoided = await solveOptimalPath('person-1', 'person-3', { avoidNodes: ['person-4'] });
+    expect(avoided.fullPath).toEqual(['person-1', 'movie-10', 'person-2', 'movie-20', 'person-3']);
+  });
+
+  it('checks rule challenges on credits and on the details of the titles it passes', async () => {
+    const sinceTwoThousand = await solveOptimalPath('person-1', 'person-3', {
+      blacklist: { blockedMovies: {}, blockedTvShows: {}, rules: { include: { years: { from: 2000 } } } }
+    });
+    expect(sinceTwoThousand.fullPath).toEqual(['person-1', 'tv-30', 'person-4', 'movie-40', 'person-3']);
+
+    // Runtime isn't on person credits, so the sides meet at movie-20 before it shows as too long
+    const short = await solveOptimalPath('person-2', 'person-3', {
+      blacklist: { blockedMovies: {}, blockedTvShows: {}, rules: { include: { runtime: { max: 120 } } } }
+    });
+    expect(short.fullPath).toEqual(['person-2', 'movie-10', 'person-1', 'tv-30', 'person-4', 'movie-40', 'person-3']);
+  });
+
+  it('follows connecting crew credits only when asked', async () => {
+    const castOnly = await solveOptimalPath('person-6', 'person-1');
+    expect(castOnly).toMatchObject({ found: false, optimal: true });
+
+    const withCrew = await solveOptimalPath('person-6', 'person-1', { includeCrew: true });
+    expect(withCrew.fullPath).toEqual(['person-6', 'movie-50', 'person-1']);
+  });
+
+  it('proves there is no path when a side runs out of nodes', async () => {
+    const result = await solveOptimalPath('person-1', 'person-7');
+    expect(result).toMatchObject({ found: false, optimal: true, minimumPathLength: null });
+  });
+
+  it('reports a lower bound when the search budget runs out', async () => {
+    const result = await solveOptimalPath('person-1', 'person-3', { limits: { maxPathLength: 1 } });
+    expect(result.found).toBe(false);
+    expect(result.optimal).toBe(false);
+    expect(result.minimumPathLength).toBeGreaterThan(1);
+  });
+
+  it('rejects invalid or identical endpoints', async () => {
+    await expect(solveOptimalPath('person-1', 'nobody')).rejects.toThrow('Invalid node IDs');
+    await expect(solveOptimalPath('person-1', 'person-1')).rejects.toThrow('must be different');
+  });
+});
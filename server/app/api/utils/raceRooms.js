@@ -0,0 +1,365 @@
+/**
+ * Race rooms
+ * In-memory registry of head-to-head races. Two players join a room by its code, race on
+ * the same starting pair, and every change to the room is pushed to the players' event
+ * streams. Rooms only exist in this server process, so races need a single server instance
+ * (which is what `next dev` and `next start` run locally).
+ */
+import { randomInt, randomUUID } from 'crypto';
+import { verifyPathHops } from './gameVerification.js';
+
+export const RACE_MAX_PLAYERS = 2;
+
+// Rooms are dropped this long after their last change
+const ROOM_IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+
+// No 0/O or 1/I so codes are easy to read out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_NAME_LENGTH = 24;
+const MAX_PATH_LENGTH = 50;
+
+// Kept on globalThis so rooms survive route modules being reloaded in development
+const rooms = globalThis.silversyncRaceRooms || (globalThis.silversyncRaceRooms = new Map());
+
+/**
+ * Create an error carrying the HTTP status the route should answer with
+ */
+function raceError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Drop rooms nobody has touched for a while
+ */
+function purgeIdleRooms() {
+  const cutoff = Date.now() - ROOM_IDLE_TTL_MS;
+  for (const [code, room] of rooms) {
+    if (room.updatedAt < cutoff) {
+      rooms.delete(code);
+    }
+  }
+}
+
+function createRoomCode() {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+function cleanName(name) {
+  const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+  return trimmed || 'Player';
+}
+
+function createPlayer(name) {
+  return {
+    id: randomUUID().slice(0, 8),
+    token: randomUUID(),
+    name: cleanName(name),
+    nodeCount: 0,
+    pathLength: null,
+    finishedAt: null,
+    raceSeconds: null,
+    score: null,
+    path: null,
+    left: false
+  };
+}
+
+/**
+ * Get a room by code or fail with a 404
+ * Idle rooms are dropped first, so every request that reaches a room also cleans up.
+ */
+function requireRoom(code) {
+  purgeIdleRooms();
+  const room = rooms.get(String(code || '').toUpperCase());
+  if (!room) {
+    throw raceError(`Race ${code} not found`, 404);
+  }
+  return room;
+}
+
+/**
+ * Get the player a token belongs to or fail with a 403
+ */
+function requirePlayer(room, token) {
+  const player = room.players.find(candidate => candidate.token === token);
+  if (!player) {
+    throw raceError('Not a player in this race', 403);
+  }
+  return player;
+}
+
+/**
+ * Public view of a room: player tokens are never sent out
+ * @param {Object} room - Room from the registry
+ * @returns {Object} Room state safe to send to both players
+ */
+function toRoomState(room) {
+  return {
+    code: room.code,
+    status: room.status,
+    hostId: room.hostId,
+    actors: room.actors,
+    startedAt: room.startedAt,
+    winnerId: room.winnerId,
+    players: room.players.map(({ token, ...player }) => player)
+  };
+}
+
+/**
+ * Mark the race finished once every player still in it has finished
+ */
+function settleRoom(room) {
+  if (room.status !== 'playing') return;
+  const racing = room.players.filter(player => !player.left);
+  if (racing.every(player => player.finishedAt)) {
+    room.status = 'finished';
+  }
+}
+
+/**
+ * Record a change and push the new state to every subscriber
+ */
+function touchRoom(room) {
+  room.updatedAt = Date.now();
+  const state = toRoomState(room);
+  for (const listener of room.listeners) {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error(`Race ${room.code} listener failed:`, error);
+      room.listeners.delete(listener);
+    }
+  }
+  return state;
+}
+
+/**
+ * Open a new race room
+ * @param {string} name - Display name of the host
+ * @returns {Object} { room, player: { id, token } }
+ */
+export function createRoom(name) {
+  purgeIdleRooms();
+
+  const host = createPlayer(name);
+  const room = {
+    code: createRoomCode(),
+    status: 'waiting',
+    hostId: host.id,
+    actors: null,
+    startedAt: null,
+    winnerId: null,
+    players: [host],
+    listeners: new Set(),
+    updatedAt: Date.now()
+  };
+  rooms.set(room.code, room);
+
+  return { room: toRoomState(room), player: { id: host.id, token: host.token } };
+}
+
+/**
+ * Join a waiting race room
+ * @param {string} code - Room code
+ * @param {string} name - Display name of the joining player
+ * @returns {Object} { room, player: { id, token } }
+ */
+export function joinRoom(code, name) {
+  const room = requireRoom(code);
+  if (room.status !== 'waiting') {
+    throw raceError('This race has already started', 409);
+  }
+  if (room.players.length >= RACE_MAX_PLAYERS) {
+    throw raceError('This race is full', 409);
+  }
+
+  const player = createPlayer(name);
+  room.players.push(player);
+
+  return { room: touchRoom(room), player: { id: player.id, token: player.token } };
+}
+
+/**
+ * Check that the host may start a room before its actors are picked
+ * @param {string} code - Room code
+ * @param {string} token - Host token
+ */
+export function assertCanStart(code, token) {
+  const room = requireRoom(code);
+  const player = requirePlayer(room, token);
+  if (player.id !== room.hostId) {
+    throw raceError('Only the host can start the race', 403);
+  }
+  if (room.status !== 'waiting') {
+    throw raceError('This race has already started', 409);
+  }
+  if (room.players.length < RACE_MAX_PLAYERS) {
+    throw raceError('Waiting for an opponent to join', 409);
+  }
+}
+
+/**
+ * Start a race on a starting pair
+ * @param {string} code - Room code
+ * @param {string} token - Host token
+ * @param {Array} actors - The two starting actors [{ id, name, profile_path }, ...]
+ * @returns {Object} Room state
+ */
+export function startRoom(code, token, actors) {
+  assertCanStart(code, token);
+  const room = requireRoom(code);
+
+  room.status = 'playing';
+  room.actors = actors;
+  room.startedAt = Date.now();
+
+  return touchRoom(room);
+}
+
+/**
+ * Update a player's live progress
+ * @param {string} code - Room code
+ * @param {string} token - Player token
+ * @param {Object} progress - { nodeCount, pathLength }
+ * @returns {Object} Room state
+ */
+export function updateProgress(code, token, { nodeCount, pathLength }) {
+  const room = requireRoom(code);
+  const player = requirePlayer(room, token);
+  if (room.status !== 'playing' || player.finishedAt || player.left) {
+    return toRoomState(room);
+  }
+
+  if (Number.isInteger(nodeCount) && nodeCount >= 0) {
+    player.nodeCount = nodeCount;
+  }
+  player.pathLength = Number.isInteger(pathLength) && pathLength > 0 ? pathLength : null;
+
+  return touchRoom(room);
+}
+
+/**
+ * Check that a finishing path links the race's two starting actors, in either direction
+ * @returns {Promise<Array>} The path's steps [{ id, name }]
+ */
+async function verifyRacePath(room, path) {
+  if (!Array.isArray(path) || path.length > MAX_PATH_LENGTH) {
+    throw raceError('Missing or invalid path', 400);
+  }
+
+  const steps = path.map(step => ({ id: String(step?.id || ''), name: cleanName(step?.name) }));
+  const actors = room.actors.map(actor => ({ nodeId: `person-${actor.id}`, name: actor.name }));
+  const ends = [steps[0]?.id, steps[steps.length - 1]?.id];
+  const ordered = ends[0] === actors[0].nodeId ? actors : [...actors].reverse();
+  if (ends[0] !== ordered[0].nodeId || ends[1] !== ordered[1].nodeId) {
+    throw raceError("Path doesn't connect the race's starting actors", 422);
+  }
+
+  // A TMDB outage shouldn't cost a player the race, so only a failed check rejects the finish
+  const check = await verifyPathHops(steps.map(step => step.id), {
+    startActorNames: ordered.map(actor => actor.name)
+  });
+  if (!check.valid && !check.unavailable) {
+    throw raceError(check.reasons[0], 422);
+  }
+
+  return steps;
+}
+
+/**
+ * Record a player's finish once their path checks out; the first player to finish wins
+ * Race time is measured on the server from the start of the race to the finish request.
+ * @param {string} code - Room code
+ * @param {string} token - Player token
+ * @param {Object} result - { nodeCount, pathLength, score, path: [{ id, name }] }
+ * @returns {Promise<Object>} Room state
+ */
+export async function finishRace(code, token, { nodeCount, pathLength, score, path }) {
+  const room = requireRoom(code);
+  const player = requirePlayer(room, token);
+  if (room.status !== 'playing') {
+    throw raceError('This race is not running', 409);
+  }
+  if (player.finishedAt || player.left) {
+    return toRoomState(room);
+  }
+
+  const finishedAt = Date.now();
+  const steps = await verifyRacePath(room, path);
+
+  // The room may have changed while the path was checked
+  if (room.status !== 'playing' || player.finishedAt || player.left) {
+    return toRoomState(room);
+  }
+
+  player.finishedAt = finishedAt;
+  player.raceSeconds = Math.floor((finishedAt - room.startedAt) / 1000);
+  player.nodeCount = Number.isInteger(nodeCount) && nodeCount >= 0 ? nodeCount : player.nodeCount;
+  player.pathLength = Number.isInteger(pathLength) && pathLength > 0 ? pathLength : player.pathLength;
+  player.score = Number.isFinite(score) ? Math.round(score) : null;
+  player.path = steps;
+
+  // Checks can finish out of order, so the earlier finish request wins
+  const winner = room.players.find(candidate => candidate.id === room.winnerId);
+  if (!winner || finishedAt < winner.finishedAt) {
+    room.winnerId = player.id;
+  }
+  settleRoom(room);
+
+  return touchRoom(room);
+}
+
+/**
+ * Leave a race
+ * A host leaving a room that hasn't started closes it; leaving a running race forfeits it.
+ * @param {string} code - Room code
+ * @param {string} token - Player token
+ * @returns {Object|null} Room state, or null if the room was closed
+ */
+export function leaveRoom(code, token) {
+  const room = requireRoom(code);
+  const player = requirePlayer(room, token);
+
+  if (room.status === 'waiting') {
+    room.players = room.players.filter(candidate => candidate !== player);
+    if (player.id === room.hostId || room.players.length === 0) {
+      room.status = 'closed';
+      touchRoom(room);
+      rooms.delete(room.code);
+      return null;
+    }
+    return touchRoom(room);
+  }
+
+  player.left = true;
+  settleRoom(room);
+  return touchRoom(room);
+}
+
+/**
+ * Get the public state of a room
+ * @param {string} code - Room code
+ * @returns {Object} Room state
+ */
+export function getRoomState(code) {
+  return toRoomState(requireRoom(code));
+}
+
+/**
+ * Listen for changes to a room
+ * @param {string} code - Room code
+ * @param {Function} listener - Called with the room state after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRoom(code, listener) {
+  const room = requireRoom(code);
+  room.listeners.add(listener);
+  return () => room.listeners.delete(listener);
+}
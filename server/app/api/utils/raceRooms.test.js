@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { verifyPathHops } from './gameVerification.js';
+import {
+  createRoom,
+  joinRoom,
+  startRoom,
+  finishRace,
+  leaveRoom,
+  getRoomState,
+  subscribeToRoom
+} from './raceRooms.js';
+
+vi.mock('./gameVerification.js', () => ({
+  verifyPathHops: vi.fn()
+}));
+
+const ACTORS = [{ id: 1, name: 'Actor One' }, { id: 2, name: 'Actor Two' }];
+const PATH = [
+  { id: 'person-1', name: 'Actor One' },
+  { id: 'movie-10', name: 'Movie' },
+  { id: 'person-2', name: 'Actor Two' }
+];
+
+let clock;
+
+beforeEach(() => {
+  clock = 1000000;
+  vi.spyOn(Date, 'now').mockImplementation(() => clock);
+  verifyPathHops.mockReset();
+  verifyPathHops.mockResolvedValue({ valid: true, reasons: [], unavailable: false });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+// A started race between a host and a guest
+function startRace() {
+  const host = createRoom('Host');
+  const guest = joinRoom(host.room.code, 'Guest');
+  startRoom(host.room.code, host.player.token, ACTORS);
+  return { code: host.room.code, host: host.player, guest: guest.player };
+}
+
+describe('createRoom and joinRoom', () => {
+  it('opens a waiting room that takes one opponent', () => {
+    const { room, player } = createRoom('  Host  ');
+    expect(room).toMatchObject({ status: 'waiting', hostId: player.id, winnerId: null });
+    expect(room.players).toEqual([expect.objectContaining({ id: player.id, name: 'Host' })]);
+    expect(room.players[0]).not.toHaveProperty('token');
+
+    const joined = joinRoom(room.code.toLowerCase(), '');
+    expect(joined.room.players.map(entry => entry.name)).toEqual(['Host', 'Player']);
+    expect(() => joinRoom(room.code, 'Third')).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => joinRoom('ZZZZZ0', 'Nobody')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('startRoom', () => {
+  it('only lets the host start once an opponent has joined', () => {
+    const host = createRoom('Host');
+    expect(() => startRoom(host.room.code, host.player.token, ACTORS)).toThrow('Waiting for an opponent to join');
+
+    const guest = joinRoom(host.room.code, 'Guest');
+    expect(() => startRoom(host.room.code, guest.player.token, ACTORS)).toThrow(expect.objectContaining({ status: 403 }));
+
+    const room = startRoom(host.room.code, host.player.token, ACTORS);
+    expect(room).toMatchObject({ status: 'playing', actors: ACTORS, startedAt: clock });
+  });
+});
+
+describe('finishRace', () => {
+  it('makes the first finisher the winner and ends the race when both are done', async () => {
+    const { code, host, guest } = startRace();
+    const listener = vi.fn();
+    subscribeToRoom(code, listener);
+
+    clock += 65000;
+    const afterGuest = await finishRace(code, guest.token, { nodeCount: 3, pathLength: 1, score: 812.4, path: PATH });
+    expect(afterGuest).toMatchObject({ status: 'playing', winnerId: guest.id });
+    expect(afterGuest.players[1]).toMatchObject({ raceSeconds: 65, score: 812, path: PATH });
+
+    clock += 10000;
+    const reversed = [...PATH].reverse();
+    const afterHost = await finishRace(code, host.token, { nodeCount: 5, pathLength: 1, score: 700, path: reversed });
+    expect(afterHost).toMatchObject({ status: 'finished', winnerId: guest.id });
+    expect(afterHost.players[0].raceSeconds).toBe(75);
+    expect(verifyPathHops).toHaveBeenLastCalledWith(['person-2', 'movie-10', 'person-1'], {
+      startActorNames: ['Actor Two', 'Actor One']
+    });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects paths that miss the starting actors or fail verification', async () => {
+    const { code, guest } = startRace();
+    const elsewhere = [PATH[0], PATH[1], { id: 'person-3', name: 'Someone Else' }];
+
+    await expect(finishRace(code, guest.token, { path: elsewhere })).rejects.toMatchObject({ status: 422 });
+    await expect(finishRace(code, guest.token, {})).rejects.toMatchObject({ status: 400 });
+
+    verifyPathHops.mockResolvedValueOnce({ valid: false, reasons: ['Invalid hop'], unavailable: false });
+    await expect(finishRace(code, guest.token, { path: PATH })).rejects.toThrow('Invalid hop');
+    expect(getRoomState(code).winnerId).toBeNull();
+  });
+
+  it('accepts a finish TMDB could not check', async () => {
+    const { code, guest } = startRace();
+    verifyPathHops.mockResolvedValueOnce({ valid: false, reasons: ['TMDB unavailable during verification'], unavailable: true });
+
+    expect(await finishRace(code, guest.token, { path: PATH })).toMatchObject({ winnerId: guest.id });
+  });
+
+  it('gives the win to the earlier finish when checks complete out of order', async () => {
+    const { code, host, guest } = startRace();
+    let releaseHost;
+    verifyPathHops.mockImplementationOnce(() => new Promise(resolve => {
+      releaseHost = () => resolve({ valid: true, reasons: [], unavailable: false });
+    }));
+
+    clock += 1000;
+    const hostFinish = finishRace(code, host.token, { path: PATH });
+    clock += 1000;
+    await finishRace(code, guest.token, { path: PATH });
+    expect(getRoomState(code).winnerId).toBe(guest.id);
+
+    releaseHost();
+    expect(await hostFinish).toMatchObject({ status: 'finished', winnerId: host.id });
+  });
+});
+
+describe('leaveRoom', () => {
+  it('closes a waiting room the host leaves', () => {
+    const host = createRoom('Host');
+    joinRoom(host.room.code, 'Guest');
+
+    expect(leaveRoom(host.room.code, host.player.token)).toBeNull();
+    expect(() => getRoomState(host.room.code)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  it('ends a running race once the last racer still in it finishes', async () => {
+    const { code, host, guest } = startRace();
+
+    expect(leaveRoom(code, host.token)).toMatchObject({ status: 'playing' });
+    const room = await finishRace(code, guest.token, { path: PATH });
+    expect(room).toMatchObject({ status: 'finished', winnerId: guest.id });
+    expect(room.players[0].left).toBe(true);
+  });
+});
+
+describe('idle rooms', () => {
+  it('are dropped when any room is next looked up', () => {
+    const idle = createRoom('Idle');
+    clock += 60 * 60 * 1000;
+    const active = createRoom('Active');
+
+    clock += 90 * 60 * 1000;
+    expect(getRoomState(active.room.code).status).toBe('waiting');
+    expect(() => getRoomState(idle.room.code)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
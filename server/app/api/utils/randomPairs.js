@@ -0,0 +1,163 @@
+/**
+ * Difficulty-calibrated starting pairs
+ * A candidate pair comes from a walk outward from a popular actor through the top-billed
+ * casts of their best-known titles. The path solver then measures the pair's exact
+ * separation under the challenge's blacklist, and pairs outside the difficulty's range
+ * are thrown away. A measured pair is always solvable.
+ */
+import { randomInt } from 'crypto';
+import { tmdbRateLimiter, fetchTMDB } from './tmdbUtils.js';
+import { solveOptimalPath, isTitleBlocked } from './pathSolver.js';
+import { isBlockedByRules } from './challengeRules.js';
+
+/**
+ * Separation targets per challenge difficulty, in hops: the edges between the two actors,
+ * so two co-stars (person - title - person) are 2 hops apart. `pages` is the range of
+ * popular-people pages the walk starts from; less famous actors make harder pairs.
+ */
+export const PAIR_DIFFICULTIES = {
+  Easy: { minHops: 2, maxHops: 2, pages: [1, 5] },
+  Medium: { minHops: 2, maxHops: 4, pages: [1, 10] },
+  Hard: { minHops: 4, maxHops: 4, pages: [1, 15] },
+  Expert: { minHops: 4, maxHops: 8, pages: [5, 25] }
+};
+
+export const DEFAULT_PAIR_DIFFICULTY = 'Medium';
+
+export const PAIR_SEARCH_LIMITS = {
+  timeBudgetMs: 35000,
+  maxAttempts: 10,
+  // Each candidate gets a fraction of a par request's budget, about 9 s of the shared
+  // limiter (35 requests per 10 s), so several candidates fit in the time budget
+  solver: { maxRequests: 30, timeBudgetMs: 8000 }
+};
+
+// Best-known titles and top-billed cast members a walk chooses between
+const WALK_TITLES = 8;
+const WALK_CAST = 10;
+
+// TV genres whose casts aren't co-stars: news, reality and talk shows
+const SKIPPED_TV_GENRES = [10763, 10764, 10767];
+
+const pickRandom = (items) => (items.length > 0 ? items[randomInt(items.length)] : null);
+
+const isActor = (person) => Boolean(person.profile_path) && person.known_for_department === 'Acting';
+
+const toActorSummary = (person) => ({ id: person.id, name: person.name, profile_path: person.profile_path });
+
+/**
+ * Pick a random actor with a photo from the popular-people pages
+ */
+async function pickPopularActor([firstPage, lastPage], rateLimiter) {
+  const page = firstPage + randomInt(lastPage - firstPage + 1);
+  const data = await fetchTMDB(`/person/popular?page=${page}`, rateLimiter);
+  return pickRandom((data.results || []).filter(isActor));
+}
+
+/**
+ * Step from an actor to a top-billed co-star of one of their best-known allowed titles
+ * @returns {Promise<Object|null>} The co-star, or null if the walk is stuck
+ */
+async function walkToCostar(personId, visited, blacklist, rateLimiter) {
+  const person = await fetchTMDB(`/person/${personId}?append_to_response=movie_credits,tv_credits`, rateLimiter);
+  const titles = [
+    ...(person.movie_credits?.cast || []).map(credit => ({ ...credit, type: 'movie' })),
+    ...(person.tv_credits?.cast || [])
+      .filter(credit => !credit.genre_ids?.some(genre => SKIPPED_TV_GENRES.includes(genre)))
+      .map(credit => ({ ...credit, type: 'tv' }))
+  ]
+    .filter(credit => credit.poster_path && !/\b(himself|herself|themselves)\b/i.test(credit.character || ''))
+    .filter(credit => !isTitleBlocked(credit.type, credit.id, blacklist) && !isBlockedByRules(credit, credit.type, blacklist?.rules))
+    .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+    .slice(0, WALK_TITLES);
+
+  const title = pickRandom(titles);
+  if (!title) return null;
+
+  const creditsKey = title.type === 'movie' ? 'credits' : 'aggregate_credits';
+  const data = await fetchTMDB(`/${title.type}/${title.id}?append_to_response=${creditsKey}`, rateLimiter);
+  const costars = (data[creditsKey]?.cast || [])
+    .slice(0, WALK_CAST)
+    .filter(member => isActor(member) && !visited.has(member.id));
+
+  return pickRandom(costars);
+}
+
+/**
+ * Walk far enough from a popular actor that the pair can reach the target separation
+ * @returns {Promise<Array|null>} [actor1, actor2] or null if the walk got stuck
+ */
+async function findCandidatePair(target, blacklist, rateLimiter) {
+  const start = await pickPopularActor(target.pages, rateLimiter);
+  if (!start) return null;
+
+  // Each step is two hops; the walked distance is only an upper bound on the separation
+  const steps = target.minHops / 2 + randomInt((target.maxHops - target.minHops) / 2 + 1);
+  const visited = new Set([start.id]);
+  let current = start;
+
+  for (let step = 0; step < steps; step++) {
+    current = await walkToCostar(current.id, visited, blacklist, rateLimiter);
+    if (!current) return null;
+    visited.add(current.id);
+  }
+
+  return [start, current];
+}
+
+/**
+ * Generate a starting pair whose separation fits a difficulty
+ * When the time budget runs out, the solvable pair closest to the range is returned instead.
+ *
+ * @param {string} difficulty - Challenge difficulty ('Easy', 'Medium', 'Hard', 'Expert'); others use Medium
+ * @param {Object} options - { blacklist, includeCrew, limits }
+ * @returns {Promise<Object|null>} { actors: [{ id, name, profile_path }], hops, calibrated, solution, attempts },
+ *   or null if no solvable pair was found at all
+ */
+export async function generateCalibratedPair(difficulty, options = {}) {
+  const target = PAIR_DIFFICULTIES[difficulty] || PAIR_DIFFICULTIES[DEFAULT_PAIR_DIFFICULTY];
+  const limits = { ...PAIR_SEARCH_LIMITS, ...(options.limits || {}) };
+  const blacklist = options.blacklist || null;
+  const includeCrew = options.includeCrew === true;
+  const rateLimiter = tmdbRateLimiter;
+  const startTime = Date.now();
+
+  const missBy = (hops) => Math.max(target.minHops - hops, hops - target.maxHops, 0);
+  let fallback = null;
+  let attempts = 0;
+
+  while (attempts < limits.maxAttempts && Date.now() - startTime < limits.timeBudgetMs) {
+    attempts++;
+    try {
+      const candidate = await findCandidatePair(target, blacklist, rateLimiter);
+      if (!candidate) continue;
+
+      // Pairs further apart than the range aren't searched for, so they come back unfound.
+      // The solver also stops partway through a layer when the overall budget runs out.
+      const remainingMs = limits.timeBudgetMs - (Date.now() - startTime);
+      const solution = await solveOptimalPath(`person-${candidate[0].id}`, `person-${candidate[1].id}`, {
+        blacklist,
+        includeCrew,
+        rateLimiter,
+        limits: {
+          ...limits.solver,
+          timeBudgetMs: Math.max(0, Math.min(limits.solver.timeBudgetMs, remainingMs)),
+          maxPathLength: target.maxHops - 1
+        }
+      });
+      if (!solution.found) continue;
+
+      const pair = { actors: candidate.map(toActorSummary), hops: solution.pathLength + 1, solution };
+      if (missBy(pair.hops) === 0) {
+        return { ...pair, calibrated: true, attempts };
+      }
+      if (!fallback || missBy(pair.hops) < missBy(fallback.hops)) {
+        fallback = pair;
+      }
+    } catch (error) {
+      console.error('Starting pair attempt failed:', error.message);
+    }
+  }
+
+  return fallback ? { ...fallback, calibrated: false, attempts } : null;
+}
@@ -0,0 +1,163 @@
+/**
+ * Game replays
+ * Checks the replay log a client submits with a finished game before it is stored, and
+ * rebuilds the board it ends on so results can be scored on the server's count of the board.
+ * The format is written by client/src/utils/replayUtils.js.
+ */
+
+import { MAX_START_ACTORS } from './gameVerification.js';
+
+export const REPLAY_VERSION = 1;
+
+// Keep in sync with MAX_REPLAY_EVENTS in client/src/utils/constants.js
+export const MAX_REPLAY_EVENTS = 2000;
+
+// Events results are checked against, never trimmed; keep in sync with KEPT_REPLAY_EVENTS
+// in client/src/utils/replayUtils.js
+const KEPT_EVENT_TYPES = ['add', 'remove', 'hint'];
+
+// Largest replay accepted, in characters of JSON
+export const MAX_REPLAY_SIZE = 400 * 1024;
+
+const EVENT_TYPES = ['add', 'remove', 'move', 'layout', 'search', 'hint'];
+const MAX_SEARCH_TERM_LENGTH = 100;
+
+function isPosition(position) {
+  return Number.isFinite(position?.x) && Number.isFinite(position?.y);
+}
+
+function isNode(node) {
+  return typeof node?.id === 'string' && typeof node?.type === 'string';
+}
+
+/**
+ * Check one replay event has the fields playback needs
+ */
+function isValidEvent(event) {
+  if (!Number.isFinite(event?.t) || event.t < 0 || !EVENT_TYPES.includes(event.type)) {
+    return false;
+  }
+
+  switch (event.type) {
+    case 'add':
+      return isNode(event.node) && isPosition(event.position);
+    case 'remove':
+      return typeof event.nodeId === 'string';
+    case 'move':
+      return typeof event.nodeId === 'string' && isPosition(event.to);
+    case 'layout':
+      return Boolean(event.positions) && typeof event.positions === 'object' &&
+        Object.values(event.positions).every(isPosition);
+    case 'search':
+      return typeof event.term === 'string';
+    default:
+      return true;
+  }
+}
+
+/**
+ * Trim a long event list to MAX_REPLAY_EVENTS, oldest moves, layouts and searches first
+ * Board changes and hints are all kept, even past the limit.
+ */
+function trimEvents(events) {
+  let excess = events.length - MAX_REPLAY_EVENTS;
+  if (excess <= 0) return events;
+
+  return events.filter(event => {
+    if (excess > 0 && !KEPT_EVENT_TYPES.includes(event.type)) {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Validate a submitted replay and drop anything playback can't use
+ * @param {Object} replay - Replay from the client
+ * @returns {Object|null} Replay to store, or null if it's missing, unknown or too large
+ */
+export function sanitizeReplay(replay) {
+  if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.start)) {
+    return null;
+  }
+  if (JSON.stringify(replay).length > MAX_REPLAY_SIZE) {
+    return null;
+  }
+
+  const start = replay.start.filter(entry => isNode(entry?.node) && isPosition(entry?.position));
+  if (start.length < 2 || start.length > MAX_START_ACTORS) {
+    return null;
+  }
+
+  const events = trimEvents((Array.isArray(replay.events) ? replay.events : []).filter(isValidEvent))
+    .map(event => (event.type === 'search'
+      ? { ...event, term: event.term.slice(0, MAX_SEARCH_TERM_LENGTH) }
+      : event));
+
+  return {
+    version: REPLAY_VERSION,
+    duration: events.length > 0 ? events[events.length - 1].t : 0,
+    start,
+    events
+  };
+}
+
+/**
+ * Rebuild the board a replay ends on and count the cards linked to the starting nodes
+ * Mirrors getTotalUniqueNodes in client/src/utils/actorTreeUtils.js: the starting nodes and
+ * cards nothing links to aren't counted. Person-show links that carry `episodes` (episode
+ * games) go through one node per episode, as on the client's board graph, and a show counts
+ * once any of its episodes is reached.
+ *
+ * @param {Object} replay - Sanitized replay
+ * @returns {Object} { nodeIds: Set of every card on the final board, totalNodes }
+ */
+export function measureReplayBoard(replay) {
+  const startIds = new Set(replay.start.map(entry => entry.node.id));
+  const nodeIds = new Set(startIds);
+  let connections = [];
+
+  for (const event of replay.events) {
+    if (event.type === 'add') {
+      nodeIds.add(event.node.id);
+      const added = (Array.isArray(event.connections) ? event.connections : [])
+        .filter(conn => nodeIds.has(conn?.source) && nodeIds.has(conn?.target));
+      connections = [...connections, ...added];
+    } else if (event.type === 'remove' && !startIds.has(event.nodeId)) {
+      nodeIds.delete(event.nodeId);
+      connections = connections.filter(conn => conn.source !== event.nodeId && conn.target !== event.nodeId);
+    }
+  }
+
+  const adjacency = new Map();
+  const link = (a, b) => {
+    adjacency.set(a, [...(adjacency.get(a) || []), b]);
+    adjacency.set(b, [...(adjacency.get(b) || []), a]);
+  };
+  connections.forEach(conn => {
+    if (!Array.isArray(conn.episodes)) {
+      link(conn.source, conn.target);
+      return;
+    }
+    const showId = conn.source.startsWith('tv-') ? conn.source : conn.target;
+    const personId = showId === conn.source ? conn.target : conn.source;
+    conn.episodes.forEach(code => link(personId, `${showId}@${code}`));
+  });
+
+  const reached = new Set(startIds);
+  const queue = [...startIds];
+  while (queue.length > 0) {
+    for (const next of adjacency.get(queue.shift()) || []) {
+      if (!reached.has(next)) {
+        reached.add(next);
+        queue.push(next);
+      }
+    }
+  }
+
+  [...reached].filter(nodeId => nodeId.includes('@')).forEach(nodeId => reached.add(nodeId.split('@')[0]));
+
+  const totalNodes = [...reached].filter(nodeId => !startIds.has(nodeId) && nodeIds.has(nodeId)).length;
+  return { nodeIds, totalNodes };
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { sanitizeReplay, measureReplayBoard, REPLAY_VERSION, MAX_REPLAY_EVENTS } from './replays.js';
+
+const card = (id) => ({ id, type: id.split('-')[0], data: {} });
+const at = { x: 0, y: 0 };
+
+const replayOf = (events, startIds = ['person-1', 'person-2']) => ({
+  version: REPLAY_VERSION,
+  start: startIds.map(id => ({ node: card(id), position: at })),
+  events: events.map((event, index) => ({ t: index * 1000, ...event }))
+});
+
+const add = (id, ...linkedIds) => ({
+  type: 'add',
+  node: card(id),
+  position: at,
+  connections: linkedIds.map(linkedId => ({ source: id, target: linkedId }))
+});
+
+describe('sanitizeReplay', () => {
+  it('rejects unknown versions and replays without both starting nodes', () => {
+    expect(sanitizeReplay(null)).toBeNull();
+    expect(sanitizeReplay({ ...replayOf([]), version: 99 })).toBeNull();
+    expect(sanitizeReplay(replayOf([], ['person-1']))).toBeNull();
+  });
+
+  it('drops malformed events and trims search terms', () => {
+    const replay = sanitizeReplay(replayOf([
+      add('movie-10', 'person-1'),
+      { type: 'add', node: { id: 'movie-11' } },
+      { type: 'teleport' },
+      { type: 'search', term: 'x'.repeat(500) }
+    ]));
+
+    expect(replay.events.map(event => event.type)).toEqual(['add', 'search']);
+    expect(replay.events[1].term).toHaveLength(100);
+    expect(replay.duration).toBe(3000);
+  });
+
+  it('trims long replays by their oldest moves, never their board changes or hints', () => {
+    const moves = Array.from({ length: MAX_REPLAY_EVENTS }, () => ({ type: 'move', nodeId: 'person-1', to: at }));
+    const replay = sanitizeReplay(replayOf([
+      ...moves,
+      add('movie-10', 'person-1'),
+      { type: 'hint' },
+      { type: 'remove', nodeId: 'movie-10' }
+    ]));
+
+    expect(replay.events).toHaveLength(MAX_REPLAY_EVENTS);
+    expect(replay.events.slice(-3).map(event => event.type)).toEqual(['add', 'hint', 'remove']);
+    expect(replay.events[0].t).toBe(3000);
+  });
+});
+
+describe('measureReplayBoard', () => {
+  it('counts the cards linked to the starting nodes', () => {
+    const board = measureReplayBoard(replayOf([
+      add('movie-10', 'person-1'),
+      add('person-3', 'movie-10'),
+      add('tv-20'),
+      add('movie-30', 'person-2')
+    ]));
+
+    expect(board.totalNodes).toBe(3);
+    expect([...board.nodeIds]).toContain('tv-20');
+  });
+
+  it('leaves removed cards and their links out', () => {
+    const board = measureReplayBoard(replayOf([
+      add('movie-10', 'person-1'),
+      add('person-3', 'movie-10'),
+      { type: 'remove', nodeId: 'movie-10' }
+    ]));
+
+    expect(board.nodeIds.has('movie-10')).toBe(false);
+    expect(board.totalNodes).toBe(0);
+  });
+
+  it('never removes a starting node', () => {
+    const board = measureReplayBoard(replayOf([
+      add('movie-10', 'person-1'),
+      { type: 'remove', nodeId: 'person-1' }
+    ]));
+
+    expect(board.nodeIds.has('person-1')).toBe(true);
+    expect(board.totalNodes).toBe(1);
+  });
+
+  it('ignores links to cards that are not on the board', () => {
+    const board = measureReplayBoard(replayOf([add('movie-10', 'person-1', 'person-99')]));
+    expect(board.totalNodes).toBe(1);
+  });
+
+  it('links people through the episodes they share in episode games', () => {
+    const withEpisodes = (id, personId, episodes) => ({
+      ...add(id),
+      connections: [{ source: personId, target: id, episodes }]
+    });
+    const board = measureReplayBoard(replayOf([
+      withEpisodes('tv-20', 'person-1', ['S1E1']),
+      { ...add('person-3'), connections: [{ source: 'person-3', target: 'tv-20', episodes: ['S1E2'] }] },
+      { ...add('person-4'), connections: [{ source: 'person-4', target: 'tv-20', episodes: ['S1E1'] }] }
+    ]));
+
+    // The show counts through person-1's episode; person-3 only appeared in an episode
+    // nobody else on the board shares
+    expect(board.totalNodes).toBe(2);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCORING_FORMULAS,
+  CHALLENGE_SCORING,
+  calculateScore,
+  getScoringFormula,
+  getScoringVersion
+} from './scoring.js';
+import * as clientScoring from '../../../../client/src/utils/scoringUtils.js';
+
+describe('calculateScore', () => {
+  it('scales board efficiency by speed', () => {
+    const { score, scoringVersion } = calculateScore({ pathLength: 3, totalNodes: 6, timeTaken: 100 });
+    expect(score).toBe(500);
+    expect(scoringVersion).toBe('standard@2');
+  });
+
+  it('scores nothing without board nodes or time', () => {
+    expect(calculateScore({ pathLength: 3, totalNodes: 0, timeTaken: 100 }).score).toBe(0);
+    expect(calculateScore({ pathLength: 3, totalNodes: 6, timeTaken: 0 }).score).toBe(0);
+  });
+
+  it('scales down paths longer than par and skips par when unknown', () => {
+    const stats = { pathLength: 4, totalNodes: 4, timeTaken: 100 };
+    expect(calculateScore({ ...stats, optimalPathLength: 2 }).score).toBe(500);
+    expect(calculateScore({ ...stats, optimalPathLength: null }).score).toBe(1000);
+  });
+
+  it('takes a share off per hint, never below zero', () => {
+    const stats = { pathLength: 2, totalNodes: 2, timeTaken: 100 };
+    expect(calculateScore({ ...stats, hintsUsed: 2 }).score).toBe(800);
+    expect(calculateScore({ ...stats, hintsUsed: 20 }).score).toBe(0);
+  });
+
+  it('applies the challenge formula and records its version', () => {
+    const stats = { pathLength: 2, totalNodes: 2, timeTaken: 100 };
+    expect(calculateScore(stats, 'no-disney')).toMatchObject({ score: 2000, scoringVersion: 'expert@2' });
+    // 500 × (1 - 100 / 120) bonus on top of the base 1000
+    expect(calculateScore(stats, 'classic').score).toBe(1083);
+  });
+
+  it('breaks the score down step by step', () => {
+    const { score, breakdown } = calculateScore({ pathLength: 2, totalNodes: 4, timeTaken: 100, optimalPathLength: 1 }, 'movies-only');
+    expect(breakdown.map(line => line.label)).toEqual(['Base score', 'Path length', 'Hints', 'Difficulty']);
+    expect(breakdown.reduce((sum, line) => sum + line.delta, 0)).toBe(score);
+  });
+});
+
+describe('getScoringFormula', () => {
+  it('falls back to the standard formula', () => {
+    expect(getScoringFormula(null)).toBe(SCORING_FORMULAS.standard);
+    expect(getScoringFormula('custom-abc')).toBe(SCORING_FORMULAS.standard);
+    expect(getScoringVersion(getScoringFormula('chain'))).toBe('hard@2');
+  });
+});
+
+// The client scores games with its own copy of the engine; a result only verifies if both agree
+describe('client scoring engine', () => {
+  it('declares the same formulas and challenge mapping', () => {
+    expect(clientScoring.SCORING_FORMULAS).toEqual(SCORING_FORMULAS);
+    expect(clientScoring.CHALLENGE_SCORING).toEqual(CHALLENGE_SCORING);
+  });
+
+  it('computes the same scores and breakdowns', () => {
+    const challenges = [null, ...Object.keys(CHALLENGE_SCORING)];
+    for (const challengeId of challenges) {
+      for (const pathLength of [1, 3, 6]) {
+        for (const timeTaken of [0, 45, 300]) {
+          for (const optimalPathLength of [null, 1, 3]) {
+            for (const hintsUsed of [0, 2]) {
+              const stats = { pathLength, totalNodes: pathLength * 2, timeTaken, optimalPathLength, hintsUsed };
+              expect(clientScoring.calculateScore(stats, challengeId)).toEqual(calculateScore(stats, challengeId));
+            }
+          }
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Blacklists for server-side path searches
+ * Shared by the routes that run the path solver, so par and generated starting pairs
+ * respect a challenge the same way.
+ */
+import { isFirebaseAvailable } from '../firebase/utils/firebaseAdmin.js';
+import { NO_FILTER_CHALLENGES, SPECIAL_CHALLENGES } from '../firebase/challenge-data/config/companyMappings.js';
+
+/**
+ * Resolve the blacklist a path search runs under for a challenge
+ * Company-filtered challenges need Firebase; the rest are static. Shared-episode links
+ * aren't in show credits, so episode games search movies only: every route found that
+ * way is also valid in an episode game.
+ *
+ * @param {string|null} challengeName - Challenge mode
+ * @returns {Promise<Object>} Blacklist in the isTitleBlocked format; throws for unknown challenges
+ */
+export async function resolveSolverBlacklist(challengeName) {
+  if (challengeName === 'episodes') {
+    return { blockedMovies: {}, blockedTvShows: '*' };
+  }
+
+  const needsDatabase = challengeName &&
+    !NO_FILTER_CHALLENGES.includes(challengeName) &&
+    !SPECIAL_CHALLENGES[challengeName];
+
+  if (needsDatabase && !isFirebaseAvailable()) {
+    throw new Error('Firebase not available');
+  }
+
+  const { getChallengeBlacklist } = await import('../firebase/utils/firebaseLogic.js');
+  return getChallengeBlacklist(challengeName);
+}
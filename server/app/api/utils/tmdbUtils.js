@@ -8,29 +8,59 @@
  * TMDB allows 40 requests per 10 seconds
  */
 export class TMDBRateLimiter {
-  constructor() {
+  constructor(maxRequests = 35, windowMs = 10000) {
     this.requests = [];
-    this.maxRequests = 35; // Leave some buffer
-    this.windowMs = 10000; // 10 seconds
+    this.maxRequests = maxRequests; // Leave some buffer
+    this.windowMs = windowMs; // 10 seconds by default
   }
 
   async waitIfNeeded() {
-    const now = Date.now();
-    // Remove requests older than window
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-    
-    if (this.requests.length >= this.maxRequests) {
+    // Re-check after every wait: callers sharing a limiter all wake up together
+    for (;;) {
+      const now = Date.now();
+      // Remove requests older than window
+      this.requests = this.requests.filter(time => now - time < this.windowMs);
+
+      if (this.requests.length < this.maxRequests) {
+        this.requests.push(now);
+        return;
+      }
+
       const oldestRequest = this.requests[0];
       const waitTime = this.windowMs - (now - oldestRequest) + 100; // Add 100ms buffer
-      if (waitTime > 0) {
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
+      await new Promise(resolve => setTimeout(resolve, waitTime));
     }
-    
-    this.requests.push(now);
   }
 }
 
+/**
+ * Limiter shared by the request-time TMDB callers (solver, verification, pair
+ * generation, episode indexes, rule compilation) so concurrent work stays in one budget
+ */
+export const tmdbRateLimiter = new TMDBRateLimiter();
+
+/**
+ * Fetch any TMDB v3 resource (e.g. '/movie/550?append_to_response=credits')
+ */
+export async function fetchTMDB(path, rateLimiter = null) {
+  if (rateLimiter) {
+    await rateLimiter.waitIfNeeded();
+  }
+
+  const response = await fetch(`https://api.themoviedb.org/3${path}`, {
+    headers: {
+      'Authorization': `Bearer ${process.env.TMDB_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`TMDB API error: ${response.status} ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
 /**
  * Fetch data from TMDB Discover API with pagination
  */